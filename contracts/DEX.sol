@@ -2,118 +2,417 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "./IDEXFlashCallee.sol";
 
 /// @title DEX
 /// @notice Decentralized Exchange using Automated Market Maker (AMM) model
-/// @dev Implements constant product formula (x * y = k) with 0.3% trading fee
-contract DEX is ReentrancyGuard {
+/// @dev Implements constant product formula (x * y = k) with a per-pool trading fee.
+///      LP shares are issued as a transferable ERC20 token by the pool itself.
+///      An admin may switch on a protocol fee, taken as LP shares minted to `feeTo`, and
+///      change the LP fee; both changes wait out TIMELOCK_DELAY before they apply. A pauser
+///      can halt deposits and swaps in an emergency, while removeLiquidity always stays open.
+///      Incoming amounts are measured from balance deltas, so fee-on-transfer tokens
+///      keep reserves in sync; sync() and skim() reconcile rebasing tokens and donations.
+///      Pools run behind a proxy and are set up through initialize(). Behind an ERC1967
+///      proxy the admin can upgrade the pool in place (UUPS); new versions must only append
+///      state variables, consuming __gap, so existing reserves and LP balances keep their slots.
+contract DEX is
+    Initializable,
+    ERC20Upgradeable,
+    ReentrancyGuardUpgradeable,
+    AccessControlUpgradeable,
+    PausableUpgradeable,
+    UUPSUpgradeable
+{
     using SafeERC20 for IERC20;
 
+    // Fee constants, in basis points
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_FEE = 1000; // 10%
+    // Share of fee growth minted to the protocol when enabled (1/6 of LP fees)
+    uint256 public constant PROTOCOL_FEE_DIVISOR = 6;
+    // LP shares locked forever on the first deposit, so the share price cannot be inflated
+    // from a dust-sized supply. ERC20 refuses mints to the zero address, hence the dead address.
+    uint256 public constant MINIMUM_LIQUIDITY = 1000;
+    address public constant LIQUIDITY_LOCK_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+    // Role allowed to pause the pool; DEFAULT_ADMIN_ROLE manages roles, parameters and unpausing
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    // Minimum wait between scheduling a parameter change and executing it
+    uint256 public constant TIMELOCK_DELAY = 2 days;
+    
     // State variables
     address public tokenA;
     address public tokenB;
     uint256 public reserveA;
     uint256 public reserveB;
-    uint256 public totalLiquidity;
-    mapping(address => uint256) public liquidity;
+    
+    // Fee configuration
+    uint256 public fee; // LP fee in basis points, e.g. 30 = 0.3%
+    address public feeTo; // Protocol fee recipient, zero when the protocol fee is off
+    uint256 public kLast; // reserveA * reserveB after the last liquidity event, zero when the protocol fee is off
+    
+    // Timelocked parameter changes; eta is zero when nothing is scheduled
+    struct PendingFee {
+        uint256 fee;
+        uint256 eta;
+    }
+    struct PendingFeeTo {
+        address feeTo;
+        uint256 eta;
+    }
+    PendingFee public pendingFee;
+    PendingFeeTo public pendingFeeTo;
+    
+    // Price oracle accumulators: sum of (spot price * seconds elapsed), 1e18 scaled.
+    // These are expected to wrap around; consumers must subtract them unchecked.
+    uint256 public priceACumulativeLast;
+    uint256 public priceBCumulativeLast;
+    uint256 public blockTimestampLast;
+    
+    // EIP-2612 permit signature authorizing the pool to pull `value` tokens from the caller
+    struct PermitSignature {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+    
+    // LP token metadata, derived from the pair's token symbols
+    string private _lpName;
+    string private _lpSymbol;
+    
+    // Reserved slots so future versions can add state without shifting existing storage
+    uint256[50] private __gap;
     
     // Events - MUST emit these
     event LiquidityAdded(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityMinted);
     event LiquidityRemoved(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityBurned);
     event Swap(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+    event FeeConfigured(uint256 fee);
+    event FeeToUpdated(address indexed feeTo);
+    event FeeChangeScheduled(uint256 fee, uint256 eta);
+    event FeeChangeCancelled(uint256 fee);
+    event FeeToChangeScheduled(address indexed feeTo, uint256 eta);
+    event FeeToChangeCancelled(address indexed feeTo);
+    event ProtocolFeeMinted(address indexed feeTo, uint256 liquidityMinted);
+    event Sync(uint256 reserveA, uint256 reserveB);
+    event FlashSwap(address indexed sender, address indexed to, uint256 amountAOut, uint256 amountBOut, uint256 amountAIn, uint256 amountBIn);
+    event LiquidityRemovedOneToken(address indexed provider, address indexed tokenOut, uint256 amountOut, uint256 liquidityBurned);
+    
+    /// @notice Revert if the transaction is mined after the given deadline
+    /// @param deadline Unix timestamp after which the call is no longer valid
+    modifier ensure(uint256 deadline) {
+        require(block.timestamp <= deadline, "Transaction expired");
+        _;
+    }
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        // The implementation only holds code; pools are initialized through their proxy
+        _disableInitializers();
+    }
     
-    /// @notice Initialize the DEX with two token addresses
+    /// @notice Initialize the DEX with two token addresses and its LP fee
+    /// @dev The caller receives the admin and pauser roles
     /// @param _tokenA Address of first token
     /// @param _tokenB Address of second token
-    constructor(address _tokenA, address _tokenB) {
+    /// @param _fee LP fee in basis points (e.g. 5, 30 or 100)
+    function initialize(address _tokenA, address _tokenB, uint256 _fee) external initializer {
         require(_tokenA != address(0), "Invalid token A address");
         require(_tokenB != address(0), "Invalid token B address");
         require(_tokenA != _tokenB, "Tokens must be different");
+        require(_fee > 0 && _fee <= MAX_FEE, "Invalid fee");
         
         tokenA = _tokenA;
         tokenB = _tokenB;
+        fee = _fee;
+        emit FeeConfigured(_fee);
+        
+        __ERC20_init("", "");
+        __ReentrancyGuard_init();
+        __AccessControl_init();
+        __Pausable_init();
+        __UUPSUpgradeable_init();
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        
+        string memory symbolA = IERC20Metadata(_tokenA).symbol();
+        string memory symbolB = IERC20Metadata(_tokenB).symbol();
+        _lpName = string.concat("DEX LP ", symbolA, "-", symbolB);
+        _lpSymbol = string.concat(symbolA, "-", symbolB, "-LP");
+    }
+    
+    /// @notice Name of the LP token, e.g. "DEX LP TKA-TKB"
+    function name() public view override returns (string memory) {
+        return _lpName;
+    }
+    
+    /// @notice Symbol of the LP token, e.g. "TKA-TKB-LP"
+    function symbol() public view override returns (string memory) {
+        return _lpSymbol;
+    }
+    
+    /// @notice Halt deposits and swaps; removeLiquidity stays open so LPs can always exit
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /// @notice Resume deposits and swaps
+    /// @dev Reserved to the admin, so a compromised pauser key can only halt the pool
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+    
+    /// @notice Schedule a change of the LP fee, executable after TIMELOCK_DELAY
+    /// @dev Replaces any change already scheduled
+    /// @param _fee New LP fee in basis points
+    function scheduleFeeChange(uint256 _fee) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_fee > 0 && _fee <= MAX_FEE, "Invalid fee");
+        uint256 eta = block.timestamp + TIMELOCK_DELAY;
+        pendingFee = PendingFee(_fee, eta);
+        emit FeeChangeScheduled(_fee, eta);
+    }
+    
+    /// @notice Apply the scheduled LP fee once its timelock has passed
+    function executeFeeChange() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        PendingFee memory pending = pendingFee;
+        require(pending.eta != 0, "No change scheduled");
+        require(block.timestamp >= pending.eta, "Timelock not expired");
+        
+        delete pendingFee;
+        fee = pending.fee;
+        emit FeeConfigured(pending.fee);
+    }
+    
+    /// @notice Drop the scheduled LP fee change
+    function cancelFeeChange() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(pendingFee.eta != 0, "No change scheduled");
+        emit FeeChangeCancelled(pendingFee.fee);
+        delete pendingFee;
+    }
+    
+    /// @notice Schedule switching the protocol fee on (non-zero recipient) or off (zero address)
+    /// @dev Executable after TIMELOCK_DELAY; replaces any change already scheduled
+    /// @param _feeTo Recipient of protocol fee LP shares
+    function scheduleFeeToChange(address _feeTo) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 eta = block.timestamp + TIMELOCK_DELAY;
+        pendingFeeTo = PendingFeeTo(_feeTo, eta);
+        emit FeeToChangeScheduled(_feeTo, eta);
+    }
+    
+    /// @notice Apply the scheduled protocol fee recipient once its timelock has passed
+    function executeFeeToChange() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        PendingFeeTo memory pending = pendingFeeTo;
+        require(pending.eta != 0, "No change scheduled");
+        require(block.timestamp >= pending.eta, "Timelock not expired");
+        
+        delete pendingFeeTo;
+        feeTo = pending.feeTo;
+        emit FeeToUpdated(pending.feeTo);
+    }
+    
+    /// @notice Drop the scheduled protocol fee recipient change
+    function cancelFeeToChange() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(pendingFeeTo.eta != 0, "No change scheduled");
+        emit FeeToChangeCancelled(pendingFeeTo.feeTo);
+        delete pendingFeeTo;
+    }
+    
+    /// @notice LP token balance of a provider
+    /// @dev Kept for compatibility with the pre-ERC20 share ledger
+    /// @param provider Address of the liquidity provider
+    /// @return LP tokens held by the provider
+    function liquidity(address provider) external view returns (uint256) {
+        return balanceOf(provider);
+    }
+    
+    /// @notice Total LP tokens in circulation
+    /// @dev Kept for compatibility with the pre-ERC20 share ledger
+    /// @return Total supply of the LP token
+    function totalLiquidity() public view returns (uint256) {
+        return totalSupply();
     }
     
     /// @notice Add liquidity to the pool
-    /// @param amountA Amount of token A to add
-    /// @param amountB Amount of token B to add
+    /// @dev After the first deposit only the amounts matching the pool ratio are pulled;
+    ///      the excess of the over-supplied side is never taken from the caller
+    ///      The first deposit locks MINIMUM_LIQUIDITY shares at LIQUIDITY_LOCK_ADDRESS
+    /// @param amountADesired Maximum amount of token A to add
+    /// @param amountBDesired Maximum amount of token B to add
+    /// @param amountAMin Minimum amount of token A that must be added
+    /// @param amountBMin Minimum amount of token B that must be added
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A actually added
+    /// @return amountB Amount of token B actually added
     /// @return liquidityMinted Amount of LP tokens minted
-    function addLiquidity(uint256 amountA, uint256 amountB) 
-        external 
+    function addLiquidity(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    ) 
+        public 
         nonReentrant
-        returns (uint256 liquidityMinted) 
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted) 
     {
-        require(amountA > 0, "Amount A must be greater than 0");
-        require(amountB > 0, "Amount B must be greater than 0");
+        require(amountADesired > 0, "Amount A must be greater than 0");
+        require(amountBDesired > 0, "Amount B must be greater than 0");
+        
+        bool feeOn = _mintFee();
+        uint256 _totalLiquidity = totalSupply();
+        
+        // Use the optimal amounts for the current ratio
+        (amountA, amountB) = _optimalAmounts(amountADesired, amountBDesired, _totalLiquidity);
         
-        if (totalLiquidity == 0) {
-            // First liquidity provider - can set any ratio
+        // Transfer tokens from user to contract, measuring what actually arrived
+        amountA = _pullToken(tokenA, amountA);
+        amountB = _pullToken(tokenB, amountB);
+        require(amountA >= amountAMin && amountB >= amountBMin, "Slippage limit exceeded");
+        
+        if (_totalLiquidity == 0) {
+            // First liquidity provider - can set any ratio, but gives up MINIMUM_LIQUIDITY shares
+            uint256 lockedLiquidity = _minimumLiquidity();
             liquidityMinted = sqrt(amountA * amountB);
-            require(liquidityMinted > 0, "Insufficient liquidity minted");
-            
-            // Transfer tokens from user to contract
-            IERC20(tokenA).safeTransferFrom(msg.sender, address(this), amountA);
-            IERC20(tokenB).safeTransferFrom(msg.sender, address(this), amountB);
-            
-            // Update reserves
-            reserveA = amountA;
-            reserveB = amountB;
+            require(liquidityMinted > lockedLiquidity, "Insufficient liquidity minted");
+            liquidityMinted -= lockedLiquidity;
+            _mint(LIQUIDITY_LOCK_ADDRESS, lockedLiquidity);
         } else {
-            // Subsequent liquidity providers - must match ratio
-            uint256 amountBOptimal = (amountA * reserveB) / reserveA;
-            require(amountB >= amountBOptimal, "Insufficient amount B for ratio");
-            
-            // Use optimal amounts
-            uint256 actualAmountB = amountBOptimal;
-            
-            // Calculate liquidity to mint
-            liquidityMinted = (amountA * totalLiquidity) / reserveA;
-            require(liquidityMinted > 0, "Insufficient liquidity minted");
-            
-            // Transfer tokens from user to contract
-            IERC20(tokenA).safeTransferFrom(msg.sender, address(this), amountA);
-            IERC20(tokenB).safeTransferFrom(msg.sender, address(this), actualAmountB);
-            
-            // Update reserves
-            reserveA += amountA;
-            reserveB += actualAmountB;
+            // Subsequent liquidity providers - limited by the side that arrived short
+            liquidityMinted = _liquidityFor(amountA, amountB, _totalLiquidity);
         }
+        require(liquidityMinted > 0, "Insufficient liquidity minted");
+        
+        // Update reserves
+        _update(reserveA + amountA, reserveB + amountB);
         
         // Mint LP tokens
-        liquidity[msg.sender] += liquidityMinted;
-        totalLiquidity += liquidityMinted;
+        _mint(msg.sender, liquidityMinted);
+        if (feeOn) kLast = reserveA * reserveB;
         
         emit LiquidityAdded(msg.sender, amountA, amountB, liquidityMinted);
     }
     
+    /// @notice Add liquidity, approving both tokens with EIP-2612 permits in the same transaction
+    /// @dev Each permit must cover at least the amount pulled for its token
+    /// @param amountADesired Maximum amount of token A to add
+    /// @param amountBDesired Maximum amount of token B to add
+    /// @param amountAMin Minimum amount of token A that must be added
+    /// @param amountBMin Minimum amount of token B that must be added
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @param permitA Signed permit for token A
+    /// @param permitB Signed permit for token B
+    /// @return amountA Amount of token A actually added
+    /// @return amountB Amount of token B actually added
+    /// @return liquidityMinted Amount of LP tokens minted
+    function addLiquidityWithPermit(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline,
+        PermitSignature calldata permitA,
+        PermitSignature calldata permitB
+    ) 
+        external 
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted) 
+    {
+        _permit(tokenA, permitA);
+        _permit(tokenB, permitB);
+        return addLiquidity(amountADesired, amountBDesired, amountAMin, amountBMin, deadline);
+    }
+    
+    /// @notice Add liquidity with a single token
+    /// @dev Swaps half of the input inside the pool, then deposits the rest together with
+    ///      the swap output at the post-swap ratio. Whatever cannot be deposited is refunded.
+    /// @param tokenIn Address of the token to provide, token A or token B
+    /// @param amountIn Amount of tokenIn to provide
+    /// @param minLiquidity Minimum amount of LP tokens to mint
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return liquidityMinted Amount of LP tokens minted
+    function zapIn(address tokenIn, uint256 amountIn, uint256 minLiquidity, uint256 deadline) 
+        external 
+        nonReentrant
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 liquidityMinted) 
+    {
+        require(tokenIn == tokenA || tokenIn == tokenB, "Invalid token");
+        require(amountIn > 0, "Amount in must be greater than 0");
+        
+        bool feeOn = _mintFee();
+        uint256 _totalLiquidity = totalSupply();
+        require(_totalLiquidity > 0, "No liquidity in pool");
+        
+        // Swap half of the input inside the pool
+        uint256 received = _pullToken(tokenIn, amountIn);
+        (uint256 amountA, uint256 amountB) = _zapSwap(tokenIn, received);
+        
+        // Deposit at the post-swap ratio
+        (uint256 depositA, uint256 depositB) = _optimalAmounts(amountA, amountB, _totalLiquidity);
+        liquidityMinted = _liquidityFor(depositA, depositB, _totalLiquidity);
+        require(liquidityMinted > 0, "Insufficient liquidity minted");
+        require(liquidityMinted >= minLiquidity, "Slippage limit exceeded");
+        
+        // Update reserves
+        _update(reserveA + depositA, reserveB + depositB);
+        
+        // Mint LP tokens
+        _mint(msg.sender, liquidityMinted);
+        if (feeOn) kLast = reserveA * reserveB;
+        
+        // Refund the excess side
+        if (amountA > depositA) IERC20(tokenA).safeTransfer(msg.sender, amountA - depositA);
+        if (amountB > depositB) IERC20(tokenB).safeTransfer(msg.sender, amountB - depositB);
+        
+        emit LiquidityAdded(msg.sender, depositA, depositB, liquidityMinted);
+    }
+    
     /// @notice Remove liquidity from the pool
     /// @param liquidityAmount Amount of LP tokens to burn
+    /// @param amountAMin Minimum amount of token A to receive
+    /// @param amountBMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
     /// @return amountA Amount of token A returned
     /// @return amountB Amount of token B returned
-    function removeLiquidity(uint256 liquidityAmount) 
+    function removeLiquidity(uint256 liquidityAmount, uint256 amountAMin, uint256 amountBMin, uint256 deadline) 
         external 
         nonReentrant
+        ensure(deadline)
         returns (uint256 amountA, uint256 amountB) 
     {
         require(liquidityAmount > 0, "Liquidity amount must be greater than 0");
-        require(liquidity[msg.sender] >= liquidityAmount, "Insufficient liquidity");
-        require(totalLiquidity > 0, "No liquidity in pool");
+        require(balanceOf(msg.sender) >= liquidityAmount, "Insufficient liquidity");
+        bool feeOn = _mintFee();
+        uint256 _totalLiquidity = totalSupply();
+        require(_totalLiquidity > 0, "No liquidity in pool");
         
         // Calculate proportional share
-        amountA = (liquidityAmount * reserveA) / totalLiquidity;
-        amountB = (liquidityAmount * reserveB) / totalLiquidity;
+        amountA = (liquidityAmount * reserveA) / _totalLiquidity;
+        amountB = (liquidityAmount * reserveB) / _totalLiquidity;
         
         require(amountA > 0 && amountB > 0, "Insufficient liquidity burned");
+        require(amountA >= amountAMin && amountB >= amountBMin, "Slippage limit exceeded");
         
         // Burn LP tokens
-        liquidity[msg.sender] -= liquidityAmount;
-        totalLiquidity -= liquidityAmount;
+        _burn(msg.sender, liquidityAmount);
         
         // Update reserves
-        reserveA -= amountA;
-        reserveB -= amountB;
+        _update(reserveA - amountA, reserveB - amountB);
+        if (feeOn) kLast = reserveA * reserveB;
         
         // Transfer tokens back to user
         IERC20(tokenA).safeTransfer(msg.sender, amountA);
@@ -122,64 +421,277 @@ contract DEX is ReentrancyGuard {
         emit LiquidityRemoved(msg.sender, amountA, amountB, liquidityAmount);
     }
     
+    /// @notice Remove liquidity and receive only one of the pool's tokens
+    /// @dev Burns the shares like removeLiquidity, then swaps the unwanted side back into the
+    ///      pool at the post-removal reserves with the normal pool fee. Emits only
+    ///      LiquidityRemovedOneToken, not LiquidityRemoved and Swap.
+    ///      Blocked while paused because of that internal swap; paused LPs exit with removeLiquidity.
+    /// @param tokenOut Address of the token to receive, token A or token B
+    /// @param liquidityAmount Amount of LP tokens to burn
+    /// @param minAmountOut Minimum amount of tokenOut to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountOut Amount of tokenOut returned
+    function removeLiquidityOneToken(
+        address tokenOut,
+        uint256 liquidityAmount,
+        uint256 minAmountOut,
+        uint256 deadline
+    ) 
+        external 
+        nonReentrant
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 amountOut) 
+    {
+        require(tokenOut == tokenA || tokenOut == tokenB, "Invalid token");
+        require(liquidityAmount > 0, "Liquidity amount must be greater than 0");
+        require(balanceOf(msg.sender) >= liquidityAmount, "Insufficient liquidity");
+        bool feeOn = _mintFee();
+        
+        amountOut = getAmountOutForLiquidity(tokenOut, liquidityAmount);
+        require(amountOut >= minAmountOut, "Slippage limit exceeded");
+        
+        // Burn LP tokens
+        _burn(msg.sender, liquidityAmount);
+        
+        // The other token's share is withdrawn and swapped straight back in, so only tokenOut leaves
+        if (tokenOut == tokenA) {
+            _update(reserveA - amountOut, reserveB);
+        } else {
+            _update(reserveA, reserveB - amountOut);
+        }
+        if (feeOn) kLast = reserveA * reserveB;
+        
+        IERC20(tokenOut).safeTransfer(msg.sender, amountOut);
+        
+        emit LiquidityRemovedOneToken(msg.sender, tokenOut, amountOut, liquidityAmount);
+    }
+    
     /// @notice Swap token A for token B
     /// @param amountAIn Amount of token A to swap
+    /// @param minAmountBOut Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
     /// @return amountBOut Amount of token B received
-    function swapAForB(uint256 amountAIn) 
-        external 
+    function swapAForB(uint256 amountAIn, uint256 minAmountBOut, uint256 deadline) 
+        public 
         nonReentrant
+        whenNotPaused
+        ensure(deadline)
         returns (uint256 amountBOut) 
     {
         require(amountAIn > 0, "Amount in must be greater than 0");
         require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
         
+        // Transfer token A from user to contract, measuring what actually arrived
+        uint256 amountAReceived = _pullToken(tokenA, amountAIn);
+        
         // Calculate output amount with fee
-        amountBOut = getAmountOut(amountAIn, reserveA, reserveB);
+        amountBOut = getAmountOut(amountAReceived, reserveA, reserveB);
         require(amountBOut > 0, "Insufficient output amount");
+        require(amountBOut >= minAmountBOut, "Slippage limit exceeded");
         require(amountBOut < reserveB, "Insufficient liquidity for swap");
         
-        // Transfer token A from user to contract
-        IERC20(tokenA).safeTransferFrom(msg.sender, address(this), amountAIn);
-        
         // Transfer token B to user
         IERC20(tokenB).safeTransfer(msg.sender, amountBOut);
         
         // Update reserves
-        reserveA += amountAIn;
-        reserveB -= amountBOut;
+        _update(reserveA + amountAReceived, reserveB - amountBOut);
         
-        emit Swap(msg.sender, tokenA, tokenB, amountAIn, amountBOut);
+        emit Swap(msg.sender, tokenA, tokenB, amountAReceived, amountBOut);
     }
     
     /// @notice Swap token B for token A
     /// @param amountBIn Amount of token B to swap
+    /// @param minAmountAOut Minimum amount of token A to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
     /// @return amountAOut Amount of token A received
-    function swapBForA(uint256 amountBIn) 
-        external 
+    function swapBForA(uint256 amountBIn, uint256 minAmountAOut, uint256 deadline) 
+        public 
         nonReentrant
+        whenNotPaused
+        ensure(deadline)
         returns (uint256 amountAOut) 
     {
         require(amountBIn > 0, "Amount in must be greater than 0");
         require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
         
+        // Transfer token B from user to contract, measuring what actually arrived
+        uint256 amountBReceived = _pullToken(tokenB, amountBIn);
+        
         // Calculate output amount with fee
-        amountAOut = getAmountOut(amountBIn, reserveB, reserveA);
+        amountAOut = getAmountOut(amountBReceived, reserveB, reserveA);
         require(amountAOut > 0, "Insufficient output amount");
+        require(amountAOut >= minAmountAOut, "Slippage limit exceeded");
         require(amountAOut < reserveA, "Insufficient liquidity for swap");
         
-        // Transfer token B from user to contract
-        IERC20(tokenB).safeTransferFrom(msg.sender, address(this), amountBIn);
+        // Transfer token A to user
+        IERC20(tokenA).safeTransfer(msg.sender, amountAOut);
+        
+        // Update reserves
+        _update(reserveA - amountAOut, reserveB + amountBReceived);
+        
+        emit Swap(msg.sender, tokenB, tokenA, amountBReceived, amountAOut);
+    }
+    
+    /// @notice Swap token A for token B, approving token A with an EIP-2612 permit
+    /// @param amountAIn Amount of token A to swap
+    /// @param minAmountBOut Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @param permitA Signed permit for token A
+    /// @return amountBOut Amount of token B received
+    function swapAForBWithPermit(
+        uint256 amountAIn,
+        uint256 minAmountBOut,
+        uint256 deadline,
+        PermitSignature calldata permitA
+    ) 
+        external 
+        returns (uint256 amountBOut) 
+    {
+        _permit(tokenA, permitA);
+        return swapAForB(amountAIn, minAmountBOut, deadline);
+    }
+    
+    /// @notice Swap token B for token A, approving token B with an EIP-2612 permit
+    /// @param amountBIn Amount of token B to swap
+    /// @param minAmountAOut Minimum amount of token A to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @param permitB Signed permit for token B
+    /// @return amountAOut Amount of token A received
+    function swapBForAWithPermit(
+        uint256 amountBIn,
+        uint256 minAmountAOut,
+        uint256 deadline,
+        PermitSignature calldata permitB
+    ) 
+        external 
+        returns (uint256 amountAOut) 
+    {
+        _permit(tokenB, permitB);
+        return swapBForA(amountBIn, minAmountAOut, deadline);
+    }
+    
+    /// @notice Swap token A for an exact amount of token B
+    /// @param amountBOut Amount of token B to receive
+    /// @param maxAmountAIn Maximum amount of token A to spend
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAIn Amount of token A spent
+    function swapAForExactB(uint256 amountBOut, uint256 maxAmountAIn, uint256 deadline) 
+        external 
+        nonReentrant
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 amountAIn) 
+    {
+        require(amountBOut > 0, "Amount out must be greater than 0");
+        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
+        
+        // Calculate required input with fee
+        amountAIn = getAmountIn(amountBOut, reserveA, reserveB);
+        require(amountAIn <= maxAmountAIn, "Excessive input amount");
+        
+        // Exact-output swaps cannot gross up for transfer fees, the full input must arrive
+        require(_pullToken(tokenA, amountAIn) == amountAIn, "Transfer fee not supported");
+        
+        // Transfer token B to user
+        IERC20(tokenB).safeTransfer(msg.sender, amountBOut);
+        
+        // Update reserves
+        _update(reserveA + amountAIn, reserveB - amountBOut);
+        
+        emit Swap(msg.sender, tokenA, tokenB, amountAIn, amountBOut);
+    }
+    
+    /// @notice Swap token B for an exact amount of token A
+    /// @param amountAOut Amount of token A to receive
+    /// @param maxAmountBIn Maximum amount of token B to spend
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBIn Amount of token B spent
+    function swapBForExactA(uint256 amountAOut, uint256 maxAmountBIn, uint256 deadline) 
+        external 
+        nonReentrant
+        whenNotPaused
+        ensure(deadline)
+        returns (uint256 amountBIn) 
+    {
+        require(amountAOut > 0, "Amount out must be greater than 0");
+        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
+        
+        // Calculate required input with fee
+        amountBIn = getAmountIn(amountAOut, reserveB, reserveA);
+        require(amountBIn <= maxAmountBIn, "Excessive input amount");
+        
+        // Exact-output swaps cannot gross up for transfer fees, the full input must arrive
+        require(_pullToken(tokenB, amountBIn) == amountBIn, "Transfer fee not supported");
         
         // Transfer token A to user
         IERC20(tokenA).safeTransfer(msg.sender, amountAOut);
         
         // Update reserves
-        reserveB += amountBIn;
-        reserveA -= amountAOut;
+        _update(reserveA - amountAOut, reserveB + amountBIn);
         
         emit Swap(msg.sender, tokenB, tokenA, amountBIn, amountAOut);
     }
     
+    /// @notice Borrow tokens optimistically, paying for them inside a callback
+    /// @dev Tokens are sent to `to` first, then IDEXFlashCallee(to).dexFlashCall is invoked.
+    ///      Afterwards the pool's balances must satisfy the fee-adjusted constant product:
+    ///      either repay the loan plus fee, or pay with the other token as in a regular swap.
+    /// @param amountAOut Amount of token A to send out
+    /// @param amountBOut Amount of token B to send out
+    /// @param to Recipient of the tokens, must implement IDEXFlashCallee
+    /// @param data Arbitrary data forwarded to the callback
+    function flashSwap(uint256 amountAOut, uint256 amountBOut, address to, bytes calldata data) 
+        external 
+        nonReentrant
+        whenNotPaused
+    {
+        require(amountAOut > 0 || amountBOut > 0, "Insufficient output amount");
+        require(amountAOut < reserveA && amountBOut < reserveB, "Insufficient liquidity for swap");
+        require(to != tokenA && to != tokenB, "Invalid recipient");
+        
+        // Send tokens out optimistically
+        if (amountAOut > 0) IERC20(tokenA).safeTransfer(to, amountAOut);
+        if (amountBOut > 0) IERC20(tokenB).safeTransfer(to, amountBOut);
+        
+        IDEXFlashCallee(to).dexFlashCall(msg.sender, amountAOut, amountBOut, data);
+        
+        // Whatever the pool holds above (reserve - amountOut) was paid in by the callee
+        uint256 balanceA = IERC20(tokenA).balanceOf(address(this));
+        uint256 balanceB = IERC20(tokenB).balanceOf(address(this));
+        uint256 amountAIn = balanceA > reserveA - amountAOut ? balanceA - (reserveA - amountAOut) : 0;
+        uint256 amountBIn = balanceB > reserveB - amountBOut ? balanceB - (reserveB - amountBOut) : 0;
+        require(amountAIn > 0 || amountBIn > 0, "Insufficient input amount");
+        
+        // Fee-adjusted constant product must not decrease
+        uint256 balanceAAdjusted = (balanceA * FEE_DENOMINATOR) - (amountAIn * fee);
+        uint256 balanceBAdjusted = (balanceB * FEE_DENOMINATOR) - (amountBIn * fee);
+        require(
+            balanceAAdjusted * balanceBAdjusted >= reserveA * reserveB * FEE_DENOMINATOR * FEE_DENOMINATOR,
+            "K invariant violated"
+        );
+        
+        _update(balanceA, balanceB);
+        
+        emit FlashSwap(msg.sender, to, amountAOut, amountBOut, amountAIn, amountBIn);
+    }
+    
+    /// @notice Force reserves to match the pool's token balances
+    /// @dev Recovers from rebasing tokens or direct transfers; any surplus accrues to LPs
+    function sync() external nonReentrant {
+        _update(IERC20(tokenA).balanceOf(address(this)), IERC20(tokenB).balanceOf(address(this)));
+    }
+    
+    /// @notice Send token balances in excess of the reserves to an address
+    /// @dev Lets anyone recover tokens sent to the pool without changing the price
+    /// @param to Recipient of the surplus tokens
+    function skim(address to) external nonReentrant {
+        uint256 balanceA = IERC20(tokenA).balanceOf(address(this));
+        uint256 balanceB = IERC20(tokenB).balanceOf(address(this));
+        if (balanceA > reserveA) IERC20(tokenA).safeTransfer(to, balanceA - reserveA);
+        if (balanceB > reserveB) IERC20(tokenB).safeTransfer(to, balanceB - reserveB);
+    }
+    
     /// @notice Get current price of token A in terms of token B
     /// @return price Current price (reserveB / reserveA)
     function getPrice() external view returns (uint256 price) {
@@ -195,26 +707,233 @@ contract DEX is ReentrancyGuard {
         _reserveB = reserveB;
     }
     
+    /// @notice Get the price accumulators as of the current block
+    /// @dev Includes the time elapsed since the last reserve change, so it can be read without a state update
+    /// @return priceACumulative Cumulative price of token A in terms of token B
+    /// @return priceBCumulative Cumulative price of token B in terms of token A
+    /// @return blockTimestamp Timestamp the accumulators are valid for
+    function getCumulativePrices() 
+        external 
+        view 
+        returns (uint256 priceACumulative, uint256 priceBCumulative, uint256 blockTimestamp) 
+    {
+        priceACumulative = priceACumulativeLast;
+        priceBCumulative = priceBCumulativeLast;
+        blockTimestamp = block.timestamp;
+        
+        uint256 timeElapsed = blockTimestamp - blockTimestampLast;
+        if (timeElapsed > 0 && reserveA > 0 && reserveB > 0) {
+            unchecked {
+                priceACumulative += ((reserveB * 1e18) / reserveA) * timeElapsed;
+                priceBCumulative += ((reserveA * 1e18) / reserveB) * timeElapsed;
+            }
+        }
+    }
+    
     /// @notice Calculate amount of token out received for given amount of token in
     /// @param amountIn Amount of token input
     /// @param reserveIn Reserve of input token
     /// @param reserveOut Reserve of output token
-    /// @return amountOut Amount of token output (after 0.3% fee)
+    /// @return amountOut Amount of token output (after the pool fee)
     function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) 
         public 
-        pure 
+        view 
         returns (uint256 amountOut) 
     {
         require(amountIn > 0, "Insufficient input amount");
         require(reserveIn > 0 && reserveOut > 0, "Insufficient liquidity");
         
-        // Apply 0.3% fee (997/1000 = 99.7%)
-        uint256 amountInWithFee = amountIn * 997;
+        // Apply pool fee (e.g. 30 bps: 9970/10000 = 99.7%)
+        uint256 amountInWithFee = amountIn * (FEE_DENOMINATOR - fee);
         uint256 numerator = amountInWithFee * reserveOut;
-        uint256 denominator = (reserveIn * 1000) + amountInWithFee;
+        uint256 denominator = (reserveIn * FEE_DENOMINATOR) + amountInWithFee;
         amountOut = numerator / denominator;
     }
     
+    /// @notice Calculate amount of token in required to receive a given amount of token out
+    /// @dev Inverse of getAmountOut, rounded up so that getAmountOut(amountIn) >= amountOut
+    /// @param amountOut Amount of token output wanted
+    /// @param reserveIn Reserve of input token
+    /// @param reserveOut Reserve of output token
+    /// @return amountIn Amount of token input required (including the pool fee)
+    function getAmountIn(uint256 amountOut, uint256 reserveIn, uint256 reserveOut) 
+        public 
+        view 
+        returns (uint256 amountIn) 
+    {
+        require(amountOut > 0, "Insufficient output amount");
+        require(reserveIn > 0 && reserveOut > 0, "Insufficient liquidity");
+        require(amountOut < reserveOut, "Insufficient liquidity for swap");
+        
+        uint256 numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+        uint256 denominator = (reserveOut - amountOut) * (FEE_DENOMINATOR - fee);
+        amountIn = numerator / denominator + 1;
+    }
+    
+    /// @notice Calculate the amount of one token received for burning LP tokens
+    /// @dev Proportional share of tokenOut plus the swap output of the other token's share,
+    ///      priced at the reserves left after the removal
+    /// @param tokenOut Address of the token received, token A or token B
+    /// @param liquidityAmount Amount of LP tokens burned
+    /// @return amountOut Amount of tokenOut received (after the pool fee)
+    function getAmountOutForLiquidity(address tokenOut, uint256 liquidityAmount) 
+        public 
+        view 
+        returns (uint256 amountOut) 
+    {
+        require(tokenOut == tokenA || tokenOut == tokenB, "Invalid token");
+        uint256 _totalLiquidity = totalSupply();
+        require(liquidityAmount > 0 && liquidityAmount <= _totalLiquidity, "Invalid liquidity amount");
+        
+        uint256 amountA = (liquidityAmount * reserveA) / _totalLiquidity;
+        uint256 amountB = (liquidityAmount * reserveB) / _totalLiquidity;
+        require(amountA > 0 && amountB > 0, "Insufficient liquidity burned");
+        
+        if (tokenOut == tokenA) {
+            amountOut = amountA + getAmountOut(amountB, reserveB - amountB, reserveA - amountA);
+        } else {
+            amountOut = amountB + getAmountOut(amountA, reserveA - amountA, reserveB - amountB);
+        }
+    }
+    
+    /// @notice Swap half of a zap input inside the pool, without moving tokens
+    /// @param tokenIn Address of the token provided
+    /// @param amountIn Amount of tokenIn the pool received
+    /// @return amountA Amount of token A left to deposit
+    /// @return amountB Amount of token B left to deposit
+    function _zapSwap(address tokenIn, uint256 amountIn) private returns (uint256 amountA, uint256 amountB) {
+        uint256 swapIn = amountIn / 2;
+        uint256 swapOut;
+        
+        if (tokenIn == tokenA) {
+            swapOut = getAmountOut(swapIn, reserveA, reserveB);
+            _update(reserveA + swapIn, reserveB - swapOut);
+            emit Swap(msg.sender, tokenA, tokenB, swapIn, swapOut);
+            (amountA, amountB) = (amountIn - swapIn, swapOut);
+        } else {
+            swapOut = getAmountOut(swapIn, reserveB, reserveA);
+            _update(reserveA - swapOut, reserveB + swapIn);
+            emit Swap(msg.sender, tokenB, tokenA, swapIn, swapOut);
+            (amountA, amountB) = (swapOut, amountIn - swapIn);
+        }
+        require(swapOut > 0, "Insufficient output amount");
+    }
+    
+    /// @notice Largest deposit within the desired amounts that matches the pool ratio
+    /// @param amountADesired Maximum amount of token A
+    /// @param amountBDesired Maximum amount of token B
+    /// @param _totalLiquidity Current LP token supply
+    /// @return amountA Amount of token A to deposit
+    /// @return amountB Amount of token B to deposit
+    function _optimalAmounts(uint256 amountADesired, uint256 amountBDesired, uint256 _totalLiquidity) 
+        private 
+        view 
+        returns (uint256 amountA, uint256 amountB) 
+    {
+        if (_totalLiquidity == 0) {
+            return (amountADesired, amountBDesired);
+        }
+        
+        uint256 amountBOptimal = (amountADesired * reserveB) / reserveA;
+        if (amountBOptimal <= amountBDesired) {
+            (amountA, amountB) = (amountADesired, amountBOptimal);
+        } else {
+            uint256 amountAOptimal = (amountBDesired * reserveA) / reserveB;
+            (amountA, amountB) = (amountAOptimal, amountBDesired);
+        }
+    }
+    
+    /// @notice LP tokens minted for a deposit into a non-empty pool
+    /// @dev Uses the smaller of the two shares so an unbalanced deposit cannot dilute LPs
+    function _liquidityFor(uint256 amountA, uint256 amountB, uint256 _totalLiquidity) 
+        private 
+        view 
+        returns (uint256) 
+    {
+        return Math.min((amountA * _totalLiquidity) / reserveA, (amountB * _totalLiquidity) / reserveB);
+    }
+    
+    /// @notice LP shares locked at LIQUIDITY_LOCK_ADDRESS on the first deposit
+    /// @dev Virtual only so a test mock can reproduce the pool without the lock
+    function _minimumLiquidity() internal pure virtual returns (uint256) {
+        return MINIMUM_LIQUIDITY;
+    }
+    
+    /// @notice Update reserves, first accumulating the price that held since the last update
+    /// @dev The accumulators use the reserves from before this change, so a price moved
+    ///      within a block only counts for the time it actually persists
+    /// @param _reserveA New reserve of token A
+    /// @param _reserveB New reserve of token B
+    function _update(uint256 _reserveA, uint256 _reserveB) private {
+        uint256 timeElapsed = block.timestamp - blockTimestampLast;
+        if (timeElapsed > 0 && reserveA > 0 && reserveB > 0) {
+            unchecked {
+                priceACumulativeLast += ((reserveB * 1e18) / reserveA) * timeElapsed;
+                priceBCumulativeLast += ((reserveA * 1e18) / reserveB) * timeElapsed;
+            }
+        }
+        
+        reserveA = _reserveA;
+        reserveB = _reserveB;
+        blockTimestampLast = block.timestamp;
+        
+        emit Sync(_reserveA, _reserveB);
+    }
+    
+    /// @notice Pull tokens from the caller and return the amount the pool actually received
+    /// @dev Fee-on-transfer tokens deliver less than `amount`; only the balance delta is credited
+    /// @param token Address of the token to pull
+    /// @param amount Amount requested from the caller
+    /// @return received Increase of the pool's token balance
+    function _pullToken(address token, uint256 amount) private returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+    
+    /// @notice Approve the pool to spend the caller's tokens with an EIP-2612 permit
+    /// @dev Anyone can submit a permit seen in the mempool first, consuming its nonce. If the
+    ///      permit call fails, the action proceeds as long as the allowance is already in place.
+    /// @param token Address of the token supporting EIP-2612
+    /// @param permit Signature over (caller, this pool, value, deadline)
+    function _permit(address token, PermitSignature calldata permit) private {
+        try IERC20Permit(token).permit(msg.sender, address(this), permit.value, permit.deadline, permit.v, permit.r, permit.s) {
+        } catch {
+            require(IERC20(token).allowance(msg.sender, address(this)) >= permit.value, "Permit failed");
+        }
+    }
+    
+    /// @notice Mint the protocol's share of fees accrued since the last liquidity event
+    /// @dev Fees grow sqrt(k); the protocol receives 1/PROTOCOL_FEE_DIVISOR of that growth
+    ///      as newly minted LP shares, diluting LPs instead of taking tokens on every swap
+    /// @return feeOn True if the protocol fee is switched on
+    function _mintFee() private returns (bool feeOn) {
+        address _feeTo = feeTo;
+        feeOn = _feeTo != address(0);
+        uint256 _kLast = kLast;
+        
+        if (feeOn) {
+            if (_kLast != 0) {
+                uint256 rootK = sqrt(reserveA * reserveB);
+                uint256 rootKLast = sqrt(_kLast);
+                if (rootK > rootKLast) {
+                    uint256 numerator = totalSupply() * (rootK - rootKLast);
+                    uint256 denominator = rootK * (PROTOCOL_FEE_DIVISOR - 1) + rootKLast;
+                    uint256 liquidityMinted = numerator / denominator;
+                    if (liquidityMinted > 0) {
+                        _mint(_feeTo, liquidityMinted);
+                        emit ProtocolFeeMinted(_feeTo, liquidityMinted);
+                    }
+                }
+            }
+        } else if (_kLast != 0) {
+            kLast = 0;
+        }
+    }
+    
+    /// @notice Only the admin may upgrade the pool implementation
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+    
     /// @notice Calculate square root using Babylonian method
     /// @param y Input value
     /// @return z Square root of y
@@ -0,0 +1,701 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+/// @title DEXConcentrated
+/// @notice AMM pool where liquidity providers deposit into a chosen price range
+/// @dev Prices are tracked as sqrt(price of A in B), 1e18 scaled ("sqrt price").
+///      Position boundaries form a sorted linked list; the active segment is the gap
+///      between `currentBoundary` and the next boundary, and within it the pool behaves
+///      like `x * y = k` with the segment's liquidity. Swaps move across boundaries,
+///      adding or removing the liquidity of positions that start or end there.
+///      Fees are tracked per unit of liquidity (Q128) globally and outside each boundary,
+///      so a position only earns fees while the price is inside its range.
+///      New boundaries are linked in after a caller-supplied hint checked in O(1), so
+///      boundaries placed by others never make deposits walk the list.
+contract DEXConcentrated is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Fee constants, in basis points
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_FEE = 1000; // 10%
+
+    // Sqrt prices are 1e18 scaled; boundaries must lie within [MIN_SQRT_PRICE, MAX_SQRT_PRICE]
+    uint256 public constant WAD = 1e18;
+    uint256 public constant MIN_SQRT_PRICE = 1e9; // price 1e-18
+    uint256 public constant MAX_SQRT_PRICE = 1e27; // price 1e18
+
+    // Fixed point scale of the fee growth accumulators
+    uint256 private constant Q128 = 1 << 128;
+
+    // Sentinel keys of the boundary linked list
+    uint256 private constant HEAD = 0;
+    uint256 private constant TAIL = type(uint256).max;
+
+    struct Boundary {
+        uint128 liquidityGross; // Total liquidity of positions using this boundary
+        int256 liquidityNet; // Liquidity added when crossing upwards, removed when crossing downwards
+        uint256 feeGrowthOutsideA; // Fee growth on the side of the boundary away from the active segment
+        uint256 feeGrowthOutsideB;
+        uint256 prev;
+        uint256 next;
+    }
+
+    struct Position {
+        uint128 liquidity;
+        uint256 feeGrowthInsideALast;
+        uint256 feeGrowthInsideBLast;
+        uint256 tokensOwedA;
+        uint256 tokensOwedB;
+    }
+
+    // Initial size of a swap's crossing buffers, doubled whenever a swap crosses more boundaries
+    uint256 private constant CROSSING_BUFFER_SIZE = 4;
+
+    // In-memory state of a swap, applied to storage once the swap is known to succeed
+    struct SwapState {
+        uint256 amountOut;
+        uint256 sqrtPrice;
+        uint128 liquidity;
+        uint256 boundary;
+        uint256 feeGrowthGlobal; // Of the input token
+        uint256 crossings;
+        uint256[] crossed;
+        uint256[] feeGrowthAtCross;
+    }
+
+    // State variables
+    address public tokenA;
+    address public tokenB;
+    uint256 public fee; // LP fee in basis points, e.g. 5 = 0.05%
+
+    uint256 public sqrtPrice; // Current sqrt(price of A in B), 1e18 scaled
+    uint256 public currentBoundary; // Lower boundary of the active segment, 0 below the first boundary
+    uint128 public liquidity; // Liquidity of the active segment
+    uint256 public boundaryCount;
+
+    // Fees earned per unit of liquidity since deployment, Q128. Expected to wrap around.
+    uint256 public feeGrowthGlobalA;
+    uint256 public feeGrowthGlobalB;
+
+    mapping(uint256 => Boundary) public boundaries;
+    mapping(bytes32 => Position) public positions;
+
+    // Events - MUST emit these
+    event LiquidityAdded(address indexed provider, uint256 sqrtPriceLower, uint256 sqrtPriceUpper, uint128 liquidity, uint256 amountA, uint256 amountB);
+    event LiquidityRemoved(address indexed provider, uint256 sqrtPriceLower, uint256 sqrtPriceUpper, uint128 liquidity, uint256 amountA, uint256 amountB);
+    event FeesCollected(address indexed provider, uint256 sqrtPriceLower, uint256 sqrtPriceUpper, uint256 amountA, uint256 amountB);
+    event Swap(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+
+    /// @notice Revert if the transaction is mined after the given deadline
+    /// @param deadline Unix timestamp after which the call is no longer valid
+    modifier ensure(uint256 deadline) {
+        require(block.timestamp <= deadline, "Transaction expired");
+        _;
+    }
+
+    /// @notice Initialize the pool with two tokens, its LP fee and starting price
+    /// @param _tokenA Address of first token
+    /// @param _tokenB Address of second token
+    /// @param _fee LP fee in basis points (e.g. 5, 30 or 100)
+    /// @param _sqrtPrice Starting sqrt(price of A in B), 1e18 scaled
+    constructor(address _tokenA, address _tokenB, uint256 _fee, uint256 _sqrtPrice) {
+        require(_tokenA != address(0), "Invalid token A address");
+        require(_tokenB != address(0), "Invalid token B address");
+        require(_tokenA != _tokenB, "Tokens must be different");
+        require(_fee > 0 && _fee <= MAX_FEE, "Invalid fee");
+        require(_sqrtPrice >= MIN_SQRT_PRICE && _sqrtPrice <= MAX_SQRT_PRICE, "Invalid price");
+
+        tokenA = _tokenA;
+        tokenB = _tokenB;
+        fee = _fee;
+        sqrtPrice = _sqrtPrice;
+
+        boundaries[HEAD].next = TAIL;
+        boundaries[TAIL].prev = HEAD;
+    }
+
+    /// @notice Add liquidity to a price range
+    /// @dev Below the range the position holds only token A, above it only token B
+    /// @param sqrtPriceLower Lower bound of the range (sqrt price)
+    /// @param sqrtPriceUpper Upper bound of the range (sqrt price)
+    /// @param liquidityDelta Amount of liquidity to add, see getLiquidityForAmounts
+    /// @param amountAMax Maximum amount of token A to deposit
+    /// @param amountBMax Maximum amount of token B to deposit
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @param lowerHint Boundary directly below sqrtPriceLower (0 for none), see getBoundaryHints
+    /// @param upperHint Boundary directly below sqrtPriceUpper, or anything below sqrtPriceLower
+    ///        when no boundary lies inside the range; see getBoundaryHints
+    /// @return amountA Amount of token A deposited
+    /// @return amountB Amount of token B deposited
+    function addLiquidity(
+        uint256 sqrtPriceLower,
+        uint256 sqrtPriceUpper,
+        uint128 liquidityDelta,
+        uint256 amountAMax,
+        uint256 amountBMax,
+        uint256 deadline,
+        uint256 lowerHint,
+        uint256 upperHint
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        require(liquidityDelta > 0, "Liquidity amount must be greater than 0");
+        _checkRange(sqrtPriceLower, sqrtPriceUpper);
+
+        _addToBoundaries(sqrtPriceLower, sqrtPriceUpper, liquidityDelta, lowerHint, upperHint);
+        _updatePosition(msg.sender, sqrtPriceLower, sqrtPriceUpper, int256(uint256(liquidityDelta)));
+
+        (amountA, amountB) = _amountsForLiquidity(sqrtPriceLower, sqrtPriceUpper, liquidityDelta, true);
+        require(amountA <= amountAMax && amountB <= amountBMax, "Slippage limit exceeded");
+
+        if (amountA > 0) require(_pullToken(tokenA, amountA) == amountA, "Transfer fee not supported");
+        if (amountB > 0) require(_pullToken(tokenB, amountB) == amountB, "Transfer fee not supported");
+
+        emit LiquidityAdded(msg.sender, sqrtPriceLower, sqrtPriceUpper, liquidityDelta, amountA, amountB);
+    }
+
+    /// @notice Remove liquidity from a price range
+    /// @dev Fees earned by the position are kept for collectFees
+    /// @param sqrtPriceLower Lower bound of the range (sqrt price)
+    /// @param sqrtPriceUpper Upper bound of the range (sqrt price)
+    /// @param liquidityDelta Amount of liquidity to remove
+    /// @param amountAMin Minimum amount of token A to receive
+    /// @param amountBMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A returned
+    /// @return amountB Amount of token B returned
+    function removeLiquidity(
+        uint256 sqrtPriceLower,
+        uint256 sqrtPriceUpper,
+        uint128 liquidityDelta,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        require(liquidityDelta > 0, "Liquidity amount must be greater than 0");
+        Position storage position = positions[_positionKey(msg.sender, sqrtPriceLower, sqrtPriceUpper)];
+        require(position.liquidity >= liquidityDelta, "Insufficient liquidity");
+
+        _updatePosition(msg.sender, sqrtPriceLower, sqrtPriceUpper, -int256(uint256(liquidityDelta)));
+        // Removal never links a boundary, so no hint is needed
+        _updateBoundary(sqrtPriceLower, -int256(uint256(liquidityDelta)), false, HEAD);
+        _updateBoundary(sqrtPriceUpper, -int256(uint256(liquidityDelta)), true, HEAD);
+
+        (amountA, amountB) = _amountsForLiquidity(sqrtPriceLower, sqrtPriceUpper, liquidityDelta, false);
+        require(amountA >= amountAMin && amountB >= amountBMin, "Slippage limit exceeded");
+
+        if (amountA > 0) IERC20(tokenA).safeTransfer(msg.sender, amountA);
+        if (amountB > 0) IERC20(tokenB).safeTransfer(msg.sender, amountB);
+
+        emit LiquidityRemoved(msg.sender, sqrtPriceLower, sqrtPriceUpper, liquidityDelta, amountA, amountB);
+    }
+
+    /// @notice Withdraw the fees earned by a position
+    /// @param sqrtPriceLower Lower bound of the range (sqrt price)
+    /// @param sqrtPriceUpper Upper bound of the range (sqrt price)
+    /// @return amountA Amount of token A fees sent to the caller
+    /// @return amountB Amount of token B fees sent to the caller
+    function collectFees(uint256 sqrtPriceLower, uint256 sqrtPriceUpper)
+        external
+        nonReentrant
+        returns (uint256 amountA, uint256 amountB)
+    {
+        Position storage position = positions[_positionKey(msg.sender, sqrtPriceLower, sqrtPriceUpper)];
+        if (position.liquidity > 0) {
+            _updatePosition(msg.sender, sqrtPriceLower, sqrtPriceUpper, 0);
+        }
+
+        amountA = position.tokensOwedA;
+        amountB = position.tokensOwedB;
+        position.tokensOwedA = 0;
+        position.tokensOwedB = 0;
+
+        if (amountA > 0) IERC20(tokenA).safeTransfer(msg.sender, amountA);
+        if (amountB > 0) IERC20(tokenB).safeTransfer(msg.sender, amountB);
+
+        emit FeesCollected(msg.sender, sqrtPriceLower, sqrtPriceUpper, amountA, amountB);
+    }
+
+    /// @notice Swap token A for token B
+    /// @param amountAIn Amount of token A to swap
+    /// @param minAmountBOut Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBOut Amount of token B received
+    function swapAForB(uint256 amountAIn, uint256 minAmountBOut, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountBOut)
+    {
+        require(amountAIn > 0, "Amount in must be greater than 0");
+
+        uint256 amountAReceived = _pullToken(tokenA, amountAIn);
+        amountBOut = _swap(true, amountAReceived);
+        require(amountBOut > 0, "Insufficient output amount");
+        require(amountBOut >= minAmountBOut, "Slippage limit exceeded");
+
+        IERC20(tokenB).safeTransfer(msg.sender, amountBOut);
+
+        emit Swap(msg.sender, tokenA, tokenB, amountAReceived, amountBOut);
+    }
+
+    /// @notice Swap token B for token A
+    /// @param amountBIn Amount of token B to swap
+    /// @param minAmountAOut Minimum amount of token A to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAOut Amount of token A received
+    function swapBForA(uint256 amountBIn, uint256 minAmountAOut, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountAOut)
+    {
+        require(amountBIn > 0, "Amount in must be greater than 0");
+
+        uint256 amountBReceived = _pullToken(tokenB, amountBIn);
+        amountAOut = _swap(false, amountBReceived);
+        require(amountAOut > 0, "Insufficient output amount");
+        require(amountAOut >= minAmountAOut, "Slippage limit exceeded");
+
+        IERC20(tokenA).safeTransfer(msg.sender, amountAOut);
+
+        emit Swap(msg.sender, tokenB, tokenA, amountBReceived, amountAOut);
+    }
+
+    /// @notice Quote the output of an exact-input swap, crossing range boundaries as needed
+    /// @param tokenIn Address of the token to sell, token A or token B
+    /// @param amountIn Amount of tokenIn to sell
+    /// @return amountOut Amount of the other token the swap would return
+    function getAmountOut(address tokenIn, uint256 amountIn) external view returns (uint256 amountOut) {
+        require(tokenIn == tokenA || tokenIn == tokenB, "Invalid token");
+        require(amountIn > 0, "Amount in must be greater than 0");
+        return _computeSwap(tokenIn == tokenA, amountIn).amountOut;
+    }
+
+    /// @notice Get the current spot price
+    /// @return price Price of token A in terms of token B (1e18 scaled)
+    function getPrice() external view returns (uint256 price) {
+        return Math.mulDiv(sqrtPrice, sqrtPrice, WAD);
+    }
+
+    /// @notice Get the token amounts a given liquidity is worth in a range at the current price
+    /// @param sqrtPriceLower Lower bound of the range (sqrt price)
+    /// @param sqrtPriceUpper Upper bound of the range (sqrt price)
+    /// @param liquidityAmount Amount of liquidity
+    /// @return amountA Amount of token A, rounded down
+    /// @return amountB Amount of token B, rounded down
+    function getAmountsForLiquidity(uint256 sqrtPriceLower, uint256 sqrtPriceUpper, uint128 liquidityAmount)
+        external
+        view
+        returns (uint256 amountA, uint256 amountB)
+    {
+        _checkRange(sqrtPriceLower, sqrtPriceUpper);
+        return _amountsForLiquidity(sqrtPriceLower, sqrtPriceUpper, liquidityAmount, false);
+    }
+
+    /// @notice Get the largest liquidity that token amounts can fund in a range at the current price
+    /// @param sqrtPriceLower Lower bound of the range (sqrt price)
+    /// @param sqrtPriceUpper Upper bound of the range (sqrt price)
+    /// @param amountA Amount of token A available
+    /// @param amountB Amount of token B available
+    /// @return liquidityAmount Amount of liquidity to pass to addLiquidity
+    function getLiquidityForAmounts(uint256 sqrtPriceLower, uint256 sqrtPriceUpper, uint256 amountA, uint256 amountB)
+        external
+        view
+        returns (uint128 liquidityAmount)
+    {
+        _checkRange(sqrtPriceLower, sqrtPriceUpper);
+        uint256 result;
+        if (sqrtPrice <= sqrtPriceLower) {
+            result = _liquidityForA(sqrtPriceLower, sqrtPriceUpper, amountA);
+        } else if (sqrtPrice >= sqrtPriceUpper) {
+            result = _liquidityForB(sqrtPriceLower, sqrtPriceUpper, amountB);
+        } else {
+            result = Math.min(
+                _liquidityForA(sqrtPrice, sqrtPriceUpper, amountA),
+                _liquidityForB(sqrtPriceLower, sqrtPrice, amountB)
+            );
+        }
+        return SafeCast.toUint128(result);
+    }
+
+    /// @notice Get the boundary hints addLiquidity needs for a range
+    /// @dev Walks the boundary list, so it is meant for off-chain calls only
+    /// @param sqrtPriceLower Lower bound of the range (sqrt price)
+    /// @param sqrtPriceUpper Upper bound of the range (sqrt price)
+    /// @return lowerHint Boundary directly below sqrtPriceLower, 0 if there is none
+    /// @return upperHint Boundary directly below sqrtPriceUpper, 0 if there is none
+    function getBoundaryHints(uint256 sqrtPriceLower, uint256 sqrtPriceUpper)
+        external
+        view
+        returns (uint256 lowerHint, uint256 upperHint)
+    {
+        _checkRange(sqrtPriceLower, sqrtPriceUpper);
+        return (_boundaryBelow(sqrtPriceLower), _boundaryBelow(sqrtPriceUpper));
+    }
+
+    /// @notice Get a position's liquidity and the fees it can collect right now
+    /// @param owner Address of the position owner
+    /// @param sqrtPriceLower Lower bound of the range (sqrt price)
+    /// @param sqrtPriceUpper Upper bound of the range (sqrt price)
+    /// @return liquidityAmount Liquidity of the position
+    /// @return feesA Collectable token A fees
+    /// @return feesB Collectable token B fees
+    function getPosition(address owner, uint256 sqrtPriceLower, uint256 sqrtPriceUpper)
+        external
+        view
+        returns (uint128 liquidityAmount, uint256 feesA, uint256 feesB)
+    {
+        Position storage position = positions[_positionKey(owner, sqrtPriceLower, sqrtPriceUpper)];
+        liquidityAmount = position.liquidity;
+        feesA = position.tokensOwedA;
+        feesB = position.tokensOwedB;
+
+        if (liquidityAmount > 0) {
+            (uint256 insideA, uint256 insideB) = _feeGrowthInside(sqrtPriceLower, sqrtPriceUpper);
+            unchecked {
+                feesA += Math.mulDiv(liquidityAmount, insideA - position.feeGrowthInsideALast, Q128);
+                feesB += Math.mulDiv(liquidityAmount, insideB - position.feeGrowthInsideBLast, Q128);
+            }
+        }
+    }
+
+    /// @notice Run a swap against storage and apply the result
+    /// @param aForB True to sell token A, false to sell token B
+    /// @param amountIn Amount of the input token already received
+    /// @return amountOut Amount of the output token owed to the trader
+    function _swap(bool aForB, uint256 amountIn) private returns (uint256 amountOut) {
+        SwapState memory state = _computeSwap(aForB, amountIn);
+
+        for (uint256 i; i < state.crossings; i++) {
+            Boundary storage boundary = boundaries[state.crossed[i]];
+            // The side away from the active segment flips, so "outside" flips with it
+            unchecked {
+                if (aForB) {
+                    boundary.feeGrowthOutsideA = state.feeGrowthAtCross[i] - boundary.feeGrowthOutsideA;
+                    boundary.feeGrowthOutsideB = feeGrowthGlobalB - boundary.feeGrowthOutsideB;
+                } else {
+                    boundary.feeGrowthOutsideA = feeGrowthGlobalA - boundary.feeGrowthOutsideA;
+                    boundary.feeGrowthOutsideB = state.feeGrowthAtCross[i] - boundary.feeGrowthOutsideB;
+                }
+            }
+        }
+
+        sqrtPrice = state.sqrtPrice;
+        liquidity = state.liquidity;
+        currentBoundary = state.boundary;
+        if (aForB) {
+            feeGrowthGlobalA = state.feeGrowthGlobal;
+        } else {
+            feeGrowthGlobalB = state.feeGrowthGlobal;
+        }
+        return state.amountOut;
+    }
+
+    /// @notice Walk the price through consecutive segments until the input is used up
+    /// @dev Reads storage only, so quotes and swaps share the exact same math.
+    ///      Reverts if the input cannot be absorbed before the price leaves the supported range.
+    function _computeSwap(bool aForB, uint256 amountIn) private view returns (SwapState memory state) {
+        state.sqrtPrice = sqrtPrice;
+        state.liquidity = liquidity;
+        state.boundary = currentBoundary;
+        state.feeGrowthGlobal = aForB ? feeGrowthGlobalA : feeGrowthGlobalB;
+
+        uint256 remaining = amountIn;
+        while (remaining > 0) {
+            uint256 target = aForB ? state.boundary : boundaries[state.boundary].next;
+            bool isBoundary = target != HEAD && target != TAIL;
+            if (!isBoundary) target = aForB ? MIN_SQRT_PRICE : MAX_SQRT_PRICE;
+
+            (uint256 nextSqrtPrice, uint256 stepIn, uint256 stepOut, uint256 stepFee) =
+                _swapStep(aForB, state.sqrtPrice, target, state.liquidity, remaining);
+            remaining -= stepIn + stepFee;
+            state.amountOut += stepOut;
+            state.sqrtPrice = nextSqrtPrice;
+            if (stepFee > 0) {
+                unchecked {
+                    state.feeGrowthGlobal += Math.mulDiv(stepFee, Q128, state.liquidity);
+                }
+            }
+
+            if (nextSqrtPrice == target && remaining > 0) {
+                require(isBoundary, "Insufficient liquidity for swap");
+                _recordCrossing(state, target);
+
+                int256 liquidityNet = boundaries[target].liquidityNet;
+                if (aForB) {
+                    state.liquidity = _addDelta(state.liquidity, -liquidityNet);
+                    state.boundary = boundaries[target].prev;
+                } else {
+                    state.liquidity = _addDelta(state.liquidity, liquidityNet);
+                    state.boundary = target;
+                }
+            }
+        }
+    }
+
+    /// @notice Remember a crossed boundary and the fee growth at that point
+    /// @dev Buffers start small and double when full, so memory grows with the boundaries
+    ///      actually crossed rather than with every boundary in the pool
+    function _recordCrossing(SwapState memory state, uint256 key) private pure {
+        if (state.crossings == state.crossed.length) {
+            uint256 size = state.crossings == 0 ? CROSSING_BUFFER_SIZE : state.crossings * 2;
+            uint256[] memory crossed = new uint256[](size);
+            uint256[] memory feeGrowthAtCross = new uint256[](size);
+            for (uint256 i; i < state.crossings; i++) {
+                crossed[i] = state.crossed[i];
+                feeGrowthAtCross[i] = state.feeGrowthAtCross[i];
+            }
+            state.crossed = crossed;
+            state.feeGrowthAtCross = feeGrowthAtCross;
+        }
+        state.crossed[state.crossings] = key;
+        state.feeGrowthAtCross[state.crossings] = state.feeGrowthGlobal;
+        state.crossings++;
+    }
+
+    /// @notice Swap within one segment, up to the target price
+    /// @return nextSqrtPrice Price after the step, equal to the target if it was reached
+    /// @return amountIn Input used to move the price, excluding the fee
+    /// @return amountOut Output released by the price move
+    /// @return feeAmount Input kept as LP fee
+    function _swapStep(bool aForB, uint256 current, uint256 target, uint128 segmentLiquidity, uint256 remaining)
+        private
+        view
+        returns (uint256 nextSqrtPrice, uint256 amountIn, uint256 amountOut, uint256 feeAmount)
+    {
+        // Nothing to trade against, jump straight to the next boundary
+        if (segmentLiquidity == 0) return (target, 0, 0, 0);
+
+        uint256 remainingLessFee = (remaining * (FEE_DENOMINATOR - fee)) / FEE_DENOMINATOR;
+        uint256 maxIn = aForB
+            ? _amountA(target, current, segmentLiquidity, true)
+            : _amountB(current, target, segmentLiquidity, true);
+
+        if (remainingLessFee >= maxIn) {
+            nextSqrtPrice = target;
+            amountIn = maxIn;
+            feeAmount = Math.mulDiv(maxIn, fee, FEE_DENOMINATOR - fee, Math.Rounding.Up);
+        } else {
+            nextSqrtPrice = aForB
+                ? _nextSqrtPriceFromA(current, segmentLiquidity, remainingLessFee)
+                : _nextSqrtPriceFromB(current, segmentLiquidity, remainingLessFee);
+            amountIn = remainingLessFee;
+            feeAmount = remaining - remainingLessFee;
+        }
+
+        amountOut = aForB
+            ? _amountB(nextSqrtPrice, current, segmentLiquidity, false)
+            : _amountA(current, nextSqrtPrice, segmentLiquidity, false);
+    }
+
+    /// @notice Change a position's liquidity and settle the fees it earned so far
+    /// @dev Callers update the boundaries before adding and after removing liquidity,
+    ///      so the active segment is always judged against a boundary list containing the range
+    function _updatePosition(address owner, uint256 sqrtPriceLower, uint256 sqrtPriceUpper, int256 liquidityDelta) private {
+        Position storage position = positions[_positionKey(owner, sqrtPriceLower, sqrtPriceUpper)];
+
+        (uint256 insideA, uint256 insideB) = _feeGrowthInside(sqrtPriceLower, sqrtPriceUpper);
+        unchecked {
+            position.tokensOwedA += Math.mulDiv(position.liquidity, insideA - position.feeGrowthInsideALast, Q128);
+            position.tokensOwedB += Math.mulDiv(position.liquidity, insideB - position.feeGrowthInsideBLast, Q128);
+        }
+        position.feeGrowthInsideALast = insideA;
+        position.feeGrowthInsideBLast = insideB;
+        position.liquidity = _addDelta(position.liquidity, liquidityDelta);
+
+        if (sqrtPriceLower <= currentBoundary && currentBoundary < sqrtPriceUpper) {
+            liquidity = _addDelta(liquidity, liquidityDelta);
+        }
+    }
+
+    /// @notice Add a position's liquidity at both of its boundaries, linking new ones after their hints
+    function _addToBoundaries(
+        uint256 sqrtPriceLower,
+        uint256 sqrtPriceUpper,
+        uint128 liquidityDelta,
+        uint256 lowerHint,
+        uint256 upperHint
+    ) private {
+        int256 delta = int256(uint256(liquidityDelta));
+        _updateBoundary(sqrtPriceLower, delta, false, lowerHint);
+        // Once the lower boundary is linked it is a valid hint for an upper one with nothing in between
+        _updateBoundary(sqrtPriceUpper, delta, true, Math.max(upperHint, sqrtPriceLower));
+    }
+
+    /// @notice Add or remove a position's liquidity at one of its boundaries
+    /// @param hint Boundary directly below `key`, only used when `key` is not linked yet
+    function _updateBoundary(uint256 key, int256 liquidityDelta, bool isUpper, uint256 hint) private {
+        Boundary storage boundary = boundaries[key];
+
+        if (boundary.liquidityGross == 0) {
+            _insertBoundary(key, hint);
+            // By convention all fees so far were earned below boundaries at or below the active segment
+            if (key <= currentBoundary) {
+                boundary.feeGrowthOutsideA = feeGrowthGlobalA;
+                boundary.feeGrowthOutsideB = feeGrowthGlobalB;
+            }
+        }
+
+        boundary.liquidityGross = _addDelta(boundary.liquidityGross, liquidityDelta);
+        boundary.liquidityNet += isUpper ? -liquidityDelta : liquidityDelta;
+
+        if (boundary.liquidityGross == 0) {
+            _removeBoundary(key);
+        }
+    }
+
+    /// @notice Link a new boundary into the sorted list right after `prev`
+    /// @dev Unlinked keys have `next == 0`, so one comparison checks both that `prev` is
+    ///      linked and that `key` belongs directly after it
+    function _insertBoundary(uint256 key, uint256 prev) private {
+        uint256 next = boundaries[prev].next;
+        require(prev < key && key < next, "Invalid boundary hint");
+
+        boundaries[key].prev = prev;
+        boundaries[key].next = next;
+        boundaries[prev].next = key;
+        boundaries[next].prev = key;
+        boundaryCount++;
+
+        // A boundary splitting the active segment at or below the price starts a new active segment
+        if (prev == currentBoundary && key <= sqrtPrice) {
+            currentBoundary = key;
+        }
+    }
+
+    /// @notice Unlink a boundary no position uses anymore
+    function _removeBoundary(uint256 key) private {
+        uint256 prev = boundaries[key].prev;
+        uint256 next = boundaries[key].next;
+
+        boundaries[prev].next = next;
+        boundaries[next].prev = prev;
+        delete boundaries[key];
+        boundaryCount--;
+
+        if (currentBoundary == key) {
+            currentBoundary = prev;
+        }
+    }
+
+    /// @notice Highest linked boundary below `key`, found by walking from the active segment
+    function _boundaryBelow(uint256 key) private view returns (uint256 prev) {
+        prev = currentBoundary;
+        while (prev >= key) prev = boundaries[prev].prev;
+        while (boundaries[prev].next < key) prev = boundaries[prev].next;
+    }
+
+    /// @notice Fee growth per unit of liquidity earned inside a range
+    function _feeGrowthInside(uint256 sqrtPriceLower, uint256 sqrtPriceUpper)
+        private
+        view
+        returns (uint256 insideA, uint256 insideB)
+    {
+        Boundary storage lower = boundaries[sqrtPriceLower];
+        Boundary storage upper = boundaries[sqrtPriceUpper];
+        bool lowerBelow = sqrtPriceLower <= currentBoundary;
+        bool upperAbove = sqrtPriceUpper > currentBoundary;
+
+        unchecked {
+            uint256 belowA = lowerBelow ? lower.feeGrowthOutsideA : feeGrowthGlobalA - lower.feeGrowthOutsideA;
+            uint256 aboveA = upperAbove ? upper.feeGrowthOutsideA : feeGrowthGlobalA - upper.feeGrowthOutsideA;
+            insideA = feeGrowthGlobalA - belowA - aboveA;
+
+            uint256 belowB = lowerBelow ? lower.feeGrowthOutsideB : feeGrowthGlobalB - lower.feeGrowthOutsideB;
+            uint256 aboveB = upperAbove ? upper.feeGrowthOutsideB : feeGrowthGlobalB - upper.feeGrowthOutsideB;
+            insideB = feeGrowthGlobalB - belowB - aboveB;
+        }
+    }
+
+    /// @notice Token amounts backing a liquidity amount in a range at the current price
+    function _amountsForLiquidity(uint256 sqrtPriceLower, uint256 sqrtPriceUpper, uint128 liquidityAmount, bool roundUp)
+        private
+        view
+        returns (uint256 amountA, uint256 amountB)
+    {
+        if (sqrtPrice <= sqrtPriceLower) {
+            amountA = _amountA(sqrtPriceLower, sqrtPriceUpper, liquidityAmount, roundUp);
+        } else if (sqrtPrice >= sqrtPriceUpper) {
+            amountB = _amountB(sqrtPriceLower, sqrtPriceUpper, liquidityAmount, roundUp);
+        } else {
+            amountA = _amountA(sqrtPrice, sqrtPriceUpper, liquidityAmount, roundUp);
+            amountB = _amountB(sqrtPriceLower, sqrtPrice, liquidityAmount, roundUp);
+        }
+    }
+
+    /// @notice Token A released when the price moves from `low` to `high`: L * (1/low - 1/high)
+    function _amountA(uint256 low, uint256 high, uint128 liquidityAmount, bool roundUp) private pure returns (uint256) {
+        Math.Rounding rounding = roundUp ? Math.Rounding.Up : Math.Rounding.Down;
+        uint256 scaled = Math.mulDiv(uint256(liquidityAmount) * WAD, high - low, high, rounding);
+        return roundUp ? Math.ceilDiv(scaled, low) : scaled / low;
+    }
+
+    /// @notice Token B released when the price moves from `high` to `low`: L * (high - low)
+    function _amountB(uint256 low, uint256 high, uint128 liquidityAmount, bool roundUp) private pure returns (uint256) {
+        return Math.mulDiv(liquidityAmount, high - low, WAD, roundUp ? Math.Rounding.Up : Math.Rounding.Down);
+    }
+
+    /// @notice Price after selling token A into a segment, rounded up in favour of the pool
+    function _nextSqrtPriceFromA(uint256 current, uint128 segmentLiquidity, uint256 amountIn) private pure returns (uint256) {
+        uint256 scaledLiquidity = uint256(segmentLiquidity) * WAD;
+        return Math.mulDiv(scaledLiquidity, current, scaledLiquidity + amountIn * current, Math.Rounding.Up);
+    }
+
+    /// @notice Price after selling token B into a segment, rounded down in favour of the pool
+    function _nextSqrtPriceFromB(uint256 current, uint128 segmentLiquidity, uint256 amountIn) private pure returns (uint256) {
+        return current + Math.mulDiv(amountIn, WAD, segmentLiquidity);
+    }
+
+    /// @notice Liquidity funded by token A between two prices
+    function _liquidityForA(uint256 low, uint256 high, uint256 amountA) private pure returns (uint256) {
+        return Math.mulDiv(amountA, Math.mulDiv(low, high, WAD), high - low);
+    }
+
+    /// @notice Liquidity funded by token B between two prices
+    function _liquidityForB(uint256 low, uint256 high, uint256 amountB) private pure returns (uint256) {
+        return Math.mulDiv(amountB, WAD, high - low);
+    }
+
+    /// @notice Apply a signed liquidity change, reverting on underflow
+    function _addDelta(uint128 x, int256 delta) private pure returns (uint128) {
+        return delta < 0 ? x - SafeCast.toUint128(uint256(-delta)) : x + SafeCast.toUint128(uint256(delta));
+    }
+
+    /// @notice Validate a position range
+    function _checkRange(uint256 sqrtPriceLower, uint256 sqrtPriceUpper) private pure {
+        require(
+            sqrtPriceLower >= MIN_SQRT_PRICE && sqrtPriceLower < sqrtPriceUpper && sqrtPriceUpper <= MAX_SQRT_PRICE,
+            "Invalid price range"
+        );
+    }
+
+    /// @notice Storage key of a position
+    function _positionKey(address owner, uint256 sqrtPriceLower, uint256 sqrtPriceUpper) private pure returns (bytes32) {
+        return keccak256(abi.encodePacked(owner, sqrtPriceLower, sqrtPriceUpper));
+    }
+
+    /// @notice Pull tokens from the caller and return the amount the pool actually received
+    /// @param token Address of the token to pull
+    /// @param amount Amount requested from the caller
+    /// @return received Increase of the pool's token balance
+    function _pullToken(address token, uint256 amount) private returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+}
@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+import "./DEX.sol";
+
+/// @title DEXFactory
+/// @notice Deploys one DEX pool per unordered token pair and keeps a registry of them
+/// @dev Pairs are stored in canonical order (tokenA < tokenB) and registered under both lookups.
+///      Whoever owns the factory when a pool is created receives its admin and pauser roles and
+///      manages its fees and emergency pause on the pool directly. Transferring factory ownership
+///      moves no roles on existing pools: the previous owner must grant them to the new owner,
+///      and renounce its own, on each pool.
+///      Pools share one DEX implementation. By default each pair is a minimal clone whose code
+///      is fixed forever; a factory deployed with upgradeable pairs gives every pair its own
+///      ERC1967 proxy instead, which the pool admin can upgrade.
+contract DEXFactory is Ownable {
+    // Pool logic shared by every pair, and whether pairs are deployed as upgradeable proxies
+    address public implementation;
+    bool public immutable upgradeablePairs;
+
+    // Pair registry
+    mapping(address => mapping(address => address)) public getPair;
+    address[] public allPairs;
+
+    // LP fee tiers (basis points) that new pairs may use
+    mapping(uint256 => bool) public feeTierEnabled;
+
+    // Events - MUST emit these
+    event PairCreated(address indexed tokenA, address indexed tokenB, uint256 fee, address pair, uint256 pairCount);
+    event FeeTierEnabled(uint256 fee);
+    event ImplementationUpdated(address indexed implementation);
+
+    /// @notice Initialize the factory with the 0.05%, 0.3% and 1% fee tiers
+    /// @param _implementation Deployed DEX implementation new pairs delegate to
+    /// @param _upgradeablePairs True to deploy pairs behind upgradeable ERC1967 proxies
+    constructor(address _implementation, bool _upgradeablePairs) {
+        require(_implementation != address(0), "Invalid implementation address");
+        implementation = _implementation;
+        upgradeablePairs = _upgradeablePairs;
+        _enableFeeTier(5);
+        _enableFeeTier(30);
+        _enableFeeTier(100);
+    }
+
+    /// @notice Create a new pool for a token pair
+    /// @dev Token order does not matter; the pool is created with the lower address as token A
+    /// @param _tokenA Address of one token
+    /// @param _tokenB Address of the other token
+    /// @param fee LP fee in basis points, must be an enabled fee tier
+    /// @return pair Address of the newly created pool
+    function createPair(address _tokenA, address _tokenB, uint256 fee) external returns (address pair) {
+        require(_tokenA != _tokenB, "Tokens must be different");
+        require(feeTierEnabled[fee], "Fee tier not enabled");
+        (address token0, address token1) = sortTokens(_tokenA, _tokenB);
+        require(token0 != address(0), "Invalid token address");
+        require(getPair[token0][token1] == address(0), "Pair already exists");
+
+        if (upgradeablePairs) {
+            bytes memory initData = abi.encodeCall(DEX.initialize, (token0, token1, fee));
+            pair = address(new ERC1967Proxy(implementation, initData));
+        } else {
+            pair = Clones.clone(implementation);
+            DEX(pair).initialize(token0, token1, fee);
+        }
+        _handOverRoles(DEX(pair));
+
+        // Register under both orderings so lookups are order independent
+        getPair[token0][token1] = pair;
+        getPair[token1][token0] = pair;
+        allPairs.push(pair);
+
+        emit PairCreated(token0, token1, fee, pair, allPairs.length);
+    }
+
+    /// @notice Allow new pairs to use an additional LP fee tier
+    /// @param fee LP fee in basis points
+    function enableFeeTier(uint256 fee) external onlyOwner {
+        require(fee > 0 && fee <= 1000, "Invalid fee"); // Bounded by DEX.MAX_FEE
+        require(!feeTierEnabled[fee], "Fee tier already enabled");
+        _enableFeeTier(fee);
+    }
+
+    /// @notice Set the DEX implementation used by pairs created from now on
+    /// @dev Existing pairs are unaffected; upgradeable pairs are upgraded by their own admin
+    /// @param _implementation Deployed DEX implementation
+    function setImplementation(address _implementation) external onlyOwner {
+        require(_implementation != address(0), "Invalid implementation address");
+        implementation = _implementation;
+        emit ImplementationUpdated(_implementation);
+    }
+
+    /// @notice Get the number of pools created by this factory
+    /// @return Number of pairs
+    function allPairsLength() external view returns (uint256) {
+        return allPairs.length;
+    }
+
+    /// @notice Pass the pool roles granted to the factory on to the current factory owner
+    /// @dev The roles stay with that account if factory ownership is later transferred
+    /// @param pair Newly created pool
+    function _handOverRoles(DEX pair) private {
+        bytes32 adminRole = pair.DEFAULT_ADMIN_ROLE();
+        bytes32 pauserRole = pair.PAUSER_ROLE();
+        pair.grantRole(adminRole, owner());
+        pair.grantRole(pauserRole, owner());
+        pair.renounceRole(pauserRole, address(this));
+        pair.renounceRole(adminRole, address(this));
+    }
+
+    /// @notice Mark a fee tier as usable by new pairs
+    function _enableFeeTier(uint256 fee) private {
+        feeTierEnabled[fee] = true;
+        emit FeeTierEnabled(fee);
+    }
+
+    /// @notice Sort two token addresses into canonical order
+    /// @param _tokenA Address of one token
+    /// @param _tokenB Address of the other token
+    /// @return token0 Lower address
+    /// @return token1 Higher address
+    function sortTokens(address _tokenA, address _tokenB) public pure returns (address token0, address token1) {
+        (token0, token1) = _tokenA < _tokenB ? (_tokenA, _tokenB) : (_tokenB, _tokenA);
+    }
+}
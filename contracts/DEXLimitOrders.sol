@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./DEX.sol";
+
+/// @title DEXLimitOrders
+/// @notice On-chain limit orders filled against a DEX pool by keepers
+/// @dev Makers escrow the token they sell together with a target price of token A in
+///      terms of token B, as reported by pool.getPrice(). A sell-A order becomes executable
+///      once the price is at or above the target, a sell-B order once it is at or below.
+///      Anyone may then execute it: the keeper receives `keeperBounty` basis points of the
+///      escrow and the rest is swapped in the pool, with the maker's minAmountOut guarding
+///      against price impact. Open orders can be cancelled by their maker at any time.
+contract DEXLimitOrders is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    enum OrderStatus {
+        None,
+        Open,
+        Filled,
+        Cancelled
+    }
+
+    struct Order {
+        address maker;
+        address tokenIn;
+        uint256 amountIn;
+        uint256 targetPrice;
+        uint256 minAmountOut;
+        OrderStatus status;
+    }
+
+    // Bounty constants, in basis points
+    uint256 public constant BOUNTY_DENOMINATOR = 10000;
+    uint256 public constant MAX_KEEPER_BOUNTY = 100; // 1%
+
+    // State variables
+    DEX public immutable pool;
+    address public immutable tokenA;
+    address public immutable tokenB;
+    uint256 public immutable keeperBounty; // Share of the escrow paid to the keeper, in basis points
+    Order[] public orders;
+
+    // Events - MUST emit these
+    event OrderPlaced(
+        uint256 indexed orderId,
+        address indexed maker,
+        address indexed tokenIn,
+        uint256 amountIn,
+        uint256 targetPrice,
+        uint256 minAmountOut
+    );
+    event OrderCancelled(uint256 indexed orderId, address indexed maker, uint256 amountRefunded);
+    event OrderExecuted(uint256 indexed orderId, address indexed keeper, uint256 amountIn, uint256 amountOut, uint256 bounty);
+
+    /// @notice Initialize the order book for a pool
+    /// @param _pool Address of the DEX pool orders are filled against
+    /// @param _keeperBounty Share of each order paid to its keeper, in basis points (e.g. 10)
+    constructor(address _pool, uint256 _keeperBounty) {
+        require(_pool != address(0), "Invalid pool address");
+        require(_keeperBounty <= MAX_KEEPER_BOUNTY, "Invalid keeper bounty");
+
+        pool = DEX(_pool);
+        tokenA = DEX(_pool).tokenA();
+        tokenB = DEX(_pool).tokenB();
+        keeperBounty = _keeperBounty;
+    }
+
+    /// @notice Escrow tokens in a new limit order
+    /// @param tokenIn Token to sell, token A or token B of the pool
+    /// @param amountIn Amount of tokenIn to escrow
+    /// @param targetPrice Price of token A in terms of token B (1e18 scaled) that triggers the order
+    /// @param minAmountOut Minimum amount of the other token the maker must receive
+    /// @return orderId Identifier of the new order
+    function placeOrder(address tokenIn, uint256 amountIn, uint256 targetPrice, uint256 minAmountOut)
+        external
+        nonReentrant
+        returns (uint256 orderId)
+    {
+        require(tokenIn == tokenA || tokenIn == tokenB, "Invalid token");
+        require(amountIn > 0, "Amount in must be greater than 0");
+        require(targetPrice > 0, "Invalid target price");
+        require(minAmountOut > 0, "Invalid minimum output");
+
+        // Credit what actually arrived, like the pool does for fee-on-transfer tokens
+        uint256 balanceBefore = IERC20(tokenIn).balanceOf(address(this));
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        uint256 received = IERC20(tokenIn).balanceOf(address(this)) - balanceBefore;
+
+        orderId = orders.length;
+        orders.push(Order(msg.sender, tokenIn, received, targetPrice, minAmountOut, OrderStatus.Open));
+
+        emit OrderPlaced(orderId, msg.sender, tokenIn, received, targetPrice, minAmountOut);
+    }
+
+    /// @notice Cancel an open order and refund its escrow to the maker
+    /// @param orderId Identifier of the order
+    function cancelOrder(uint256 orderId) external nonReentrant {
+        Order storage order = _openOrder(orderId);
+        require(order.maker == msg.sender, "Not order maker");
+
+        order.status = OrderStatus.Cancelled;
+        IERC20(order.tokenIn).safeTransfer(order.maker, order.amountIn);
+
+        emit OrderCancelled(orderId, order.maker, order.amountIn);
+    }
+
+    /// @notice Fill an order whose target price has been reached
+    /// @dev The keeper is paid the bounty in tokenIn; the rest of the escrow is swapped in
+    ///      the pool and the output is sent to the maker
+    /// @param orderId Identifier of the order
+    /// @return amountOut Amount of the other token sent to the maker
+    function executeOrder(uint256 orderId) external nonReentrant returns (uint256 amountOut) {
+        Order storage order = _openOrder(orderId);
+        require(_priceReached(order), "Target price not reached");
+
+        order.status = OrderStatus.Filled;
+        uint256 bounty = (order.amountIn * keeperBounty) / BOUNTY_DENOMINATOR;
+        uint256 swapAmount = order.amountIn - bounty;
+
+        IERC20(order.tokenIn).forceApprove(address(pool), swapAmount);
+        if (order.tokenIn == tokenA) {
+            amountOut = pool.swapAForB(swapAmount, order.minAmountOut, block.timestamp);
+            IERC20(tokenB).safeTransfer(order.maker, amountOut);
+        } else {
+            amountOut = pool.swapBForA(swapAmount, order.minAmountOut, block.timestamp);
+            IERC20(tokenA).safeTransfer(order.maker, amountOut);
+        }
+        if (bounty > 0) IERC20(order.tokenIn).safeTransfer(msg.sender, bounty);
+
+        emit OrderExecuted(orderId, msg.sender, swapAmount, amountOut, bounty);
+    }
+
+    /// @notice Check whether an order is open and its target price has been reached
+    /// @dev Does not simulate the swap; execution can still fail on minAmountOut
+    /// @param orderId Identifier of the order
+    /// @return True if executeOrder would pass the price check
+    function canExecute(uint256 orderId) external view returns (bool) {
+        if (orderId >= orders.length) return false;
+        Order storage order = orders[orderId];
+        return order.status == OrderStatus.Open && _priceReached(order);
+    }
+
+    /// @notice Get the number of orders ever placed
+    /// @return Number of orders, including filled and cancelled ones
+    function orderCount() external view returns (uint256) {
+        return orders.length;
+    }
+
+    /// @notice Load an order and require it to be open
+    function _openOrder(uint256 orderId) private view returns (Order storage order) {
+        require(orderId < orders.length, "Order does not exist");
+        order = orders[orderId];
+        require(order.status == OrderStatus.Open, "Order not open");
+    }
+
+    /// @notice True if the pool price has crossed the order's target in the maker's favour
+    function _priceReached(Order storage order) private view returns (bool) {
+        uint256 price = pool.getPrice();
+        return order.tokenIn == tokenA ? price >= order.targetPrice : price <= order.targetPrice;
+    }
+}
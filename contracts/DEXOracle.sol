@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./DEX.sol";
+
+/// @title DEXOracle
+/// @notice Time-weighted average price (TWAP) oracle built on a DEX pool's cumulative prices
+/// @dev Anyone may call update() to record an observation; consult() then averages the
+///      pool's accumulators between the current block and a past observation. A price that
+///      is moved and restored within one block never reaches the accumulators.
+contract DEXOracle {
+    struct Observation {
+        uint256 timestamp;
+        uint256 priceACumulative;
+        uint256 priceBCumulative;
+    }
+
+    // State variables
+    DEX public immutable pool;
+    uint256 public immutable minUpdateInterval;
+    Observation[] public observations;
+
+    // Events - MUST emit these
+    event ObservationRecorded(uint256 indexed index, uint256 timestamp, uint256 priceACumulative, uint256 priceBCumulative);
+
+    /// @notice Initialize the oracle for a pool
+    /// @param _pool Address of the DEX pool to observe
+    /// @param _minUpdateInterval Minimum seconds between two recorded observations
+    constructor(address _pool, uint256 _minUpdateInterval) {
+        require(_pool != address(0), "Invalid pool address");
+        require(_minUpdateInterval > 0, "Invalid update interval");
+
+        pool = DEX(_pool);
+        minUpdateInterval = _minUpdateInterval;
+    }
+
+    /// @notice Record the pool's current cumulative prices
+    /// @dev Does nothing if the previous observation is younger than minUpdateInterval
+    /// @return recorded True if a new observation was stored
+    function update() external returns (bool recorded) {
+        uint256 count = observations.length;
+        if (count > 0 && block.timestamp - observations[count - 1].timestamp < minUpdateInterval) {
+            return false;
+        }
+
+        (uint256 priceACumulative, uint256 priceBCumulative, uint256 timestamp) = pool.getCumulativePrices();
+        observations.push(Observation(timestamp, priceACumulative, priceBCumulative));
+
+        emit ObservationRecorded(count, timestamp, priceACumulative, priceBCumulative);
+        return true;
+    }
+
+    /// @notice Get the time-weighted average prices over at least the requested window
+    /// @dev Uses the most recent observation that is at least `window` seconds old, so the
+    ///      averaging period is `elapsed >= window`
+    /// @param window Minimum number of seconds to average over
+    /// @return priceA Average price of token A in terms of token B (1e18 scaled)
+    /// @return priceB Average price of token B in terms of token A (1e18 scaled)
+    /// @return elapsed Actual number of seconds averaged over
+    function consult(uint256 window) external view returns (uint256 priceA, uint256 priceB, uint256 elapsed) {
+        require(window > 0, "Invalid window");
+
+        (uint256 priceACumulative, uint256 priceBCumulative, uint256 timestamp) = pool.getCumulativePrices();
+        Observation memory observation = _observationBefore(timestamp, window);
+
+        elapsed = timestamp - observation.timestamp;
+        unchecked {
+            // Accumulators wrap around by design
+            priceA = (priceACumulative - observation.priceACumulative) / elapsed;
+            priceB = (priceBCumulative - observation.priceBCumulative) / elapsed;
+        }
+    }
+
+    /// @notice Get the number of recorded observations
+    /// @return Number of observations
+    function observationCount() external view returns (uint256) {
+        return observations.length;
+    }
+
+    /// @notice Find the newest observation recorded at least `window` seconds before `timestamp`
+    /// @dev Observations are appended in increasing timestamp order, so a binary search finds it
+    ///      in O(log n) storage reads however long the history grows
+    function _observationBefore(uint256 timestamp, uint256 window) internal view returns (Observation memory) {
+        require(timestamp >= window, "Insufficient observation history");
+        uint256 cutoff = timestamp - window;
+
+        // Observations below `low` are old enough, those from `high` on are too recent
+        uint256 low = 0;
+        uint256 high = observations.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (observations[mid].timestamp <= cutoff) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        require(low > 0, "Insufficient observation history");
+        return observations[low - 1];
+    }
+}
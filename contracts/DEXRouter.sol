@@ -0,0 +1,363 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./DEX.sol";
+import "./DEXFactory.sol";
+import "./IWETH.sol";
+
+/// @title DEXRouter
+/// @notice Routes swaps through consecutive DEX pools along a token path
+/// @dev The router holds intermediate tokens only for the duration of a single call.
+///      Native ETH is wrapped into WETH on the way in and unwrapped on the way out;
+///      ETH pairs are ordinary pools between a token and WETH.
+contract DEXRouter is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // State variables
+    address public immutable factory;
+    address public immutable WETH;
+
+    /// @notice Revert if the transaction is mined after the given deadline
+    /// @param deadline Unix timestamp after which the call is no longer valid
+    modifier ensure(uint256 deadline) {
+        require(block.timestamp <= deadline, "Transaction expired");
+        _;
+    }
+
+    /// @notice Initialize the router with the factory holding the pools
+    /// @param _factory Address of the DEXFactory
+    /// @param _WETH Address of the Wrapped Ether token used for ETH pairs
+    constructor(address _factory, address _WETH) {
+        require(_factory != address(0), "Invalid factory address");
+        require(_WETH != address(0), "Invalid WETH address");
+        factory = _factory;
+        WETH = _WETH;
+    }
+
+    /// @notice Accept Ether only when unwrapping WETH
+    receive() external payable {
+        require(msg.sender == WETH, "Only WETH");
+    }
+
+    /// @notice Swap an exact amount of input tokens along a path
+    /// @param amountIn Amount of path[0] to swap
+    /// @param amountOutMin Minimum amount of the last path token to receive
+    /// @param path Token addresses to route through, one pool per consecutive pair
+    /// @param to Recipient of the output tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Amount of each token in the path moved by the swap
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256[] memory amounts) {
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "Slippage limit exceeded");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amounts[0]);
+        _swap(amounts, path, to, deadline);
+    }
+
+    /// @notice Swap as few input tokens as possible for an exact output along a path
+    /// @param amountOut Amount of the last path token to receive
+    /// @param amountInMax Maximum amount of path[0] to spend
+    /// @param path Token addresses to route through, one pool per consecutive pair
+    /// @param to Recipient of the output tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Amount of each token in the path moved by the swap
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256[] memory amounts) {
+        amounts = getAmountsIn(amountOut, path);
+        require(amounts[0] <= amountInMax, "Excessive input amount");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amounts[0]);
+        _swap(amounts, path, to, deadline);
+    }
+
+    /// @notice Swap an exact amount of ETH for tokens along a path starting with WETH
+    /// @param amountOutMin Minimum amount of the last path token to receive
+    /// @param path Token addresses to route through, path[0] must be WETH
+    /// @param to Recipient of the output tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Amount of each token in the path moved by the swap
+    function swapExactETHForTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external payable nonReentrant ensure(deadline) returns (uint256[] memory amounts) {
+        amounts = getAmountsOut(msg.value, path);
+        require(path[0] == WETH, "Invalid path");
+        require(amounts[amounts.length - 1] >= amountOutMin, "Slippage limit exceeded");
+
+        IWETH(WETH).deposit{value: msg.value}();
+        _swap(amounts, path, to, deadline);
+    }
+
+    /// @notice Swap as little ETH as possible for an exact amount of tokens, refunding the rest
+    /// @param amountOut Amount of the last path token to receive
+    /// @param path Token addresses to route through, path[0] must be WETH
+    /// @param to Recipient of the output tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Amount of each token in the path moved by the swap
+    function swapETHForExactTokens(
+        uint256 amountOut,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external payable nonReentrant ensure(deadline) returns (uint256[] memory amounts) {
+        amounts = getAmountsIn(amountOut, path);
+        require(path[0] == WETH, "Invalid path");
+        require(amounts[0] <= msg.value, "Excessive input amount");
+
+        IWETH(WETH).deposit{value: amounts[0]}();
+        _swap(amounts, path, to, deadline);
+
+        if (msg.value > amounts[0]) {
+            _sendETH(msg.sender, msg.value - amounts[0]);
+        }
+    }
+
+    /// @notice Swap an exact amount of tokens for ETH along a path ending with WETH
+    /// @param amountIn Amount of path[0] to swap
+    /// @param amountOutMin Minimum amount of ETH to receive
+    /// @param path Token addresses to route through, the last entry must be WETH
+    /// @param to Recipient of the ETH
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Amount of each token in the path moved by the swap
+    function swapExactTokensForETH(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256[] memory amounts) {
+        amounts = getAmountsOut(amountIn, path);
+        require(path[path.length - 1] == WETH, "Invalid path");
+        require(amounts[amounts.length - 1] >= amountOutMin, "Slippage limit exceeded");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amounts[0]);
+        _swap(amounts, path, address(this), deadline);
+        _unwrapTo(to, amounts[amounts.length - 1]);
+    }
+
+    /// @notice Swap as few tokens as possible for an exact amount of ETH
+    /// @param amountOut Amount of ETH to receive
+    /// @param amountInMax Maximum amount of path[0] to spend
+    /// @param path Token addresses to route through, the last entry must be WETH
+    /// @param to Recipient of the ETH
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amounts Amount of each token in the path moved by the swap
+    function swapTokensForExactETH(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256[] memory amounts) {
+        amounts = getAmountsIn(amountOut, path);
+        require(path[path.length - 1] == WETH, "Invalid path");
+        require(amounts[0] <= amountInMax, "Excessive input amount");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amounts[0]);
+        _swap(amounts, path, address(this), deadline);
+        _unwrapTo(to, amounts[amounts.length - 1]);
+    }
+
+    /// @notice Add liquidity to a token/WETH pool with native ETH
+    /// @dev The pool only takes the amounts matching its ratio; the unused token and
+    ///      ETH are refunded to the caller. LP tokens are forwarded to `to`.
+    /// @param token Address of the paired ERC20 token
+    /// @param amountTokenDesired Maximum amount of token to add
+    /// @param amountTokenMin Minimum amount of token that must be added
+    /// @param amountETHMin Minimum amount of ETH that must be added
+    /// @param to Recipient of the LP tokens
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountToken Amount of token added
+    /// @return amountETH Amount of ETH added
+    /// @return liquidity Amount of LP tokens minted
+    function addLiquidityETH(
+        address token,
+        uint256 amountTokenDesired,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    ) external payable nonReentrant ensure(deadline) returns (uint256 amountToken, uint256 amountETH, uint256 liquidity) {
+        (DEX pool, , ) = _getPool(token, WETH);
+
+        // Measure the router's token balance so only what this call brought in is refunded
+        uint256 tokenBalanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amountTokenDesired);
+        IWETH(WETH).deposit{value: msg.value}();
+
+        (amountToken, amountETH, liquidity) = _addPoolLiquidity(
+            pool,
+            token,
+            IERC20(token).balanceOf(address(this)) - tokenBalanceBefore,
+            msg.value,
+            amountTokenMin,
+            amountETHMin,
+            deadline
+        );
+        IERC20(address(pool)).safeTransfer(to, liquidity);
+        _refundExcess(token, tokenBalanceBefore, msg.value - amountETH);
+    }
+
+    /// @notice Remove liquidity from a token/WETH pool and receive native ETH
+    /// @dev The caller must approve the router to transfer `liquidity` LP tokens of the pool
+    /// @param token Address of the paired ERC20 token
+    /// @param liquidity Amount of LP tokens to burn
+    /// @param amountTokenMin Minimum amount of token to receive
+    /// @param amountETHMin Minimum amount of ETH to receive
+    /// @param to Recipient of the token and ETH
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountToken Amount of token received
+    /// @return amountETH Amount of ETH received
+    function removeLiquidityETH(
+        address token,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256 amountToken, uint256 amountETH) {
+        (DEX pool, , ) = _getPool(token, WETH);
+        IERC20(address(pool)).safeTransferFrom(msg.sender, address(this), liquidity);
+
+        if (token == pool.tokenA()) {
+            (amountToken, amountETH) = pool.removeLiquidity(liquidity, amountTokenMin, amountETHMin, deadline);
+        } else {
+            (amountETH, amountToken) = pool.removeLiquidity(liquidity, amountETHMin, amountTokenMin, deadline);
+        }
+
+        IERC20(token).safeTransfer(to, amountToken);
+        _unwrapTo(to, amountETH);
+    }
+
+    /// @notice Quote the output of every hop for an exact input
+    /// @param amountIn Amount of path[0] to swap
+    /// @param path Token addresses to route through
+    /// @return amounts amounts[0] is amountIn, amounts[i] the output of hop i
+    function getAmountsOut(uint256 amountIn, address[] calldata path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i; i < path.length - 1; i++) {
+            (DEX pool, uint256 reserveIn, uint256 reserveOut) = _getPool(path[i], path[i + 1]);
+            amounts[i + 1] = pool.getAmountOut(amounts[i], reserveIn, reserveOut);
+        }
+    }
+
+    /// @notice Quote the input of every hop for an exact output
+    /// @param amountOut Amount of the last path token to receive
+    /// @param path Token addresses to route through
+    /// @return amounts amounts[0] is the required input, the last entry is amountOut
+    function getAmountsIn(uint256 amountOut, address[] calldata path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+        amounts = new uint256[](path.length);
+        amounts[amounts.length - 1] = amountOut;
+        for (uint256 i = path.length - 1; i > 0; i--) {
+            (DEX pool, uint256 reserveIn, uint256 reserveOut) = _getPool(path[i - 1], path[i]);
+            amounts[i - 1] = pool.getAmountIn(amounts[i], reserveIn, reserveOut);
+        }
+    }
+
+    /// @notice Execute each hop, feeding the output of one pool into the next
+    /// @dev Expects amounts[0] of path[0] to already be held by the router.
+    ///      Each hop is bounded by the quoted amount; the actual output is forwarded,
+    ///      so rounding in favour of the trader never leaves dust in the router.
+    ///      With `to` set to the router the output stays here, e.g. to be unwrapped.
+    function _swap(uint256[] memory amounts, address[] calldata path, address to, uint256 deadline) internal {
+        uint256 amountIn = amounts[0];
+        for (uint256 i; i < path.length - 1; i++) {
+            (DEX pool, , ) = _getPool(path[i], path[i + 1]);
+            IERC20(path[i]).safeIncreaseAllowance(address(pool), amountIn);
+
+            if (path[i] == pool.tokenA()) {
+                amountIn = pool.swapAForB(amountIn, amounts[i + 1], deadline);
+            } else {
+                amountIn = pool.swapBForA(amountIn, amounts[i + 1], deadline);
+            }
+            amounts[i + 1] = amountIn;
+        }
+        if (to != address(this)) {
+            IERC20(path[path.length - 1]).safeTransfer(to, amountIn);
+        }
+    }
+
+    /// @notice Deposit a token/WETH pair held by the router into its pool
+    /// @dev Orders the amounts by the pool's canonical token order
+    function _addPoolLiquidity(
+        DEX pool,
+        address token,
+        uint256 amountTokenDesired,
+        uint256 amountETHDesired,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        uint256 deadline
+    ) private returns (uint256 amountToken, uint256 amountETH, uint256 liquidity) {
+        IERC20(token).forceApprove(address(pool), amountTokenDesired);
+        IERC20(WETH).forceApprove(address(pool), amountETHDesired);
+
+        if (token == pool.tokenA()) {
+            (amountToken, amountETH, liquidity) = pool.addLiquidity(
+                amountTokenDesired, amountETHDesired, amountTokenMin, amountETHMin, deadline
+            );
+        } else {
+            (amountETH, amountToken, liquidity) = pool.addLiquidity(
+                amountETHDesired, amountTokenDesired, amountETHMin, amountTokenMin, deadline
+            );
+        }
+    }
+
+    /// @notice Return the token and ETH a pool did not take back to the caller
+    /// @param token Address of the paired ERC20 token
+    /// @param tokenBalanceBefore Router's token balance before the caller's deposit
+    /// @param ethLeft Amount of wrapped ETH left over
+    function _refundExcess(address token, uint256 tokenBalanceBefore, uint256 ethLeft) private {
+        uint256 tokenLeft = IERC20(token).balanceOf(address(this)) - tokenBalanceBefore;
+        if (tokenLeft > 0) {
+            IERC20(token).safeTransfer(msg.sender, tokenLeft);
+        }
+        if (ethLeft > 0) {
+            _unwrapTo(msg.sender, ethLeft);
+        }
+    }
+
+    /// @notice Unwrap WETH held by the router and send the Ether out
+    function _unwrapTo(address to, uint256 amount) private {
+        IWETH(WETH).withdraw(amount);
+        _sendETH(to, amount);
+    }
+
+    /// @notice Send Ether, reverting if the recipient rejects it
+    function _sendETH(address to, uint256 amount) private {
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "ETH transfer failed");
+    }
+
+    /// @notice Look up the pool for a hop and its reserves in hop direction
+    function _getPool(address tokenIn, address tokenOut)
+        internal
+        view
+        returns (DEX pool, uint256 reserveIn, uint256 reserveOut)
+    {
+        address pair = DEXFactory(factory).getPair(tokenIn, tokenOut);
+        require(pair != address(0), "Pair does not exist");
+        pool = DEX(pair);
+
+        (uint256 reserveA, uint256 reserveB) = pool.getReserves();
+        (reserveIn, reserveOut) = tokenIn == pool.tokenA() ? (reserveA, reserveB) : (reserveB, reserveA);
+    }
+}
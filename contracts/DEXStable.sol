@@ -0,0 +1,355 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @title DEXStable
+/// @notice AMM pool for pegged assets using the StableSwap invariant
+/// @dev Two-token StableSwap: A·n^n·(x + y) + D = A·n^n·D + D^3 / (n^n·x·y) with n = 2.
+///      The amplification coefficient A flattens the curve around the 1:1 point, so trades
+///      near the peg get close to zero slippage while the pool still cannot be drained.
+///      Exposes the same external surface as DEX, so scripts can use either pool.
+///      Both tokens must use the same number of decimals.
+contract DEXStable is ERC20, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Fee constants, in basis points
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_FEE = 1000; // 10%
+    // Upper bound of the amplification coefficient
+    uint256 public constant MAX_AMPLIFICATION = 1e6;
+    // LP shares locked forever on the first deposit, see DEX.MINIMUM_LIQUIDITY
+    uint256 public constant MINIMUM_LIQUIDITY = 1000;
+    address public constant LIQUIDITY_LOCK_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+
+    // Number of tokens in the pool (n in the invariant)
+    uint256 private constant N_COINS = 2;
+    // Newton iterations before giving up on convergence
+    uint256 private constant MAX_ITERATIONS = 255;
+
+    // State variables
+    address public tokenA;
+    address public tokenB;
+    uint256 public reserveA;
+    uint256 public reserveB;
+    uint256 public fee; // LP fee in basis points, e.g. 4 = 0.04%
+    uint256 public amplification; // A in the invariant
+
+    // LP token metadata, derived from the pair's token symbols
+    string private _lpName;
+    string private _lpSymbol;
+
+    // Events - MUST emit these
+    event LiquidityAdded(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityMinted);
+    event LiquidityRemoved(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityBurned);
+    event Swap(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+
+    /// @notice Revert if the transaction is mined after the given deadline
+    /// @param deadline Unix timestamp after which the call is no longer valid
+    modifier ensure(uint256 deadline) {
+        require(block.timestamp <= deadline, "Transaction expired");
+        _;
+    }
+
+    /// @notice Initialize the pool with two pegged tokens, its LP fee and amplification
+    /// @param _tokenA Address of first token
+    /// @param _tokenB Address of second token
+    /// @param _fee LP fee in basis points (e.g. 4)
+    /// @param _amplification Amplification coefficient A, higher is flatter around the peg
+    constructor(address _tokenA, address _tokenB, uint256 _fee, uint256 _amplification) ERC20("", "") {
+        require(_tokenA != address(0), "Invalid token A address");
+        require(_tokenB != address(0), "Invalid token B address");
+        require(_tokenA != _tokenB, "Tokens must be different");
+        require(_fee > 0 && _fee <= MAX_FEE, "Invalid fee");
+        require(_amplification > 0 && _amplification <= MAX_AMPLIFICATION, "Invalid amplification");
+        require(
+            IERC20Metadata(_tokenA).decimals() == IERC20Metadata(_tokenB).decimals(),
+            "Token decimals must match"
+        );
+
+        tokenA = _tokenA;
+        tokenB = _tokenB;
+        fee = _fee;
+        amplification = _amplification;
+
+        string memory symbolA = IERC20Metadata(_tokenA).symbol();
+        string memory symbolB = IERC20Metadata(_tokenB).symbol();
+        _lpName = string.concat("DEX Stable LP ", symbolA, "-", symbolB);
+        _lpSymbol = string.concat(symbolA, "-", symbolB, "-SLP");
+    }
+
+    /// @notice Name of the LP token, e.g. "DEX Stable LP TKA-TKB"
+    function name() public view override returns (string memory) {
+        return _lpName;
+    }
+
+    /// @notice Symbol of the LP token, e.g. "TKA-TKB-SLP"
+    function symbol() public view override returns (string memory) {
+        return _lpSymbol;
+    }
+
+    /// @notice LP token balance of a provider
+    /// @param provider Address of the liquidity provider
+    /// @return LP tokens held by the provider
+    function liquidity(address provider) external view returns (uint256) {
+        return balanceOf(provider);
+    }
+
+    /// @notice Total LP tokens in circulation
+    /// @return Total supply of the LP token
+    function totalLiquidity() public view returns (uint256) {
+        return totalSupply();
+    }
+
+    /// @notice Add liquidity to the pool
+    /// @dev The first deposit mints D and locks MINIMUM_LIQUIDITY of it. Later deposits
+    ///      match the pool ratio like DEX, so D grows in proportion to the LP supply.
+    /// @param amountADesired Maximum amount of token A to add
+    /// @param amountBDesired Maximum amount of token B to add
+    /// @param amountAMin Minimum amount of token A that must be added
+    /// @param amountBMin Minimum amount of token B that must be added
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A actually added
+    /// @return amountB Amount of token B actually added
+    /// @return liquidityMinted Amount of LP tokens minted
+    function addLiquidity(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted)
+    {
+        require(amountADesired > 0, "Amount A must be greater than 0");
+        require(amountBDesired > 0, "Amount B must be greater than 0");
+
+        uint256 _totalLiquidity = totalSupply();
+        (amountA, amountB) = _optimalAmounts(amountADesired, amountBDesired, _totalLiquidity);
+
+        amountA = _pullToken(tokenA, amountA);
+        amountB = _pullToken(tokenB, amountB);
+        require(amountA >= amountAMin && amountB >= amountBMin, "Slippage limit exceeded");
+
+        if (_totalLiquidity == 0) {
+            liquidityMinted = getD(amountA, amountB);
+            require(liquidityMinted > MINIMUM_LIQUIDITY, "Insufficient liquidity minted");
+            liquidityMinted -= MINIMUM_LIQUIDITY;
+            _mint(LIQUIDITY_LOCK_ADDRESS, MINIMUM_LIQUIDITY);
+        } else {
+            liquidityMinted = Math.min(
+                (amountA * _totalLiquidity) / reserveA,
+                (amountB * _totalLiquidity) / reserveB
+            );
+        }
+        require(liquidityMinted > 0, "Insufficient liquidity minted");
+
+        reserveA += amountA;
+        reserveB += amountB;
+        _mint(msg.sender, liquidityMinted);
+
+        emit LiquidityAdded(msg.sender, amountA, amountB, liquidityMinted);
+    }
+
+    /// @notice Remove liquidity from the pool
+    /// @param liquidityAmount Amount of LP tokens to burn
+    /// @param amountAMin Minimum amount of token A to receive
+    /// @param amountBMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A received
+    /// @return amountB Amount of token B received
+    function removeLiquidity(uint256 liquidityAmount, uint256 amountAMin, uint256 amountBMin, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        require(liquidityAmount > 0, "Liquidity amount must be greater than 0");
+        require(balanceOf(msg.sender) >= liquidityAmount, "Insufficient liquidity");
+        uint256 _totalLiquidity = totalSupply();
+
+        amountA = (liquidityAmount * reserveA) / _totalLiquidity;
+        amountB = (liquidityAmount * reserveB) / _totalLiquidity;
+        require(amountA > 0 && amountB > 0, "Insufficient liquidity burned");
+        require(amountA >= amountAMin && amountB >= amountBMin, "Slippage limit exceeded");
+
+        _burn(msg.sender, liquidityAmount);
+        reserveA -= amountA;
+        reserveB -= amountB;
+
+        IERC20(tokenA).safeTransfer(msg.sender, amountA);
+        IERC20(tokenB).safeTransfer(msg.sender, amountB);
+
+        emit LiquidityRemoved(msg.sender, amountA, amountB, liquidityAmount);
+    }
+
+    /// @notice Swap token A for token B
+    /// @param amountAIn Amount of token A to swap
+    /// @param minAmountBOut Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBOut Amount of token B received
+    function swapAForB(uint256 amountAIn, uint256 minAmountBOut, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountBOut)
+    {
+        require(amountAIn > 0, "Amount in must be greater than 0");
+        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
+
+        uint256 amountAReceived = _pullToken(tokenA, amountAIn);
+        amountBOut = getAmountOut(amountAReceived, reserveA, reserveB);
+        require(amountBOut > 0, "Insufficient output amount");
+        require(amountBOut >= minAmountBOut, "Slippage limit exceeded");
+
+        reserveA += amountAReceived;
+        reserveB -= amountBOut;
+        IERC20(tokenB).safeTransfer(msg.sender, amountBOut);
+
+        emit Swap(msg.sender, tokenA, tokenB, amountAReceived, amountBOut);
+    }
+
+    /// @notice Swap token B for token A
+    /// @param amountBIn Amount of token B to swap
+    /// @param minAmountAOut Minimum amount of token A to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAOut Amount of token A received
+    function swapBForA(uint256 amountBIn, uint256 minAmountAOut, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountAOut)
+    {
+        require(amountBIn > 0, "Amount in must be greater than 0");
+        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
+
+        uint256 amountBReceived = _pullToken(tokenB, amountBIn);
+        amountAOut = getAmountOut(amountBReceived, reserveB, reserveA);
+        require(amountAOut > 0, "Insufficient output amount");
+        require(amountAOut >= minAmountAOut, "Slippage limit exceeded");
+
+        reserveA -= amountAOut;
+        reserveB += amountBReceived;
+        IERC20(tokenA).safeTransfer(msg.sender, amountAOut);
+
+        emit Swap(msg.sender, tokenB, tokenA, amountBReceived, amountAOut);
+    }
+
+    /// @notice Get the marginal price of token A in terms of token B
+    /// @dev Slope of the invariant at the current reserves, excluding the fee
+    /// @return price Current price (1e18 scaled)
+    function getPrice() external view returns (uint256 price) {
+        require(reserveA > 0 && reserveB > 0, "No liquidity");
+        uint256 ann = amplification * N_COINS ** N_COINS;
+        uint256 d = getD(reserveA, reserveB);
+        // k = D^3 / (n^n·x·y); price = (Ann·x + k)·y / ((Ann·y + k)·x)
+        uint256 k = (((d * d) / (reserveA * N_COINS)) * d) / (reserveB * N_COINS);
+        price = Math.mulDiv((ann * reserveA + k) * 1e18, reserveB, (ann * reserveB + k) * reserveA);
+    }
+
+    /// @notice Get current reserves
+    /// @return _reserveA Current reserve of token A
+    /// @return _reserveB Current reserve of token B
+    function getReserves() external view returns (uint256 _reserveA, uint256 _reserveB) {
+        _reserveA = reserveA;
+        _reserveB = reserveB;
+    }
+
+    /// @notice Calculate amount of token out received for given amount of token in
+    /// @param amountIn Amount of token input
+    /// @param reserveIn Reserve of input token
+    /// @param reserveOut Reserve of output token
+    /// @return amountOut Amount of token output (after the pool fee)
+    function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut)
+        public
+        view
+        returns (uint256 amountOut)
+    {
+        require(amountIn > 0, "Insufficient input amount");
+        require(reserveIn > 0 && reserveOut > 0, "Insufficient liquidity");
+
+        uint256 amountInWithFee = (amountIn * (FEE_DENOMINATOR - fee)) / FEE_DENOMINATOR;
+        uint256 d = getD(reserveIn, reserveOut);
+        uint256 newReserveOut = _getY(reserveIn + amountInWithFee, d);
+        // Round against the trader; the invariant is only approximated to 1 wei
+        amountOut = reserveOut > newReserveOut + 1 ? reserveOut - newReserveOut - 1 : 0;
+    }
+
+    /// @notice Compute the invariant D for a pair of balances
+    /// @dev Newton's method on f(D) = A·n^n·S + D - A·n^n·D - D^3 / (n^n·x·y)
+    /// @param x Balance of one token
+    /// @param y Balance of the other token
+    /// @return d Invariant, equal to x + y when the balances are equal
+    function getD(uint256 x, uint256 y) public view returns (uint256 d) {
+        uint256 sum = x + y;
+        if (sum == 0) return 0;
+
+        uint256 ann = amplification * N_COINS ** N_COINS;
+        d = sum;
+        for (uint256 i; i < MAX_ITERATIONS; i++) {
+            uint256 dP = (((d * d) / (x * N_COINS)) * d) / (y * N_COINS);
+            uint256 dPrev = d;
+            d = ((ann * sum + dP * N_COINS) * d) / ((ann - 1) * d + (N_COINS + 1) * dP);
+            if (_within1(d, dPrev)) return d;
+        }
+        revert("Invariant did not converge");
+    }
+
+    /// @notice Balance of the other token that keeps the invariant D for a given balance x
+    /// @dev Newton's method on y^2 + (x + D/Ann - D)·y = D^3 / (n^n·Ann·x)
+    function _getY(uint256 x, uint256 d) private view returns (uint256 y) {
+        uint256 ann = amplification * N_COINS ** N_COINS;
+        uint256 c = (((d * d) / (x * N_COINS)) * d) / (ann * N_COINS);
+        uint256 b = x + d / ann;
+
+        y = d;
+        for (uint256 i; i < MAX_ITERATIONS; i++) {
+            uint256 yPrev = y;
+            y = (y * y + c) / (2 * y + b - d);
+            if (_within1(y, yPrev)) return y;
+        }
+        revert("Invariant did not converge");
+    }
+
+    /// @notice Largest deposit within the desired amounts that matches the pool ratio
+    function _optimalAmounts(uint256 amountADesired, uint256 amountBDesired, uint256 _totalLiquidity)
+        private
+        view
+        returns (uint256 amountA, uint256 amountB)
+    {
+        if (_totalLiquidity == 0) {
+            return (amountADesired, amountBDesired);
+        }
+
+        uint256 amountBOptimal = (amountADesired * reserveB) / reserveA;
+        if (amountBOptimal <= amountBDesired) {
+            (amountA, amountB) = (amountADesired, amountBOptimal);
+        } else {
+            uint256 amountAOptimal = (amountBDesired * reserveA) / reserveB;
+            (amountA, amountB) = (amountAOptimal, amountBDesired);
+        }
+    }
+
+    /// @notice Pull tokens from the caller and return the amount the pool actually received
+    /// @param token Address of the token to pull
+    /// @param amount Amount requested from the caller
+    /// @return received Increase of the pool's token balance
+    function _pullToken(address token, uint256 amount) private returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+
+    /// @notice True if two Newton iterates differ by at most 1
+    function _within1(uint256 a, uint256 b) private pure returns (bool) {
+        return a > b ? a - b <= 1 : b - a <= 1;
+    }
+}
@@ -0,0 +1,552 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./WeightedMath.sol";
+
+/// @title DEXWeighted
+/// @notice AMM pool with fixed, unequal value weights such as 80/20
+/// @dev Weighted-product invariant V = x^wA · y^wB with wA + wB = 1. The spot price is
+///      (y / wB) / (x / wA), so at equilibrium each token holds its weight's share of the
+///      pool value. Weights are 1e18 scaled and fixed at construction. Swaps and
+///      single-token joins and exits are limited to MAX_IN_RATIO / MAX_OUT_RATIO of a
+///      reserve, where the power approximation stays accurate.
+contract DEXWeighted is ERC20, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Fee constants, in basis points
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_FEE = 1000; // 10%
+    // Weight bounds, 1e18 scaled (1e18 = 100%)
+    uint256 public constant MIN_WEIGHT = 1e16; // 1%
+    // Largest share of a reserve that one swap, join or exit may add or remove
+    uint256 public constant MAX_IN_RATIO = 3e17; // 30%
+    uint256 public constant MAX_OUT_RATIO = 3e17; // 30%
+    // LP shares locked forever on the first deposit, see DEX.MINIMUM_LIQUIDITY
+    uint256 public constant MINIMUM_LIQUIDITY = 1000;
+    address public constant LIQUIDITY_LOCK_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+
+    // State variables
+    address public tokenA;
+    address public tokenB;
+    uint256 public reserveA;
+    uint256 public reserveB;
+    uint256 public fee; // LP fee in basis points, e.g. 30 = 0.3%
+    uint256 public immutable weightA; // 1e18 scaled
+    uint256 public immutable weightB; // 1e18 scaled
+
+    // LP token metadata, derived from the pair's token symbols
+    string private _lpName;
+    string private _lpSymbol;
+
+    // Events - MUST emit these
+    event LiquidityAdded(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityMinted);
+    event LiquidityRemoved(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityBurned);
+    event Swap(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+    event LiquidityRemovedOneToken(address indexed provider, address indexed tokenOut, uint256 amountOut, uint256 liquidityBurned);
+
+    /// @notice Revert if the transaction is mined after the given deadline
+    /// @param deadline Unix timestamp after which the call is no longer valid
+    modifier ensure(uint256 deadline) {
+        require(block.timestamp <= deadline, "Transaction expired");
+        _;
+    }
+
+    /// @notice Initialize the pool with two tokens, their weights and the LP fee
+    /// @param _tokenA Address of first token
+    /// @param _tokenB Address of second token
+    /// @param _fee LP fee in basis points (e.g. 30)
+    /// @param _weightA Value weight of token A, 1e18 scaled (e.g. 0.8e18)
+    /// @param _weightB Value weight of token B, 1e18 scaled (e.g. 0.2e18)
+    constructor(address _tokenA, address _tokenB, uint256 _fee, uint256 _weightA, uint256 _weightB)
+        ERC20("", "")
+    {
+        require(_tokenA != address(0), "Invalid token A address");
+        require(_tokenB != address(0), "Invalid token B address");
+        require(_tokenA != _tokenB, "Tokens must be different");
+        require(_fee > 0 && _fee <= MAX_FEE, "Invalid fee");
+        require(_weightA >= MIN_WEIGHT, "Invalid weight A");
+        require(_weightB >= MIN_WEIGHT, "Invalid weight B");
+        require(_weightA + _weightB == WeightedMath.ONE, "Weights must sum to 1");
+
+        tokenA = _tokenA;
+        tokenB = _tokenB;
+        fee = _fee;
+        weightA = _weightA;
+        weightB = _weightB;
+
+        string memory symbolA = IERC20Metadata(_tokenA).symbol();
+        string memory symbolB = IERC20Metadata(_tokenB).symbol();
+        _lpName = string.concat("DEX Weighted LP ", symbolA, "-", symbolB);
+        _lpSymbol = string.concat(symbolA, "-", symbolB, "-WLP");
+    }
+
+    /// @notice Name of the LP token, e.g. "DEX Weighted LP TKA-TKB"
+    function name() public view override returns (string memory) {
+        return _lpName;
+    }
+
+    /// @notice Symbol of the LP token, e.g. "TKA-TKB-WLP"
+    function symbol() public view override returns (string memory) {
+        return _lpSymbol;
+    }
+
+    /// @notice LP token balance of a provider
+    /// @param provider Address of the liquidity provider
+    /// @return LP tokens held by the provider
+    function liquidity(address provider) external view returns (uint256) {
+        return balanceOf(provider);
+    }
+
+    /// @notice Total LP tokens in circulation
+    /// @return Total supply of the LP token
+    function totalLiquidity() public view returns (uint256) {
+        return totalSupply();
+    }
+
+    /// @notice Add liquidity to the pool in proportion to its reserves
+    /// @dev The first deposit sets the price, mints the invariant V and locks
+    ///      MINIMUM_LIQUIDITY of it. Later deposits match the pool ratio like DEX.
+    /// @param amountADesired Maximum amount of token A to add
+    /// @param amountBDesired Maximum amount of token B to add
+    /// @param amountAMin Minimum amount of token A that must be added
+    /// @param amountBMin Minimum amount of token B that must be added
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A actually added
+    /// @return amountB Amount of token B actually added
+    /// @return liquidityMinted Amount of LP tokens minted
+    function addLiquidity(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB, uint256 liquidityMinted)
+    {
+        require(amountADesired > 0, "Amount A must be greater than 0");
+        require(amountBDesired > 0, "Amount B must be greater than 0");
+
+        uint256 _totalLiquidity = totalSupply();
+        (amountA, amountB) = _optimalAmounts(amountADesired, amountBDesired, _totalLiquidity);
+
+        amountA = _pullToken(tokenA, amountA);
+        amountB = _pullToken(tokenB, amountB);
+        require(amountA >= amountAMin && amountB >= amountBMin, "Slippage limit exceeded");
+
+        if (_totalLiquidity == 0) {
+            liquidityMinted = _invariant(amountA, amountB);
+            require(liquidityMinted > MINIMUM_LIQUIDITY, "Insufficient liquidity minted");
+            liquidityMinted -= MINIMUM_LIQUIDITY;
+            _mint(LIQUIDITY_LOCK_ADDRESS, MINIMUM_LIQUIDITY);
+        } else {
+            liquidityMinted = Math.min(
+                (amountA * _totalLiquidity) / reserveA,
+                (amountB * _totalLiquidity) / reserveB
+            );
+        }
+        require(liquidityMinted > 0, "Insufficient liquidity minted");
+
+        reserveA += amountA;
+        reserveB += amountB;
+        _mint(msg.sender, liquidityMinted);
+
+        emit LiquidityAdded(msg.sender, amountA, amountB, liquidityMinted);
+    }
+
+    /// @notice Add liquidity with only one of the pool's tokens
+    /// @dev Mints the shares by which the deposit grows the invariant. The part of the
+    ///      deposit that a proportional join would have paid in the other token is charged
+    ///      the swap fee.
+    /// @param tokenIn Address of the token to provide, token A or token B
+    /// @param amountIn Amount of tokenIn to provide
+    /// @param minLiquidity Minimum amount of LP tokens to mint
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return liquidityMinted Amount of LP tokens minted
+    function addLiquidityOneToken(address tokenIn, uint256 amountIn, uint256 minLiquidity, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 liquidityMinted)
+    {
+        require(tokenIn == tokenA || tokenIn == tokenB, "Invalid token");
+        require(amountIn > 0, "Amount in must be greater than 0");
+        require(totalSupply() > 0, "No liquidity in pool");
+
+        uint256 received = _pullToken(tokenIn, amountIn);
+        liquidityMinted = getLiquidityOut(tokenIn, received);
+        require(liquidityMinted > 0, "Insufficient liquidity minted");
+        require(liquidityMinted >= minLiquidity, "Slippage limit exceeded");
+
+        if (tokenIn == tokenA) {
+            reserveA += received;
+            emit LiquidityAdded(msg.sender, received, 0, liquidityMinted);
+        } else {
+            reserveB += received;
+            emit LiquidityAdded(msg.sender, 0, received, liquidityMinted);
+        }
+        _mint(msg.sender, liquidityMinted);
+    }
+
+    /// @notice Remove liquidity from the pool in proportion to its reserves
+    /// @param liquidityAmount Amount of LP tokens to burn
+    /// @param amountAMin Minimum amount of token A to receive
+    /// @param amountBMin Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountA Amount of token A received
+    /// @return amountB Amount of token B received
+    function removeLiquidity(uint256 liquidityAmount, uint256 amountAMin, uint256 amountBMin, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountA, uint256 amountB)
+    {
+        require(liquidityAmount > 0, "Liquidity amount must be greater than 0");
+        require(balanceOf(msg.sender) >= liquidityAmount, "Insufficient liquidity");
+        uint256 _totalLiquidity = totalSupply();
+
+        amountA = (liquidityAmount * reserveA) / _totalLiquidity;
+        amountB = (liquidityAmount * reserveB) / _totalLiquidity;
+        require(amountA > 0 && amountB > 0, "Insufficient liquidity burned");
+        require(amountA >= amountAMin && amountB >= amountBMin, "Slippage limit exceeded");
+
+        _burn(msg.sender, liquidityAmount);
+        reserveA -= amountA;
+        reserveB -= amountB;
+
+        IERC20(tokenA).safeTransfer(msg.sender, amountA);
+        IERC20(tokenB).safeTransfer(msg.sender, amountB);
+
+        emit LiquidityRemoved(msg.sender, amountA, amountB, liquidityAmount);
+    }
+
+    /// @notice Remove liquidity and receive only one of the pool's tokens
+    /// @dev Pays out the amount of tokenOut by which the burn shrinks the invariant, less
+    ///      the swap fee on the part a proportional exit would have paid in the other token
+    /// @param tokenOut Address of the token to receive, token A or token B
+    /// @param liquidityAmount Amount of LP tokens to burn
+    /// @param minAmountOut Minimum amount of tokenOut to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountOut Amount of tokenOut received
+    function removeLiquidityOneToken(
+        address tokenOut,
+        uint256 liquidityAmount,
+        uint256 minAmountOut,
+        uint256 deadline
+    )
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountOut)
+    {
+        require(tokenOut == tokenA || tokenOut == tokenB, "Invalid token");
+        require(liquidityAmount > 0, "Liquidity amount must be greater than 0");
+        require(balanceOf(msg.sender) >= liquidityAmount, "Insufficient liquidity");
+
+        amountOut = getAmountOutForLiquidity(tokenOut, liquidityAmount);
+        require(amountOut > 0, "Insufficient liquidity burned");
+        require(amountOut >= minAmountOut, "Slippage limit exceeded");
+
+        _burn(msg.sender, liquidityAmount);
+        if (tokenOut == tokenA) {
+            reserveA -= amountOut;
+        } else {
+            reserveB -= amountOut;
+        }
+        IERC20(tokenOut).safeTransfer(msg.sender, amountOut);
+
+        emit LiquidityRemovedOneToken(msg.sender, tokenOut, amountOut, liquidityAmount);
+    }
+
+    /// @notice Swap token A for token B
+    /// @param amountAIn Amount of token A to swap
+    /// @param minAmountBOut Minimum amount of token B to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBOut Amount of token B received
+    function swapAForB(uint256 amountAIn, uint256 minAmountBOut, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountBOut)
+    {
+        return _swapExactIn(tokenA, amountAIn, minAmountBOut);
+    }
+
+    /// @notice Swap token B for token A
+    /// @param amountBIn Amount of token B to swap
+    /// @param minAmountAOut Minimum amount of token A to receive
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAOut Amount of token A received
+    function swapBForA(uint256 amountBIn, uint256 minAmountAOut, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountAOut)
+    {
+        return _swapExactIn(tokenB, amountBIn, minAmountAOut);
+    }
+
+    /// @notice Swap token A for an exact amount of token B
+    /// @param amountBOut Amount of token B to receive
+    /// @param maxAmountAIn Maximum amount of token A to spend
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountAIn Amount of token A spent
+    function swapAForExactB(uint256 amountBOut, uint256 maxAmountAIn, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountAIn)
+    {
+        return _swapExactOut(tokenB, amountBOut, maxAmountAIn);
+    }
+
+    /// @notice Swap token B for an exact amount of token A
+    /// @param amountAOut Amount of token A to receive
+    /// @param maxAmountBIn Maximum amount of token B to spend
+    /// @param deadline Unix timestamp after which the transaction reverts
+    /// @return amountBIn Amount of token B spent
+    function swapBForExactA(uint256 amountAOut, uint256 maxAmountBIn, uint256 deadline)
+        external
+        nonReentrant
+        ensure(deadline)
+        returns (uint256 amountBIn)
+    {
+        return _swapExactOut(tokenA, amountAOut, maxAmountBIn);
+    }
+
+    /// @notice Get the spot price of token A in terms of token B
+    /// @dev (reserveB / weightB) / (reserveA / weightA), excluding the fee
+    /// @return price Current price (1e18 scaled)
+    function getPrice() external view returns (uint256 price) {
+        require(reserveA > 0 && reserveB > 0, "No liquidity");
+        price = Math.mulDiv(reserveB * weightA, 1e18, reserveA * weightB);
+    }
+
+    /// @notice Get current reserves
+    /// @return _reserveA Current reserve of token A
+    /// @return _reserveB Current reserve of token B
+    function getReserves() external view returns (uint256 _reserveA, uint256 _reserveB) {
+        _reserveA = reserveA;
+        _reserveB = reserveB;
+    }
+
+    /// @notice Weighted-product invariant of the current reserves
+    /// @return Invariant V = reserveA^weightA · reserveB^weightB, 0 for an empty pool
+    function getInvariant() external view returns (uint256) {
+        if (reserveA == 0 || reserveB == 0) return 0;
+        return _invariant(reserveA, reserveB);
+    }
+
+    /// @notice Calculate the output of swapping an exact amount in at the current reserves
+    /// @dev amountOut = reserveOut · (1 - (reserveIn / (reserveIn + amountIn))^(weightIn / weightOut)),
+    ///      with the fee taken from amountIn first
+    /// @param tokenIn Address of the token sold, token A or token B
+    /// @param amountIn Amount of tokenIn sold
+    /// @return amountOut Amount of the other token received (after the pool fee)
+    function getAmountOut(address tokenIn, uint256 amountIn) public view returns (uint256 amountOut) {
+        require(amountIn > 0, "Insufficient input amount");
+        (uint256 reserveIn, uint256 reserveOut, uint256 weightIn, uint256 weightOut) = _poolFor(tokenIn);
+        require(amountIn <= Math.mulDiv(reserveIn, MAX_IN_RATIO, WeightedMath.ONE), "Max in ratio exceeded");
+
+        uint256 amountInWithFee = (amountIn * (FEE_DENOMINATOR - fee)) / FEE_DENOMINATOR;
+        uint256 base = Math.mulDiv(reserveIn, WeightedMath.ONE, reserveIn + amountInWithFee, Math.Rounding.Up);
+        uint256 power = WeightedMath.powUp(base, (weightIn * WeightedMath.ONE) / weightOut);
+        if (power < WeightedMath.ONE) {
+            amountOut = Math.mulDiv(reserveOut, WeightedMath.ONE - power, WeightedMath.ONE);
+        }
+    }
+
+    /// @notice Calculate the input required to receive an exact amount out at the current reserves
+    /// @dev amountIn = reserveIn · ((reserveOut / (reserveOut - amountOut))^(weightOut / weightIn) - 1),
+    ///      grossed up by the fee and rounded up
+    /// @param tokenOut Address of the token bought, token A or token B
+    /// @param amountOut Amount of tokenOut wanted
+    /// @return amountIn Amount of the other token required (including the pool fee)
+    function getAmountIn(address tokenOut, uint256 amountOut) public view returns (uint256 amountIn) {
+        require(amountOut > 0, "Insufficient output amount");
+        (uint256 reserveOut, uint256 reserveIn, uint256 weightOut, uint256 weightIn) = _poolFor(tokenOut);
+        require(amountOut <= Math.mulDiv(reserveOut, MAX_OUT_RATIO, WeightedMath.ONE), "Max out ratio exceeded");
+
+        uint256 base = Math.mulDiv(reserveOut, WeightedMath.ONE, reserveOut - amountOut, Math.Rounding.Up);
+        uint256 exponent = Math.mulDiv(weightOut, WeightedMath.ONE, weightIn, Math.Rounding.Up);
+        uint256 power = WeightedMath.powUp(base, exponent);
+        uint256 amountInWithFee = Math.mulDiv(reserveIn, power - WeightedMath.ONE, WeightedMath.ONE, Math.Rounding.Up);
+        amountIn = Math.mulDiv(amountInWithFee, FEE_DENOMINATOR, FEE_DENOMINATOR - fee, Math.Rounding.Up);
+    }
+
+    /// @notice Calculate the LP tokens minted for a single-token deposit
+    /// @param tokenIn Address of the token deposited, token A or token B
+    /// @param amountIn Amount of tokenIn deposited
+    /// @return liquidityMinted Amount of LP tokens minted
+    function getLiquidityOut(address tokenIn, uint256 amountIn) public view returns (uint256 liquidityMinted) {
+        require(amountIn > 0, "Insufficient input amount");
+        (uint256 reserveIn, , uint256 weightIn, ) = _poolFor(tokenIn);
+        require(amountIn <= Math.mulDiv(reserveIn, MAX_IN_RATIO, WeightedMath.ONE), "Max in ratio exceeded");
+
+        // Only the share a proportional join would have paid in the other token is a swap
+        uint256 taxable = Math.mulDiv(amountIn, WeightedMath.ONE - weightIn, WeightedMath.ONE, Math.Rounding.Up);
+        uint256 amountInWithFee = amountIn - Math.mulDiv(taxable, fee, FEE_DENOMINATOR, Math.Rounding.Up);
+
+        uint256 balanceRatio = Math.mulDiv(reserveIn + amountInWithFee, WeightedMath.ONE, reserveIn);
+        uint256 invariantRatio = WeightedMath.powDown(balanceRatio, weightIn);
+        if (invariantRatio > WeightedMath.ONE) {
+            liquidityMinted = Math.mulDiv(totalSupply(), invariantRatio - WeightedMath.ONE, WeightedMath.ONE);
+        }
+    }
+
+    /// @notice Calculate the amount of one token received for burning LP tokens
+    /// @param tokenOut Address of the token received, token A or token B
+    /// @param liquidityAmount Amount of LP tokens burned
+    /// @return amountOut Amount of tokenOut received (after the pool fee)
+    function getAmountOutForLiquidity(address tokenOut, uint256 liquidityAmount)
+        public
+        view
+        returns (uint256 amountOut)
+    {
+        uint256 _totalLiquidity = totalSupply();
+        require(liquidityAmount > 0 && liquidityAmount < _totalLiquidity, "Invalid liquidity amount");
+        (uint256 reserveOut, , uint256 weightOut, ) = _poolFor(tokenOut);
+
+        uint256 invariantRatio = Math.mulDiv(
+            _totalLiquidity - liquidityAmount,
+            WeightedMath.ONE,
+            _totalLiquidity,
+            Math.Rounding.Up
+        );
+        uint256 balanceRatio = WeightedMath.powUp(invariantRatio, (WeightedMath.ONE * WeightedMath.ONE) / weightOut);
+        if (balanceRatio >= WeightedMath.ONE) return 0;
+
+        uint256 amountOutBeforeFee = Math.mulDiv(reserveOut, WeightedMath.ONE - balanceRatio, WeightedMath.ONE);
+        // Only the share a proportional exit would have paid in the other token is a swap
+        uint256 taxable = Math.mulDiv(amountOutBeforeFee, WeightedMath.ONE - weightOut, WeightedMath.ONE, Math.Rounding.Up);
+        amountOut = amountOutBeforeFee - Math.mulDiv(taxable, fee, FEE_DENOMINATOR, Math.Rounding.Up);
+        require(amountOut <= Math.mulDiv(reserveOut, MAX_OUT_RATIO, WeightedMath.ONE), "Max out ratio exceeded");
+    }
+
+    /// @notice Swap an exact amount of tokenIn for the other token
+    /// @param tokenIn Address of the token sold
+    /// @param amountIn Amount of tokenIn requested from the caller
+    /// @param minAmountOut Minimum amount of the other token to receive
+    /// @return amountOut Amount of the other token sent to the caller
+    function _swapExactIn(address tokenIn, uint256 amountIn, uint256 minAmountOut)
+        private
+        returns (uint256 amountOut)
+    {
+        require(amountIn > 0, "Amount in must be greater than 0");
+        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
+
+        uint256 received = _pullToken(tokenIn, amountIn);
+        amountOut = getAmountOut(tokenIn, received);
+        require(amountOut > 0, "Insufficient output amount");
+        require(amountOut >= minAmountOut, "Slippage limit exceeded");
+
+        _settleSwap(tokenIn, received, amountOut);
+    }
+
+    /// @notice Swap the other token for an exact amount of tokenOut
+    /// @param tokenOut Address of the token bought
+    /// @param amountOut Amount of tokenOut to send to the caller
+    /// @param maxAmountIn Maximum amount of the other token to spend
+    /// @return amountIn Amount of the other token taken from the caller
+    function _swapExactOut(address tokenOut, uint256 amountOut, uint256 maxAmountIn)
+        private
+        returns (uint256 amountIn)
+    {
+        require(amountOut > 0, "Amount out must be greater than 0");
+        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
+
+        amountIn = getAmountIn(tokenOut, amountOut);
+        require(amountIn <= maxAmountIn, "Excessive input amount");
+
+        // Exact-output swaps cannot gross up for transfer fees, the full input must arrive
+        address tokenIn = tokenOut == tokenA ? tokenB : tokenA;
+        require(_pullToken(tokenIn, amountIn) == amountIn, "Transfer fee not supported");
+
+        _settleSwap(tokenIn, amountIn, amountOut);
+    }
+
+    /// @notice Book a swap against the reserves and pay the output to the caller
+    /// @param tokenIn Address of the token the pool received
+    /// @param amountIn Amount of tokenIn the pool received
+    /// @param amountOut Amount of the other token to pay out
+    function _settleSwap(address tokenIn, uint256 amountIn, uint256 amountOut) private {
+        address tokenOut;
+        if (tokenIn == tokenA) {
+            tokenOut = tokenB;
+            reserveA += amountIn;
+            reserveB -= amountOut;
+        } else {
+            tokenOut = tokenA;
+            reserveA -= amountOut;
+            reserveB += amountIn;
+        }
+        IERC20(tokenOut).safeTransfer(msg.sender, amountOut);
+
+        emit Swap(msg.sender, tokenIn, tokenOut, amountIn, amountOut);
+    }
+
+    /// @notice Reserves and weights oriented from the side of the given token
+    /// @param token Address of token A or token B
+    /// @return reserveIn Reserve of the given token
+    /// @return reserveOut Reserve of the other token
+    /// @return weightIn Weight of the given token
+    /// @return weightOut Weight of the other token
+    function _poolFor(address token)
+        private
+        view
+        returns (uint256 reserveIn, uint256 reserveOut, uint256 weightIn, uint256 weightOut)
+    {
+        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
+        if (token == tokenA) {
+            return (reserveA, reserveB, weightA, weightB);
+        }
+        require(token == tokenB, "Invalid token");
+        return (reserveB, reserveA, weightB, weightA);
+    }
+
+    /// @notice Weighted-product invariant of two balances, rounded down
+    function _invariant(uint256 balanceA, uint256 balanceB) private view returns (uint256) {
+        return Math.mulDiv(
+            WeightedMath.powDown(balanceA, weightA),
+            WeightedMath.powDown(balanceB, weightB),
+            WeightedMath.ONE
+        );
+    }
+
+    /// @notice Largest deposit within the desired amounts that matches the pool ratio
+    function _optimalAmounts(uint256 amountADesired, uint256 amountBDesired, uint256 _totalLiquidity)
+        private
+        view
+        returns (uint256 amountA, uint256 amountB)
+    {
+        if (_totalLiquidity == 0) {
+            return (amountADesired, amountBDesired);
+        }
+
+        uint256 amountBOptimal = (amountADesired * reserveB) / reserveA;
+        if (amountBOptimal <= amountBDesired) {
+            (amountA, amountB) = (amountADesired, amountBOptimal);
+        } else {
+            uint256 amountAOptimal = (amountBDesired * reserveA) / reserveB;
+            (amountA, amountB) = (amountAOptimal, amountBDesired);
+        }
+    }
+
+    /// @notice Pull tokens from the caller and return the amount the pool actually received
+    /// @param token Address of the token to pull
+    /// @param amount Amount requested from the caller
+    /// @return received Increase of the pool's token balance
+    function _pullToken(address token, uint256 amount) private returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+}
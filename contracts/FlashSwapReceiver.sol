@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./IDEXFlashCallee.sol";
+import "./DEX.sol";
+
+/// @title FlashSwapReceiver
+/// @notice Sample flash swap borrower that repays each loan in the borrowed tokens
+/// @dev Must hold enough tokens to cover the fee. Use repaymentFor() to compute the amounts
+///      that satisfy the pool; smaller repayments simulate a defaulting borrower.
+contract FlashSwapReceiver is IDEXFlashCallee {
+    using SafeERC20 for IERC20;
+
+    // State variables
+    DEX public immutable pool;
+
+    // Events - MUST emit these
+    event FlashLoanReceived(uint256 amountA, uint256 amountB, uint256 repaidA, uint256 repaidB);
+
+    /// @notice Initialize the receiver for a pool
+    /// @param _pool Address of the DEX pool to borrow from
+    constructor(address _pool) {
+        require(_pool != address(0), "Invalid pool address");
+        pool = DEX(_pool);
+    }
+
+    /// @notice Borrow tokens from the pool
+    /// @param amountA Amount of token A to borrow
+    /// @param amountB Amount of token B to borrow
+    /// @param repayA Amount of token A to pay back inside the callback
+    /// @param repayB Amount of token B to pay back inside the callback
+    function borrow(uint256 amountA, uint256 amountB, uint256 repayA, uint256 repayB) external {
+        pool.flashSwap(amountA, amountB, address(this), abi.encode(repayA, repayB));
+    }
+
+    /// @notice Amount to return for a loan so the pool's fee-adjusted invariant holds
+    /// @param amount Amount borrowed
+    /// @return Amount borrowed plus the pool fee, rounded up
+    function repaymentFor(uint256 amount) public view returns (uint256) {
+        if (amount == 0) return 0;
+        uint256 denominator = pool.FEE_DENOMINATOR();
+        return (amount * denominator) / (denominator - pool.fee()) + 1;
+    }
+
+    /// @inheritdoc IDEXFlashCallee
+    function dexFlashCall(address sender, uint256 amountA, uint256 amountB, bytes calldata data) external override {
+        require(msg.sender == address(pool), "Caller is not the pool");
+        require(sender == address(this), "Untrusted initiator");
+
+        // A real borrower would use the funds here (arbitrage, liquidation, ...)
+
+        (uint256 repaidA, uint256 repaidB) = abi.decode(data, (uint256, uint256));
+        if (repaidA > 0) IERC20(pool.tokenA()).safeTransfer(address(pool), repaidA);
+        if (repaidB > 0) IERC20(pool.tokenB()).safeTransfer(address(pool), repaidB);
+
+        emit FlashLoanReceived(amountA, amountB, repaidA, repaidB);
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/// @title IDEXFlashCallee
+/// @notice Callback interface for contracts receiving a DEX flash swap
+interface IDEXFlashCallee {
+    /// @notice Called by the pool after the requested tokens were sent out
+    /// @dev Before returning, the callee must pay the pool enough tokens for the
+    ///      fee-adjusted constant product to hold, or the whole flash swap reverts
+    /// @param sender Address that initiated the flash swap
+    /// @param amountA Amount of token A sent to the callee
+    /// @param amountB Amount of token B sent to the callee
+    /// @param data Arbitrary data forwarded from flashSwap
+    function dexFlashCall(address sender, uint256 amountA, uint256 amountB, bytes calldata data) external;
+}
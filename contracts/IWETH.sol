@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/// @title IWETH
+/// @notice Wrapped Ether: an ERC20 backed 1:1 by the Ether it holds
+interface IWETH is IERC20 {
+    /// @notice Wrap the Ether sent with the call into the same amount of tokens
+    function deposit() external payable;
+
+    /// @notice Burn tokens and send the same amount of Ether to the caller
+    /// @param amount Amount of tokens to unwrap
+    function withdraw(uint256 amount) external;
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./DEX.sol";
+
+/// @title MockDEXNoLock
+/// @notice DEX pool without the first-deposit share lock, as it was before MINIMUM_LIQUIDITY
+/// @dev Only for regression tests of the first depositor inflation attack the lock prevents.
+///      Pools are set up with the inherited DEX.initialize.
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract MockDEXNoLock is DEX {
+    /// @notice Lock nothing, so the first depositor can mint a single share
+    function _minimumLiquidity() internal pure override returns (uint256) {
+        return 0;
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./DEX.sol";
+
+/// @title MockDEXV2
+/// @notice Storage-compatible DEX upgrade for testing in-place pool upgrades
+/// @dev Only appends state after the DEX layout, so reserves and LP balances keep their slots.
+///      Pools reach this version already initialized by DEX, so it only adds a reinitializer.
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract MockDEXV2 is DEX {
+    uint256 public upgradeNote;
+
+    /// @notice Version of the pool logic
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    /// @notice One-off migration run when a pool is upgraded to this version
+    /// @param note Value stored in the appended slot
+    function initializeV2(uint256 note) external reinitializer(2) onlyRole(DEFAULT_ADMIN_ROLE) {
+        upgradeNote = note;
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./DEX.sol";
+
+/// @notice Declares a state variable ahead of everything DEX inherits
+contract MockStorageShift {
+    uint256 public shifted;
+}
+
+/// @title MockDEXV2Unsafe
+/// @notice DEX upgrade with an incompatible storage layout, which upgrade checks must reject
+/// @dev The inherited MockStorageShift slot moves every DEX variable down by one
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract MockDEXV2Unsafe is MockStorageShift, DEX {}
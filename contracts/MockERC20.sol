@@ -2,14 +2,16 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /// @title MockERC20
 /// @notice Simple ERC20 token for testing purposes
-contract MockERC20 is ERC20 {
+/// @dev Supports EIP-2612 permits (domain version "1") for testing gasless approvals
+contract MockERC20 is ERC20, ERC20Permit {
     /// @notice Constructor that mints initial supply to deployer
     /// @param name Token name
     /// @param symbol Token symbol
-    constructor(string memory name, string memory symbol) ERC20(name, symbol) {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) ERC20Permit(name) {
         _mint(msg.sender, 1000000 * 10**18); // Mint 1 million tokens
     }
     
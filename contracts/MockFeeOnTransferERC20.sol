@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./MockERC20.sol";
+
+/// @title MockFeeOnTransferERC20
+/// @notice Deflationary ERC20 token for testing: burns a fee from every transfer
+/// @dev The sender is debited the full amount, the recipient receives amount minus the fee
+contract MockFeeOnTransferERC20 is MockERC20 {
+    uint256 public immutable transferFeeBps;
+
+    /// @notice Constructor that mints initial supply to deployer
+    /// @param name Token name
+    /// @param symbol Token symbol
+    /// @param _transferFeeBps Fee burned on each transfer, in basis points
+    constructor(string memory name, string memory symbol, uint256 _transferFeeBps) MockERC20(name, symbol) {
+        require(_transferFeeBps < 10000, "Invalid transfer fee");
+        transferFeeBps = _transferFeeBps;
+    }
+
+    /// @notice Burn the transfer fee from the sender, then move the remainder
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 transferFee = (amount * transferFeeBps) / 10000;
+        if (transferFee > 0) {
+            _burn(from, transferFee);
+        }
+        super._transfer(from, to, amount - transferFee);
+    }
+}
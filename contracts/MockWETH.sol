@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "./IWETH.sol";
+
+/// @title MockWETH
+/// @notice Minimal Wrapped Ether for testing native ETH pairs locally
+contract MockWETH is ERC20, IWETH {
+    // Events - MUST emit these
+    event Deposit(address indexed account, uint256 amount);
+    event Withdrawal(address indexed account, uint256 amount);
+
+    constructor() ERC20("Wrapped Ether", "WETH") {}
+
+    /// @notice Plain Ether transfers are wrapped for the sender
+    receive() external payable {
+        deposit();
+    }
+
+    /// @notice Wrap the Ether sent with the call into the same amount of tokens
+    function deposit() public payable {
+        _mint(msg.sender, msg.value);
+        emit Deposit(msg.sender, msg.value);
+    }
+
+    /// @notice Burn tokens and send the same amount of Ether to the caller
+    /// @param amount Amount of tokens to unwrap
+    function withdraw(uint256 amount) external {
+        _burn(msg.sender, amount);
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "ETH transfer failed");
+        emit Withdrawal(msg.sender, amount);
+    }
+}
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @title WeightedMath
+/// @notice Fixed-point power function for the weighted-product invariant
+/// @dev All values are 1e18 scaled. pow(x, y) is evaluated as 2^(y·log2(x)); log2 extracts
+///      one bit per squaring and 2^f uses a Taylor series of e^(f·ln 2). The result is
+///      accurate to within MAX_POW_RELATIVE_ERROR, which callers use to round in the pool's
+///      favour through powUp and powDown.
+library WeightedMath {
+    // 1.0 in fixed point
+    uint256 internal constant ONE = 1e18;
+    // Relative error bound of pow (1e-14)
+    uint256 internal constant MAX_POW_RELATIVE_ERROR = 10000;
+
+    // ln(2), 1e18 scaled
+    uint256 private constant LN2 = 693147180559945309;
+    // exp2 overflows uint256 from 2^192 onwards
+    uint256 private constant MAX_EXP2_INPUT = 192 * ONE;
+
+    /// @notice x^y, rounded up by the maximum error of pow
+    /// @param x Base, 1e18 scaled, greater than 0
+    /// @param y Exponent, 1e18 scaled
+    /// @return Upper bound of x^y
+    function powUp(uint256 x, uint256 y) internal pure returns (uint256) {
+        uint256 raw = pow(x, y);
+        return raw + Math.mulDiv(raw, MAX_POW_RELATIVE_ERROR, ONE, Math.Rounding.Up) + 1;
+    }
+
+    /// @notice x^y, rounded down by the maximum error of pow
+    /// @param x Base, 1e18 scaled, greater than 0
+    /// @param y Exponent, 1e18 scaled
+    /// @return Lower bound of x^y
+    function powDown(uint256 x, uint256 y) internal pure returns (uint256) {
+        uint256 raw = pow(x, y);
+        uint256 maxError = Math.mulDiv(raw, MAX_POW_RELATIVE_ERROR, ONE, Math.Rounding.Up) + 1;
+        return raw > maxError ? raw - maxError : 0;
+    }
+
+    /// @notice x^y without error correction
+    /// @param x Base, 1e18 scaled, greater than 0
+    /// @param y Exponent, 1e18 scaled
+    /// @return x^y, 1e18 scaled
+    function pow(uint256 x, uint256 y) internal pure returns (uint256) {
+        require(x > 0, "Invalid base");
+        if (y == 0 || x == ONE) return ONE;
+        if (y == ONE) return x;
+
+        if (x > ONE) {
+            return exp2(Math.mulDiv(log2(x), y, ONE));
+        }
+        // x^y = 1 / (1/x)^y keeps log2 on its non-negative domain
+        return Math.mulDiv(ONE, ONE, exp2(Math.mulDiv(log2(Math.mulDiv(ONE, ONE, x)), y, ONE)));
+    }
+
+    /// @notice Binary logarithm
+    /// @param x Input, 1e18 scaled, at least 1
+    /// @return result log2(x), 1e18 scaled
+    function log2(uint256 x) internal pure returns (uint256 result) {
+        require(x >= ONE, "Invalid log input");
+
+        // Integer part from the most significant bit, then normalise x into [1, 2)
+        uint256 n = Math.log2(x / ONE);
+        result = n * ONE;
+        uint256 y = x >> n;
+        if (y == ONE) return result;
+
+        // Each squaring doubles log2(y); a result of 2 or more sets the next fractional bit
+        for (uint256 delta = ONE / 2; delta > 0; delta >>= 1) {
+            y = (y * y) / ONE;
+            if (y >= 2 * ONE) {
+                result += delta;
+                y >>= 1;
+            }
+        }
+    }
+
+    /// @notice Binary exponent
+    /// @param x Input, 1e18 scaled, below 192
+    /// @return result 2^x, 1e18 scaled
+    function exp2(uint256 x) internal pure returns (uint256 result) {
+        require(x < MAX_EXP2_INPUT, "Exponent too large");
+
+        // 2^x = 2^n · e^(f·ln 2) with n the integer and f the fractional part
+        uint256 z = ((x % ONE) * LN2) / ONE;
+        uint256 term = ONE;
+        result = ONE;
+        for (uint256 i = 1; term > 0; i++) {
+            term = (term * z) / (i * ONE);
+            result += term;
+        }
+        result <<= x / ONE;
+    }
+}
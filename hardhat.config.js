@@ -1,4 +1,12 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
+require("./tasks/dex");
+
+// Node started with `npx hardhat node`, override with LOCALHOST_RPC_URL
+const LOCALHOST_RPC_URL = process.env.LOCALHOST_RPC_URL || "http://127.0.0.1:8545";
+// Sepolia is available once SEPOLIA_RPC_URL is set; DEPLOYER_PRIVATE_KEY signs there
+const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL;
+const DEPLOYER_PRIVATE_KEY = process.env.DEPLOYER_PRIVATE_KEY;
 
 module.exports = {
     solidity: {
@@ -13,6 +21,17 @@ module.exports = {
     networks: {
         hardhat: {
             chainId: 31337
-        }
+        },
+        localhost: {
+            url: LOCALHOST_RPC_URL,
+            chainId: 31337
+        },
+        ...(SEPOLIA_RPC_URL && {
+            sepolia: {
+                url: SEPOLIA_RPC_URL,
+                chainId: 11155111,
+                accounts: DEPLOYER_PRIVATE_KEY ? [DEPLOYER_PRIVATE_KEY] : []
+            }
+        })
     }
 };
@@ -1,30 +1,48 @@
+const fs = require("fs");
 const hre = require("hardhat");
+const { defaultPairsConfig, loadPairsConfig, deployDex } = require("./utils/deployment");
+const { manifestPath, saveManifest, loadManifest } = require("./utils/manifest");
+
+// Pair list to deploy, override with PAIRS_CONFIG=<path to json>
+// (default config/pairs.<network>.json if it exists, otherwise config/pairs.json)
+// Each pair is [symbolA, symbolB] or [symbolA, symbolB, feeBps]
+const CONFIG_PATH = process.env.PAIRS_CONFIG || defaultPairsConfig(hre.network.name);
+// Deploy pairs behind upgradeable proxies instead of fixed clones, set UPGRADEABLE=1
+const UPGRADEABLE = process.env.UPGRADEABLE === "1";
+// Where the deployment is recorded (default deployments/<network>.json)
+const MANIFEST_PATH = process.env.MANIFEST_PATH || manifestPath(hre.network.name);
+// Ignore the existing manifest and deploy everything again, set FRESH=1
+const FRESH = process.env.FRESH === "1";
 
 async function main() {
     console.log("Deploying DEX AMM contracts...");
+    console.log("Using pairs config:", CONFIG_PATH);
+    const config = loadPairsConfig(CONFIG_PATH);
 
-    // Deploy Token A
-    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
-    const tokenA = await MockERC20.deploy("Token A", "TKA");
-    await tokenA.deployed();
-    console.log("Token A deployed to:", tokenA.address);
-
-    // Deploy Token B
-    const tokenB = await MockERC20.deploy("Token B", "TKB");
-    await tokenB.deployed();
-    console.log("Token B deployed to:", tokenB.address);
+    // Contracts recorded by an earlier run are kept if they are still on chain unchanged
+    let previous = null;
+    if (!FRESH && fs.existsSync(MANIFEST_PATH)) {
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        previous = loadManifest(MANIFEST_PATH, chainId);
+        console.log("Resuming from manifest:", MANIFEST_PATH);
+    }
 
-    // Deploy DEX
-    const DEX = await hre.ethers.getContractFactory("DEX");
-    const dex = await DEX.deploy(tokenA.address, tokenB.address);
-    await dex.deployed();
-    console.log("DEX deployed to:", dex.address);
+    const manifest = await deployDex(hre, config, { upgradeable: UPGRADEABLE, previous, log: console.log });
+    saveManifest(MANIFEST_PATH, manifest);
 
     console.log("\nDeployment Summary:");
     console.log("===================");
-    console.log("Token A:", tokenA.address);
-    console.log("Token B:", tokenB.address);
-    console.log("DEX:", dex.address);
+    for (const [symbol, token] of Object.entries(manifest.tokens)) {
+        console.log(`Token ${symbol}:`, token.address);
+    }
+    console.log("DEX implementation:", manifest.contracts.DEXImplementation.address);
+    console.log("DEXFactory:", manifest.contracts.DEXFactory.address);
+    for (const [name, pair] of Object.entries(manifest.pairs)) {
+        console.log(`DEX ${name}:`, pair.address);
+        // The pair itself is the LP token
+        console.log(`LP Token ${name}:`, pair.address);
+    }
+    console.log("Manifest saved to:", MANIFEST_PATH);
 }
 
 main()
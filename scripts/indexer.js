@@ -0,0 +1,82 @@
+const path = require("path");
+const hre = require("hardhat");
+const { EventStore } = require("./utils/eventStore");
+const { PoolIndexer } = require("./utils/poolIndexer");
+const { createIndexerServer } = require("./utils/indexerApi");
+
+// Comma-separated pools to follow: POOL_ADDRESSES=<pool>,<pool>
+const POOL_ADDRESSES = (process.env.POOL_ADDRESSES || "").split(",").map((a) => a.trim()).filter(Boolean);
+// DEXFactory whose pairs are followed as they are created: FACTORY_ADDRESS=<address>
+const FACTORY_ADDRESS = process.env.FACTORY_ADDRESS;
+// First block to index, e.g. the factory deployment block (default 0)
+const START_BLOCK = Number(process.env.START_BLOCK || 0);
+// Blocks to stay behind the head, so shallow reorgs never reach the store (default 0)
+const CONFIRMATIONS = Number(process.env.CONFIRMATIONS || 0);
+// JSON store to persist to (default indexer-data/<network>.json)
+const INDEXER_STORE = process.env.INDEXER_STORE || path.join("indexer-data", `${hre.network.name}.json`);
+// Port of the HTTP API (default 4000)
+const INDEXER_PORT = Number(process.env.INDEXER_PORT || 4000);
+// Milliseconds between syncs (default 2000)
+const INDEXER_POLL_MS = Number(process.env.INDEXER_POLL_MS || 2000);
+// Sync once and exit without serving the API, set INDEXER_ONCE=1
+const INDEXER_ONCE = process.env.INDEXER_ONCE === "1";
+
+// Sync and log what changed
+async function runSync(indexer) {
+    const { reorgDepth, events, checkpoint } = await indexer.sync();
+    if (reorgDepth > 0) console.log(`   ⚠️  Reorg detected, rolled back ${reorgDepth} block(s)`);
+    if (events > 0 || reorgDepth > 0) {
+        console.log(`   📥 ${events} event(s) indexed, checkpoint at block ${checkpoint ? checkpoint.blockNumber : "none"}`);
+    }
+}
+
+async function main() {
+    if (POOL_ADDRESSES.length === 0 && !FACTORY_ADDRESS) {
+        throw new Error("Set POOL_ADDRESSES and/or FACTORY_ADDRESS to the pools to index");
+    }
+
+    const provider = hre.ethers.provider;
+    const { chainId } = await provider.getNetwork();
+    const store = EventStore.load(INDEXER_STORE, chainId);
+    const indexer = new PoolIndexer({
+        provider,
+        store,
+        pools: POOL_ADDRESSES,
+        factory: FACTORY_ADDRESS,
+        startBlock: START_BLOCK,
+        confirmations: CONFIRMATIONS,
+    });
+
+    console.log("🗂️  Pool indexer");
+    console.log(`   Network: ${hre.network.name} (chain ${chainId})`);
+    console.log(`   Store:   ${INDEXER_STORE}`);
+    console.log(
+        `   Resume:  ${store.checkpoint ? `after block ${store.checkpoint.blockNumber}` : `from block ${START_BLOCK}`}\n`
+    );
+
+    await runSync(indexer);
+    if (INDEXER_ONCE) return;
+
+    const server = createIndexerServer(store);
+    await new Promise((resolve) => server.listen(INDEXER_PORT, resolve));
+    console.log(`🌐 API listening on http://localhost:${INDEXER_PORT}, press Ctrl+C to stop`);
+
+    // Poll instead of subscribing so a missed notification can never leave a gap
+    let stopped = false;
+    process.on("SIGINT", () => {
+        stopped = true;
+    });
+    while (!stopped) {
+        await new Promise((resolve) => setTimeout(resolve, INDEXER_POLL_MS));
+        if (stopped) break;
+        await runSync(indexer).catch((error) => console.error(`   ❌ Sync failed: ${error.message}`));
+    }
+    server.close();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
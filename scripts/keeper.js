@@ -0,0 +1,58 @@
+const hre = require("hardhat");
+const { fillExecutableOrders } = require("./utils/limitOrders");
+
+// DEXLimitOrders contract to keep, required: ORDER_BOOK_ADDRESS=<address>
+const ORDER_BOOK_ADDRESS = process.env.ORDER_BOOK_ADDRESS;
+// Scan once and exit instead of watching for swaps, set KEEPER_ONCE=1
+const KEEPER_ONCE = process.env.KEEPER_ONCE === "1";
+
+// Fill every eligible order and log the outcome
+async function runKeeper(orderBook, reason) {
+    const { filled, failed } = await fillExecutableOrders(orderBook);
+    for (const { orderId, txHash } of filled) {
+        console.log(`   ✅ Order #${orderId} filled (${reason}) in ${txHash}`);
+    }
+    for (const { orderId, reason: error } of failed) {
+        console.log(`   ⚠️  Order #${orderId} is past its target but could not be filled: ${error}`);
+    }
+}
+
+async function main() {
+    if (!ORDER_BOOK_ADDRESS) {
+        throw new Error("Set ORDER_BOOK_ADDRESS to the DEXLimitOrders contract to keep");
+    }
+
+    const [keeper] = await hre.ethers.getSigners();
+    const orderBook = await hre.ethers.getContractAt("DEXLimitOrders", ORDER_BOOK_ADDRESS, keeper);
+    const pool = await hre.ethers.getContractAt("DEX", await orderBook.pool());
+
+    console.log("🤖 Limit order keeper");
+    console.log(`   Keeper:     ${keeper.address}`);
+    console.log(`   Order book: ${orderBook.address}`);
+    console.log(`   Pool:       ${pool.address}`);
+    console.log(`   Bounty:     ${(await orderBook.keeperBounty()).toNumber() / 100}%\n`);
+
+    // Orders may already be executable before any new swap happens
+    await runKeeper(orderBook, "startup");
+    if (KEEPER_ONCE) return;
+
+    // Only swaps move the price, so re-check orders after each one. Runs are chained so
+    // two events never race to fill the same order.
+    let queue = Promise.resolve();
+    pool.on("Swap", (trader, tokenIn, tokenOut, amountIn, amountOut, event) => {
+        console.log(`🔄 Swap in block ${event.blockNumber}, checking orders...`);
+        queue = queue.then(() => runKeeper(orderBook, `swap in block ${event.blockNumber}`)).catch(console.error);
+    });
+    console.log("👀 Watching for swaps, press Ctrl+C to stop");
+
+    // Keep the process alive until interrupted
+    await new Promise((resolve) => process.on("SIGINT", resolve));
+    pool.removeAllListeners("Swap");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -1,4 +1,38 @@
 const hre = require("hardhat");
+const { signPermit } = require("./utils/permit");
+const { DEXClient } = require("./utils/dexClient");
+
+// Slippage tolerance in basis points (50 = 0.5%), override with SLIPPAGE_BPS
+const SLIPPAGE_BPS = Number(process.env.SLIPPAGE_BPS || 50);
+// Pool LP fee in basis points (30 = 0.3%), override with FEE_BPS
+const FEE_BPS = Number(process.env.FEE_BPS || 30);
+// Pool to simulate: "dex" (constant product) or "stable" (StableSwap), override with POOL_TYPE
+const POOL_TYPE = process.env.POOL_TYPE || "dex";
+// StableSwap amplification coefficient, override with AMPLIFICATION
+const AMPLIFICATION = Number(process.env.AMPLIFICATION || 100);
+// Seconds a transaction may wait in the mempool before it reverts
+const DEADLINE_SECONDS = 20 * 60;
+
+// Reduce a quoted amount by the configured slippage tolerance
+function withSlippage(amount) {
+    return amount.mul(10000 - SLIPPAGE_BPS).div(10000);
+}
+
+// Deploy the configured pool type; both expose the same liquidity, swap and quote functions
+async function deployPool(tokenA, tokenB) {
+    if (POOL_TYPE === "stable") {
+        const DEXStable = await hre.ethers.getContractFactory("DEXStable");
+        return DEXStable.deploy(tokenA.address, tokenB.address, FEE_BPS, AMPLIFICATION);
+    }
+    const DEX = await hre.ethers.getContractFactory("DEX");
+    return hre.upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, FEE_BPS]);
+}
+
+// Deadline relative to the latest block timestamp
+async function getDeadline() {
+    const block = await hre.ethers.provider.getBlock("latest");
+    return block.timestamp + DEADLINE_SECONDS;
+}
 
 async function main() {
     console.log("\n🚀 STARTING DEX SIMULATION 🚀");
@@ -14,14 +48,13 @@ async function main() {
     await tokenA.deployed();
     await tokenB.deployed();
 
-    const DEX = await hre.ethers.getContractFactory("DEX");
-    const dex = await DEX.deploy(tokenA.address, tokenB.address);
+    const dex = await deployPool(tokenA, tokenB);
     await dex.deployed();
 
     console.log("   ✅ Tokens deployed:");
     console.log(`      - Gold (GLD): ${tokenA.address}`);
     console.log(`      - Silver (SLV): ${tokenB.address}`);
-    console.log(`   ✅ DEX deployed at: ${dex.address}\n`);
+    console.log(`   ✅ DEX (${POOL_TYPE}) deployed at: ${dex.address}\n`);
 
     // 2. Setup Initial Balances
     console.log("💰 Step 2: Setting up Wallets...");
@@ -32,12 +65,10 @@ async function main() {
     await tokenB.mint(trader.address, mintAmount);
 
     console.log("   ✅ Minted 10,000 GLD and SLV to Owner and Trader");
-    console.log("   ✅ Approving DEX to spend tokens...\n");
+    console.log("   ✅ Owner approving DEX to spend tokens (Trader will sign a permit instead)...\n");
 
     await tokenA.approve(dex.address, mintAmount);
     await tokenB.approve(dex.address, mintAmount);
-    await tokenA.connect(trader).approve(dex.address, mintAmount);
-    await tokenB.connect(trader).approve(dex.address, mintAmount);
 
     // 3. Add Initial Liquidity
     console.log("💧 Step 3: Owner Adding Initial Liquidity...");
@@ -45,10 +76,14 @@ async function main() {
     const amountB = hre.ethers.utils.parseEther("200");
 
     console.log(`   🔸 Adding: 100 GLD + 200 SLV`);
-    await dex.addLiquidity(amountA, amountB);
+    await dex.addLiquidity(amountA, amountB, 0, 0, await getDeadline());
 
     const reserves = await dex.getReserves();
+    const lpToken = await hre.ethers.getContractAt("IERC20Metadata", dex.address);
+    const lpSymbol = await lpToken.symbol();
+    const lpBalance = await lpToken.balanceOf(owner.address);
     console.log(`   ✅ Liquidity Added!`);
+    console.log(`   🎫 Owner LP Balance: ${hre.ethers.utils.formatEther(lpBalance)} ${lpSymbol}`);
     console.log(`   📊 Pool State:`);
     console.log(`      - Reserve GLD: ${hre.ethers.utils.formatEther(reserves._reserveA)}`);
     console.log(`      - Reserve SLV: ${hre.ethers.utils.formatEther(reserves._reserveB)}`);
@@ -61,12 +96,27 @@ async function main() {
     const swapAmount = hre.ethers.utils.parseEther("10");
     console.log(`   🔸 Trader Input: 10 GLD`);
 
-    // Calculate expected output
-    const expectedOut = await dex.getAmountOut(swapAmount, reserves._reserveA, reserves._reserveB);
+    // Calculate expected output: off-chain from the pool state for the constant-product pool,
+    // on-chain for StableSwap
+    const expectedOut = POOL_TYPE === "stable"
+        ? await dex.getAmountOut(swapAmount, reserves._reserveA, reserves._reserveB)
+        : (await new DEXClient(dex).quoteSwapExactIn(tokenA.address, swapAmount)).amountOut;
     console.log(`   🔮 Expected Output: ${hre.ethers.utils.formatEther(expectedOut)} SLV`);
 
-    // Execute swap
-    await dex.connect(trader).swapAForB(swapAmount);
+    // Protect the trade against front-running
+    const minOut = withSlippage(expectedOut);
+    console.log(`   🛡️  Minimum Output (${SLIPPAGE_BPS / 100}% slippage): ${hre.ethers.utils.formatEther(minOut)} SLV`);
+
+    // Execute swap, approving GLD with a signed permit in the same transaction where supported
+    const deadline = await getDeadline();
+    if (dex.swapAForBWithPermit) {
+        const permit = await signPermit(tokenA, trader, dex.address, swapAmount, deadline);
+        console.log(`   ✍️  Trader signed a permit for 10 GLD (no approve transaction)`);
+        await dex.connect(trader).swapAForBWithPermit(swapAmount, minOut, deadline, permit);
+    } else {
+        await tokenA.connect(trader).approve(dex.address, swapAmount);
+        await dex.connect(trader).swapAForB(swapAmount, minOut, deadline);
+    }
     console.log(`   ✅ Swap Complete!\n`);
 
     // 5. Check New State
@@ -82,13 +132,15 @@ async function main() {
     console.log(`      - New Price: 1 GLD = ${hre.ethers.utils.formatEther(newPrice)} SLV`);
     console.log(`   💡 Price Impact: GLD is now cheaper (more supply in pool)!`);
 
-    // Check Fee Accumulation
-    const kOld = reserves._reserveA.mul(reserves._reserveB);
-    const kNew = newReserves._reserveA.mul(newReserves._reserveB);
+    // Check Fee Accumulation: fees grow the pool's invariant (x * y, or D for StableSwap)
+    const invariant = (r) => (POOL_TYPE === "stable" ? dex.getD(r._reserveA, r._reserveB) : r._reserveA.mul(r._reserveB));
+    const kOld = await invariant(reserves);
+    const kNew = await invariant(newReserves);
+    const kLabel = POOL_TYPE === "stable" ? "D (StableSwap)" : "K (Constant Product)";
 
     console.log(`\n💵 Step 6: Fee Validation`);
-    console.log(`   - K (Constant Product) before: ${kOld}`);
-    console.log(`   - K (Constant Product) after:  ${kNew}`);
+    console.log(`   - ${kLabel} before: ${kOld}`);
+    console.log(`   - ${kLabel} after:  ${kNew}`);
     if (kNew.gt(kOld)) {
         console.log(`   ✅ K increased! Fees collected correctly.`);
     } else {
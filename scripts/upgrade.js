@@ -0,0 +1,70 @@
+const hre = require("hardhat");
+const { checkPoolUpgrade, upgradePool } = require("./utils/upgrades");
+
+// Pools to upgrade, either POOL_ADDRESSES=<address>,<address> or every pair of FACTORY_ADDRESS
+const POOL_ADDRESSES = process.env.POOL_ADDRESSES;
+const FACTORY_ADDRESS = process.env.FACTORY_ADDRESS;
+// Contract the pools run today and the one to upgrade them to
+const CURRENT_CONTRACT = process.env.CURRENT_CONTRACT || "DEX";
+const NEW_CONTRACT = process.env.NEW_CONTRACT;
+// Only run the storage-layout check without upgrading, set CHECK_ONLY=1
+const CHECK_ONLY = process.env.CHECK_ONLY === "1";
+
+// Resolve the pools to upgrade from the environment
+async function getPoolAddresses() {
+    if (POOL_ADDRESSES) {
+        return POOL_ADDRESSES.split(",").map((address) => address.trim()).filter(Boolean);
+    }
+    if (FACTORY_ADDRESS) {
+        const factory = await hre.ethers.getContractAt("DEXFactory", FACTORY_ADDRESS);
+        if (!(await factory.upgradeablePairs())) {
+            throw new Error(`Factory ${FACTORY_ADDRESS} deploys fixed clones, its pairs cannot be upgraded`);
+        }
+        const count = (await factory.allPairsLength()).toNumber();
+        const pairs = [];
+        for (let i = 0; i < count; i++) pairs.push(await factory.allPairs(i));
+        return pairs;
+    }
+    throw new Error("Set POOL_ADDRESSES or FACTORY_ADDRESS to the pools to upgrade");
+}
+
+async function main() {
+    if (!NEW_CONTRACT) {
+        throw new Error("Set NEW_CONTRACT to the name of the contract to upgrade to");
+    }
+
+    const CurrentImplementation = await hre.ethers.getContractFactory(CURRENT_CONTRACT);
+    const NewImplementation = await hre.ethers.getContractFactory(NEW_CONTRACT);
+    const pools = await getPoolAddresses();
+
+    console.log(`🔍 Checking ${pools.length} pool(s) for an upgrade from ${CURRENT_CONTRACT} to ${NEW_CONTRACT}\n`);
+
+    // Check every pool before touching any, so an unsafe layout never leaves a half-upgraded set
+    let unsafe = 0;
+    for (const pool of pools) {
+        const { safe, reason } = await checkPoolUpgrade(hre.upgrades, pool, CurrentImplementation, NewImplementation);
+        if (safe) {
+            console.log(`   ✅ ${pool}: storage layout compatible`);
+        } else {
+            unsafe++;
+            console.log(`   ❌ ${pool}: ${reason}`);
+        }
+    }
+    if (unsafe > 0) {
+        throw new Error(`Refusing to upgrade: ${unsafe} pool(s) failed the storage-layout check`);
+    }
+    if (CHECK_ONLY) return;
+
+    console.log("\n⬆️  Upgrading...");
+    for (const pool of pools) {
+        const implementation = await upgradePool(hre.upgrades, pool, CurrentImplementation, NewImplementation);
+        console.log(`   ✅ ${pool} now runs ${implementation}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
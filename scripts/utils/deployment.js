@@ -0,0 +1,316 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { importPool } = require("./upgrades");
+
+// LP fee for pairs that do not specify one (30 = 0.3%)
+const DEFAULT_FEE_BPS = 30;
+// Directory holding pairs.json and the per-network pairs.<network>.json overrides
+const CONFIG_DIR = path.join(__dirname, "..", "..", "config");
+// Runtime code of an EIP-1167 minimal clone, around the 20-byte implementation address
+const CLONE_CODE_PREFIX = "0x363d3d373d3d3d363d73";
+const CLONE_CODE_SUFFIX = "5af43d82803e903d91602b57fd5bf3";
+// ERC1967 implementation slot, bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Contract deployed directly by the pipeline, as recorded in the manifest.
+ * @typedef {object} DeployedContract
+ * @property {string} contract Contract name of the artifact it was built from
+ * @property {string} address Deployed address
+ * @property {Array} args Constructor arguments
+ * @property {number} blockNumber Block of the deployment transaction
+ * @property {string} transactionHash Deployment transaction
+ * @property {string} abiHash keccak256 of the artifact's JSON ABI
+ * @property {string} codeHash keccak256 of the runtime code on chain right after deployment
+ */
+
+/**
+ * Pairs config used when none is given: config/pairs.<network>.json if it exists,
+ * otherwise config/pairs.json.
+ * @param {string} network Hardhat network name
+ * @returns {string} Config path
+ */
+function defaultPairsConfig(network) {
+    const networkConfig = path.join(CONFIG_DIR, `pairs.${network}.json`);
+    return fs.existsSync(networkConfig) ? networkConfig : path.join(CONFIG_DIR, "pairs.json");
+}
+
+/**
+ * Read a pairs config: the tokens to use and the pairs to create from them.
+ * A token with an "address" is an existing token; without one a MockERC20 is deployed.
+ * Each pair is [symbolA, symbolB] or [symbolA, symbolB, feeBps].
+ * @param {string} configPath Location of the JSON config
+ * @returns {{tokens: {name?: string, symbol: string, address?: string}[], pairs: Array[]}} Parsed config
+ */
+function loadPairsConfig(configPath) {
+    const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    if (!Array.isArray(config.tokens) || !Array.isArray(config.pairs)) {
+        throw new Error(`Invalid pairs config ${configPath}: expected "tokens" and "pairs" arrays`);
+    }
+    for (const token of config.tokens) {
+        if (!token.symbol) throw new Error(`Invalid pairs config ${configPath}: every token needs a "symbol"`);
+        if (token.address !== undefined && !ethers.utils.isAddress(token.address)) {
+            throw new Error(`Invalid pairs config ${configPath}: ${token.symbol} has invalid address ${token.address}`);
+        }
+        if (token.address === undefined && !token.name) {
+            throw new Error(`Invalid pairs config ${configPath}: mock token ${token.symbol} needs a "name"`);
+        }
+    }
+    return config;
+}
+
+/**
+ * Deploy the configured tokens, the pool implementation, the factory and every configured pair.
+ * With the manifest of an earlier run, contracts that are still on chain with the same
+ * constructor arguments and the same compiled code are kept instead of deployed again, and
+ * pairs the factory already has are not created again, so re-running a deploy is a no-op.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} config Pairs config, see loadPairsConfig
+ * @param {object} [options]
+ * @param {boolean} [options.upgradeable] Put pairs behind upgradeable proxies instead of fixed clones
+ * @param {DeploymentManifest} [options.previous] Manifest of an earlier deploy to the same network
+ * @param {function(...*)} [options.log] Progress logger, silent if omitted
+ * @returns {Promise<DeploymentManifest>} Everything deployed or kept
+ */
+async function deployDex(hre, config, { upgradeable = false, previous = null, log = () => {} } = {}) {
+    const [deployer] = await hre.ethers.getSigners();
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const prior = { contracts: {}, tokens: {}, pairs: {}, ...previous };
+
+    const tokens = {};
+    for (const token of config.tokens) {
+        tokens[token.symbol] = token.address
+            ? await _useExistingToken(hre, token, log)
+            : {
+                  name: token.name,
+                  ...(await _deployOrReuse(hre, prior.tokens[token.symbol], "MockERC20", [token.name, token.symbol], {
+                      label: `${token.name} (${token.symbol})`,
+                      log,
+                  })),
+              };
+    }
+
+    // In upgradeable mode the plugin checks the implementation is upgrade safe before it is
+    // used; the storage layout of each pool is recorded when the pool is imported below.
+    if (upgradeable) {
+        await hre.upgrades.validateImplementation(await hre.ethers.getContractFactory("DEX"), { kind: "uups" });
+    }
+    const implementation = await _deployOrReuse(hre, prior.contracts.DEXImplementation, "DEX", [], {
+        label: `DEX implementation (${upgradeable ? "upgradeable" : "fixed"} pairs)`,
+        log,
+    });
+    const factoryEntry = await _deployOrReuse(hre, prior.contracts.DEXFactory, "DEXFactory", [implementation.address, upgradeable], {
+        label: "DEXFactory",
+        log,
+    });
+
+    const factory = await hre.ethers.getContractAt("DEXFactory", factoryEntry.address);
+    const pairs = {};
+    for (const [symbolA, symbolB, fee = DEFAULT_FEE_BPS] of config.pairs) {
+        const tokenA = tokens[symbolA];
+        const tokenB = tokens[symbolB];
+        if (!tokenA || !tokenB) {
+            throw new Error(`Pair ${symbolA}/${symbolB} references a token missing from "tokens"`);
+        }
+        const pair = await _createOrReusePair(hre, factory, factoryEntry.blockNumber, {
+            name: `${symbolA}/${symbolB}`,
+            tokenA: tokenA.address,
+            tokenB: tokenB.address,
+            fee,
+            upgradeable,
+            log,
+        });
+        await _logLpToken(hre, pair.address, deployer.address, log);
+        pairs[`${symbolA}/${symbolB}`] = pair;
+    }
+
+    return {
+        network: hre.network.name,
+        chainId,
+        deployer: deployer.address,
+        upgradeable,
+        contracts: { DEXImplementation: implementation, DEXFactory: factoryEntry },
+        tokens,
+        pairs,
+    };
+}
+
+/**
+ * Check that everything in a manifest is on chain as recorded: the code hash of every entry,
+ * that deployed contracts still match their compiled artifacts (immutables aside) and ABIs,
+ * and that every pair delegates to the recorded implementation.
+ * @param {object} hre Hardhat runtime environment
+ * @param {DeploymentManifest} manifest Manifest to verify
+ * @returns {Promise<{name: string, address: string, ok: boolean, reason: string|null}[]>} One result per entry
+ */
+async function verifyDeployment(hre, manifest) {
+    const results = [];
+    const record = (name, address, reason) => results.push({ name, address, ok: reason === null, reason });
+
+    for (const [name, entry] of Object.entries(manifest.contracts)) {
+        record(name, entry.address, await _checkDeployed(hre, entry));
+    }
+    for (const [symbol, entry] of Object.entries(manifest.tokens)) {
+        const reason = entry.external ? await _checkCodeHash(hre, entry) : await _checkDeployed(hre, entry);
+        record(`token ${symbol}`, entry.address, reason);
+    }
+    const implementation = manifest.contracts.DEXImplementation.address;
+    for (const [name, entry] of Object.entries(manifest.pairs)) {
+        record(`pair ${name}`, entry.address, await _checkPair(hre, entry, implementation, manifest.upgradeable));
+    }
+    return results;
+}
+
+/** Manifest entry of a token that already exists on the network */
+async function _useExistingToken(hre, token, log) {
+    const code = await hre.ethers.provider.getCode(token.address);
+    if (code === "0x") throw new Error(`Token ${token.symbol} has no code at ${token.address} on ${hre.network.name}`);
+    const name = token.name || (await (await hre.ethers.getContractAt("IERC20Metadata", token.address)).name());
+    log(`${name} (${token.symbol}) using existing token at:`, token.address);
+    return { name, address: token.address, external: true, codeHash: ethers.utils.keccak256(code) };
+}
+
+/**
+ * Deploy a contract, or keep the one in the previous manifest if it is still valid.
+ * @returns {Promise<DeployedContract>} Manifest entry
+ */
+async function _deployOrReuse(hre, previous, contractName, args, { label, log }) {
+    if (previous && previous.contract === contractName && _sameArgs(previous.args, args)) {
+        const problem = await _checkDeployed(hre, previous);
+        if (problem === null) {
+            log(`${label} already deployed at:`, previous.address);
+            return previous;
+        }
+        log(`${label} at ${previous.address} is out of date (${problem}), deploying again`);
+    }
+
+    const factory = await hre.ethers.getContractFactory(contractName);
+    const contract = await factory.deploy(...args);
+    const receipt = await contract.deployTransaction.wait();
+    log(`${label} deployed to:`, contract.address);
+    return {
+        contract: contractName,
+        address: contract.address,
+        args,
+        blockNumber: receipt.blockNumber,
+        transactionHash: receipt.transactionHash,
+        abiHash: _abiHash(await hre.artifacts.readArtifact(contractName)),
+        codeHash: ethers.utils.keccak256(await hre.ethers.provider.getCode(contract.address)),
+    };
+}
+
+/** Manifest entry of a pair, created through the factory unless it already exists */
+async function _createOrReusePair(hre, factory, factoryBlock, { name, tokenA, tokenB, fee, upgradeable, log }) {
+    const [token0, token1] = await factory.sortTokens(tokenA, tokenB);
+    let address = await factory.getPair(token0, token1);
+    let created;
+
+    if (address === ethers.constants.AddressZero) {
+        const receipt = await (await factory.createPair(token0, token1, fee)).wait();
+        address = await factory.getPair(token0, token1);
+        if (upgradeable) await importPool(hre.upgrades, address, await hre.ethers.getContractFactory("DEX"));
+        created = { blockNumber: receipt.blockNumber, transactionHash: receipt.transactionHash, fee };
+        log(`DEX ${name} (${fee / 100}% fee) deployed to:`, address);
+    } else {
+        const [event] = await factory.queryFilter(factory.filters.PairCreated(token0, token1), factoryBlock);
+        if (!event) {
+            throw new Error(
+                `DEX ${name} exists at ${address} but no PairCreated event was found from block ${factoryBlock}; ` +
+                    "check the DEXFactory block number in the manifest, or use a node that keeps those logs"
+            );
+        }
+        created = { blockNumber: event.blockNumber, transactionHash: event.transactionHash, fee: event.args.fee.toNumber() };
+        if (created.fee !== fee) log(`DEX ${name} exists with a ${created.fee / 100}% fee, not the configured ${fee / 100}%`);
+        log(`DEX ${name} already deployed at:`, address);
+    }
+
+    return {
+        address,
+        tokenA: token0,
+        tokenB: token1,
+        ...created,
+        codeHash: ethers.utils.keccak256(await hre.ethers.provider.getCode(address)),
+    };
+}
+
+/**
+ * Log a pair's LP token and the deployer's balance of it, read through the token interface.
+ * The deploy makes no deposit, so the total supply is shown alongside: a new pair has none,
+ * a reused one shows what other depositors hold.
+ */
+async function _logLpToken(hre, address, holder, log) {
+    const lpToken = await hre.ethers.getContractAt("IERC20Metadata", address);
+    const [balance, totalSupply] = await Promise.all([lpToken.balanceOf(holder), lpToken.totalSupply()]);
+    log(`   LP token: ${await lpToken.name()} (${await lpToken.symbol()})`);
+    log(`   Deployer LP balance: ${ethers.utils.formatEther(balance)} of ${ethers.utils.formatEther(totalSupply)} total supply`);
+}
+
+/** Why a deployed contract no longer matches its entry, or null if it does */
+async function _checkDeployed(hre, entry) {
+    const problem = await _checkCodeHash(hre, entry);
+    if (problem !== null) return problem;
+
+    const artifact = await hre.artifacts.readArtifact(entry.contract);
+    if (_abiHash(artifact) !== entry.abiHash) return `ABI of ${entry.contract} changed since deployment`;
+    const code = await hre.ethers.provider.getCode(entry.address);
+    if (!(await _matchesArtifact(hre, artifact, code))) return `code differs from the compiled ${entry.contract}`;
+    return null;
+}
+
+/** Why the code at an entry's address differs from the recorded hash, or null if it matches */
+async function _checkCodeHash(hre, entry) {
+    const code = await hre.ethers.provider.getCode(entry.address);
+    if (code === "0x") return "no code at address";
+    if (ethers.utils.keccak256(code) !== entry.codeHash) return "code hash differs from the manifest";
+    return null;
+}
+
+/** Why a pair no longer matches its entry or implementation, or null if it does */
+async function _checkPair(hre, entry, implementation, upgradeable) {
+    const problem = await _checkCodeHash(hre, entry);
+    if (problem !== null) return problem;
+
+    const code = await hre.ethers.provider.getCode(entry.address);
+    if (!upgradeable) {
+        const expected = `${CLONE_CODE_PREFIX}${implementation.slice(2)}${CLONE_CODE_SUFFIX}`;
+        return code.toLowerCase() === expected.toLowerCase() ? null : "not a clone of the implementation";
+    }
+    if (!(await _matchesArtifact(hre, await hre.artifacts.readArtifact("ERC1967Proxy"), code))) {
+        return "code differs from the compiled ERC1967Proxy";
+    }
+    const slot = await hre.ethers.provider.getStorageAt(entry.address, IMPLEMENTATION_SLOT);
+    const current = ethers.utils.getAddress(ethers.utils.hexDataSlice(slot, 12));
+    return current === ethers.utils.getAddress(implementation) ? null : `proxy points to ${current}, not the implementation`;
+}
+
+/** True if runtime code equals an artifact's compiled runtime code, ignoring immutable values */
+async function _matchesArtifact(hre, artifact, code) {
+    const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+    const { immutableReferences = {} } =
+        buildInfo.output.contracts[artifact.sourceName][artifact.contractName].evm.deployedBytecode;
+    return _maskImmutables(code, immutableReferences) === _maskImmutables(artifact.deployedBytecode, immutableReferences);
+}
+
+/** Runtime code as lower-case hex with every immutable value zeroed */
+function _maskImmutables(code, immutableReferences) {
+    let hex = code.slice(2).toLowerCase();
+    for (const references of Object.values(immutableReferences)) {
+        for (const { start, length } of references) {
+            hex = hex.slice(0, start * 2) + "0".repeat(length * 2) + hex.slice((start + length) * 2);
+        }
+    }
+    return hex;
+}
+
+/** keccak256 of an artifact's ABI */
+function _abiHash(artifact) {
+    return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(artifact.abi)));
+}
+
+/** True if two constructor argument lists are equal */
+function _sameArgs(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = { DEFAULT_FEE_BPS, defaultPairsConfig, loadPairsConfig, deployDex, verifyDeployment };
@@ -0,0 +1,229 @@
+const { BigNumber } = require("ethers");
+const dexMath = require("./dexMath");
+
+// Slippage tolerance applied when no slippageBps option is given (50 = 0.5%)
+const DEFAULT_SLIPPAGE_BPS = 50;
+// Seconds a transaction may wait in the mempool when no deadline option is given
+const DEFAULT_DEADLINE_SECONDS = 20 * 60;
+
+/**
+ * Options shared by every transaction sent through DEXClient.
+ * @typedef {object} TxOptions
+ * @property {number} [slippageBps] Tolerated move against the quote, in basis points
+ * @property {ethers.BigNumberish} [deadline] Unix timestamp after which the transaction reverts
+ */
+
+/**
+ * Wrapper around a deployed DEX pool. Reads the pool state once and quotes from it with the
+ * off-chain math mirror in dexMath, then sends transactions with slippage bounds derived from
+ * those quotes. Quotes assume tokens arrive in full, so fee-on-transfer tokens fill for less.
+ * Tokens must already be approved for the pool.
+ */
+class DEXClient {
+    /**
+     * @param {ethers.Contract} pool DEX contract, connected to a signer to send transactions
+     */
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Read everything the pool math depends on in one round of calls.
+     * @returns {Promise<dexMath.PoolState>} Current pool state
+     */
+    async getState() {
+        const [tokenA, tokenB, [reserveA, reserveB], totalSupply, fee, feeTo, kLast] = await Promise.all([
+            this.pool.tokenA(),
+            this.pool.tokenB(),
+            this.pool.getReserves(),
+            this.pool.totalSupply(),
+            this.pool.fee(),
+            this.pool.feeTo(),
+            this.pool.kLast(),
+        ]);
+        const feeOn = BigNumber.from(feeTo).gt(0);
+        return { tokenA, tokenB, reserveA, reserveB, totalSupply, fee, feeOn, kLast };
+    }
+
+    /**
+     * Quote an exact-input swap.
+     * @param {string} tokenIn Address of the token sold
+     * @param {ethers.BigNumberish} amountIn Amount of tokenIn
+     * @param {dexMath.PoolState} [state] Pool state to quote from, read from the pool if omitted
+     * @returns {Promise<{tokenOut: string, amountOut: BigNumber}>} Token bought and amount received
+     */
+    async quoteSwapExactIn(tokenIn, amountIn, state) {
+        return dexMath.quoteSwapExactIn(state || (await this.getState()), tokenIn, amountIn);
+    }
+
+    /**
+     * Quote an exact-output swap.
+     * @param {string} tokenOut Address of the token bought
+     * @param {ethers.BigNumberish} amountOut Amount of tokenOut wanted
+     * @param {dexMath.PoolState} [state] Pool state to quote from, read from the pool if omitted
+     * @returns {Promise<{tokenIn: string, amountIn: BigNumber}>} Token sold and amount required
+     */
+    async quoteSwapExactOut(tokenOut, amountOut, state) {
+        return dexMath.quoteSwapExactOut(state || (await this.getState()), tokenOut, amountOut);
+    }
+
+    /**
+     * Quote a deposit.
+     * @param {ethers.BigNumberish} amountADesired Maximum amount of token A
+     * @param {ethers.BigNumberish} amountBDesired Maximum amount of token B
+     * @param {dexMath.PoolState} [state] Pool state to quote from, read from the pool if omitted
+     * @returns {Promise<{amountA: BigNumber, amountB: BigNumber, liquidity: BigNumber}>} Amounts pulled and LP tokens minted
+     */
+    async quoteAddLiquidity(amountADesired, amountBDesired, state) {
+        return dexMath.quoteAddLiquidity(state || (await this.getState()), amountADesired, amountBDesired);
+    }
+
+    /**
+     * Quote a proportional withdrawal.
+     * @param {ethers.BigNumberish} liquidity Amount of LP tokens to burn
+     * @param {dexMath.PoolState} [state] Pool state to quote from, read from the pool if omitted
+     * @returns {Promise<{amountA: BigNumber, amountB: BigNumber}>} Amounts returned
+     */
+    async quoteRemoveLiquidity(liquidity, state) {
+        return dexMath.quoteRemoveLiquidity(state || (await this.getState()), liquidity);
+    }
+
+    /**
+     * Quote a single-token withdrawal.
+     * @param {string} tokenOut Address of the token received
+     * @param {ethers.BigNumberish} liquidity Amount of LP tokens to burn
+     * @param {dexMath.PoolState} [state] Pool state to quote from, read from the pool if omitted
+     * @returns {Promise<BigNumber>} Amount of tokenOut received
+     */
+    async quoteRemoveLiquidityOneToken(tokenOut, liquidity, state) {
+        return dexMath.quoteRemoveLiquidityOneToken(state || (await this.getState()), tokenOut, liquidity);
+    }
+
+    /**
+     * Sell an exact amount of one token.
+     * @param {string} tokenIn Address of the token sold
+     * @param {ethers.BigNumberish} amountIn Amount of tokenIn
+     * @param {TxOptions} [options] Slippage and deadline
+     * @returns {Promise<{amountIn: BigNumber, amountOut: BigNumber, receipt: object}>} Executed amounts
+     */
+    async swapExactIn(tokenIn, amountIn, options = {}) {
+        const state = await this.getState();
+        const { tokenOut, amountOut } = dexMath.quoteSwapExactIn(state, tokenIn, amountIn);
+        const minAmountOut = _lowerBound(amountOut, options.slippageBps);
+        const deadline = await this._deadline(options);
+
+        const tx = tokenOut === state.tokenB
+            ? await this.pool.swapAForB(amountIn, minAmountOut, deadline)
+            : await this.pool.swapBForA(amountIn, minAmountOut, deadline);
+        const receipt = await tx.wait();
+        const { args } = _findEvent(receipt, "Swap");
+        return { amountIn: args.amountIn, amountOut: args.amountOut, receipt };
+    }
+
+    /**
+     * Buy an exact amount of one token.
+     * @param {string} tokenOut Address of the token bought
+     * @param {ethers.BigNumberish} amountOut Amount of tokenOut wanted
+     * @param {TxOptions} [options] Slippage and deadline
+     * @returns {Promise<{amountIn: BigNumber, amountOut: BigNumber, receipt: object}>} Executed amounts
+     */
+    async swapExactOut(tokenOut, amountOut, options = {}) {
+        const state = await this.getState();
+        const { tokenIn, amountIn } = dexMath.quoteSwapExactOut(state, tokenOut, amountOut);
+        const maxAmountIn = _upperBound(amountIn, options.slippageBps);
+        const deadline = await this._deadline(options);
+
+        const tx = tokenIn === state.tokenA
+            ? await this.pool.swapAForExactB(amountOut, maxAmountIn, deadline)
+            : await this.pool.swapBForExactA(amountOut, maxAmountIn, deadline);
+        const receipt = await tx.wait();
+        const { args } = _findEvent(receipt, "Swap");
+        return { amountIn: args.amountIn, amountOut: args.amountOut, receipt };
+    }
+
+    /**
+     * Deposit both tokens at the pool ratio.
+     * @param {ethers.BigNumberish} amountADesired Maximum amount of token A
+     * @param {ethers.BigNumberish} amountBDesired Maximum amount of token B
+     * @param {TxOptions} [options] Slippage and deadline
+     * @returns {Promise<{amountA: BigNumber, amountB: BigNumber, liquidity: BigNumber, receipt: object}>} Deposited amounts and LP tokens minted
+     */
+    async addLiquidity(amountADesired, amountBDesired, options = {}) {
+        const quote = dexMath.quoteAddLiquidity(await this.getState(), amountADesired, amountBDesired);
+        const tx = await this.pool.addLiquidity(
+            amountADesired,
+            amountBDesired,
+            _lowerBound(quote.amountA, options.slippageBps),
+            _lowerBound(quote.amountB, options.slippageBps),
+            await this._deadline(options)
+        );
+        const receipt = await tx.wait();
+        const { args } = _findEvent(receipt, "LiquidityAdded");
+        return { amountA: args.amountA, amountB: args.amountB, liquidity: args.liquidityMinted, receipt };
+    }
+
+    /**
+     * Burn LP tokens for a proportional share of both reserves.
+     * @param {ethers.BigNumberish} liquidity Amount of LP tokens to burn
+     * @param {TxOptions} [options] Slippage and deadline
+     * @returns {Promise<{amountA: BigNumber, amountB: BigNumber, receipt: object}>} Amounts returned
+     */
+    async removeLiquidity(liquidity, options = {}) {
+        const quote = dexMath.quoteRemoveLiquidity(await this.getState(), liquidity);
+        const tx = await this.pool.removeLiquidity(
+            liquidity,
+            _lowerBound(quote.amountA, options.slippageBps),
+            _lowerBound(quote.amountB, options.slippageBps),
+            await this._deadline(options)
+        );
+        const receipt = await tx.wait();
+        const { args } = _findEvent(receipt, "LiquidityRemoved");
+        return { amountA: args.amountA, amountB: args.amountB, receipt };
+    }
+
+    /**
+     * Burn LP tokens and receive only one of the pool's tokens.
+     * @param {string} tokenOut Address of the token received
+     * @param {ethers.BigNumberish} liquidity Amount of LP tokens to burn
+     * @param {TxOptions} [options] Slippage and deadline
+     * @returns {Promise<{amountOut: BigNumber, receipt: object}>} Amount of tokenOut returned
+     */
+    async removeLiquidityOneToken(tokenOut, liquidity, options = {}) {
+        const amountOut = dexMath.quoteRemoveLiquidityOneToken(await this.getState(), tokenOut, liquidity);
+        const tx = await this.pool.removeLiquidityOneToken(
+            tokenOut,
+            liquidity,
+            _lowerBound(amountOut, options.slippageBps),
+            await this._deadline(options)
+        );
+        const receipt = await tx.wait();
+        const { args } = _findEvent(receipt, "LiquidityRemovedOneToken");
+        return { amountOut: args.amountOut, receipt };
+    }
+
+    /** Deadline from the options, or DEFAULT_DEADLINE_SECONDS after the latest block */
+    async _deadline(options) {
+        if (options.deadline !== undefined) return options.deadline;
+        const block = await this.pool.provider.getBlock("latest");
+        return block.timestamp + DEFAULT_DEADLINE_SECONDS;
+    }
+}
+
+/** Quote reduced by the slippage tolerance, used as a minimum amount */
+function _lowerBound(amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+    return amount.mul(10000 - slippageBps).div(10000);
+}
+
+/** Quote raised by the slippage tolerance, used as a maximum amount */
+function _upperBound(amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+    return amount.mul(10000 + slippageBps).div(10000);
+}
+
+/** Decoded pool event of a receipt, by name */
+function _findEvent(receipt, name) {
+    const event = receipt.events.find((e) => e.event === name);
+    if (!event) throw new Error(`${name} event not found in ${receipt.transactionHash}`);
+    return event;
+}
+
+module.exports = { DEXClient, DEFAULT_SLIPPAGE_BPS, DEFAULT_DEADLINE_SECONDS };
@@ -0,0 +1,258 @@
+const { BigNumber } = require("ethers");
+
+// Pool constants, matching DEX.FEE_DENOMINATOR, DEX.MINIMUM_LIQUIDITY and DEX.PROTOCOL_FEE_DIVISOR
+const FEE_DENOMINATOR = BigNumber.from(10000);
+const MINIMUM_LIQUIDITY = BigNumber.from(1000);
+const PROTOCOL_FEE_DIVISOR = BigNumber.from(6);
+// Fixed-point scale of DEX.getPrice
+const PRICE_SCALE = BigNumber.from(10).pow(18);
+
+/**
+ * Snapshot of everything the DEX pricing and LP math depends on.
+ * @typedef {object} PoolState
+ * @property {string} tokenA Address of token A
+ * @property {string} tokenB Address of token B
+ * @property {BigNumber} reserveA Reserve of token A
+ * @property {BigNumber} reserveB Reserve of token B
+ * @property {BigNumber} totalSupply LP token supply
+ * @property {BigNumber} fee LP fee in basis points
+ * @property {boolean} feeOn True if the protocol fee is switched on
+ * @property {BigNumber} kLast reserveA * reserveB after the last liquidity event
+ */
+
+/**
+ * Integer square root, rounded down, matching DEX.sqrt bit for bit.
+ * @param {ethers.BigNumberish} value Input value
+ * @returns {BigNumber} Square root of value
+ */
+function sqrt(value) {
+    const y = BigNumber.from(value);
+    if (y.lte(3)) return y.isZero() ? y : BigNumber.from(1);
+    let z = y;
+    let x = y.div(2).add(1);
+    while (x.lt(z)) {
+        z = x;
+        x = y.div(x).add(x).div(2);
+    }
+    return z;
+}
+
+/**
+ * Output of an exact-input swap after the pool fee, matching DEX.getAmountOut.
+ * @param {ethers.BigNumberish} amountIn Amount of the input token
+ * @param {ethers.BigNumberish} reserveIn Reserve of the input token
+ * @param {ethers.BigNumberish} reserveOut Reserve of the output token
+ * @param {ethers.BigNumberish} fee LP fee in basis points
+ * @returns {BigNumber} Amount of the output token
+ * @throws {Error} With the pool's revert reason when the contract would revert
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut, fee) {
+    amountIn = BigNumber.from(amountIn);
+    reserveIn = BigNumber.from(reserveIn);
+    reserveOut = BigNumber.from(reserveOut);
+    if (amountIn.isZero()) throw new Error("Insufficient input amount");
+    if (reserveIn.isZero() || reserveOut.isZero()) throw new Error("Insufficient liquidity");
+
+    const amountInWithFee = amountIn.mul(FEE_DENOMINATOR.sub(fee));
+    const numerator = amountInWithFee.mul(reserveOut);
+    const denominator = reserveIn.mul(FEE_DENOMINATOR).add(amountInWithFee);
+    return numerator.div(denominator);
+}
+
+/**
+ * Input needed for an exact-output swap including the pool fee, matching DEX.getAmountIn.
+ * @param {ethers.BigNumberish} amountOut Amount of the output token wanted
+ * @param {ethers.BigNumberish} reserveIn Reserve of the input token
+ * @param {ethers.BigNumberish} reserveOut Reserve of the output token
+ * @param {ethers.BigNumberish} fee LP fee in basis points
+ * @returns {BigNumber} Amount of the input token required
+ * @throws {Error} With the pool's revert reason when the contract would revert
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut, fee) {
+    amountOut = BigNumber.from(amountOut);
+    reserveIn = BigNumber.from(reserveIn);
+    reserveOut = BigNumber.from(reserveOut);
+    if (amountOut.isZero()) throw new Error("Insufficient output amount");
+    if (reserveIn.isZero() || reserveOut.isZero()) throw new Error("Insufficient liquidity");
+    if (amountOut.gte(reserveOut)) throw new Error("Insufficient liquidity for swap");
+
+    const numerator = reserveIn.mul(amountOut).mul(FEE_DENOMINATOR);
+    const denominator = reserveOut.sub(amountOut).mul(FEE_DENOMINATOR.sub(fee));
+    return numerator.div(denominator).add(1);
+}
+
+/**
+ * Spot price of token A in terms of token B, 1e18 scaled, matching DEX.getPrice.
+ * @param {PoolState} state Pool state
+ * @returns {BigNumber} Price of token A
+ */
+function getPrice(state) {
+    if (state.reserveA.isZero()) throw new Error("No liquidity");
+    return state.reserveB.mul(PRICE_SCALE).div(state.reserveA);
+}
+
+/**
+ * LP shares minted to the protocol at the next liquidity event, matching DEX._mintFee.
+ * @param {PoolState} state Pool state
+ * @returns {BigNumber} Protocol fee shares, zero when the protocol fee is off
+ */
+function getProtocolFeeLiquidity(state) {
+    if (!state.feeOn || state.kLast.isZero()) return BigNumber.from(0);
+    const rootK = sqrt(state.reserveA.mul(state.reserveB));
+    const rootKLast = sqrt(state.kLast);
+    if (rootK.lte(rootKLast)) return BigNumber.from(0);
+
+    const numerator = state.totalSupply.mul(rootK.sub(rootKLast));
+    const denominator = rootK.mul(PROTOCOL_FEE_DIVISOR.sub(1)).add(rootKLast);
+    return numerator.div(denominator);
+}
+
+/**
+ * Quote an exact-input swap.
+ * @param {PoolState} state Pool state
+ * @param {string} tokenIn Address of the token sold, token A or token B
+ * @param {ethers.BigNumberish} amountIn Amount of tokenIn
+ * @returns {{tokenOut: string, amountOut: BigNumber}} Token bought and amount received
+ */
+function quoteSwapExactIn(state, tokenIn, amountIn) {
+    const [reserveIn, reserveOut, tokenOut] = _swapSides(state, tokenIn);
+    return { tokenOut, amountOut: getAmountOut(amountIn, reserveIn, reserveOut, state.fee) };
+}
+
+/**
+ * Quote an exact-output swap.
+ * @param {PoolState} state Pool state
+ * @param {string} tokenOut Address of the token bought, token A or token B
+ * @param {ethers.BigNumberish} amountOut Amount of tokenOut wanted
+ * @returns {{tokenIn: string, amountIn: BigNumber}} Token sold and amount required
+ */
+function quoteSwapExactOut(state, tokenOut, amountOut) {
+    const [reserveOut, reserveIn, tokenIn] = _swapSides(state, tokenOut);
+    return { tokenIn, amountIn: getAmountIn(amountOut, reserveIn, reserveOut, state.fee) };
+}
+
+/**
+ * Quote a deposit, matching DEX.addLiquidity for tokens that arrive in full.
+ * Only the amounts matching the pool ratio are used, and the protocol fee is minted first.
+ * @param {PoolState} state Pool state
+ * @param {ethers.BigNumberish} amountADesired Maximum amount of token A
+ * @param {ethers.BigNumberish} amountBDesired Maximum amount of token B
+ * @returns {{amountA: BigNumber, amountB: BigNumber, liquidity: BigNumber}} Amounts pulled and LP tokens minted
+ */
+function quoteAddLiquidity(state, amountADesired, amountBDesired) {
+    amountADesired = BigNumber.from(amountADesired);
+    amountBDesired = BigNumber.from(amountBDesired);
+    if (amountADesired.isZero()) throw new Error("Amount A must be greater than 0");
+    if (amountBDesired.isZero()) throw new Error("Amount B must be greater than 0");
+
+    const totalSupply = state.totalSupply.add(getProtocolFeeLiquidity(state));
+    if (totalSupply.isZero()) {
+        const liquidity = sqrt(amountADesired.mul(amountBDesired));
+        if (liquidity.lte(MINIMUM_LIQUIDITY)) throw new Error("Insufficient liquidity minted");
+        return { amountA: amountADesired, amountB: amountBDesired, liquidity: liquidity.sub(MINIMUM_LIQUIDITY) };
+    }
+
+    let amountA = amountADesired;
+    let amountB = amountADesired.mul(state.reserveB).div(state.reserveA);
+    if (amountB.gt(amountBDesired)) {
+        amountA = amountBDesired.mul(state.reserveA).div(state.reserveB);
+        amountB = amountBDesired;
+    }
+    const liquidity = _minBigNumber(
+        amountA.mul(totalSupply).div(state.reserveA),
+        amountB.mul(totalSupply).div(state.reserveB)
+    );
+    if (liquidity.isZero()) throw new Error("Insufficient liquidity minted");
+    return { amountA, amountB, liquidity };
+}
+
+/**
+ * Quote a proportional withdrawal, matching DEX.removeLiquidity.
+ * @param {PoolState} state Pool state
+ * @param {ethers.BigNumberish} liquidity Amount of LP tokens to burn
+ * @returns {{amountA: BigNumber, amountB: BigNumber}} Amounts returned
+ */
+function quoteRemoveLiquidity(state, liquidity) {
+    liquidity = BigNumber.from(liquidity);
+    if (liquidity.isZero()) throw new Error("Liquidity amount must be greater than 0");
+    const totalSupply = state.totalSupply.add(getProtocolFeeLiquidity(state));
+    if (totalSupply.isZero()) throw new Error("No liquidity in pool");
+
+    const amountA = liquidity.mul(state.reserveA).div(totalSupply);
+    const amountB = liquidity.mul(state.reserveB).div(totalSupply);
+    if (amountA.isZero() || amountB.isZero()) throw new Error("Insufficient liquidity burned");
+    return { amountA, amountB };
+}
+
+/**
+ * Amount of one token received for burning LP tokens, matching DEX.getAmountOutForLiquidity.
+ * @param {PoolState} state Pool state
+ * @param {string} tokenOut Address of the token received, token A or token B
+ * @param {ethers.BigNumberish} liquidity Amount of LP tokens burned
+ * @returns {BigNumber} Amount of tokenOut received
+ */
+function getAmountOutForLiquidity(state, tokenOut, liquidity) {
+    liquidity = BigNumber.from(liquidity);
+    const outIsA = _isTokenA(state, tokenOut);
+    if (liquidity.isZero() || liquidity.gt(state.totalSupply)) throw new Error("Invalid liquidity amount");
+
+    const amountA = liquidity.mul(state.reserveA).div(state.totalSupply);
+    const amountB = liquidity.mul(state.reserveB).div(state.totalSupply);
+    if (amountA.isZero() || amountB.isZero()) throw new Error("Insufficient liquidity burned");
+
+    const remainingA = state.reserveA.sub(amountA);
+    const remainingB = state.reserveB.sub(amountB);
+    return outIsA
+        ? amountA.add(getAmountOut(amountB, remainingB, remainingA, state.fee))
+        : amountB.add(getAmountOut(amountA, remainingA, remainingB, state.fee));
+}
+
+/**
+ * Quote a single-token withdrawal, matching DEX.removeLiquidityOneToken.
+ * Unlike the getAmountOutForLiquidity view, the protocol fee is minted first.
+ * @param {PoolState} state Pool state
+ * @param {string} tokenOut Address of the token received, token A or token B
+ * @param {ethers.BigNumberish} liquidity Amount of LP tokens to burn
+ * @returns {BigNumber} Amount of tokenOut received
+ */
+function quoteRemoveLiquidityOneToken(state, tokenOut, liquidity) {
+    const totalSupply = state.totalSupply.add(getProtocolFeeLiquidity(state));
+    return getAmountOutForLiquidity({ ...state, totalSupply }, tokenOut, liquidity);
+}
+
+/** True if token is token A of the pool, false if token B */
+function _isTokenA(state, token) {
+    const address = token.toLowerCase();
+    if (address === state.tokenA.toLowerCase()) return true;
+    if (address === state.tokenB.toLowerCase()) return false;
+    throw new Error("Invalid token");
+}
+
+/** Reserve of token, reserve of the other token and the other token's address */
+function _swapSides(state, token) {
+    return _isTokenA(state, token)
+        ? [state.reserveA, state.reserveB, state.tokenB]
+        : [state.reserveB, state.reserveA, state.tokenA];
+}
+
+/** Smaller of two BigNumbers */
+function _minBigNumber(a, b) {
+    return a.lt(b) ? a : b;
+}
+
+module.exports = {
+    FEE_DENOMINATOR,
+    MINIMUM_LIQUIDITY,
+    PROTOCOL_FEE_DIVISOR,
+    sqrt,
+    getAmountOut,
+    getAmountIn,
+    getPrice,
+    getProtocolFeeLiquidity,
+    quoteSwapExactIn,
+    quoteSwapExactOut,
+    quoteAddLiquidity,
+    quoteRemoveLiquidity,
+    getAmountOutForLiquidity,
+    quoteRemoveLiquidityOneToken,
+};
@@ -0,0 +1,185 @@
+const fs = require("fs");
+const path = require("path");
+
+// Bumped when the file layout changes; older files are rejected instead of misread
+const STORE_VERSION = 1;
+// Block hashes kept for finding the fork point of a reorg
+const MAX_RECENT_BLOCKS = 256;
+
+/**
+ * Indexed pool event. Numeric arguments are stored as decimal strings.
+ * @typedef {object} StoredEvent
+ * @property {string} pool Lower-cased address of the pool that emitted the event
+ * @property {string} event Event name, e.g. "Swap"
+ * @property {object} args Named event arguments
+ * @property {number} blockNumber Block the event was mined in
+ * @property {string} blockHash Hash of that block
+ * @property {number} timestamp Timestamp of that block
+ * @property {string} transactionHash Transaction that emitted the event
+ * @property {number} logIndex Position of the log in its block
+ */
+
+/**
+ * Pool followed by the indexer.
+ * @typedef {object} PoolInfo
+ * @property {string} tokenA Address of token A
+ * @property {string} tokenB Address of token B
+ * @property {string} fee LP fee in basis points when the pool was discovered
+ * @property {number} fromBlock First block indexed for the pool
+ * @property {boolean} fromFactory True if the pool was discovered from a PairCreated event
+ */
+
+/**
+ * Indexer state persisted as one JSON file: the pools being followed, their events in chain
+ * order, the last fully indexed block and a window of recent block hashes. Writes go to a
+ * temporary file that is renamed over the store, so a crash never leaves a half-written file.
+ */
+class EventStore {
+    /**
+     * @param {string} filePath Location of the JSON file
+     * @param {object} data Parsed file contents
+     */
+    constructor(filePath, data) {
+        this.filePath = filePath;
+        this.data = data;
+    }
+
+    /**
+     * Open a store, creating an empty one if the file does not exist yet.
+     * @param {string} filePath Location of the JSON file
+     * @param {number} chainId Chain the indexer follows; a store of another chain is rejected
+     * @returns {EventStore} Loaded store
+     */
+    static load(filePath, chainId) {
+        if (!fs.existsSync(filePath)) {
+            return new EventStore(filePath, {
+                version: STORE_VERSION,
+                chainId,
+                checkpoint: null,
+                pools: {},
+                events: [],
+                recentBlocks: [],
+            });
+        }
+
+        const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        if (data.version !== STORE_VERSION) {
+            throw new Error(`Unsupported store version ${data.version} in ${filePath}, expected ${STORE_VERSION}`);
+        }
+        if (data.chainId !== chainId) {
+            throw new Error(`Store ${filePath} belongs to chain ${data.chainId}, not ${chainId}`);
+        }
+        return new EventStore(filePath, data);
+    }
+
+    /** Write the store to disk atomically */
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.data));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Last fully indexed block, or null before the first sync.
+     * @returns {{blockNumber: number, blockHash: string, timestamp: number}|null}
+     */
+    get checkpoint() {
+        return this.data.checkpoint;
+    }
+
+    /**
+     * Mark every block up to and including this one as indexed.
+     * @param {number} blockNumber Block number
+     * @param {string} blockHash Hash of the block
+     * @param {number} timestamp Timestamp of the block
+     */
+    setCheckpoint(blockNumber, blockHash, timestamp) {
+        this.data.checkpoint = { blockNumber, blockHash, timestamp };
+        this.recordBlock(blockNumber, blockHash);
+    }
+
+    /**
+     * Remember a block hash so a later reorg can be traced back to it.
+     * @param {number} blockNumber Block number
+     * @param {string} blockHash Hash of the block
+     */
+    recordBlock(blockNumber, blockHash) {
+        const recent = this.data.recentBlocks;
+        if (recent.some((block) => block.number === blockNumber)) return;
+        recent.push({ number: blockNumber, hash: blockHash });
+        recent.sort((a, b) => a.number - b.number);
+        if (recent.length > MAX_RECENT_BLOCKS) recent.splice(0, recent.length - MAX_RECENT_BLOCKS);
+    }
+
+    /**
+     * Known block hashes, newest first.
+     * @returns {{number: number, hash: string}[]}
+     */
+    recentBlocks() {
+        return [...this.data.recentBlocks].reverse();
+    }
+
+    /**
+     * Pools being followed, keyed by lower-cased address.
+     * @returns {Object<string, PoolInfo>}
+     */
+    get pools() {
+        return this.data.pools;
+    }
+
+    /**
+     * Start following a pool.
+     * @param {string} address Pool address
+     * @param {PoolInfo} info Pool tokens, fee and first block to index
+     */
+    addPool(address, info) {
+        this.data.pools[address.toLowerCase()] = info;
+    }
+
+    /**
+     * Append events; they must come after every event already stored.
+     * @param {StoredEvent[]} events Events in chain order
+     */
+    addEvents(events) {
+        this.data.events.push(...events);
+    }
+
+    /**
+     * Events of a pool, optionally filtered by name and block timestamp.
+     * @param {string} pool Pool address
+     * @param {object} [filter]
+     * @param {string[]} [filter.events] Event names to include, all if omitted
+     * @param {number} [filter.from] Earliest block timestamp, inclusive
+     * @param {number} [filter.to] Latest block timestamp, inclusive
+     * @returns {StoredEvent[]} Matching events in chain order
+     */
+    getEvents(pool, { events, from, to } = {}) {
+        const address = pool.toLowerCase();
+        return this.data.events.filter(
+            (e) =>
+                e.pool === address &&
+                (!events || events.includes(e.event)) &&
+                (from === undefined || e.timestamp >= from) &&
+                (to === undefined || e.timestamp <= to)
+        );
+    }
+
+    /**
+     * Drop everything recorded after a block, so it can be indexed again.
+     * Pools the factory created after the block are forgotten too.
+     * @param {number} blockNumber Last block to keep
+     * @param {string|null} blockHash Hash of that block, null to restart from scratch
+     * @param {number} [timestamp] Timestamp of that block
+     */
+    rollback(blockNumber, blockHash, timestamp) {
+        this.data.events = this.data.events.filter((e) => e.blockNumber <= blockNumber);
+        this.data.recentBlocks = this.data.recentBlocks.filter((block) => block.number <= blockNumber);
+        for (const [address, info] of Object.entries(this.data.pools)) {
+            if (info.fromFactory && info.fromBlock > blockNumber) delete this.data.pools[address];
+        }
+        this.data.checkpoint = blockHash === null ? null : { blockNumber, blockHash, timestamp };
+    }
+}
+
+module.exports = { EventStore, STORE_VERSION, MAX_RECENT_BLOCKS };
@@ -0,0 +1,87 @@
+const { ethers } = require("hardhat");
+
+// Longest route considered by default (number of pools traversed)
+const DEFAULT_MAX_HOPS = 3;
+
+/**
+ * Build an adjacency list of tokens connected by a pool of the factory.
+ * @param {ethers.Contract} factory Deployed DEXFactory
+ * @returns {Promise<Map<string, Set<string>>>} token address -> neighbouring token addresses
+ */
+async function loadPairGraph(factory) {
+    const graph = new Map();
+    const link = (from, to) => {
+        if (!graph.has(from)) graph.set(from, new Set());
+        graph.get(from).add(to);
+    };
+
+    const pairCount = (await factory.allPairsLength()).toNumber();
+    for (let i = 0; i < pairCount; i++) {
+        const pool = await ethers.getContractAt("DEX", await factory.allPairs(i));
+        const tokenA = (await pool.tokenA()).toLowerCase();
+        const tokenB = (await pool.tokenB()).toLowerCase();
+        link(tokenA, tokenB);
+        link(tokenB, tokenA);
+    }
+    return graph;
+}
+
+/**
+ * Enumerate every simple path between two tokens up to a number of hops.
+ * @param {Map<string, Set<string>>} graph Output of loadPairGraph
+ * @param {string} tokenIn Lower-cased input token address
+ * @param {string} tokenOut Lower-cased output token address
+ * @param {number} maxHops Maximum number of pools in a path
+ * @returns {string[][]} Candidate paths, each starting with tokenIn and ending with tokenOut
+ */
+function enumeratePaths(graph, tokenIn, tokenOut, maxHops) {
+    const paths = [];
+    const walk = (path) => {
+        const last = path[path.length - 1];
+        if (last === tokenOut) {
+            paths.push(path);
+            return;
+        }
+        if (path.length > maxHops) return;
+        for (const next of graph.get(last) || []) {
+            if (!path.includes(next)) walk([...path, next]);
+        }
+    };
+    walk([tokenIn]);
+    return paths;
+}
+
+/**
+ * Find the path that returns the most output tokens for an exact input.
+ * Paths through empty pools are skipped because the router quote reverts on them.
+ * @param {ethers.Contract} router Deployed DEXRouter
+ * @param {ethers.Contract} factory Deployed DEXFactory the router reads pools from
+ * @param {string} tokenIn Address of the token being sold
+ * @param {string} tokenOut Address of the token being bought
+ * @param {ethers.BigNumber} amountIn Exact amount of tokenIn to sell
+ * @param {number} [maxHops] Maximum number of pools in a path
+ * @returns {Promise<{path: string[], amountOut: ethers.BigNumber} | null>} Best route, or null if none
+ */
+async function findBestPath(router, factory, tokenIn, tokenOut, amountIn, maxHops = DEFAULT_MAX_HOPS) {
+    const graph = await loadPairGraph(factory);
+    const candidates = enumeratePaths(graph, tokenIn.toLowerCase(), tokenOut.toLowerCase(), maxHops);
+
+    let best = null;
+    for (const candidate of candidates) {
+        const path = candidate.map((address) => ethers.utils.getAddress(address));
+        let amounts;
+        try {
+            amounts = await router.getAmountsOut(amountIn, path);
+        } catch {
+            continue;
+        }
+
+        const amountOut = amounts[amounts.length - 1];
+        if (best === null || amountOut.gt(best.amountOut)) {
+            best = { path, amountOut };
+        }
+    }
+    return best;
+}
+
+module.exports = { findBestPath, loadPairGraph, enumeratePaths };
@@ -0,0 +1,159 @@
+const { BigNumber } = require("ethers");
+
+// Replays spent shrinking one failure when no maxShrinks option is given
+const DEFAULT_MAX_SHRINKS = 300;
+
+/**
+ * Broken property found by fuzz, with the smallest sequence that still breaks it.
+ * @typedef {object} FuzzFailure
+ * @property {number} seed Seed that generated the failing sequence
+ * @property {number} run Index of the failing run
+ * @property {number} originalLength Length of the sequence before shrinking
+ * @property {Array} steps Shrunk failing sequence
+ * @property {{property: string, message: string}} failure How the shrunk sequence fails
+ * @property {number} replays Sequences replayed while shrinking
+ */
+
+/**
+ * Deterministic pseudo-random generator (mulberry32), so a failing input can be reproduced.
+ * @param {number} seed 32-bit seed
+ * @returns {function(): number} Generator of floats in [0, 1)
+ */
+function createRandom(seed) {
+    return function () {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random integer between min and max, both inclusive.
+ * @param {function(): number} random Generator from createRandom
+ * @param {number} min Lowest value
+ * @param {number} max Highest value
+ * @returns {number} Random integer
+ */
+function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Random element of an array.
+ * @param {function(): number} random Generator from createRandom
+ * @param {Array} items Items to pick from
+ * @returns {*} One of the items
+ */
+function pick(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Random amount between 1 and 10^maxDigits, spread evenly over orders of magnitude.
+ * @param {function(): number} random Generator from createRandom
+ * @param {number} maxDigits Most decimal digits of the amount
+ * @returns {BigNumber} Random amount
+ */
+function randomAmount(random, maxDigits) {
+    const digits = 1 + Math.floor(random() * maxDigits);
+    let value = String(1 + Math.floor(random() * 9));
+    while (value.length < digits) value += Math.floor(random() * 10);
+    return BigNumber.from(value);
+}
+
+/**
+ * Check a stateful property against random step sequences. Run i generates its sequence from
+ * seed + i, so any failure is reproducible from the reported seed alone. The first failing
+ * sequence is shrunk before it is returned.
+ * @param {object} options
+ * @param {number} options.seed Seed of the first run
+ * @param {number} options.runs Number of sequences to try
+ * @param {function(function(): number): Array} options.generate Step sequence from a random generator
+ * @param {function(Array): Promise<{property: string, message: string}|null>} options.check Replay
+ *        steps from the same starting state, returning the first broken property or null
+ * @param {function(*): Array} [options.shrinkStep] Simpler variants of a step, tried while shrinking
+ * @param {number} [options.maxShrinks] Most sequences to replay while shrinking
+ * @returns {Promise<FuzzFailure|null>} Shrunk failure, or null if every run passed
+ */
+async function fuzz({ seed, runs, generate, check, shrinkStep = () => [], maxShrinks = DEFAULT_MAX_SHRINKS }) {
+    for (let run = 0; run < runs; run++) {
+        const steps = generate(createRandom(seed + run));
+        const failure = await check(steps);
+        if (failure) {
+            const shrunk = await shrink(steps, failure, { check, shrinkStep, maxShrinks });
+            return { seed: seed + run, run, originalLength: steps.length, ...shrunk };
+        }
+    }
+    return null;
+}
+
+/**
+ * Shrink a failing sequence while it keeps breaking the same property. Chunks of steps are
+ * dropped, from half the sequence down to single steps, then each step is replaced by its
+ * simpler variants; both passes repeat until neither finds a smaller failing sequence.
+ * @param {Array} steps Failing sequence
+ * @param {{property: string, message: string}} failure How it fails
+ * @param {object} options
+ * @param {function(Array): Promise<object|null>} options.check Same check as given to fuzz
+ * @param {function(*): Array} [options.shrinkStep] Simpler variants of a step
+ * @param {number} [options.maxShrinks] Most sequences to replay
+ * @returns {Promise<{steps: Array, failure: object, replays: number}>} Smallest failing sequence found
+ */
+async function shrink(steps, failure, { check, shrinkStep = () => [], maxShrinks = DEFAULT_MAX_SHRINKS }) {
+    let current = steps;
+    let currentFailure = failure;
+    let replays = 0;
+
+    // Keep a candidate if it still breaks the property the original sequence broke
+    const tryCandidate = async (candidate) => {
+        replays++;
+        const result = await check(candidate);
+        if (!result || result.property !== failure.property) return false;
+        current = candidate;
+        currentFailure = result;
+        return true;
+    };
+
+    let progress = true;
+    while (progress && replays < maxShrinks) {
+        progress = false;
+
+        for (let size = Math.max(1, Math.floor(current.length / 2)); size >= 1; size = Math.floor(size / 2)) {
+            let start = 0;
+            while (start < current.length && current.length > 1 && replays < maxShrinks) {
+                const candidate = [...current.slice(0, start), ...current.slice(start + size)];
+                if (candidate.length > 0 && (await tryCandidate(candidate))) progress = true;
+                else start += size;
+            }
+        }
+
+        for (let i = 0; i < current.length && replays < maxShrinks; i++) {
+            for (const variant of shrinkStep(current[i])) {
+                if (replays >= maxShrinks) break;
+                if (await tryCandidate([...current.slice(0, i), variant, ...current.slice(i + 1)])) {
+                    progress = true;
+                    break;
+                }
+            }
+        }
+    }
+    return { steps: current, failure: currentFailure, replays };
+}
+
+/**
+ * Report of a failure: the broken property, the seed to replay it and the shrunk steps.
+ * @param {FuzzFailure} result Failure returned by fuzz
+ * @param {function(*): string} [describeStep] Formats one step, JSON by default
+ * @returns {string} Multi-line report
+ */
+function formatFailure(result, describeStep = JSON.stringify) {
+    const lines = [
+        `Property "${result.failure.property}" broken: ${result.failure.message}`,
+        `Seed ${result.seed} (run ${result.run}), shrunk from ${result.originalLength} to ${result.steps.length} step(s) in ${result.replays} replays:`,
+        ...result.steps.map((step, i) => `  ${i + 1}. ${describeStep(step)}`),
+    ];
+    return lines.join("\n");
+}
+
+module.exports = { createRandom, randomInt, randomAmount, pick, fuzz, shrink, formatFailure };
@@ -0,0 +1,105 @@
+const http = require("http");
+const { BigNumber } = require("ethers");
+const analytics = require("./poolAnalytics");
+
+/**
+ * Read-only HTTP API over an indexer store. Every response is JSON with amounts as decimal
+ * strings; errors are returned as {error} with a 4xx status.
+ *
+ *   GET /status                               Chain and last indexed block
+ *   GET /pools                                Followed pools with their latest state
+ *   GET /pools/:address                       Latest state of one pool
+ *   GET /pools/:address/history?from=&to=     Reserves after every change
+ *   GET /pools/:address/volume?from=&to=      Swap volume
+ *   GET /pools/:address/fees?from=&to=        LP fee revenue and APR
+ *   GET /pools/:address/positions[/:owner]    LP positions
+ *
+ * from and to are unix timestamps and default to the week up to the last indexed block.
+ * @param {EventStore} store Store to serve, typically the one a PoolIndexer is writing to
+ * @returns {http.Server} Server, not yet listening
+ */
+function createIndexerServer(store) {
+    return http.createServer((req, res) => {
+        let status = 200;
+        let body;
+        try {
+            body = _route(store, req);
+        } catch (error) {
+            status = error.status || 500;
+            body = { error: error.message };
+        }
+        if (body === undefined) {
+            status = 404;
+            body = { error: `No route for ${req.method} ${req.url}` };
+        }
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body, _replacer));
+    });
+}
+
+/** Response body for a request, undefined if no route matches */
+function _route(store, req) {
+    if (req.method !== "GET") return undefined;
+    const url = new URL(req.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    if (parts.length === 1 && parts[0] === "status") {
+        return { chainId: store.data.chainId, checkpoint: store.checkpoint, pools: Object.keys(store.pools).length };
+    }
+    if (parts[0] !== "pools") return undefined;
+    if (parts.length === 1) {
+        return Object.keys(store.pools).map((pool) => analytics.getPoolSummary(store, pool));
+    }
+
+    const pool = parts[1].toLowerCase();
+    if (!store.pools[pool]) throw _httpError(404, `Pool ${parts[1]} is not indexed`);
+    const window = _window(url.searchParams);
+
+    switch (parts.length === 2 ? "" : parts[2]) {
+        case "":
+            return parts.length === 2 ? analytics.getPoolSummary(store, pool) : undefined;
+        case "history":
+            return parts.length === 3 ? analytics.getPoolHistory(store, pool, window) : undefined;
+        case "volume":
+            return parts.length === 3 ? analytics.getVolume(store, pool, window) : undefined;
+        case "fees":
+            return parts.length === 3 ? analytics.getFeeRevenue(store, pool, window) : undefined;
+        case "positions": {
+            const positions = analytics.getPositions(store, pool);
+            if (parts.length === 3) return positions;
+            if (parts.length !== 4) return undefined;
+            const position = positions.find((p) => p.owner.toLowerCase() === parts[3].toLowerCase());
+            if (!position) throw _httpError(404, `No position for ${parts[3]}`);
+            return position;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/** Time window from the from and to query parameters */
+function _window(params) {
+    const window = {};
+    for (const key of ["from", "to"]) {
+        if (!params.has(key)) continue;
+        const value = Number(params.get(key));
+        if (!Number.isInteger(value) || value < 0) throw _httpError(400, `Invalid ${key} timestamp`);
+        window[key] = value;
+    }
+    return window;
+}
+
+/** Error carrying the HTTP status to respond with */
+function _httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/** JSON.stringify replacer writing BigNumbers as decimal strings */
+function _replacer(key, value) {
+    if (value && value.type === "BigNumber" && value.hex) return BigNumber.from(value.hex).toString();
+    return value;
+}
+
+module.exports = { createIndexerServer };
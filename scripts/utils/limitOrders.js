@@ -0,0 +1,38 @@
+/**
+ * List open orders whose target price has been reached.
+ * @param {ethers.Contract} orderBook Deployed DEXLimitOrders
+ * @returns {Promise<number[]>} Identifiers of orders that pass the on-chain price check
+ */
+async function findExecutableOrders(orderBook) {
+    const count = (await orderBook.orderCount()).toNumber();
+    const executable = [];
+    for (let orderId = 0; orderId < count; orderId++) {
+        if (await orderBook.canExecute(orderId)) executable.push(orderId);
+    }
+    return executable;
+}
+
+/**
+ * Execute every executable order, collecting the keeper bounty for each fill.
+ * Each fill is simulated first, so an order whose swap would miss its minAmountOut
+ * is reported as failed instead of costing gas.
+ * @param {ethers.Contract} orderBook DEXLimitOrders connected to the keeper signer
+ * @returns {Promise<{filled: {orderId: number, txHash: string}[], failed: {orderId: number, reason: string}[]}>}
+ */
+async function fillExecutableOrders(orderBook) {
+    const filled = [];
+    const failed = [];
+    for (const orderId of await findExecutableOrders(orderBook)) {
+        try {
+            await orderBook.callStatic.executeOrder(orderId);
+            const tx = await orderBook.executeOrder(orderId);
+            await tx.wait();
+            filled.push({ orderId, txHash: tx.hash });
+        } catch (error) {
+            failed.push({ orderId, reason: error.reason || error.message });
+        }
+    }
+    return { filled, failed };
+}
+
+module.exports = { findExecutableOrders, fillExecutableOrders };
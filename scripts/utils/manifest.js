@@ -0,0 +1,78 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Directory holding one deployment manifest per network
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * Record of a deployment to one network, written by deploy and read back by later deploys,
+ * the verify step and the CLI tasks.
+ * @typedef {object} DeploymentManifest
+ * @property {string} network Hardhat network name
+ * @property {number} chainId Chain the contracts live on
+ * @property {string} deployer Account that deployed them
+ * @property {boolean} upgradeable True if pairs sit behind upgradeable proxies
+ * @property {{DEXImplementation: DeployedContract, DEXFactory: DeployedContract}} contracts
+ *           Contracts deployed directly, with constructor args, block numbers and ABI and code hashes
+ * @property {Object<string, object>} tokens Tokens by symbol: deployed mocks, or existing tokens
+ *           marked external with the hash of their code
+ * @property {Object<string, object>} pairs Pairs by "SYMBOLA/SYMBOLB" name, with the pool's token
+ *           order and fee, the block and transaction that created them and their code hash
+ */
+
+/**
+ * Default manifest location of a network.
+ * @param {string} network Hardhat network name
+ * @returns {string} Path of deployments/<network>.json
+ */
+function manifestPath(network) {
+    return path.join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+/**
+ * Write a manifest, creating its directory if needed.
+ * @param {string} filePath Manifest location
+ * @param {DeploymentManifest} manifest Manifest to write
+ */
+function saveManifest(filePath, manifest) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(manifest, null, 4)}\n`);
+}
+
+/**
+ * Read a manifest, checking it belongs to the chain in use.
+ * @param {string} filePath Manifest location
+ * @param {number} chainId Chain the caller is connected to
+ * @returns {DeploymentManifest} Parsed manifest
+ */
+function loadManifest(filePath, chainId) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`No deployment manifest at ${filePath}, deploy first or pass addresses`);
+    }
+    const manifest = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (manifest.chainId !== chainId) {
+        throw new Error(`Manifest ${filePath} is for chain ${manifest.chainId}, not ${chainId}`);
+    }
+    return manifest;
+}
+
+/**
+ * Address of a pair given by address or by manifest name, in either token order.
+ * @param {DeploymentManifest|null} manifest Manifest to look names up in
+ * @param {string} pair Pool address or name such as "TKA/TKB"
+ * @returns {string} Pool address
+ */
+function resolvePair(manifest, pair) {
+    if (ethers.utils.isAddress(pair)) return pair;
+    if (!manifest) throw new Error(`Pair ${pair} is not an address and no manifest was found`);
+
+    const [symbolA, symbolB] = pair.split("/");
+    const entry = manifest.pairs[pair] || manifest.pairs[`${symbolB}/${symbolA}`];
+    if (!entry) {
+        throw new Error(`Pair ${pair} is not in the manifest, known pairs: ${Object.keys(manifest.pairs).join(", ")}`);
+    }
+    return entry.address;
+}
+
+module.exports = { DEPLOYMENTS_DIR, manifestPath, saveManifest, loadManifest, resolvePair };
@@ -0,0 +1,60 @@
+const { ethers } = require("hardhat");
+
+// EIP-2612 Permit struct, as defined by OpenZeppelin's ERC20Permit
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+/**
+ * Build the EIP-712 typed data for a token permit.
+ * @param {ethers.Contract} token ERC20 token implementing EIP-2612
+ * @param {string} owner Address granting the allowance
+ * @param {string} spender Address receiving the allowance, e.g. a DEX pool
+ * @param {ethers.BigNumberish} value Allowance to grant
+ * @param {ethers.BigNumberish} deadline Unix timestamp after which the permit is invalid
+ * @param {string} [version] EIP-712 domain version of the token
+ * @returns {Promise<{domain: object, types: object, message: object}>} Typed data to sign
+ */
+async function buildPermitTypedData(token, owner, spender, value, deadline, version = "1") {
+    const { chainId } = await token.provider.getNetwork();
+    const domain = {
+        name: await token.name(),
+        version,
+        chainId,
+        verifyingContract: token.address,
+    };
+    const message = {
+        owner,
+        spender,
+        value,
+        nonce: await token.nonces(owner),
+        deadline,
+    };
+    return { domain, types: PERMIT_TYPES, message };
+}
+
+/**
+ * Sign a permit and return it in the shape of DEX.PermitSignature.
+ * @param {ethers.Contract} token ERC20 token implementing EIP-2612
+ * @param {ethers.Signer} signer Token owner signing the permit
+ * @param {string} spender Address receiving the allowance, e.g. a DEX pool
+ * @param {ethers.BigNumberish} value Allowance to grant
+ * @param {ethers.BigNumberish} deadline Unix timestamp after which the permit is invalid
+ * @param {string} [version] EIP-712 domain version of the token
+ * @returns {Promise<{value: ethers.BigNumberish, deadline: ethers.BigNumberish, v: number, r: string, s: string}>}
+ */
+async function signPermit(token, signer, spender, value, deadline, version = "1") {
+    const owner = await signer.getAddress();
+    const { domain, types, message } = await buildPermitTypedData(token, owner, spender, value, deadline, version);
+    const signature = await signer._signTypedData(domain, types, message);
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { value, deadline, v, r, s };
+}
+
+module.exports = { signPermit, buildPermitTypedData, PERMIT_TYPES };
@@ -0,0 +1,251 @@
+const { BigNumber, constants } = require("ethers");
+
+// Window used when a query gives no start time (one week)
+const DEFAULT_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+const YEAR_SECONDS = 365 * 24 * 60 * 60;
+// Fee constant, matching DEX.FEE_DENOMINATOR
+const FEE_DENOMINATOR = 10000;
+// Fixed-point scale used to turn ratios into decimal numbers
+const SCALE = BigNumber.from(10).pow(18);
+
+/**
+ * Resolve a time window, defaulting to the week up to the last indexed block.
+ * @param {EventStore} store Indexer store
+ * @param {{from?: number, to?: number}} [window] Unix timestamps, inclusive
+ * @returns {{from: number, to: number}} Resolved window
+ */
+function resolveWindow(store, { from, to } = {}) {
+    const end = to !== undefined ? to : store.checkpoint ? store.checkpoint.timestamp : Math.floor(Date.now() / 1000);
+    const start = from !== undefined ? from : end - DEFAULT_WINDOW_SECONDS;
+    return { from: start, to: end };
+}
+
+/**
+ * Latest known state of a pool.
+ * @param {EventStore} store Indexer store
+ * @param {string} pool Pool address
+ * @returns {object} Tokens, current LP fee, reserves and LP token supply
+ */
+function getPoolSummary(store, pool) {
+    const info = _poolInfo(store, pool);
+    const [reserveA, reserveB] = _reservesAt(store, pool);
+    return {
+        address: pool.toLowerCase(),
+        tokenA: info.tokenA,
+        tokenB: info.tokenB,
+        fee: _feeTimeline(store, pool).at(Infinity),
+        reserveA,
+        reserveB,
+        totalSupply: _balances(store, pool).totalSupply,
+        fromBlock: info.fromBlock,
+    };
+}
+
+/**
+ * Reserves after every change within a window, from the pool's Sync events.
+ * @param {EventStore} store Indexer store
+ * @param {string} pool Pool address
+ * @param {{from?: number, to?: number}} [window] Unix timestamps, inclusive
+ * @returns {{blockNumber: number, timestamp: number, transactionHash: string, reserveA: BigNumber, reserveB: BigNumber}[]}
+ */
+function getPoolHistory(store, pool, window) {
+    _poolInfo(store, pool);
+    const { from, to } = resolveWindow(store, window);
+    return store.getEvents(pool, { events: ["Sync"], from, to }).map((e) => ({
+        blockNumber: e.blockNumber,
+        timestamp: e.timestamp,
+        transactionHash: e.transactionHash,
+        reserveA: BigNumber.from(e.args.reserveA),
+        reserveB: BigNumber.from(e.args.reserveB),
+    }));
+}
+
+/**
+ * Swap volume within a window, as the sum of swap inputs per token.
+ * Includes the internal swap of zapIn, which emits Swap too.
+ * @param {EventStore} store Indexer store
+ * @param {string} pool Pool address
+ * @param {{from?: number, to?: number}} [window] Unix timestamps, inclusive
+ * @returns {{from: number, to: number, swaps: number, volumeA: BigNumber, volumeB: BigNumber}}
+ */
+function getVolume(store, pool, window) {
+    const info = _poolInfo(store, pool);
+    const { from, to } = resolveWindow(store, window);
+    let volumeA = constants.Zero;
+    let volumeB = constants.Zero;
+    const swaps = store.getEvents(pool, { events: ["Swap"], from, to });
+    for (const { args } of swaps) {
+        if (_sameAddress(args.tokenIn, info.tokenA)) volumeA = volumeA.add(args.amountIn);
+        else volumeB = volumeB.add(args.amountIn);
+    }
+    return { from, to, swaps: swaps.length, volumeA, volumeB };
+}
+
+/**
+ * LP fee revenue within a window and the APR it annualises to.
+ * Each swap pays amountIn * fee / FEE_DENOMINATOR at the fee in force when it was mined.
+ * The APR values fees and liquidity in token B at the reserves at the end of the window and
+ * is gross of the protocol fee; single-token exits, whose internal swap emits no Swap event,
+ * are not counted.
+ * @param {EventStore} store Indexer store
+ * @param {string} pool Pool address
+ * @param {{from?: number, to?: number}} [window] Unix timestamps, inclusive
+ * @returns {{from: number, to: number, feesA: BigNumber, feesB: BigNumber, feesInB: BigNumber, liquidityInB: BigNumber, apr: number}}
+ */
+function getFeeRevenue(store, pool, window) {
+    const info = _poolInfo(store, pool);
+    const { from, to } = resolveWindow(store, window);
+    const fees = _feeTimeline(store, pool);
+
+    let feesA = constants.Zero;
+    let feesB = constants.Zero;
+    for (const { args, blockNumber, logIndex } of store.getEvents(pool, { events: ["Swap"], from, to })) {
+        const feePaid = BigNumber.from(args.amountIn).mul(fees.at(blockNumber, logIndex)).div(FEE_DENOMINATOR);
+        if (_sameAddress(args.tokenIn, info.tokenA)) feesA = feesA.add(feePaid);
+        else feesB = feesB.add(feePaid);
+    }
+
+    const [reserveA, reserveB] = _reservesAt(store, pool, to);
+    const feesInB = reserveA.isZero() ? feesB : feesA.mul(reserveB).div(reserveA).add(feesB);
+    const liquidityInB = reserveB.mul(2);
+    const duration = Math.max(to - from, 1);
+    const apr = liquidityInB.isZero()
+        ? 0
+        : _toNumber(feesInB.mul(SCALE).mul(YEAR_SECONDS).div(liquidityInB.mul(duration)));
+
+    return { from, to, feesA, feesB, feesInB, liquidityInB, apr };
+}
+
+/**
+ * LP positions from LP token transfers, with each holder's share of the current reserves
+ * and the tokens they deposited and withdrew. Exact when the pool is indexed from its creation.
+ * @param {EventStore} store Indexer store
+ * @param {string} pool Pool address
+ * @returns {object[]} Positions, largest first
+ */
+function getPositions(store, pool) {
+    _poolInfo(store, pool);
+    const { balances, totalSupply } = _balances(store, pool);
+    const [reserveA, reserveB] = _reservesAt(store, pool);
+    const flows = _liquidityFlows(store, pool);
+
+    const owners = new Set([...balances.keys(), ...flows.keys()]);
+    const positions = [...owners].map((owner) => {
+        const liquidity = balances.get(owner) || constants.Zero;
+        const flow = flows.get(owner) || _emptyFlow();
+        const share = totalSupply.isZero() ? constants.Zero : liquidity.mul(SCALE).div(totalSupply);
+        return {
+            owner,
+            liquidity,
+            share: _toNumber(share),
+            amountA: totalSupply.isZero() ? constants.Zero : liquidity.mul(reserveA).div(totalSupply),
+            amountB: totalSupply.isZero() ? constants.Zero : liquidity.mul(reserveB).div(totalSupply),
+            ...flow,
+        };
+    });
+    return positions.sort((a, b) => (b.liquidity.gt(a.liquidity) ? 1 : b.liquidity.lt(a.liquidity) ? -1 : 0));
+}
+
+/** Stored info of a followed pool, or an error for unknown pools */
+function _poolInfo(store, pool) {
+    const info = store.pools[pool.toLowerCase()];
+    if (!info) throw new Error(`Pool ${pool} is not indexed`);
+    return info;
+}
+
+/** Reserves after the last Sync at or before a timestamp, zero before the first */
+function _reservesAt(store, pool, timestamp) {
+    const syncs = store.getEvents(pool, { events: ["Sync"], to: timestamp });
+    if (syncs.length === 0) return [constants.Zero, constants.Zero];
+    const { args } = syncs[syncs.length - 1];
+    return [BigNumber.from(args.reserveA), BigNumber.from(args.reserveB)];
+}
+
+/** Fee in force at any point of the chain, from FeeConfigured events and the discovery fee */
+function _feeTimeline(store, pool) {
+    const changes = store.getEvents(pool, { events: ["FeeConfigured"] });
+    const initial = Number(_poolInfo(store, pool).fee);
+    return {
+        at(blockNumber, logIndex = Infinity) {
+            let fee = initial;
+            for (const change of changes) {
+                if (change.blockNumber > blockNumber) break;
+                if (change.blockNumber === blockNumber && change.logIndex > logIndex) break;
+                fee = Number(change.args.fee);
+            }
+            return fee;
+        },
+    };
+}
+
+/** LP token balance per holder and the total supply, from Transfer events */
+function _balances(store, pool) {
+    const balances = new Map();
+    let totalSupply = constants.Zero;
+    const move = (owner, amount) => {
+        const balance = (balances.get(owner) || constants.Zero).add(amount);
+        if (balance.isZero()) balances.delete(owner);
+        else balances.set(owner, balance);
+    };
+
+    for (const { args } of store.getEvents(pool, { events: ["Transfer"] })) {
+        const value = BigNumber.from(args.value);
+        if (args.from === constants.AddressZero) totalSupply = totalSupply.add(value);
+        else move(args.from, value.mul(-1));
+        if (args.to === constants.AddressZero) totalSupply = totalSupply.sub(value);
+        else move(args.to, value);
+    }
+    return { balances, totalSupply };
+}
+
+/** Tokens deposited and withdrawn per provider */
+function _liquidityFlows(store, pool) {
+    const info = _poolInfo(store, pool);
+    const flows = new Map();
+    const flowOf = (provider) => {
+        if (!flows.has(provider)) flows.set(provider, _emptyFlow());
+        return flows.get(provider);
+    };
+
+    const events = ["LiquidityAdded", "LiquidityRemoved", "LiquidityRemovedOneToken"];
+    for (const { event, args } of store.getEvents(pool, { events })) {
+        const flow = flowOf(args.provider);
+        if (event === "LiquidityAdded") {
+            flow.depositedA = flow.depositedA.add(args.amountA);
+            flow.depositedB = flow.depositedB.add(args.amountB);
+        } else if (event === "LiquidityRemoved") {
+            flow.withdrawnA = flow.withdrawnA.add(args.amountA);
+            flow.withdrawnB = flow.withdrawnB.add(args.amountB);
+        } else if (_sameAddress(args.tokenOut, info.tokenA)) {
+            flow.withdrawnA = flow.withdrawnA.add(args.amountOut);
+        } else {
+            flow.withdrawnB = flow.withdrawnB.add(args.amountOut);
+        }
+    }
+    return flows;
+}
+
+/** Zero deposits and withdrawals */
+function _emptyFlow() {
+    return { depositedA: constants.Zero, depositedB: constants.Zero, withdrawnA: constants.Zero, withdrawnB: constants.Zero };
+}
+
+/** True if two addresses are equal, ignoring checksum case */
+function _sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/** 1e18-scaled BigNumber as a JavaScript number */
+function _toNumber(scaled) {
+    return Number(scaled.toString()) / 1e18;
+}
+
+module.exports = {
+    DEFAULT_WINDOW_SECONDS,
+    resolveWindow,
+    getPoolSummary,
+    getPoolHistory,
+    getVolume,
+    getFeeRevenue,
+    getPositions,
+};
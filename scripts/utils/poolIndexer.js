@@ -0,0 +1,198 @@
+const { ethers } = require("ethers");
+
+// Pool events the indexer stores; Transfer tracks LP token balances for positions
+const POOL_ABI = [
+    "event Swap(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)",
+    "event LiquidityAdded(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityMinted)",
+    "event LiquidityRemoved(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidityBurned)",
+    "event LiquidityRemovedOneToken(address indexed provider, address indexed tokenOut, uint256 amountOut, uint256 liquidityBurned)",
+    "event Sync(uint256 reserveA, uint256 reserveB)",
+    "event FeeConfigured(uint256 fee)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "function tokenA() view returns (address)",
+    "function tokenB() view returns (address)",
+    "function fee() view returns (uint256)",
+];
+const FACTORY_ABI = [
+    "event PairCreated(address indexed tokenA, address indexed tokenB, uint256 fee, address pair, uint256 pairCount)",
+];
+// Largest block range requested from the node in one getLogs call
+const DEFAULT_BATCH_SIZE = 2000;
+
+/**
+ * Follows DEX pools on a node and persists their events to an EventStore.
+ * Each sync first checks that the checkpoint block is still on the canonical chain; after a
+ * reorg it rolls the store back to the newest remembered block that still is, then indexes
+ * forward in batches, saving a checkpoint after each one so a restart resumes where it stopped.
+ */
+class PoolIndexer {
+    /**
+     * @param {object} options
+     * @param {ethers.providers.Provider} options.provider Node to follow
+     * @param {EventStore} options.store Store to persist events to
+     * @param {string[]} [options.pools] Pool addresses to follow
+     * @param {string} [options.factory] DEXFactory whose pairs are followed as they are created
+     * @param {number} [options.startBlock] First block to index, e.g. the factory deployment block
+     * @param {number} [options.confirmations] Blocks to stay behind the head
+     * @param {number} [options.batchSize] Largest block range per getLogs call
+     */
+    constructor({ provider, store, pools = [], factory, startBlock = 0, confirmations = 0, batchSize = DEFAULT_BATCH_SIZE }) {
+        this.provider = provider;
+        this.store = store;
+        this.poolAddresses = pools;
+        this.factory = factory ? new ethers.Contract(factory, FACTORY_ABI, provider) : null;
+        this.startBlock = startBlock;
+        this.confirmations = confirmations;
+        this.batchSize = batchSize;
+        this.poolInterface = new ethers.utils.Interface(POOL_ABI);
+    }
+
+    /**
+     * Index every block up to the head minus the confirmations.
+     * @returns {Promise<{reorgDepth: number, events: number, checkpoint: object|null}>} Blocks rolled
+     *          back by a reorg, events added and the new checkpoint
+     */
+    async sync() {
+        const reorgDepth = await this._handleReorg();
+        await this._addConfiguredPools();
+
+        const target = (await this.provider.getBlockNumber()) - this.confirmations;
+        let from = this.store.checkpoint ? this.store.checkpoint.blockNumber + 1 : this.startBlock;
+        let added = 0;
+        while (from <= target) {
+            const to = Math.min(from + this.batchSize - 1, target);
+            const toBlock = await this.provider.getBlock(to);
+
+            const discovered = await this._discoverPools(from, to);
+            const { events, blocks } = await this._fetchEvents(from, to, { ...this.store.pools, ...discovered });
+
+            // A reorg while fetching would mix two forks; retry the batch on the next sync.
+            // Nothing from the batch reaches the store before this check passes
+            if ((await this.provider.getBlock(to)).hash !== toBlock.hash) break;
+
+            for (const [address, info] of Object.entries(discovered)) this.store.addPool(address, info);
+            for (const block of blocks) this.store.recordBlock(block.number, block.hash);
+            this.store.addEvents(events);
+            this.store.setCheckpoint(to, toBlock.hash, toBlock.timestamp);
+            this.store.save();
+            added += events.length;
+            from = to + 1;
+        }
+        return { reorgDepth, events: added, checkpoint: this.store.checkpoint };
+    }
+
+    /**
+     * Roll the store back if the checkpoint block has left the canonical chain.
+     * @returns {Promise<number>} Number of blocks rolled back, zero without a reorg
+     */
+    async _handleReorg() {
+        const checkpoint = this.store.checkpoint;
+        if (!checkpoint) return 0;
+        const block = await this.provider.getBlock(checkpoint.blockNumber);
+        if (block && block.hash === checkpoint.blockHash) return 0;
+
+        for (const known of this.store.recentBlocks()) {
+            const onChain = await this.provider.getBlock(known.number);
+            if (onChain && onChain.hash === known.hash) {
+                this.store.rollback(onChain.number, onChain.hash, onChain.timestamp);
+                this.store.save();
+                return checkpoint.blockNumber - onChain.number;
+            }
+        }
+
+        // The fork is older than every remembered block: index again from the start
+        this.store.rollback(this.startBlock - 1, null);
+        this.store.save();
+        return checkpoint.blockNumber - this.startBlock + 1;
+    }
+
+    /** Start following the pools passed to the constructor */
+    async _addConfiguredPools() {
+        for (const address of this.poolAddresses) {
+            if (this.store.pools[address.toLowerCase()]) continue;
+            const pool = new ethers.Contract(address, POOL_ABI, this.provider);
+            const [tokenA, tokenB, fee] = await Promise.all([pool.tokenA(), pool.tokenB(), pool.fee()]);
+            this.store.addPool(address, { tokenA, tokenB, fee: fee.toString(), fromBlock: this.startBlock, fromFactory: false });
+        }
+    }
+
+    /**
+     * Find pairs the factory created within a block range that are not followed yet.
+     * @returns {Promise<Object<string, PoolInfo>>} New pools keyed by lower-cased address
+     */
+    async _discoverPools(from, to) {
+        const discovered = {};
+        if (!this.factory) return discovered;
+        const logs = await this.factory.queryFilter(this.factory.filters.PairCreated(), from, to);
+        for (const { args, blockNumber } of logs) {
+            const address = args.pair.toLowerCase();
+            if (this.store.pools[address]) continue;
+            discovered[address] = {
+                tokenA: args.tokenA,
+                tokenB: args.tokenB,
+                fee: args.fee.toString(),
+                fromBlock: blockNumber,
+                fromFactory: true,
+            };
+        }
+        return discovered;
+    }
+
+    /**
+     * Fetch and decode the events of the given pools within a block range.
+     * @param {number} from First block of the range
+     * @param {number} to Last block of the range
+     * @param {Object<string, PoolInfo>} pools Pools to fetch, keyed by lower-cased address
+     * @returns {Promise<{events: StoredEvent[], blocks: {number: number, hash: string}[]}>} Events
+     *          in chain order and the blocks they were mined in
+     */
+    async _fetchEvents(from, to, pools) {
+        const logs = [];
+        for (const [address, info] of Object.entries(pools)) {
+            if (info.fromBlock > to) continue;
+            logs.push(...(await this.provider.getLogs({ address, fromBlock: Math.max(from, info.fromBlock), toBlock: to })));
+        }
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        const timestamps = new Map();
+        const blocks = [];
+        const events = [];
+        for (const log of logs) {
+            let parsed;
+            try {
+                parsed = this.poolInterface.parseLog(log);
+            } catch (error) {
+                continue; // Not an event the indexer stores, e.g. role or upgrade events
+            }
+
+            if (!timestamps.has(log.blockNumber)) {
+                const block = await this.provider.getBlock(log.blockNumber);
+                timestamps.set(log.blockNumber, block.timestamp);
+                blocks.push({ number: block.number, hash: block.hash });
+            }
+            events.push({
+                pool: log.address.toLowerCase(),
+                event: parsed.name,
+                args: _serializeArgs(parsed),
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                timestamp: timestamps.get(log.blockNumber),
+                transactionHash: log.transactionHash,
+                logIndex: log.logIndex,
+            });
+        }
+        return { events, blocks };
+    }
+}
+
+/** Named event arguments with numbers as decimal strings */
+function _serializeArgs(parsed) {
+    const args = {};
+    parsed.eventFragment.inputs.forEach((input, i) => {
+        const value = parsed.args[i];
+        args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    });
+    return args;
+}
+
+module.exports = { PoolIndexer, POOL_ABI, FACTORY_ABI, DEFAULT_BATCH_SIZE };
@@ -0,0 +1,50 @@
+/**
+ * Register a pool proxy with the upgrades plugin. Pools created by an upgradeable factory
+ * are unknown to the plugin's network manifest, so their current implementation is
+ * imported with the storage layout of the contract it was built from.
+ * @param {object} upgrades The hardhat-upgrades plugin, hre.upgrades
+ * @param {string} poolAddress Address of the pool proxy
+ * @param {ethers.ContractFactory} CurrentImplementation Contract the pool runs today
+ */
+async function importPool(upgrades, poolAddress, CurrentImplementation) {
+    await upgrades.forceImport(poolAddress, CurrentImplementation, { kind: "uups" });
+}
+
+/**
+ * Check that a new implementation can replace the one behind a pool without corrupting
+ * its storage: existing variables must keep their slots and types, new ones are appended.
+ * @param {object} upgrades The hardhat-upgrades plugin, hre.upgrades
+ * @param {string} poolAddress Address of the pool proxy
+ * @param {ethers.ContractFactory} CurrentImplementation Contract the pool runs today
+ * @param {ethers.ContractFactory} NewImplementation Contract to upgrade to
+ * @returns {Promise<{safe: boolean, reason: string|null}>} Whether the upgrade is safe, and why not
+ */
+async function checkPoolUpgrade(upgrades, poolAddress, CurrentImplementation, NewImplementation) {
+    await importPool(upgrades, poolAddress, CurrentImplementation);
+    try {
+        await upgrades.validateUpgrade(poolAddress, NewImplementation, { kind: "uups" });
+        return { safe: true, reason: null };
+    } catch (error) {
+        return { safe: false, reason: error.message };
+    }
+}
+
+/**
+ * Upgrade a pool in place, refusing if the storage-layout check fails.
+ * The signer of NewImplementation must hold the pool's admin role.
+ * @param {object} upgrades The hardhat-upgrades plugin, hre.upgrades
+ * @param {string} poolAddress Address of the pool proxy
+ * @param {ethers.ContractFactory} CurrentImplementation Contract the pool runs today
+ * @param {ethers.ContractFactory} NewImplementation Contract to upgrade to
+ * @returns {Promise<string>} Address of the new implementation
+ */
+async function upgradePool(upgrades, poolAddress, CurrentImplementation, NewImplementation) {
+    const { safe, reason } = await checkPoolUpgrade(upgrades, poolAddress, CurrentImplementation, NewImplementation);
+    if (!safe) {
+        throw new Error(`Refusing unsafe upgrade of ${poolAddress}: ${reason}`);
+    }
+    await upgrades.upgradeProxy(poolAddress, NewImplementation, { kind: "uups" });
+    return upgrades.erc1967.getImplementationAddress(poolAddress);
+}
+
+module.exports = { importPool, checkPoolUpgrade, upgradePool };
@@ -0,0 +1,355 @@
+const fs = require("fs");
+const { scope, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const dexMath = require("../scripts/utils/dexMath");
+const { DEXClient } = require("../scripts/utils/dexClient");
+const { defaultPairsConfig, loadPairsConfig, deployDex, verifyDeployment } = require("../scripts/utils/deployment");
+const { manifestPath, saveManifest, loadManifest, resolvePair } = require("../scripts/utils/manifest");
+
+// Tolerated move against the quote when --slippage is not given, in percent
+const DEFAULT_SLIPPAGE = "0.5";
+
+const dex = scope("dex", "Deploy DEX pools and trade against them");
+
+// Task operating on one pool, with the options every such task shares
+function poolTask(name, description) {
+    return dex
+        .task(name, description)
+        .addParam("pair", "Pool address or manifest pair name, e.g. TKA/TKB")
+        .addOptionalParam("manifest", "Deployment manifest to read (default deployments/<network>.json)")
+        .addOptionalParam("account", "Index of the signer to act as", 0, types.int)
+        .addFlag("json", "Print JSON instead of a table");
+}
+
+dex.task("deploy", "Deploy the configured tokens, the factory and pairs, keeping what the manifest already has")
+    .addOptionalParam("pairsConfig", "Pairs config to deploy (default config/pairs.<network>.json or config/pairs.json)")
+    .addOptionalParam("manifest", "Manifest to resume from and save to (default deployments/<network>.json)")
+    .addFlag("upgradeable", "Put pairs behind upgradeable proxies instead of fixed clones")
+    .addFlag("fresh", "Ignore the existing manifest and deploy everything again")
+    .addFlag("json", "Print JSON instead of a table")
+    .setAction(async (args, hre) => {
+        if (hre.network.name === "hardhat") {
+            console.warn("Deploying to the in-process hardhat network, which is discarded on exit; use --network localhost");
+        }
+        const file = args.manifest || manifestPath(hre.network.name);
+        const config = loadPairsConfig(args.pairsConfig || defaultPairsConfig(hre.network.name));
+        let previous = null;
+        if (!args.fresh && fs.existsSync(file)) {
+            const { chainId } = await hre.ethers.provider.getNetwork();
+            previous = loadManifest(file, chainId);
+        }
+
+        const manifest = await deployDex(hre, config, { upgradeable: args.upgradeable, previous });
+        saveManifest(file, manifest);
+
+        if (args.json) {
+            printJson(manifest);
+        } else {
+            const rows = {};
+            for (const [name, entry] of Object.entries(manifest.contracts)) rows[name] = entry.address;
+            for (const [symbol, token] of Object.entries(manifest.tokens)) rows[`token ${symbol}`] = token.address;
+            for (const [name, pair] of Object.entries(manifest.pairs)) rows[`pair ${name}`] = pair.address;
+            rows.manifest = file;
+            printTable(rows);
+        }
+        return manifest;
+    });
+
+dex.task("verify", "Check that the code on chain matches the manifest and the compiled contracts")
+    .addOptionalParam("manifest", "Manifest to verify (default deployments/<network>.json)")
+    .addFlag("json", "Print JSON instead of a table")
+    .setAction(async (args, hre) => {
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        const manifest = loadManifest(args.manifest || manifestPath(hre.network.name), chainId);
+        const results = await verifyDeployment(hre, manifest);
+
+        if (args.json) {
+            printJson(results);
+        } else {
+            printTable(Object.fromEntries(results.map(({ name, ok, reason }) => [name, ok ? "ok" : `MISMATCH: ${reason}`])));
+        }
+        const failed = results.filter((result) => !result.ok);
+        if (failed.length > 0) throw new Error(`${failed.length} deployment(s) do not match the manifest`);
+        return results;
+    });
+
+poolTask("reserves", "Show a pool's reserves, prices and fee")
+    .setAction(async (args, hre) => {
+        const { pool, state, tokenA, tokenB } = await loadPool(hre, args);
+        const result = {
+            pool: pool.address,
+            tokenA: tokenA.symbol,
+            tokenB: tokenB.symbol,
+            reserveA: formatAmount(state.reserveA, tokenA),
+            reserveB: formatAmount(state.reserveB, tokenB),
+            priceA: humanPrice(state.reserveA, tokenA, state.reserveB, tokenB),
+            priceB: humanPrice(state.reserveB, tokenB, state.reserveA, tokenA),
+            fee: `${state.fee.toNumber() / 100}%`,
+            protocolFee: state.feeOn ? "on" : "off",
+            totalSupply: ethers.utils.formatEther(state.totalSupply),
+        };
+        print(result, args.json);
+        return result;
+    });
+
+poolTask("quote", "Quote a swap without sending it")
+    .addParam("tokenIn", "Token sold, symbol or address")
+    .addOptionalParam("amountIn", "Exact amount sold")
+    .addOptionalParam("amountOut", "Exact amount bought, instead of --amount-in")
+    .addOptionalParam("slippage", "Tolerated move against the quote, in percent", DEFAULT_SLIPPAGE)
+    .setAction(async (args, hre) => {
+        const context = await loadPool(hre, args);
+        const quote = quoteSwap(context, args);
+        const result = {
+            tokenIn: quote.tokenIn.symbol,
+            tokenOut: quote.tokenOut.symbol,
+            amountIn: formatAmount(quote.amountIn, quote.tokenIn),
+            amountOut: formatAmount(quote.amountOut, quote.tokenOut),
+            ...(quote.exactIn
+                ? { minAmountOut: formatAmount(quote.limit, quote.tokenOut) }
+                : { maxAmountIn: formatAmount(quote.limit, quote.tokenIn) }),
+            priceImpact: quote.priceImpact,
+        };
+        print(result, args.json);
+        return result;
+    });
+
+poolTask("swap", "Swap an exact input, or for an exact output, within a slippage bound")
+    .addParam("tokenIn", "Token sold, symbol or address")
+    .addOptionalParam("amountIn", "Exact amount sold")
+    .addOptionalParam("amountOut", "Exact amount bought, instead of --amount-in")
+    .addOptionalParam("slippage", "Tolerated move against the quote, in percent", DEFAULT_SLIPPAGE)
+    .setAction(async (args, hre) => {
+        const context = await loadPool(hre, args);
+        const { client, signer } = context;
+        const quote = quoteSwap(context, args);
+
+        await ensureAllowance(quote.tokenIn, signer, client.pool.address, quote.exactIn ? quote.amountIn : quote.limit);
+        const options = { slippageBps: quote.slippageBps };
+        const { amountIn, amountOut, receipt } = quote.exactIn
+            ? await client.swapExactIn(quote.tokenIn.address, quote.amountIn, options)
+            : await client.swapExactOut(quote.tokenOut.address, quote.amountOut, options);
+
+        const result = {
+            tokenIn: quote.tokenIn.symbol,
+            tokenOut: quote.tokenOut.symbol,
+            amountIn: formatAmount(amountIn, quote.tokenIn),
+            amountOut: formatAmount(amountOut, quote.tokenOut),
+            transaction: receipt.transactionHash,
+        };
+        print(result, args.json);
+        return result;
+    });
+
+poolTask("add-liquidity", "Deposit both tokens at the pool ratio")
+    .addParam("amountA", "Maximum amount of the pool's token A (see dex reserves)")
+    .addParam("amountB", "Maximum amount of the pool's token B")
+    .addOptionalParam("slippage", "Tolerated move against the quote, in percent", DEFAULT_SLIPPAGE)
+    .setAction(async (args, hre) => {
+        const { client, signer, tokenA, tokenB } = await loadPool(hre, args);
+        const amountADesired = parseAmount(args.amountA, tokenA.decimals, "amount-a");
+        const amountBDesired = parseAmount(args.amountB, tokenB.decimals, "amount-b");
+
+        await ensureAllowance(tokenA, signer, client.pool.address, amountADesired);
+        await ensureAllowance(tokenB, signer, client.pool.address, amountBDesired);
+        const { amountA, amountB, liquidity, receipt } = await client.addLiquidity(amountADesired, amountBDesired, {
+            slippageBps: parseSlippage(args.slippage),
+        });
+
+        const result = {
+            tokenA: tokenA.symbol,
+            tokenB: tokenB.symbol,
+            amountA: formatAmount(amountA, tokenA),
+            amountB: formatAmount(amountB, tokenB),
+            liquidity: ethers.utils.formatEther(liquidity),
+            transaction: receipt.transactionHash,
+        };
+        print(result, args.json);
+        return result;
+    });
+
+poolTask("remove-liquidity", "Burn LP tokens for both tokens, or for one with --token-out")
+    .addParam("liquidity", "Amount of LP tokens to burn")
+    .addOptionalParam("tokenOut", "Receive only this token, symbol or address")
+    .addOptionalParam("slippage", "Tolerated move against the quote, in percent", DEFAULT_SLIPPAGE)
+    .setAction(async (args, hre) => {
+        const { client, tokenA, tokenB } = await loadPool(hre, args);
+        const liquidity = parseAmount(args.liquidity, 18, "liquidity");
+        const options = { slippageBps: parseSlippage(args.slippage) };
+
+        let result;
+        if (args.tokenOut) {
+            const [tokenOut] = resolveSides({ tokenA, tokenB }, args.tokenOut);
+            const { amountOut, receipt } = await client.removeLiquidityOneToken(tokenOut.address, liquidity, options);
+            result = {
+                tokenOut: tokenOut.symbol,
+                amountOut: formatAmount(amountOut, tokenOut),
+                liquidity: ethers.utils.formatEther(liquidity),
+                transaction: receipt.transactionHash,
+            };
+        } else {
+            const { amountA, amountB, receipt } = await client.removeLiquidity(liquidity, options);
+            result = {
+                tokenA: tokenA.symbol,
+                tokenB: tokenB.symbol,
+                amountA: formatAmount(amountA, tokenA),
+                amountB: formatAmount(amountB, tokenB),
+                liquidity: ethers.utils.formatEther(liquidity),
+                transaction: receipt.transactionHash,
+            };
+        }
+        print(result, args.json);
+        return result;
+    });
+
+poolTask("position", "Show an account's LP balance and the tokens it is worth")
+    .addOptionalParam("owner", "Account to inspect (default the signer)")
+    .setAction(async (args, hre) => {
+        const { pool, signer, state, tokenA, tokenB } = await loadPool(hre, args);
+        const owner = args.owner || signer.address;
+        if (!ethers.utils.isAddress(owner)) throw new Error(`Invalid --owner address: ${owner}`);
+
+        // Value the position as a withdrawal would, after the pending protocol fee mint
+        const balance = await pool.balanceOf(owner);
+        const totalSupply = state.totalSupply.add(dexMath.getProtocolFeeLiquidity(state));
+        const share = totalSupply.isZero() ? ethers.constants.Zero : balance.mul(1000000).div(totalSupply);
+        const result = {
+            owner,
+            liquidity: ethers.utils.formatEther(balance),
+            share: `${ethers.utils.formatUnits(share, 4)}%`,
+            tokenA: tokenA.symbol,
+            tokenB: tokenB.symbol,
+            amountA: formatAmount(totalSupply.isZero() ? totalSupply : balance.mul(state.reserveA).div(totalSupply), tokenA),
+            amountB: formatAmount(totalSupply.isZero() ? totalSupply : balance.mul(state.reserveB).div(totalSupply), tokenB),
+        };
+        print(result, args.json);
+        return result;
+    });
+
+/**
+ * Connect to the pool named by --pair as the --account signer and read its state.
+ * @returns {Promise<object>} Signer, pool contract, DEXClient, pool state and token metadata
+ */
+async function loadPool(hre, args) {
+    let manifest = null;
+    if (!ethers.utils.isAddress(args.pair)) {
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        manifest = loadManifest(args.manifest || manifestPath(hre.network.name), chainId);
+    }
+
+    const signer = (await hre.ethers.getSigners())[args.account];
+    if (!signer) throw new Error(`No signer at index ${args.account}`);
+    const pool = await hre.ethers.getContractAt("DEX", resolvePair(manifest, args.pair), signer);
+    const client = new DEXClient(pool);
+    const state = await client.getState();
+    const [tokenA, tokenB] = await Promise.all([state.tokenA, state.tokenB].map((address) => loadToken(hre, address)));
+    return { signer, pool, client, state, tokenA, tokenB };
+}
+
+// Token contract with the symbol and decimals used to parse and print amounts
+async function loadToken(hre, address) {
+    const contract = await hre.ethers.getContractAt("IERC20Metadata", address);
+    const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+    return { contract, address, symbol, decimals };
+}
+
+// The token named by symbol or address, followed by the pool's other token
+function resolveSides({ tokenA, tokenB }, token) {
+    const matches = (meta) => meta.symbol.toLowerCase() === token.toLowerCase() || meta.address.toLowerCase() === token.toLowerCase();
+    if (matches(tokenA)) return [tokenA, tokenB];
+    if (matches(tokenB)) return [tokenB, tokenA];
+    throw new Error(`Token ${token} is not in the pool, expected ${tokenA.symbol} or ${tokenB.symbol}`);
+}
+
+/**
+ * Quote the swap described by --token-in and one of --amount-in or --amount-out.
+ * @returns {{tokenIn: object, tokenOut: object, exactIn: boolean, amountIn: BigNumber, amountOut: BigNumber,
+ *           limit: BigNumber, slippageBps: number, priceImpact: string}} Quote, with limit the minimum
+ *           output of an exact-input swap or the maximum input of an exact-output one
+ */
+function quoteSwap({ state, tokenA, tokenB }, args) {
+    if (Boolean(args.amountIn) === Boolean(args.amountOut)) {
+        throw new Error("Pass exactly one of --amount-in and --amount-out");
+    }
+    const [tokenIn, tokenOut] = resolveSides({ tokenA, tokenB }, args.tokenIn);
+    const slippageBps = parseSlippage(args.slippage);
+    const exactIn = Boolean(args.amountIn);
+
+    let amountIn, amountOut, limit;
+    if (exactIn) {
+        amountIn = parseAmount(args.amountIn, tokenIn.decimals, "amount-in");
+        amountOut = dexMath.quoteSwapExactIn(state, tokenIn.address, amountIn).amountOut;
+        limit = amountOut.mul(10000 - slippageBps).div(10000);
+    } else {
+        amountOut = parseAmount(args.amountOut, tokenOut.decimals, "amount-out");
+        amountIn = dexMath.quoteSwapExactOut(state, tokenOut.address, amountOut).amountIn;
+        limit = amountIn.mul(10000 + slippageBps).div(10000);
+    }
+
+    // Shortfall of the execution price against the spot price, fee included
+    const [reserveIn, reserveOut] = tokenIn === tokenA ? [state.reserveA, state.reserveB] : [state.reserveB, state.reserveA];
+    const impactBps = 10000 - amountOut.mul(reserveIn).mul(10000).div(amountIn.mul(reserveOut)).toNumber();
+    return { tokenIn, tokenOut, exactIn, amountIn, amountOut, limit, slippageBps, priceImpact: `${impactBps / 100}%` };
+}
+
+// Approve the pool for at least amount, if the current allowance falls short
+async function ensureAllowance(token, owner, spender, amount) {
+    const allowance = await token.contract.allowance(owner.address, spender);
+    if (allowance.gte(amount)) return;
+    await (await token.contract.connect(owner).approve(spender, amount)).wait();
+}
+
+// Human-readable amount in base units, rejecting zero and malformed input
+function parseAmount(value, decimals, flag) {
+    let amount;
+    try {
+        amount = ethers.utils.parseUnits(value, decimals);
+    } catch (error) {
+        throw new Error(`Invalid --${flag} amount: ${value}`);
+    }
+    if (amount.lte(0)) throw new Error(`--${flag} must be greater than 0`);
+    return amount;
+}
+
+// Slippage percentage as basis points
+function parseSlippage(value) {
+    const percent = Number(value);
+    if (!Number.isFinite(percent) || percent < 0 || percent >= 100) {
+        throw new Error(`Invalid --slippage: ${value}, expected a percentage from 0 to 100`);
+    }
+    return Math.round(percent * 100);
+}
+
+// Base units of a token as a decimal string
+function formatAmount(amount, token) {
+    return ethers.utils.formatUnits(amount, token.decimals);
+}
+
+// Spot price of one unit of the base token in the quote token, null for an empty pool
+function humanPrice(baseReserve, baseToken, quoteReserve, quoteToken) {
+    if (baseReserve.isZero()) return null;
+    const scaled = quoteReserve
+        .mul(ethers.BigNumber.from(10).pow(baseToken.decimals))
+        .mul(ethers.constants.WeiPerEther)
+        .div(baseReserve.mul(ethers.BigNumber.from(10).pow(quoteToken.decimals)));
+    return ethers.utils.formatEther(scaled);
+}
+
+// Print a flat result as JSON or as a table
+function print(result, json) {
+    if (json) printJson(result);
+    else printTable(result);
+}
+
+// Print any value as indented JSON
+function printJson(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+// Print label/value rows with the values aligned
+function printTable(rows) {
+    const width = Math.max(...Object.keys(rows).map((key) => key.length));
+    for (const [key, value] of Object.entries(rows)) {
+        console.log(`${key.padEnd(width)}  ${value === null ? "-" : value}`);
+    }
+}
@@ -1,5 +1,52 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../scripts/utils/permit");
+const { checkPoolUpgrade, upgradePool } = require("../scripts/utils/upgrades");
+const dexMath = require("../scripts/utils/dexMath");
+const { DEXClient } = require("../scripts/utils/dexClient");
+const { createRandom, randomAmount } = require("../scripts/utils/fuzz");
+
+// Far-future deadline for calls that are not testing expiry
+const DEADLINE = ethers.constants.MaxUint256;
+// Pool LP fee in basis points (0.3%)
+const FEE_BPS = 30;
+// LP shares locked on the first deposit, matching DEX.MINIMUM_LIQUIDITY
+const MINIMUM_LIQUIDITY = 1000;
+const LIQUIDITY_LOCK_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+// Access control roles, matching DEX.DEFAULT_ADMIN_ROLE and DEX.PAUSER_ROLE
+const ADMIN_ROLE = ethers.constants.HashZero;
+const PAUSER_ROLE = ethers.utils.id("PAUSER_ROLE");
+// Delay between scheduling and executing a parameter change, matching DEX.TIMELOCK_DELAY
+const TIMELOCK_DELAY = 2 * 24 * 60 * 60;
+
+// Revert reason of OpenZeppelin AccessControl for an account lacking a role
+function missingRole(account, role) {
+    return `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+}
+
+const { sqrt } = dexMath;
+
+// Revert reason of a call, or null if it succeeds
+async function revertReason(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (error) {
+        return error.reason || error.message;
+    }
+}
+
+// Error message of a synchronous call, or null if it succeeds
+function thrownMessage(fn) {
+    try {
+        fn();
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
 
 describe("DEX", function () {
     let dex, tokenA, tokenB;
@@ -14,7 +61,7 @@ describe("DEX", function () {
         tokenB = await MockERC20.deploy("Token B", "TKB");
 
         const DEX = await ethers.getContractFactory("DEX");
-        dex = await DEX.deploy(tokenA.address, tokenB.address);
+        dex = await upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, FEE_BPS]);
 
         // Approve DEX to spend tokens
         await tokenA.approve(dex.address, ethers.utils.parseEther("1000000"));
@@ -33,27 +80,55 @@ describe("DEX", function () {
         await tokenB.connect(addr2).approve(dex.address, ethers.utils.parseEther("10000"));
     });
 
-    describe("Constructor", function () {
+    describe("Initialization", function () {
         it("should revert with zero address for token A", async function () {
             const DEX = await ethers.getContractFactory("DEX");
             await expect(
-                DEX.deploy(ethers.constants.AddressZero, tokenB.address)
+                upgrades.deployProxy(DEX, [ethers.constants.AddressZero, tokenB.address, FEE_BPS])
             ).to.be.revertedWith("Invalid token A address");
         });
 
         it("should revert with zero address for token B", async function () {
             const DEX = await ethers.getContractFactory("DEX");
             await expect(
-                DEX.deploy(tokenA.address, ethers.constants.AddressZero)
+                upgrades.deployProxy(DEX, [tokenA.address, ethers.constants.AddressZero, FEE_BPS])
             ).to.be.revertedWith("Invalid token B address");
         });
 
         it("should revert when both tokens are the same", async function () {
             const DEX = await ethers.getContractFactory("DEX");
             await expect(
-                DEX.deploy(tokenA.address, tokenA.address)
+                upgrades.deployProxy(DEX, [tokenA.address, tokenA.address, FEE_BPS])
             ).to.be.revertedWith("Tokens must be different");
         });
+
+        it("should revert with an invalid fee", async function () {
+            const DEX = await ethers.getContractFactory("DEX");
+            await expect(
+                upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, 0])
+            ).to.be.revertedWith("Invalid fee");
+
+            await expect(
+                upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, 1001])
+            ).to.be.revertedWith("Invalid fee");
+        });
+
+        it("should not initialize a pool twice", async function () {
+            await expect(
+                dex.initialize(tokenA.address, tokenB.address, FEE_BPS)
+            ).to.be.revertedWith("Initializable: contract is already initialized");
+        });
+
+        it("should lock the implementation behind the proxy", async function () {
+            const implementation = await ethers.getContractAt(
+                "DEX",
+                await upgrades.erc1967.getImplementationAddress(dex.address)
+            );
+
+            await expect(
+                implementation.initialize(tokenA.address, tokenB.address, FEE_BPS)
+            ).to.be.revertedWith("Initializable: contract is already initialized");
+        });
     });
 
     describe("Liquidity Management", function () {
@@ -61,7 +136,7 @@ describe("DEX", function () {
             const amountA = ethers.utils.parseEther("100");
             const amountB = ethers.utils.parseEther("200");
 
-            await dex.addLiquidity(amountA, amountB);
+            await dex.addLiquidity(amountA, amountB, 0, 0, DEADLINE);
 
             const reserves = await dex.getReserves();
             expect(reserves._reserveA).to.equal(amountA);
@@ -73,7 +148,7 @@ describe("DEX", function () {
             const amountA = ethers.utils.parseEther("100");
             const amountB = ethers.utils.parseEther("200");
 
-            await dex.addLiquidity(amountA, amountB);
+            await dex.addLiquidity(amountA, amountB, 0, 0, DEADLINE);
 
             // Calculate sqrt manually for BigNumber
             const product = amountA.mul(amountB);
@@ -87,7 +162,8 @@ describe("DEX", function () {
 
             const actualLiquidity = await dex.liquidity(owner.address);
 
-            expect(actualLiquidity).to.equal(expectedLiquidity);
+            expect(actualLiquidity).to.equal(expectedLiquidity.sub(MINIMUM_LIQUIDITY));
+            expect(await dex.liquidity(LIQUIDITY_LOCK_ADDRESS)).to.equal(MINIMUM_LIQUIDITY);
             expect(await dex.totalLiquidity()).to.equal(expectedLiquidity);
         });
 
@@ -95,7 +171,10 @@ describe("DEX", function () {
             // First provider
             await dex.addLiquidity(
                 ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
             );
 
             const initialTotalLiquidity = await dex.totalLiquidity();
@@ -103,7 +182,10 @@ describe("DEX", function () {
             // Second provider
             await dex.connect(addr1).addLiquidity(
                 ethers.utils.parseEther("50"),
-                ethers.utils.parseEther("100")
+                ethers.utils.parseEther("100"),
+                0,
+                0,
+                DEADLINE
             );
 
             const newTotalLiquidity = await dex.totalLiquidity();
@@ -114,14 +196,20 @@ describe("DEX", function () {
         it("should maintain price ratio on liquidity addition", async function () {
             await dex.addLiquidity(
                 ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
             );
 
             const initialPrice = await dex.getPrice();
 
             await dex.connect(addr1).addLiquidity(
                 ethers.utils.parseEther("50"),
-                ethers.utils.parseEther("100")
+                ethers.utils.parseEther("100"),
+                0,
+                0,
+                DEADLINE
             );
 
             const newPrice = await dex.getPrice();
@@ -131,14 +219,17 @@ describe("DEX", function () {
         it("should allow partial liquidity removal", async function () {
             await dex.addLiquidity(
                 ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
             );
 
             const totalLiquidityBefore = await dex.totalLiquidity();
             const userLiquidityBefore = await dex.liquidity(owner.address);
 
             const removeAmount = userLiquidityBefore.div(2);
-            await dex.removeLiquidity(removeAmount);
+            await dex.removeLiquidity(removeAmount, 0, 0, DEADLINE);
 
             const userLiquidityAfter = await dex.liquidity(owner.address);
             expect(userLiquidityAfter).to.equal(userLiquidityBefore.sub(removeAmount));
@@ -149,41 +240,391 @@ describe("DEX", function () {
             const amountA = ethers.utils.parseEther("100");
             const amountB = ethers.utils.parseEther("200");
 
-            await dex.addLiquidity(amountA, amountB);
+            await dex.addLiquidity(amountA, amountB, 0, 0, DEADLINE);
 
             const userLiquidity = await dex.liquidity(owner.address);
+            const totalLiquidity = await dex.totalLiquidity();
             const balanceABefore = await tokenA.balanceOf(owner.address);
             const balanceBBefore = await tokenB.balanceOf(owner.address);
 
-            await dex.removeLiquidity(userLiquidity);
+            await dex.removeLiquidity(userLiquidity, 0, 0, DEADLINE);
 
             const balanceAAfter = await tokenA.balanceOf(owner.address);
             const balanceBAfter = await tokenB.balanceOf(owner.address);
 
-            expect(balanceAAfter.sub(balanceABefore)).to.equal(amountA);
-            expect(balanceBAfter.sub(balanceBBefore)).to.equal(amountB);
+            // Everything except the share of the locked minimum liquidity comes back
+            expect(balanceAAfter.sub(balanceABefore)).to.equal(amountA.mul(userLiquidity).div(totalLiquidity));
+            expect(balanceBAfter.sub(balanceBBefore)).to.equal(amountB.mul(userLiquidity).div(totalLiquidity));
         });
 
         it("should revert on zero liquidity addition", async function () {
             await expect(
-                dex.addLiquidity(0, ethers.utils.parseEther("100"))
+                dex.addLiquidity(0, ethers.utils.parseEther("100"), 0, 0, DEADLINE)
             ).to.be.revertedWith("Amount A must be greater than 0");
 
             await expect(
-                dex.addLiquidity(ethers.utils.parseEther("100"), 0)
+                dex.addLiquidity(ethers.utils.parseEther("100"), 0, 0, 0, DEADLINE)
             ).to.be.revertedWith("Amount B must be greater than 0");
         });
 
         it("should revert when removing more liquidity than owned", async function () {
             await dex.addLiquidity(
                 ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
             );
 
             const userLiquidity = await dex.liquidity(owner.address);
 
             await expect(
-                dex.removeLiquidity(userLiquidity.add(1))
+                dex.removeLiquidity(userLiquidity.add(1), 0, 0, DEADLINE)
+            ).to.be.revertedWith("Insufficient liquidity");
+        });
+    });
+
+    describe("LP Token", function () {
+        beforeEach(async function () {
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
+        });
+
+        it("should derive name and symbol from the pair", async function () {
+            expect(await dex.name()).to.equal("DEX LP TKA-TKB");
+            expect(await dex.symbol()).to.equal("TKA-TKB-LP");
+            expect(await dex.decimals()).to.equal(18);
+        });
+
+        it("should track shares through the ERC20 interface", async function () {
+            const shares = await dex.liquidity(owner.address);
+
+            expect(await dex.balanceOf(owner.address)).to.equal(shares);
+            expect(await dex.totalSupply()).to.equal(await dex.totalLiquidity());
+        });
+
+        it("should emit Transfer from zero address on mint", async function () {
+            await expect(
+                dex.connect(addr1).addLiquidity(
+                    ethers.utils.parseEther("10"),
+                    ethers.utils.parseEther("20"),
+                    0,
+                    0,
+                    DEADLINE
+                )
+            ).to.emit(dex, "Transfer");
+        });
+
+        it("should allow transferred shares to be redeemed by the receiver", async function () {
+            const shares = await dex.liquidity(owner.address);
+            await dex.transfer(addr1.address, shares);
+
+            expect(await dex.liquidity(owner.address)).to.equal(0);
+            expect(await dex.liquidity(addr1.address)).to.equal(shares);
+
+            const totalLiquidity = await dex.totalLiquidity();
+            const balanceABefore = await tokenA.balanceOf(addr1.address);
+            await dex.connect(addr1).removeLiquidity(shares, 0, 0, DEADLINE);
+            const balanceAAfter = await tokenA.balanceOf(addr1.address);
+
+            expect(balanceAAfter.sub(balanceABefore)).to.equal(ethers.utils.parseEther("100").mul(shares).div(totalLiquidity));
+            expect(await dex.totalSupply()).to.equal(MINIMUM_LIQUIDITY);
+        });
+
+        it("should support approve and transferFrom", async function () {
+            const amount = (await dex.liquidity(owner.address)).div(4);
+            await dex.approve(addr1.address, amount);
+
+            await dex.connect(addr1).transferFrom(owner.address, addr2.address, amount);
+
+            expect(await dex.balanceOf(addr2.address)).to.equal(amount);
+            expect(await dex.allowance(owner.address, addr1.address)).to.equal(0);
+        });
+    });
+
+    describe("Liquidity Ratio Handling", function () {
+        beforeEach(async function () {
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
+        });
+
+        it("should only pull the optimal amount of an over-supplied token A", async function () {
+            const balanceABefore = await tokenA.balanceOf(addr1.address);
+            const balanceBBefore = await tokenB.balanceOf(addr1.address);
+
+            // 60 A would need 120 B; only 100 B offered, so A is capped at 50
+            await dex.connect(addr1).addLiquidity(
+                ethers.utils.parseEther("60"),
+                ethers.utils.parseEther("100"),
+                0,
+                0,
+                DEADLINE
+            );
+
+            expect(balanceABefore.sub(await tokenA.balanceOf(addr1.address))).to.equal(ethers.utils.parseEther("50"));
+            expect(balanceBBefore.sub(await tokenB.balanceOf(addr1.address))).to.equal(ethers.utils.parseEther("100"));
+        });
+
+        it("should only pull the optimal amount of an over-supplied token B", async function () {
+            const balanceBBefore = await tokenB.balanceOf(addr1.address);
+
+            await dex.connect(addr1).addLiquidity(
+                ethers.utils.parseEther("50"),
+                ethers.utils.parseEther("150"),
+                0,
+                0,
+                DEADLINE
+            );
+
+            expect(balanceBBefore.sub(await tokenB.balanceOf(addr1.address))).to.equal(ethers.utils.parseEther("100"));
+        });
+
+        it("should keep the price unchanged for unbalanced deposits", async function () {
+            const priceBefore = await dex.getPrice();
+
+            await dex.connect(addr1).addLiquidity(
+                ethers.utils.parseEther("80"),
+                ethers.utils.parseEther("100"),
+                0,
+                0,
+                DEADLINE
+            );
+
+            expect(await dex.getPrice()).to.equal(priceBefore);
+        });
+
+        it("should report the transferred amounts in LiquidityAdded", async function () {
+            const totalLiquidity = await dex.totalLiquidity();
+            const expectedShares = ethers.utils.parseEther("50").mul(totalLiquidity).div(ethers.utils.parseEther("100"));
+
+            await expect(
+                dex.connect(addr1).addLiquidity(
+                    ethers.utils.parseEther("60"),
+                    ethers.utils.parseEther("100"),
+                    0,
+                    0,
+                    DEADLINE
+                )
+            ).to.emit(dex, "LiquidityAdded")
+                .withArgs(addr1.address, ethers.utils.parseEther("50"), ethers.utils.parseEther("100"), expectedShares);
+        });
+
+        it("should enforce the minimum for both tokens", async function () {
+            await expect(
+                dex.connect(addr1).addLiquidity(
+                    ethers.utils.parseEther("60"),
+                    ethers.utils.parseEther("100"),
+                    ethers.utils.parseEther("51"),
+                    0,
+                    DEADLINE
+                )
+            ).to.be.revertedWith("Slippage limit exceeded");
+
+            await expect(
+                dex.connect(addr1).addLiquidity(
+                    ethers.utils.parseEther("50"),
+                    ethers.utils.parseEther("150"),
+                    0,
+                    ethers.utils.parseEther("101"),
+                    DEADLINE
+                )
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+    });
+
+    describe("Single-Sided Zap", function () {
+        beforeEach(async function () {
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
+        });
+
+        it("should mint LP tokens from token A only", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const balanceBBefore = await tokenB.balanceOf(addr1.address);
+
+            await expect(dex.connect(addr1).zapIn(tokenA.address, amountIn, 0, DEADLINE))
+                .to.emit(dex, "Swap")
+                .and.to.emit(dex, "LiquidityAdded");
+
+            expect(await dex.balanceOf(addr1.address)).to.be.gt(0);
+            // Token B is never pulled from the caller
+            expect(await tokenB.balanceOf(addr1.address)).to.be.gte(balanceBBefore);
+        });
+
+        it("should mint LP tokens from token B only", async function () {
+            await dex.connect(addr1).zapIn(tokenB.address, ethers.utils.parseEther("20"), 0, DEADLINE);
+
+            expect(await dex.balanceOf(addr1.address)).to.be.gt(0);
+        });
+
+        it("should refund the excess and keep reserves equal to balances", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const balanceABefore = await tokenA.balanceOf(addr1.address);
+
+            await dex.connect(addr1).zapIn(tokenA.address, amountIn, 0, DEADLINE);
+
+            const spent = balanceABefore.sub(await tokenA.balanceOf(addr1.address));
+            expect(spent).to.be.lte(amountIn);
+
+            const reserves = await dex.getReserves();
+            expect(reserves._reserveA).to.equal(await tokenA.balanceOf(dex.address));
+            expect(reserves._reserveB).to.equal(await tokenB.balanceOf(dex.address));
+        });
+
+        it("should redeem close to the zapped value", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            await dex.connect(addr1).zapIn(tokenA.address, amountIn, 0, DEADLINE);
+
+            const shares = await dex.balanceOf(addr1.address);
+            const [amountA, amountB] = await dex.connect(addr1).callStatic.removeLiquidity(shares, 0, 0, DEADLINE);
+            const reserves = await dex.getReserves();
+            const valueInA = amountA.add(amountB.mul(reserves._reserveA).div(reserves._reserveB));
+
+            // Loses only the swap fee and price impact on half of the input
+            expect(valueInA).to.be.gt(amountIn.mul(95).div(100));
+        });
+
+        it("should revert when minted shares are below minimum", async function () {
+            await expect(
+                dex.connect(addr1).zapIn(tokenA.address, ethers.utils.parseEther("10"), ethers.utils.parseEther("100"), DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should validate zap arguments", async function () {
+            await expect(
+                dex.zapIn(addr1.address, 1000, 0, DEADLINE)
+            ).to.be.revertedWith("Invalid token");
+
+            await expect(
+                dex.zapIn(tokenA.address, 0, 0, DEADLINE)
+            ).to.be.revertedWith("Amount in must be greater than 0");
+        });
+
+        it("should revert on an empty pool", async function () {
+            const DEX = await ethers.getContractFactory("DEX");
+            const emptyPool = await upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, FEE_BPS]);
+
+            await expect(
+                emptyPool.zapIn(tokenA.address, 1000, 0, DEADLINE)
+            ).to.be.revertedWith("No liquidity in pool");
+        });
+    });
+
+    describe("Single-Sided Removal", function () {
+        beforeEach(async function () {
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
+        });
+
+        it("should return only token A for burned shares", async function () {
+            const shares = (await dex.balanceOf(owner.address)).div(10);
+            const total = await dex.totalSupply();
+            const [reserveA, reserveB] = await dex.getReserves();
+
+            // Proportional A plus the proportional B swapped at the post-removal reserves
+            const shareA = shares.mul(reserveA).div(total);
+            const shareB = shares.mul(reserveB).div(total);
+            const swapOut = await dex.getAmountOut(shareB, reserveB.sub(shareB), reserveA.sub(shareA));
+            const expected = shareA.add(swapOut);
+
+            const balanceABefore = await tokenA.balanceOf(owner.address);
+            const balanceBBefore = await tokenB.balanceOf(owner.address);
+            await dex.removeLiquidityOneToken(tokenA.address, shares, expected, DEADLINE);
+
+            expect((await tokenA.balanceOf(owner.address)).sub(balanceABefore)).to.equal(expected);
+            expect(await tokenB.balanceOf(owner.address)).to.equal(balanceBBefore);
+            expect(await dex.balanceOf(owner.address)).to.equal((await dex.totalSupply()).sub(MINIMUM_LIQUIDITY));
+        });
+
+        it("should quote the amount out", async function () {
+            const shares = (await dex.balanceOf(owner.address)).div(4);
+            const quoted = await dex.getAmountOutForLiquidity(tokenB.address, shares);
+
+            await expect(dex.removeLiquidityOneToken(tokenB.address, shares, quoted, DEADLINE))
+                .to.emit(dex, "LiquidityRemovedOneToken")
+                .withArgs(owner.address, tokenB.address, quoted, shares);
+        });
+
+        it("should emit a distinct event instead of LiquidityRemoved and Swap", async function () {
+            const shares = (await dex.balanceOf(owner.address)).div(4);
+            const tx = await dex.removeLiquidityOneToken(tokenA.address, shares, 0, DEADLINE);
+            const receipt = await tx.wait();
+            const names = receipt.events.map((event) => event.event).filter(Boolean);
+
+            expect(names).to.include("LiquidityRemovedOneToken");
+            expect(names).to.not.include("LiquidityRemoved");
+            expect(names).to.not.include("Swap");
+        });
+
+        it("should keep reserves equal to balances and grow k per share", async function () {
+            const [reserveABefore, reserveBBefore] = await dex.getReserves();
+            const supplyBefore = await dex.totalSupply();
+
+            const shares = (await dex.balanceOf(owner.address)).div(2);
+            await dex.removeLiquidityOneToken(tokenA.address, shares, 0, DEADLINE);
+
+            const [reserveA, reserveB] = await dex.getReserves();
+            expect(reserveA).to.equal(await tokenA.balanceOf(dex.address));
+            expect(reserveB).to.equal(await tokenB.balanceOf(dex.address));
+            expect(reserveB).to.equal(reserveBBefore);
+            // The internal swap pays the pool fee to the remaining LPs: k / supply^2 grows
+            const supplyAfter = await dex.totalSupply();
+            expect(reserveA.mul(reserveB).mul(supplyBefore.pow(2)))
+                .to.be.gt(reserveABefore.mul(reserveBBefore).mul(supplyAfter.pow(2)));
+        });
+
+        it("should match a removal followed by a swap, in one transaction", async function () {
+            const shares = (await dex.balanceOf(owner.address)).div(10);
+            const oneToken = await dex.getAmountOutForLiquidity(tokenA.address, shares);
+            const balanceABefore = await tokenA.balanceOf(owner.address);
+
+            const [, amountB] = await dex.callStatic.removeLiquidity(shares, 0, 0, DEADLINE);
+            await dex.removeLiquidity(shares, 0, 0, DEADLINE);
+            await dex.swapBForA(amountB, 0, DEADLINE);
+
+            expect((await tokenA.balanceOf(owner.address)).sub(balanceABefore)).to.equal(oneToken);
+        });
+
+        it("should revert when output is below minimum", async function () {
+            const shares = (await dex.balanceOf(owner.address)).div(10);
+            const quoted = await dex.getAmountOutForLiquidity(tokenA.address, shares);
+
+            await expect(
+                dex.removeLiquidityOneToken(tokenA.address, shares, quoted.add(1), DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should validate removal arguments", async function () {
+            await expect(
+                dex.removeLiquidityOneToken(addr1.address, 1000, 0, DEADLINE)
+            ).to.be.revertedWith("Invalid token");
+
+            await expect(
+                dex.removeLiquidityOneToken(tokenA.address, 0, 0, DEADLINE)
+            ).to.be.revertedWith("Liquidity amount must be greater than 0");
+
+            await expect(
+                dex.connect(addr1).removeLiquidityOneToken(tokenA.address, 1000, 0, DEADLINE)
             ).to.be.revertedWith("Insufficient liquidity");
         });
     });
@@ -193,7 +634,10 @@ describe("DEX", function () {
             // Add initial liquidity before swap tests
             await dex.addLiquidity(
                 ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
             );
         });
 
@@ -201,7 +645,7 @@ describe("DEX", function () {
             const amountIn = ethers.utils.parseEther("10");
             const balanceBBefore = await tokenB.balanceOf(owner.address);
 
-            await dex.swapAForB(amountIn);
+            await dex.swapAForB(amountIn, 0, DEADLINE);
 
             const balanceBAfter = await tokenB.balanceOf(owner.address);
             expect(balanceBAfter).to.be.gt(balanceBBefore);
@@ -211,7 +655,7 @@ describe("DEX", function () {
             const amountIn = ethers.utils.parseEther("20");
             const balanceABefore = await tokenA.balanceOf(owner.address);
 
-            await dex.swapBForA(amountIn);
+            await dex.swapBForA(amountIn, 0, DEADLINE);
 
             const balanceAAfter = await tokenA.balanceOf(owner.address);
             expect(balanceAAfter).to.be.gt(balanceABefore);
@@ -237,7 +681,7 @@ describe("DEX", function () {
             const reservesBefore = await dex.getReserves();
 
             const expectedOut = await dex.getAmountOut(amountIn, reservesBefore._reserveA, reservesBefore._reserveB);
-            await dex.swapAForB(amountIn);
+            await dex.swapAForB(amountIn, 0, DEADLINE);
 
             const reservesAfter = await dex.getReserves();
             expect(reservesAfter._reserveA).to.equal(reservesBefore._reserveA.add(amountIn));
@@ -248,7 +692,7 @@ describe("DEX", function () {
             const reservesBefore = await dex.getReserves();
             const kBefore = reservesBefore._reserveA.mul(reservesBefore._reserveB);
 
-            await dex.swapAForB(ethers.utils.parseEther("10"));
+            await dex.swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
 
             const reservesAfter = await dex.getReserves();
             const kAfter = reservesAfter._reserveA.mul(reservesAfter._reserveB);
@@ -258,11 +702,11 @@ describe("DEX", function () {
 
         it("should revert on zero swap amount", async function () {
             await expect(
-                dex.swapAForB(0)
+                dex.swapAForB(0, 0, DEADLINE)
             ).to.be.revertedWith("Amount in must be greater than 0");
 
             await expect(
-                dex.swapBForA(0)
+                dex.swapBForA(0, 0, DEADLINE)
             ).to.be.revertedWith("Amount in must be greater than 0");
         });
 
@@ -270,7 +714,7 @@ describe("DEX", function () {
             const largeAmount = ethers.utils.parseEther("50");
             const reservesBefore = await dex.getReserves();
 
-            await dex.swapAForB(largeAmount);
+            await dex.swapAForB(largeAmount, 0, DEADLINE);
 
             const reservesAfter = await dex.getReserves();
             const priceBefore = reservesBefore._reserveB.mul(ethers.utils.parseEther("1")).div(reservesBefore._reserveA);
@@ -283,9 +727,9 @@ describe("DEX", function () {
         it("should handle multiple consecutive swaps", async function () {
             const amountIn = ethers.utils.parseEther("5");
 
-            await dex.swapAForB(amountIn);
-            await dex.swapBForA(ethers.utils.parseEther("8"));
-            await dex.swapAForB(amountIn);
+            await dex.swapAForB(amountIn, 0, DEADLINE);
+            await dex.swapBForA(ethers.utils.parseEther("8"), 0, DEADLINE);
+            await dex.swapAForB(amountIn, 0, DEADLINE);
 
             const reserves = await dex.getReserves();
             expect(reserves._reserveA).to.be.gt(0);
@@ -293,154 +737,1362 @@ describe("DEX", function () {
         });
     });
 
-    describe("Price Calculations", function () {
-        it("should return correct initial price", async function () {
-            const amountA = ethers.utils.parseEther("100");
-            const amountB = ethers.utils.parseEther("200");
+    describe("Permit Entry Points", function () {
+        let holder;
+        const amount = ethers.utils.parseEther("10");
 
-            await dex.addLiquidity(amountA, amountB);
+        beforeEach(async function () {
+            // A wallet that holds tokens but never sent an approve transaction
+            [, , , holder] = await ethers.getSigners();
+            await tokenA.mint(holder.address, ethers.utils.parseEther("100"));
+            await tokenB.mint(holder.address, ethers.utils.parseEther("100"));
+        });
 
-            const price = await dex.getPrice();
-            const expectedPrice = amountB.mul(ethers.utils.parseEther("1")).div(amountA);
+        it("should add liquidity with permits instead of approvals", async function () {
+            const permitA = await signPermit(tokenA, holder, dex.address, amount, DEADLINE);
+            const permitB = await signPermit(tokenB, holder, dex.address, amount, DEADLINE);
 
-            expect(price).to.equal(expectedPrice);
-        });
+            await expect(
+                dex.connect(holder).addLiquidityWithPermit(amount, amount, 0, 0, DEADLINE, permitA, permitB)
+            ).to.emit(dex, "LiquidityAdded");
 
-        it("should update price after swaps", async function () {
-            await dex.addLiquidity(
-                ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
-            );
+            expect(await dex.liquidity(holder.address)).to.equal(amount.sub(MINIMUM_LIQUIDITY));
+            expect(await tokenA.nonces(holder.address)).to.equal(1);
+            expect(await tokenA.allowance(holder.address, dex.address)).to.equal(0);
+        });
 
-            const priceBefore = await dex.getPrice();
+        it("should swap token A for token B with a permit", async function () {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
+            const expectedOut = await dex.getAmountOut(amount, ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            const permit = await signPermit(tokenA, holder, dex.address, amount, DEADLINE);
 
-            await dex.swapAForB(ethers.utils.parseEther("10"));
+            await dex.connect(holder).swapAForBWithPermit(amount, expectedOut, DEADLINE, permit);
 
-            const priceAfter = await dex.getPrice();
-            expect(priceAfter).to.not.equal(priceBefore);
+            expect(await tokenB.balanceOf(holder.address)).to.equal(ethers.utils.parseEther("100").add(expectedOut));
         });
 
-        it("should handle price queries with zero reserves gracefully", async function () {
-            await expect(dex.getPrice()).to.be.revertedWith("No liquidity");
-        });
-    });
+        it("should swap token B for token A with a permit", async function () {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
+            const expectedOut = await dex.getAmountOut(amount, ethers.utils.parseEther("200"), ethers.utils.parseEther("100"));
+            const permit = await signPermit(tokenB, holder, dex.address, amount, DEADLINE);
 
-    describe("Fee Distribution", function () {
-        it("should accumulate fees for liquidity providers", async function () {
-            const amountA = ethers.utils.parseEther("100");
-            const amountB = ethers.utils.parseEther("200");
+            await dex.connect(holder).swapBForAWithPermit(amount, expectedOut, DEADLINE, permit);
 
-            await dex.addLiquidity(amountA, amountB);
-            const userLiquidity = await dex.liquidity(owner.address);
+            expect(await tokenA.balanceOf(holder.address)).to.equal(ethers.utils.parseEther("100").add(expectedOut));
+        });
 
-            // Perform multiple swaps to accumulate fees
-            await dex.connect(addr1).swapAForB(ethers.utils.parseEther("10"));
-            await dex.connect(addr1).swapBForA(ethers.utils.parseEther("15"));
-            await dex.connect(addr1).swapAForB(ethers.utils.parseEther("5"));
+        it("should still succeed when the permit was front-run", async function () {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
+            const permit = await signPermit(tokenA, holder, dex.address, amount, DEADLINE);
 
-            // Remove liquidity
-            const balanceABefore = await tokenA.balanceOf(owner.address);
-            const balanceBBefore = await tokenB.balanceOf(owner.address);
+            // Someone submits the signature straight to the token first, consuming the nonce
+            await tokenA.connect(addr1).permit(holder.address, dex.address, permit.value, permit.deadline, permit.v, permit.r, permit.s);
 
-            await dex.removeLiquidity(userLiquidity);
+            await expect(
+                dex.connect(holder).swapAForBWithPermit(amount, 0, DEADLINE, permit)
+            ).to.emit(dex, "Swap");
+        });
 
-            const balanceAAfter = await tokenA.balanceOf(owner.address);
-            const balanceBAfter = await tokenB.balanceOf(owner.address);
+        it("should revert with an invalid permit and no allowance", async function () {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
 
-            const receivedA = balanceAAfter.sub(balanceABefore);
-            const receivedB = balanceBAfter.sub(balanceBBefore);
+            // Signed for a different spender
+            const wrongSpender = await signPermit(tokenA, holder, addr1.address, amount, DEADLINE);
+            await expect(
+                dex.connect(holder).swapAForBWithPermit(amount, 0, DEADLINE, wrongSpender)
+            ).to.be.revertedWith("Permit failed");
 
-            // Due to fees, the constant product k should have increased
-            // Check that the product of received amounts is greater than initial product
-            const initialK = amountA.mul(amountB);
-            const finalK = receivedA.mul(receivedB);
+            // Signed by someone other than the caller
+            const otherSigner = await signPermit(tokenA, addr1, dex.address, amount, DEADLINE);
+            await expect(
+                dex.connect(holder).swapAForBWithPermit(amount, 0, DEADLINE, otherSigner)
+            ).to.be.revertedWith("Permit failed");
+        });
 
-            // Final k should be greater due to accumulated fees
-            expect(finalK).to.be.gt(initialK);
+        it("should revert with an expired permit", async function () {
+            const expired = (await time.latest()) - 1;
+            const permitA = await signPermit(tokenA, holder, dex.address, amount, expired);
+            const permitB = await signPermit(tokenB, holder, dex.address, amount, DEADLINE);
+
+            await expect(
+                dex.connect(holder).addLiquidityWithPermit(amount, amount, 0, 0, DEADLINE, permitA, permitB)
+            ).to.be.revertedWith("Permit failed");
         });
+    });
 
-        it("should distribute fees proportionally to LP share", async function () {
-            // First provider adds liquidity
+    describe("Exact Output Swaps", function () {
+        beforeEach(async function () {
             await dex.addLiquidity(
                 ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
-            );
-
-            // Second provider adds liquidity
-            await dex.connect(addr1).addLiquidity(
-                ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
             );
+        });
 
-            const ownerLiquidity = await dex.liquidity(owner.address);
-            const addr1Liquidity = await dex.liquidity(addr1.address);
+        it("should buy an exact amount of token B", async function () {
+            const amountOut = ethers.utils.parseEther("10");
+            const reserves = await dex.getReserves();
+            const expectedIn = await dex.getAmountIn(amountOut, reserves._reserveA, reserves._reserveB);
 
-            // Perform swaps
-            await dex.connect(addr2).swapAForB(ethers.utils.parseEther("20"));
+            const balanceABefore = await tokenA.balanceOf(addr1.address);
+            const balanceBBefore = await tokenB.balanceOf(addr1.address);
 
-            // Both should have approximately equal liquidity (50% each)
-            const totalLiq = await dex.totalLiquidity();
-            const ownerShare = ownerLiquidity.mul(100).div(totalLiq);
-            const addr1Share = addr1Liquidity.mul(100).div(totalLiq);
+            await expect(dex.connect(addr1).swapAForExactB(amountOut, expectedIn, DEADLINE))
+                .to.emit(dex, "Swap")
+                .withArgs(addr1.address, tokenA.address, tokenB.address, expectedIn, amountOut);
 
-            expect(ownerShare).to.be.closeTo(addr1Share, 1);
+            expect(balanceABefore.sub(await tokenA.balanceOf(addr1.address))).to.equal(expectedIn);
+            expect((await tokenB.balanceOf(addr1.address)).sub(balanceBBefore)).to.equal(amountOut);
         });
-    });
 
-    describe("Edge Cases", function () {
-        it("should handle very small liquidity amounts", async function () {
-            const smallAmount = ethers.utils.parseEther("0.001");
+        it("should buy an exact amount of token A", async function () {
+            const amountOut = ethers.utils.parseEther("5");
+            const reserves = await dex.getReserves();
+            const expectedIn = await dex.getAmountIn(amountOut, reserves._reserveB, reserves._reserveA);
 
-            await dex.addLiquidity(smallAmount, smallAmount);
+            await dex.connect(addr1).swapBForExactA(amountOut, expectedIn, DEADLINE);
 
-            const reserves = await dex.getReserves();
-            expect(reserves._reserveA).to.equal(smallAmount);
-            expect(reserves._reserveB).to.equal(smallAmount);
+            const reservesAfter = await dex.getReserves();
+            expect(reservesAfter._reserveA).to.equal(reserves._reserveA.sub(amountOut));
+            expect(reservesAfter._reserveB).to.equal(reserves._reserveB.add(expectedIn));
         });
 
-        it("should handle very large liquidity amounts", async function () {
-            const largeAmount = ethers.utils.parseEther("100000");
-
-            await tokenA.mint(owner.address, largeAmount);
-            await tokenB.mint(owner.address, largeAmount);
-            await tokenA.approve(dex.address, largeAmount);
-            await tokenB.approve(dex.address, largeAmount);
+        it("should revert when required input exceeds maximum", async function () {
+            const amountOut = ethers.utils.parseEther("10");
+            const reserves = await dex.getReserves();
+            const amountAIn = await dex.getAmountIn(amountOut, reserves._reserveA, reserves._reserveB);
+            const amountBIn = await dex.getAmountIn(amountOut, reserves._reserveB, reserves._reserveA);
 
-            await dex.addLiquidity(largeAmount, largeAmount);
+            await expect(
+                dex.swapAForExactB(amountOut, amountAIn.sub(1), DEADLINE)
+            ).to.be.revertedWith("Excessive input amount");
 
-            const reserves = await dex.getReserves();
-            expect(reserves._reserveA).to.equal(largeAmount);
+            await expect(
+                dex.swapBForExactA(amountOut, amountBIn.sub(1), DEADLINE)
+            ).to.be.revertedWith("Excessive input amount");
         });
 
-        it("should prevent unauthorized access", async function () {
-            await dex.addLiquidity(
-                ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
-            );
+        it("should revert on zero or reserve-draining output", async function () {
+            await expect(
+                dex.swapAForExactB(0, ethers.constants.MaxUint256, DEADLINE)
+            ).to.be.revertedWith("Amount out must be greater than 0");
+
+            await expect(
+                dex.swapAForExactB(ethers.utils.parseEther("200"), ethers.constants.MaxUint256, DEADLINE)
+            ).to.be.revertedWith("Insufficient liquidity for swap");
+        });
+
+        it("should increase k after exact-output swap due to fees", async function () {
+            const reserves = await dex.getReserves();
+            const kBefore = reserves._reserveA.mul(reserves._reserveB);
+
+            await dex.swapAForExactB(ethers.utils.parseEther("10"), ethers.constants.MaxUint256, DEADLINE);
+
+            const reservesAfter = await dex.getReserves();
+            expect(reservesAfter._reserveA.mul(reservesAfter._reserveB)).to.be.gt(kBefore);
+        });
+
+        it("should round-trip getAmountIn through getAmountOut", async function () {
+            const reserveIn = ethers.utils.parseEther("100");
+            const reserveOut = ethers.utils.parseEther("200");
+            const outputs = ["0.000000000000000001", "0.001", "1", "10", "99.5", "199"];
+
+            for (const value of outputs) {
+                const amountOut = ethers.utils.parseEther(value);
+                const amountIn = await dex.getAmountIn(amountOut, reserveIn, reserveOut);
+
+                // The quoted input is sufficient...
+                expect(await dex.getAmountOut(amountIn, reserveIn, reserveOut)).to.be.gte(amountOut);
+                // ...and minimal
+                if (amountIn.gt(1)) {
+                    expect(await dex.getAmountOut(amountIn.sub(1), reserveIn, reserveOut)).to.be.lt(amountOut);
+                }
+            }
+        });
+
+        it("should round-trip getAmountOut through getAmountIn", async function () {
+            const reserveIn = ethers.utils.parseEther("100");
+            const reserveOut = ethers.utils.parseEther("200");
+            const inputs = ["0.001", "1", "10", "1000"];
+
+            for (const value of inputs) {
+                const amountIn = ethers.utils.parseEther(value);
+                const amountOut = await dex.getAmountOut(amountIn, reserveIn, reserveOut);
+
+                expect(await dex.getAmountIn(amountOut, reserveIn, reserveOut)).to.be.lte(amountIn);
+            }
+        });
+
+        it("should handle getAmountIn with invalid inputs", async function () {
+            await expect(
+                dex.getAmountIn(0, 100, 100)
+            ).to.be.revertedWith("Insufficient output amount");
+
+            await expect(
+                dex.getAmountIn(10, 0, 100)
+            ).to.be.revertedWith("Insufficient liquidity");
+        });
+    });
+
+    describe("Slippage Protection", function () {
+        beforeEach(async function () {
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
+        });
+
+        it("should revert swapAForB when output is below minimum", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const expectedOut = await dex.getAmountOut(amountIn, ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+
+            await expect(
+                dex.swapAForB(amountIn, expectedOut.add(1), DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+
+            await expect(dex.swapAForB(amountIn, expectedOut, DEADLINE))
+                .to.emit(dex, "Swap");
+        });
+
+        it("should revert swapBForA when output is below minimum", async function () {
+            const amountIn = ethers.utils.parseEther("20");
+            const expectedOut = await dex.getAmountOut(amountIn, ethers.utils.parseEther("200"), ethers.utils.parseEther("100"));
+
+            await expect(
+                dex.swapBForA(amountIn, expectedOut.add(1), DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should revert swap when front-run moves the price", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const quoted = await dex.getAmountOut(amountIn, ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+            const minOut = quoted.mul(995).div(1000); // 0.5% tolerance
+
+            // Sandwich attacker buys B first
+            await dex.connect(addr2).swapAForB(ethers.utils.parseEther("20"), 0, DEADLINE);
+
+            await expect(
+                dex.connect(addr1).swapAForB(amountIn, minOut, DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should revert addLiquidity when deposited amounts are below minimum", async function () {
+            // Price moves before the deposit lands: B per A drops, so less B is taken
+            await dex.connect(addr2).swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+
+            await expect(
+                dex.connect(addr1).addLiquidity(
+                    ethers.utils.parseEther("50"),
+                    ethers.utils.parseEther("100"),
+                    ethers.utils.parseEther("50"),
+                    ethers.utils.parseEther("99"),
+                    DEADLINE
+                )
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should revert removeLiquidity when amounts are below minimum", async function () {
+            const userLiquidity = await dex.liquidity(owner.address);
+
+            await expect(
+                dex.removeLiquidity(userLiquidity, ethers.utils.parseEther("100").add(1), 0, DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+
+            await expect(
+                dex.removeLiquidity(userLiquidity, 0, ethers.utils.parseEther("200").add(1), DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should revert all entry points after the deadline", async function () {
+            const deadline = (await time.latest()) + 60;
+            await time.increase(120);
+
+            await expect(
+                dex.swapAForB(ethers.utils.parseEther("1"), 0, deadline)
+            ).to.be.revertedWith("Transaction expired");
+
+            await expect(
+                dex.swapBForA(ethers.utils.parseEther("1"), 0, deadline)
+            ).to.be.revertedWith("Transaction expired");
+
+            await expect(
+                dex.addLiquidity(ethers.utils.parseEther("1"), ethers.utils.parseEther("2"), 0, 0, deadline)
+            ).to.be.revertedWith("Transaction expired");
+
+            await expect(
+                dex.removeLiquidity(1, 0, 0, deadline)
+            ).to.be.revertedWith("Transaction expired");
+        });
+    });
+
+    describe("Flash Swaps", function () {
+        let receiver;
+
+        beforeEach(async function () {
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
+
+            const FlashSwapReceiver = await ethers.getContractFactory("FlashSwapReceiver");
+            receiver = await FlashSwapReceiver.deploy(dex.address);
+
+            // Receiver needs its own tokens to cover the fee
+            await tokenA.mint(receiver.address, ethers.utils.parseEther("10"));
+            await tokenB.mint(receiver.address, ethers.utils.parseEther("10"));
+        });
+
+        it("should lend tokens that are repaid with fee in the callback", async function () {
+            const amount = ethers.utils.parseEther("10");
+            const repayment = await receiver.repaymentFor(amount);
+
+            await expect(receiver.borrow(amount, 0, repayment, 0))
+                .to.emit(dex, "FlashSwap")
+                .withArgs(receiver.address, receiver.address, amount, 0, repayment, 0)
+                .and.to.emit(receiver, "FlashLoanReceived")
+                .withArgs(amount, 0, repayment, 0);
+
+            // The fee stays in the pool for LPs
+            const reserves = await dex.getReserves();
+            expect(reserves._reserveA).to.equal(ethers.utils.parseEther("100").add(repayment).sub(amount));
+            expect(reserves._reserveB).to.equal(ethers.utils.parseEther("200"));
+            expect(await tokenA.balanceOf(dex.address)).to.equal(reserves._reserveA);
+        });
+
+        it("should lend both tokens at once", async function () {
+            const amountA = ethers.utils.parseEther("10");
+            const amountB = ethers.utils.parseEther("20");
+
+            await receiver.borrow(amountA, amountB, await receiver.repaymentFor(amountA), await receiver.repaymentFor(amountB));
+
+            const reserves = await dex.getReserves();
+            expect(reserves._reserveA.mul(reserves._reserveB))
+                .to.be.gt(ethers.utils.parseEther("100").mul(ethers.utils.parseEther("200")));
+        });
+
+        it("should accept payment in the other token like a swap", async function () {
+            // Borrow B, pay with A: same terms as swapAForB
+            const amountAIn = ethers.utils.parseEther("1");
+            const amountBOut = await dex.getAmountOut(amountAIn, ethers.utils.parseEther("100"), ethers.utils.parseEther("200"));
+
+            await receiver.borrow(0, amountBOut, amountAIn, 0);
+
+            await expect(
+                receiver.borrow(0, amountBOut, amountAIn.div(2), 0)
+            ).to.be.revertedWith("K invariant violated");
+        });
+
+        it("should revert when the borrower defaults", async function () {
+            await expect(
+                receiver.borrow(ethers.utils.parseEther("10"), 0, 0, 0)
+            ).to.be.revertedWith("Insufficient input amount");
+
+            expect(await tokenA.balanceOf(dex.address)).to.equal(ethers.utils.parseEther("100"));
+        });
+
+        it("should revert when the loan is repaid without fee", async function () {
+            const amount = ethers.utils.parseEther("10");
+
+            await expect(
+                receiver.borrow(amount, 0, amount, 0)
+            ).to.be.revertedWith("K invariant violated");
+
+            await expect(
+                receiver.borrow(amount, 0, (await receiver.repaymentFor(amount)).sub(2), 0)
+            ).to.be.revertedWith("K invariant violated");
+        });
+
+        it("should validate flash swap arguments", async function () {
+            await expect(
+                dex.flashSwap(0, 0, receiver.address, "0x")
+            ).to.be.revertedWith("Insufficient output amount");
+
+            await expect(
+                dex.flashSwap(ethers.utils.parseEther("100"), 0, receiver.address, "0x")
+            ).to.be.revertedWith("Insufficient liquidity for swap");
+
+            await expect(
+                dex.flashSwap(1, 0, tokenA.address, "0x")
+            ).to.be.revertedWith("Invalid recipient");
+        });
+
+        it("should reject callbacks from untrusted initiators", async function () {
+            const data = ethers.utils.defaultAbiCoder.encode(["uint256", "uint256"], [0, 0]);
+
+            await expect(
+                dex.flashSwap(1000, 0, receiver.address, data)
+            ).to.be.revertedWith("Untrusted initiator");
+
+            await expect(
+                receiver.dexFlashCall(receiver.address, 0, 0, data)
+            ).to.be.revertedWith("Caller is not the pool");
+        });
+    });
+
+    describe("Balance-Based Accounting", function () {
+        let feeToken, pool;
+
+        async function expectReservesMatchBalances() {
+            const reserves = await pool.getReserves();
+            expect(reserves._reserveA).to.equal(await feeToken.balanceOf(pool.address));
+            expect(reserves._reserveB).to.equal(await tokenB.balanceOf(pool.address));
+        }
+
+        beforeEach(async function () {
+            // Token A burns 1% of every transfer
+            const MockFeeOnTransferERC20 = await ethers.getContractFactory("MockFeeOnTransferERC20");
+            feeToken = await MockFeeOnTransferERC20.deploy("Fee Token", "FEE", 100);
+
+            const DEX = await ethers.getContractFactory("DEX");
+            pool = await upgrades.deployProxy(DEX, [feeToken.address, tokenB.address, FEE_BPS]);
+
+            await feeToken.approve(pool.address, ethers.constants.MaxUint256);
+            await tokenB.approve(pool.address, ethers.constants.MaxUint256);
+            await pool.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
+        });
+
+        it("should credit only the amount received on the first deposit", async function () {
+            const reserves = await pool.getReserves();
+
+            expect(reserves._reserveA).to.equal(ethers.utils.parseEther("99"));
+            expect(reserves._reserveB).to.equal(ethers.utils.parseEther("200"));
+            await expectReservesMatchBalances();
+        });
+
+        it("should keep reserves in sync on subsequent deposits", async function () {
+            await pool.addLiquidity(ethers.utils.parseEther("10"), ethers.utils.parseEther("100"), 0, 0, DEADLINE);
+
+            await expectReservesMatchBalances();
+        });
+
+        it("should price swaps on the amount received", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const reserves = await pool.getReserves();
+            const received = amountIn.mul(99).div(100);
+            const expectedOut = await pool.getAmountOut(received, reserves._reserveA, reserves._reserveB);
+
+            await expect(pool.swapAForB(amountIn, 0, DEADLINE))
+                .to.emit(pool, "Swap")
+                .withArgs(owner.address, feeToken.address, tokenB.address, received, expectedOut);
+
+            await expectReservesMatchBalances();
+        });
+
+        it("should keep reserves in sync when paying out the fee token", async function () {
+            await pool.swapBForA(ethers.utils.parseEther("20"), 0, DEADLINE);
+
+            await expectReservesMatchBalances();
+        });
+
+        it("should keep reserves in sync when removing liquidity", async function () {
+            const shares = await pool.balanceOf(owner.address);
+            await pool.removeLiquidity(shares.div(2), 0, 0, DEADLINE);
+
+            await expectReservesMatchBalances();
+        });
+
+        it("should reject exact-output swaps paid in a fee-on-transfer token", async function () {
+            await expect(
+                pool.swapAForExactB(ethers.utils.parseEther("1"), ethers.constants.MaxUint256, DEADLINE)
+            ).to.be.revertedWith("Transfer fee not supported");
+        });
+
+        it("should sync reserves to balances after a direct transfer", async function () {
+            const donation = ethers.utils.parseEther("5");
+            await tokenB.transfer(pool.address, donation);
+
+            const reservesBefore = await pool.getReserves();
+            await expect(pool.sync())
+                .to.emit(pool, "Sync")
+                .withArgs(reservesBefore._reserveA, reservesBefore._reserveB.add(donation));
+
+            await expectReservesMatchBalances();
+        });
+
+        it("should skim balances in excess of the reserves", async function () {
+            const donation = ethers.utils.parseEther("5");
+            await tokenB.transfer(pool.address, donation);
+            const reservesBefore = await pool.getReserves();
+
+            const balanceBefore = await tokenB.balanceOf(addr1.address);
+            await pool.skim(addr1.address);
+
+            expect((await tokenB.balanceOf(addr1.address)).sub(balanceBefore)).to.equal(donation);
+            const reservesAfter = await pool.getReserves();
+            expect(reservesAfter._reserveA).to.equal(reservesBefore._reserveA);
+            expect(reservesAfter._reserveB).to.equal(reservesBefore._reserveB);
+            await expectReservesMatchBalances();
+        });
+
+        it("should not credit donations to the next swapper", async function () {
+            await tokenB.transfer(pool.address, ethers.utils.parseEther("5"));
+            const amountIn = ethers.utils.parseEther("10");
+            const reserves = await pool.getReserves();
+
+            const expectedOut = await pool.getAmountOut(amountIn.mul(99).div(100), reserves._reserveA, reserves._reserveB);
+            const balanceBefore = await tokenB.balanceOf(owner.address);
+            await pool.swapAForB(amountIn, 0, DEADLINE);
+
+            expect((await tokenB.balanceOf(owner.address)).sub(balanceBefore)).to.equal(expectedOut);
+        });
+    });
+
+    describe("Price Calculations", function () {
+        it("should return correct initial price", async function () {
+            const amountA = ethers.utils.parseEther("100");
+            const amountB = ethers.utils.parseEther("200");
+
+            await dex.addLiquidity(amountA, amountB, 0, 0, DEADLINE);
+
+            const price = await dex.getPrice();
+            const expectedPrice = amountB.mul(ethers.utils.parseEther("1")).div(amountA);
+
+            expect(price).to.equal(expectedPrice);
+        });
+
+        it("should update price after swaps", async function () {
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
+
+            const priceBefore = await dex.getPrice();
+
+            await dex.swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+
+            const priceAfter = await dex.getPrice();
+            expect(priceAfter).to.not.equal(priceBefore);
+        });
+
+        it("should handle price queries with zero reserves gracefully", async function () {
+            await expect(dex.getPrice()).to.be.revertedWith("No liquidity");
+        });
+    });
+
+    describe("Price Accumulators", function () {
+        it("should start with empty accumulators", async function () {
+            expect(await dex.priceACumulativeLast()).to.equal(0);
+            expect(await dex.priceBCumulativeLast()).to.equal(0);
+            expect(await dex.blockTimestampLast()).to.equal(0);
+        });
+
+        it("should accumulate the previous price on every reserve change", async function () {
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
+            const startTime = await dex.blockTimestampLast();
+            const priceA = await dex.getPrice();
+            const priceB = ethers.utils.parseEther("100").mul(ethers.utils.parseEther("1")).div(ethers.utils.parseEther("200"));
+
+            await time.increase(100);
+            await dex.swapAForB(ethers.utils.parseEther("1"), 0, DEADLINE);
+
+            const elapsed = (await dex.blockTimestampLast()).sub(startTime);
+            expect(await dex.priceACumulativeLast()).to.equal(priceA.mul(elapsed));
+            expect(await dex.priceBCumulativeLast()).to.equal(priceB.mul(elapsed));
+        });
+
+        it("should include time since the last update in getCumulativePrices", async function () {
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
+            const startTime = await dex.blockTimestampLast();
+            const price = await dex.getPrice();
+
+            await time.increase(500);
+            const [priceACumulative, , blockTimestamp] = await dex.getCumulativePrices();
+
+            expect(priceACumulative).to.equal(price.mul(blockTimestamp.sub(startTime)));
+            expect(await dex.priceACumulativeLast()).to.equal(0);
+        });
+    });
+
+    describe("Fee Distribution", function () {
+        it("should accumulate fees for liquidity providers", async function () {
+            const amountA = ethers.utils.parseEther("100");
+            const amountB = ethers.utils.parseEther("200");
+
+            await dex.addLiquidity(amountA, amountB, 0, 0, DEADLINE);
+            const userLiquidity = await dex.liquidity(owner.address);
+
+            // Perform multiple swaps to accumulate fees
+            await dex.connect(addr1).swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+            await dex.connect(addr1).swapBForA(ethers.utils.parseEther("15"), 0, DEADLINE);
+            await dex.connect(addr1).swapAForB(ethers.utils.parseEther("5"), 0, DEADLINE);
+
+            // Remove liquidity
+            const balanceABefore = await tokenA.balanceOf(owner.address);
+            const balanceBBefore = await tokenB.balanceOf(owner.address);
+
+            await dex.removeLiquidity(userLiquidity, 0, 0, DEADLINE);
+
+            const balanceAAfter = await tokenA.balanceOf(owner.address);
+            const balanceBAfter = await tokenB.balanceOf(owner.address);
+
+            const receivedA = balanceAAfter.sub(balanceABefore);
+            const receivedB = balanceBAfter.sub(balanceBBefore);
+
+            // Due to fees, the constant product k should have increased
+            // Check that the product of received amounts is greater than initial product
+            const initialK = amountA.mul(amountB);
+            const finalK = receivedA.mul(receivedB);
+
+            // Final k should be greater due to accumulated fees
+            expect(finalK).to.be.gt(initialK);
+        });
+
+        it("should distribute fees proportionally to LP share", async function () {
+            // First provider adds liquidity
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
+
+            // Second provider adds liquidity
+            await dex.connect(addr1).addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
+
+            const ownerLiquidity = await dex.liquidity(owner.address);
+            const addr1Liquidity = await dex.liquidity(addr1.address);
+
+            // Perform swaps
+            await dex.connect(addr2).swapAForB(ethers.utils.parseEther("20"), 0, DEADLINE);
+
+            // Both should have approximately equal liquidity (50% each)
+            const totalLiq = await dex.totalLiquidity();
+            const ownerShare = ownerLiquidity.mul(100).div(totalLiq);
+            const addr1Share = addr1Liquidity.mul(100).div(totalLiq);
+
+            expect(ownerShare).to.be.closeTo(addr1Share, 1);
+        });
+
+        it("should expose fee parameters on-chain", async function () {
+            expect(await dex.fee()).to.equal(FEE_BPS);
+            expect(await dex.FEE_DENOMINATOR()).to.equal(10000);
+            expect(await dex.PROTOCOL_FEE_DIVISOR()).to.equal(6);
+            expect(await dex.feeTo()).to.equal(ethers.constants.AddressZero);
+
+            await expect(dex.deployTransaction)
+                .to.emit(dex, "FeeConfigured")
+                .withArgs(FEE_BPS);
+        });
+
+        it("should apply the pool's fee tier to swaps", async function () {
+            const DEX = await ethers.getContractFactory("DEX");
+            const amountIn = ethers.utils.parseEther("10");
+            const reserveIn = ethers.utils.parseEther("100");
+            const reserveOut = ethers.utils.parseEther("200");
+
+            let previousOut;
+            for (const fee of [5, 30, 100]) {
+                const pool = await upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, fee]);
+                const amountOut = await pool.getAmountOut(amountIn, reserveIn, reserveOut);
+
+                const amountInWithFee = amountIn.mul(10000 - fee);
+                const expected = amountInWithFee.mul(reserveOut).div(reserveIn.mul(10000).add(amountInWithFee));
+                expect(amountOut).to.equal(expected);
+
+                // Higher fee tiers pay out less
+                if (previousOut) expect(amountOut).to.be.lt(previousOut);
+                previousOut = amountOut;
+            }
+        });
+
+        it("should not mint protocol fees while switched off", async function () {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
+            await dex.connect(addr1).swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+
+            const userLiquidity = await dex.liquidity(owner.address);
+            await expect(dex.removeLiquidity(userLiquidity.div(2), 0, 0, DEADLINE))
+                .to.not.emit(dex, "ProtocolFeeMinted");
+            expect(await dex.kLast()).to.equal(0);
+        });
+
+        it("should mint a sixth of fee growth to the protocol when switched on", async function () {
+            await dex.scheduleFeeToChange(addr2.address);
+            await time.increase(TIMELOCK_DELAY);
+            await expect(dex.executeFeeToChange())
+                .to.emit(dex, "FeeToUpdated")
+                .withArgs(addr2.address);
+
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
+            const kLast = await dex.kLast();
+            expect(kLast).to.equal(ethers.utils.parseEther("100").mul(ethers.utils.parseEther("200")));
+
+            await dex.connect(addr1).swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+            await dex.connect(addr1).swapBForA(ethers.utils.parseEther("15"), 0, DEADLINE);
+
+            // Expected protocol share: S * (rootK - rootKLast) / (5 * rootK + rootKLast)
+            const reserves = await dex.getReserves();
+            const rootK = sqrt(reserves._reserveA.mul(reserves._reserveB));
+            const rootKLast = sqrt(kLast);
+            const expectedShares = (await dex.totalSupply())
+                .mul(rootK.sub(rootKLast))
+                .div(rootK.mul(5).add(rootKLast));
+
+            // Protocol share is minted lazily on the next liquidity event
+            expect(await dex.balanceOf(addr2.address)).to.equal(0);
+            await expect(dex.connect(addr1).addLiquidity(ethers.utils.parseEther("1"), ethers.utils.parseEther("10"), 0, 0, DEADLINE))
+                .to.emit(dex, "ProtocolFeeMinted")
+                .withArgs(addr2.address, expectedShares);
+
+            expect(expectedShares).to.be.gt(0);
+            expect(await dex.balanceOf(addr2.address)).to.equal(expectedShares);
+        });
+
+        it("should restrict protocol fee changes to the admin", async function () {
+            await expect(
+                dex.connect(addr1).scheduleFeeToChange(addr1.address)
+            ).to.be.revertedWith(missingRole(addr1, ADMIN_ROLE));
+        });
+    });
+
+    describe("First Depositor Inflation", function () {
+        // The attack: mint a dust-sized share supply, donate tokens to inflate the price
+        // of each share, then let later deposits round down in the attacker's favour.
+        const donation = ethers.utils.parseEther("100");
+        const deposit = ethers.utils.parseEther("150");
+
+        it("should let the attack take a later deposit on a pool without the lock", async function () {
+            const MockDEXNoLock = await ethers.getContractFactory("MockDEXNoLock");
+            const unlocked = await upgrades.deployProxy(MockDEXNoLock, [tokenA.address, tokenB.address, FEE_BPS]);
+            for (const signer of [addr1, addr2]) {
+                await tokenA.connect(signer).approve(unlocked.address, ethers.constants.MaxUint256);
+                await tokenB.connect(signer).approve(unlocked.address, ethers.constants.MaxUint256);
+            }
+
+            // 1 wei of each token mints the attacker the only share
+            await unlocked.connect(addr2).addLiquidity(1, 1, 0, 0, DEADLINE);
+            expect(await unlocked.totalLiquidity()).to.equal(1);
+
+            // Donate to inflate the value of that share
+            await tokenA.connect(addr2).transfer(unlocked.address, donation);
+            await tokenB.connect(addr2).transfer(unlocked.address, donation);
+            await unlocked.sync();
+
+            // 150 tokens buy 150 / 100 rounded down = 1 share, worth half the pool
+            await unlocked.connect(addr1).addLiquidity(deposit, deposit, 0, 0, DEADLINE);
+            expect(await unlocked.liquidity(addr1.address)).to.equal(1);
+
+            // The attacker's share claims 125 of the 250 tokens: its 100 plus 25 of the victim's
+            const balanceABefore = await tokenA.balanceOf(addr2.address);
+            await unlocked.connect(addr2).removeLiquidity(1, 0, 0, DEADLINE);
+            const recovered = (await tokenA.balanceOf(addr2.address)).sub(balanceABefore);
+            expect(recovered).to.equal(ethers.utils.parseEther("125"));
+        });
+
+        it("should lock MINIMUM_LIQUIDITY shares on the first deposit", async function () {
+            expect(await dex.MINIMUM_LIQUIDITY()).to.equal(MINIMUM_LIQUIDITY);
+
+            await dex.addLiquidity(ethers.utils.parseEther("1"), ethers.utils.parseEther("1"), 0, 0, DEADLINE);
+
+            expect(await dex.liquidity(LIQUIDITY_LOCK_ADDRESS)).to.equal(MINIMUM_LIQUIDITY);
+            expect(await dex.liquidity(owner.address)).to.equal(ethers.utils.parseEther("1").sub(MINIMUM_LIQUIDITY));
+        });
+
+        it("should reject the 1-wei share mint the attack starts from", async function () {
+            // Without the lock this minted exactly one share to the attacker, as shown above
+            await expect(
+                dex.connect(addr2).addLiquidity(1, 1, 0, 0, DEADLINE)
+            ).to.be.revertedWith("Insufficient liquidity minted");
+        });
+
+        it("should keep a later depositor whole after a donation to a dust-sized pool", async function () {
+            // Smallest viable first deposit: one share for the attacker, the rest locked
+            await dex.connect(addr2).addLiquidity(1001, 1001, 0, 0, DEADLINE);
+            expect(await dex.liquidity(addr2.address)).to.equal(1);
+
+            // Donate to inflate the value of each share
+            await tokenA.connect(addr2).transfer(dex.address, donation);
+            await tokenB.connect(addr2).transfer(dex.address, donation);
+            await dex.sync();
+
+            // The unlocked pool gave the victim 1 share here; now it gets a fair share
+            await dex.connect(addr1).addLiquidity(deposit, deposit, 0, 0, DEADLINE);
+            const victimShares = await dex.liquidity(addr1.address);
+            expect(victimShares).to.be.gt(1);
+
+            const balanceABefore = await tokenA.balanceOf(addr1.address);
+            await dex.connect(addr1).removeLiquidity(victimShares, 0, 0, DEADLINE);
+            const returned = (await tokenA.balanceOf(addr1.address)).sub(balanceABefore);
+
+            // Rounding costs the victim less than 0.1% of the deposit
+            expect(returned).to.be.gt(deposit.mul(999).div(1000));
+        });
+
+        it("should make the donation unrecoverable for the attacker", async function () {
+            await dex.connect(addr2).addLiquidity(1001, 1001, 0, 0, DEADLINE);
+            await tokenA.connect(addr2).transfer(dex.address, donation);
+            await tokenB.connect(addr2).transfer(dex.address, donation);
+            await dex.sync();
+            await dex.connect(addr1).addLiquidity(deposit, deposit, 0, 0, DEADLINE);
+
+            const balanceABefore = await tokenA.balanceOf(addr2.address);
+            await dex.connect(addr2).removeLiquidity(await dex.liquidity(addr2.address), 0, 0, DEADLINE);
+            const recovered = (await tokenA.balanceOf(addr2.address)).sub(balanceABefore);
+
+            // Almost all of the donation now belongs to the locked shares
+            expect(recovered).to.be.lt(donation.div(100));
+        });
+    });
+
+    describe("Off-chain Math Mirror", function () {
+        // Iterations per randomized property
+        const RUNS = 60;
+        let random;
+
+        beforeEach(async function () {
+            random = createRandom(20240521);
+            await tokenA.mint(owner.address, ethers.BigNumber.from(10).pow(40));
+            await tokenB.mint(owner.address, ethers.BigNumber.from(10).pow(40));
+            await tokenA.approve(dex.address, ethers.constants.MaxUint256);
+            await tokenB.approve(dex.address, ethers.constants.MaxUint256);
+        });
+
+        it("should compute floor square roots", async function () {
+            const edges = [0, 1, 2, 3, 4, 15, 16, 17, ethers.constants.MaxUint256, ethers.BigNumber.from(2).pow(128).sub(1).pow(2)];
+            const values = edges.map((value) => ethers.BigNumber.from(value));
+            for (let i = 0; i < RUNS; i++) values.push(randomAmount(random, 77));
+
+            for (const value of values) {
+                const root = sqrt(value);
+                expect(root.mul(root).lte(value)).to.equal(true);
+                expect(root.add(1).pow(2).gt(value)).to.equal(true);
+            }
+        });
+
+        it("should match getAmountOut and getAmountIn for every fee tier", async function () {
+            const DEX = await ethers.getContractFactory("DEX");
+            for (const fee of [5, FEE_BPS, 100]) {
+                const pool = fee === FEE_BPS ? dex : await upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, fee]);
+                for (let i = 0; i < RUNS; i++) {
+                    const reserveIn = randomAmount(random, 30);
+                    const reserveOut = randomAmount(random, 30);
+                    const amountIn = randomAmount(random, 30);
+                    expect(dexMath.getAmountOut(amountIn, reserveIn, reserveOut, fee))
+                        .to.equal(await pool.getAmountOut(amountIn, reserveIn, reserveOut));
+
+                    const amountOut = randomAmount(random, 30);
+                    const expected = await revertReason(pool.getAmountIn(amountOut, reserveIn, reserveOut));
+                    if (expected === null) {
+                        expect(dexMath.getAmountIn(amountOut, reserveIn, reserveOut, fee))
+                            .to.equal(await pool.getAmountIn(amountOut, reserveIn, reserveOut));
+                    } else {
+                        expect(expected).to.include(thrownMessage(() => dexMath.getAmountIn(amountOut, reserveIn, reserveOut, fee)));
+                    }
+                }
+            }
+
+            expect(thrownMessage(() => dexMath.getAmountOut(0, 1, 1, FEE_BPS))).to.equal("Insufficient input amount");
+            expect(thrownMessage(() => dexMath.getAmountOut(1, 0, 1, FEE_BPS))).to.equal("Insufficient liquidity");
+        });
+
+        it("should match the first-deposit LP mint", async function () {
+            const state = await new DEXClient(dex).getState();
+            for (let i = 0; i < RUNS; i++) {
+                const amountA = randomAmount(random, 30);
+                const amountB = randomAmount(random, 30);
+                const call = dex.callStatic.addLiquidity(amountA, amountB, 0, 0, DEADLINE);
+
+                const reason = await revertReason(call);
+                if (reason === null) {
+                    const quote = dexMath.quoteAddLiquidity(state, amountA, amountB);
+                    const [depositA, depositB, liquidity] = await call;
+                    expect(quote.amountA).to.equal(depositA);
+                    expect(quote.amountB).to.equal(depositB);
+                    expect(quote.liquidity).to.equal(liquidity);
+                    expect(liquidity).to.equal(sqrt(amountA.mul(amountB)).sub(MINIMUM_LIQUIDITY));
+                } else {
+                    expect(reason).to.include(thrownMessage(() => dexMath.quoteAddLiquidity(state, amountA, amountB)));
+                }
+            }
+        });
+
+        it("should match swaps, deposits and withdrawals on a live pool with the protocol fee on", async function () {
+            const client = new DEXClient(dex);
+            await dex.scheduleFeeToChange(addr2.address);
+            await time.increase(TIMELOCK_DELAY);
+            await dex.executeFeeToChange();
+            await dex.addLiquidity(ethers.utils.parseEther("1000"), ethers.utils.parseEther("3000"), 0, 0, DEADLINE);
+
+            for (let i = 0; i < RUNS; i++) {
+                const state = await client.getState();
+                const [tokenIn, reserveIn] = random() < 0.5 ? [tokenA, state.reserveA] : [tokenB, state.reserveB];
+
+                // Swap a random share of the input reserve, so fees accrue and kLast falls behind
+                const amountIn = reserveIn.mul(1 + Math.floor(random() * 200)).div(1000);
+                const { amountOut } = dexMath.quoteSwapExactIn(state, tokenIn.address, amountIn);
+                await dex[tokenIn === tokenA ? "swapAForB" : "swapBForA"](amountIn, 0, DEADLINE);
+                const after = await client.getState();
+                const [newReserveIn, newReserveOut] = tokenIn === tokenA
+                    ? [after.reserveA, after.reserveB]
+                    : [after.reserveB, after.reserveA];
+                const [oldReserveIn, oldReserveOut] = tokenIn === tokenA
+                    ? [state.reserveA, state.reserveB]
+                    : [state.reserveB, state.reserveA];
+                expect(newReserveIn.sub(oldReserveIn)).to.equal(amountIn);
+                expect(oldReserveOut.sub(newReserveOut)).to.equal(amountOut);
+
+                // Unbalanced deposit, proportional and single-sided withdrawals, all after the fee mint
+                const amountADesired = randomAmount(random, 22);
+                const amountBDesired = randomAmount(random, 22);
+                const addCall = dex.callStatic.addLiquidity(amountADesired, amountBDesired, 0, 0, DEADLINE);
+                const addReason = await revertReason(addCall);
+                if (addReason === null) {
+                    const quote = dexMath.quoteAddLiquidity(after, amountADesired, amountBDesired);
+                    const [depositA, depositB, liquidity] = await addCall;
+                    expect([quote.amountA, quote.amountB, quote.liquidity]).to.deep.equal([depositA, depositB, liquidity]);
+                } else {
+                    expect(addReason).to.include(thrownMessage(() => dexMath.quoteAddLiquidity(after, amountADesired, amountBDesired)));
+                }
+
+                const shares = (await dex.balanceOf(owner.address)).mul(1 + Math.floor(random() * 100)).div(1000);
+                const [removedA, removedB] = await dex.callStatic.removeLiquidity(shares, 0, 0, DEADLINE);
+                expect(dexMath.quoteRemoveLiquidity(after, shares)).to.deep.equal({ amountA: removedA, amountB: removedB });
+
+                const tokenOut = random() < 0.5 ? tokenA : tokenB;
+                expect(dexMath.quoteRemoveLiquidityOneToken(after, tokenOut.address, shares))
+                    .to.equal(await dex.callStatic.removeLiquidityOneToken(tokenOut.address, shares, 0, DEADLINE));
+                expect(dexMath.getAmountOutForLiquidity(after, tokenOut.address, shares))
+                    .to.equal(await dex.getAmountOutForLiquidity(tokenOut.address, shares));
+                expect(dexMath.getPrice(after)).to.equal(await dex.getPrice());
+
+                // Let some deposits through so the protocol fee is minted along the way
+                if (addReason === null && random() < 0.3) {
+                    await dex.addLiquidity(amountADesired, amountBDesired, 0, 0, DEADLINE);
+                }
+            }
+
+            // The fee mint itself, checked against the shares the contract actually minted
+            const state = await client.getState();
+            const expectedFee = dexMath.getProtocolFeeLiquidity(state);
+            expect(expectedFee).to.be.gt(0);
+            const feeBefore = await dex.balanceOf(addr2.address);
+            await dex.addLiquidity(ethers.utils.parseEther("1"), ethers.utils.parseEther("10"), 0, 0, DEADLINE);
+            expect((await dex.balanceOf(addr2.address)).sub(feeBefore)).to.equal(expectedFee);
+        });
+
+        it("should reject tokens outside the pool", async function () {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
+            const state = await new DEXClient(dex).getState();
+
+            expect(thrownMessage(() => dexMath.quoteSwapExactIn(state, dex.address, 1))).to.equal("Invalid token");
+            expect(thrownMessage(() => dexMath.quoteRemoveLiquidityOneToken(state, dex.address, 1))).to.equal("Invalid token");
+        });
+    });
+
+    describe("SDK Client", function () {
+        let client;
+
+        beforeEach(async function () {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
+            client = new DEXClient(dex.connect(addr1));
+        });
+
+        it("should read the pool state", async function () {
+            const state = await client.getState();
+
+            expect(state.tokenA).to.equal(tokenA.address);
+            expect(state.tokenB).to.equal(tokenB.address);
+            expect(state.reserveA).to.equal(ethers.utils.parseEther("100"));
+            expect(state.reserveB).to.equal(ethers.utils.parseEther("200"));
+            expect(state.totalSupply).to.equal(await dex.totalSupply());
+            expect(state.fee).to.equal(FEE_BPS);
+            expect(state.feeOn).to.equal(false);
+        });
+
+        it("should swap exactly as quoted", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const quote = await client.quoteSwapExactIn(tokenA.address, amountIn);
+            expect(quote.tokenOut).to.equal(tokenB.address);
+
+            const balanceBefore = await tokenB.balanceOf(addr1.address);
+            const result = await client.swapExactIn(tokenA.address, amountIn);
+            expect(result.amountIn).to.equal(amountIn);
+            expect(result.amountOut).to.equal(quote.amountOut);
+            expect((await tokenB.balanceOf(addr1.address)).sub(balanceBefore)).to.equal(quote.amountOut);
+
+            const amountOut = ethers.utils.parseEther("5");
+            const exactOutQuote = await client.quoteSwapExactOut(tokenA.address, amountOut);
+            expect(exactOutQuote.tokenIn).to.equal(tokenB.address);
+            const exactOut = await client.swapExactOut(tokenA.address, amountOut);
+            expect(exactOut.amountOut).to.equal(amountOut);
+            expect(exactOut.amountIn).to.equal(exactOutQuote.amountIn);
+        });
+
+        it("should add and remove liquidity exactly as quoted", async function () {
+            const amountADesired = ethers.utils.parseEther("10");
+            const amountBDesired = ethers.utils.parseEther("30");
+            const quote = await client.quoteAddLiquidity(amountADesired, amountBDesired);
+            const added = await client.addLiquidity(amountADesired, amountBDesired);
+            expect(added.amountA).to.equal(quote.amountA);
+            expect(added.amountB).to.equal(quote.amountB);
+            expect(added.liquidity).to.equal(quote.liquidity);
+            expect(await dex.balanceOf(addr1.address)).to.equal(quote.liquidity);
+
+            const half = added.liquidity.div(2);
+            const removeQuote = await client.quoteRemoveLiquidity(half);
+            const removed = await client.removeLiquidity(half);
+            expect(removed.amountA).to.equal(removeQuote.amountA);
+            expect(removed.amountB).to.equal(removeQuote.amountB);
+
+            const rest = await dex.balanceOf(addr1.address);
+            const oneTokenQuote = await client.quoteRemoveLiquidityOneToken(tokenB.address, rest);
+            const { amountOut } = await client.removeLiquidityOneToken(tokenB.address, rest);
+            expect(amountOut).to.equal(oneTokenQuote);
+            expect(await dex.balanceOf(addr1.address)).to.equal(0);
+        });
+
+        it("should bound transactions by the slippage tolerance", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const state = await client.getState();
+
+            // Another trade lands between the quote and the swap
+            await dex.connect(addr2).swapAForB(ethers.utils.parseEther("5"), 0, DEADLINE);
+            const quote = await client.quoteSwapExactIn(tokenA.address, amountIn, state);
+            expect(quote.amountOut).to.be.gt(await client.quoteSwapExactIn(tokenA.address, amountIn).then((q) => q.amountOut));
+
+            // The client re-quotes from fresh state, so the default tolerance still fills
+            await client.swapExactIn(tokenA.address, amountIn, { slippageBps: 0 });
+
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            await expect(
+                client.swapExactIn(tokenA.address, amountIn, { deadline: timestamp - 1 })
+            ).to.be.revertedWith("Transaction expired");
+        });
+    });
+
+    describe("Access Control and Emergency Pause", function () {
+        beforeEach(async function () {
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
+        });
+
+        it("should grant the admin and pauser roles to the deployer", async function () {
+            expect(await dex.hasRole(ADMIN_ROLE, owner.address)).to.equal(true);
+            expect(await dex.hasRole(PAUSER_ROLE, owner.address)).to.equal(true);
+            expect(await dex.hasRole(ADMIN_ROLE, addr1.address)).to.equal(false);
+            expect(await dex.PAUSER_ROLE()).to.equal(PAUSER_ROLE);
+        });
+
+        it("should let a pauser halt deposits and swaps", async function () {
+            await dex.grantRole(PAUSER_ROLE, addr2.address);
+            await expect(dex.connect(addr2).pause()).to.emit(dex, "Paused").withArgs(addr2.address);
+
+            const amount = ethers.utils.parseEther("10");
+            await expect(dex.connect(addr1).addLiquidity(amount, amount, 0, 0, DEADLINE)).to.be.revertedWith("Pausable: paused");
+            await expect(dex.connect(addr1).zapIn(tokenA.address, amount, 0, DEADLINE)).to.be.revertedWith("Pausable: paused");
+            await expect(dex.connect(addr1).swapAForB(amount, 0, DEADLINE)).to.be.revertedWith("Pausable: paused");
+            await expect(dex.connect(addr1).swapBForA(amount, 0, DEADLINE)).to.be.revertedWith("Pausable: paused");
+            await expect(dex.connect(addr1).swapAForExactB(amount, amount.mul(2), DEADLINE)).to.be.revertedWith("Pausable: paused");
+            await expect(dex.connect(addr1).swapBForExactA(amount, amount.mul(4), DEADLINE)).to.be.revertedWith("Pausable: paused");
+            await expect(dex.flashSwap(amount, 0, addr1.address, "0x")).to.be.revertedWith("Pausable: paused");
+            await expect(
+                dex.removeLiquidityOneToken(tokenA.address, amount, 0, DEADLINE)
+            ).to.be.revertedWith("Pausable: paused");
+        });
+
+        it("should always let LPs remove liquidity while paused", async function () {
+            await dex.pause();
+            const shares = await dex.liquidity(owner.address);
+
+            await expect(dex.removeLiquidity(shares, 0, 0, DEADLINE)).to.emit(dex, "LiquidityRemoved");
+            expect(await dex.liquidity(owner.address)).to.equal(0);
+        });
+
+        it("should reject single-token removal while paused since it swaps internally", async function () {
+            await dex.pause();
+            const shares = await dex.liquidity(owner.address);
+
+            await expect(
+                dex.removeLiquidityOneToken(tokenA.address, shares, 0, DEADLINE)
+            ).to.be.revertedWith("Pausable: paused");
+        });
+
+        it("should resume trading after the admin unpauses", async function () {
+            await dex.pause();
+            await expect(dex.unpause()).to.emit(dex, "Unpaused").withArgs(owner.address);
+
+            await expect(dex.connect(addr1).swapAForB(ethers.utils.parseEther("1"), 0, DEADLINE)).to.emit(dex, "Swap");
+        });
+
+        it("should reject pause and unpause from accounts without the role", async function () {
+            await expect(dex.connect(addr1).pause()).to.be.revertedWith(missingRole(addr1, PAUSER_ROLE));
+
+            // A pauser can halt the pool but not resume it
+            await dex.grantRole(PAUSER_ROLE, addr2.address);
+            await dex.connect(addr2).pause();
+            await expect(dex.connect(addr2).unpause()).to.be.revertedWith(missingRole(addr2, ADMIN_ROLE));
+        });
+
+        it("should let the admin revoke a pauser", async function () {
+            await dex.grantRole(PAUSER_ROLE, addr2.address);
+            await expect(
+                dex.connect(addr1).revokeRole(PAUSER_ROLE, addr2.address)
+            ).to.be.revertedWith(missingRole(addr1, ADMIN_ROLE));
+
+            await dex.revokeRole(PAUSER_ROLE, addr2.address);
+            await expect(dex.connect(addr2).pause()).to.be.revertedWith(missingRole(addr2, PAUSER_ROLE));
+        });
+
+        it("should apply a fee change only after the timelock", async function () {
+            const tx = await dex.scheduleFeeChange(100);
+            const eta = (await time.latest()) + TIMELOCK_DELAY;
+            await expect(tx).to.emit(dex, "FeeChangeScheduled").withArgs(100, eta);
+
+            const pending = await dex.pendingFee();
+            expect(pending.fee).to.equal(100);
+            expect(pending.eta).to.equal(eta);
+            await expect(dex.executeFeeChange()).to.be.revertedWith("Timelock not expired");
+            expect(await dex.fee()).to.equal(FEE_BPS);
+
+            await time.increaseTo(eta);
+            await expect(dex.executeFeeChange()).to.emit(dex, "FeeConfigured").withArgs(100);
+            expect(await dex.fee()).to.equal(100);
+            expect((await dex.pendingFee()).eta).to.equal(0);
+        });
+
+        it("should apply a protocol fee recipient change only after the timelock", async function () {
+            await expect(dex.scheduleFeeToChange(addr2.address)).to.emit(dex, "FeeToChangeScheduled");
+            await expect(dex.executeFeeToChange()).to.be.revertedWith("Timelock not expired");
+
+            await time.increase(TIMELOCK_DELAY);
+            await dex.executeFeeToChange();
+            expect(await dex.feeTo()).to.equal(addr2.address);
+        });
+
+        it("should cancel scheduled changes", async function () {
+            await dex.scheduleFeeChange(100);
+            await dex.scheduleFeeToChange(addr2.address);
+
+            await expect(dex.cancelFeeChange()).to.emit(dex, "FeeChangeCancelled").withArgs(100);
+            await expect(dex.cancelFeeToChange()).to.emit(dex, "FeeToChangeCancelled").withArgs(addr2.address);
+
+            await time.increase(TIMELOCK_DELAY);
+            await expect(dex.executeFeeChange()).to.be.revertedWith("No change scheduled");
+            await expect(dex.executeFeeToChange()).to.be.revertedWith("No change scheduled");
+            await expect(dex.cancelFeeChange()).to.be.revertedWith("No change scheduled");
+            expect(await dex.fee()).to.equal(FEE_BPS);
+            expect(await dex.feeTo()).to.equal(ethers.constants.AddressZero);
+        });
+
+        it("should validate scheduled fees", async function () {
+            await expect(dex.scheduleFeeChange(0)).to.be.revertedWith("Invalid fee");
+            await expect(dex.scheduleFeeChange(1001)).to.be.revertedWith("Invalid fee");
+        });
+
+        it("should reject parameter changes from accounts without the admin role", async function () {
+            await dex.scheduleFeeChange(100);
+            await dex.scheduleFeeToChange(addr2.address);
+            await time.increase(TIMELOCK_DELAY);
+
+            // Pausers cannot touch parameters either
+            await dex.grantRole(PAUSER_ROLE, addr2.address);
+            for (const caller of [addr1, addr2]) {
+                const reason = missingRole(caller, ADMIN_ROLE);
+                await expect(dex.connect(caller).scheduleFeeChange(50)).to.be.revertedWith(reason);
+                await expect(dex.connect(caller).executeFeeChange()).to.be.revertedWith(reason);
+                await expect(dex.connect(caller).cancelFeeChange()).to.be.revertedWith(reason);
+                await expect(dex.connect(caller).scheduleFeeToChange(caller.address)).to.be.revertedWith(reason);
+                await expect(dex.connect(caller).executeFeeToChange()).to.be.revertedWith(reason);
+                await expect(dex.connect(caller).cancelFeeToChange()).to.be.revertedWith(reason);
+            }
+        });
+    });
+
+    describe("Upgrades", function () {
+        let DEX, MockDEXV2;
+
+        beforeEach(async function () {
+            DEX = await ethers.getContractFactory("DEX");
+            MockDEXV2 = await ethers.getContractFactory("MockDEXV2");
+
+            await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
+            await dex.connect(addr1).addLiquidity(ethers.utils.parseEther("50"), ethers.utils.parseEther("100"), 0, 0, DEADLINE);
+            await dex.connect(addr2).swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+        });
+
+        it("should preserve reserves and LP balances across an upgrade", async function () {
+            await dex.scheduleFeeToChange(addr2.address);
+            await time.increase(TIMELOCK_DELAY);
+            await dex.executeFeeToChange();
+
+            const [reserveA, reserveB] = await dex.getReserves();
+            const totalSupply = await dex.totalSupply();
+            const ownerShares = await dex.balanceOf(owner.address);
+            const addr1Shares = await dex.balanceOf(addr1.address);
+            const kLast = await dex.kLast();
+            const priceACumulative = await dex.priceACumulativeLast();
+
+            const implementation = await upgradePool(upgrades, dex.address, DEX, MockDEXV2);
+            const upgraded = MockDEXV2.attach(dex.address);
+
+            expect(await upgrades.erc1967.getImplementationAddress(dex.address)).to.equal(implementation);
+            expect(await upgraded.version()).to.equal("2");
+            expect(await upgraded.tokenA()).to.equal(tokenA.address);
+            expect(await upgraded.tokenB()).to.equal(tokenB.address);
+            expect(await upgraded.fee()).to.equal(FEE_BPS);
+            expect(await upgraded.feeTo()).to.equal(addr2.address);
+            expect(await upgraded.kLast()).to.equal(kLast);
+            expect(await upgraded.priceACumulativeLast()).to.equal(priceACumulative);
+            expect(await upgraded.symbol()).to.equal("TKA-TKB-LP");
+
+            const reserves = await upgraded.getReserves();
+            expect(reserves._reserveA).to.equal(reserveA);
+            expect(reserves._reserveB).to.equal(reserveB);
+            expect(await upgraded.totalSupply()).to.equal(totalSupply);
+            expect(await upgraded.balanceOf(owner.address)).to.equal(ownerShares);
+            expect(await upgraded.balanceOf(addr1.address)).to.equal(addr1Shares);
+            expect(await upgraded.hasRole(ADMIN_ROLE, owner.address)).to.equal(true);
+
+            // The upgraded pool keeps trading and its appended slot starts empty
+            expect(await upgraded.upgradeNote()).to.equal(0);
+            await upgraded.initializeV2(7);
+            expect(await upgraded.upgradeNote()).to.equal(7);
+            await expect(upgraded.initializeV2(8)).to.be.revertedWith("Initializable: contract is already initialized");
+            await upgraded.connect(addr1).swapBForA(ethers.utils.parseEther("10"), 0, DEADLINE);
+            await upgraded.connect(addr1).removeLiquidity(addr1Shares, 0, 0, DEADLINE);
+            expect(await upgraded.balanceOf(addr1.address)).to.equal(0);
+        });
+
+        it("should refuse an upgrade that changes the storage layout", async function () {
+            const MockDEXV2Unsafe = await ethers.getContractFactory("MockDEXV2Unsafe");
+            const implementation = await upgrades.erc1967.getImplementationAddress(dex.address);
+
+            const { safe, reason } = await checkPoolUpgrade(upgrades, dex.address, DEX, MockDEXV2Unsafe);
+            expect(safe).to.equal(false);
+            expect(reason).to.include("New storage layout is incompatible");
+
+            let error;
+            try {
+                await upgradePool(upgrades, dex.address, DEX, MockDEXV2Unsafe);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("Refusing unsafe upgrade");
+            expect(await upgrades.erc1967.getImplementationAddress(dex.address)).to.equal(implementation);
+        });
+
+        it("should accept a compatible upgrade", async function () {
+            expect(await checkPoolUpgrade(upgrades, dex.address, DEX, MockDEXV2))
+                .to.deep.equal({ safe: true, reason: null });
+        });
+
+        it("should only let the admin upgrade", async function () {
+            const implementation = await upgrades.deployImplementation(MockDEXV2, { kind: "uups" });
+
+            await expect(
+                dex.connect(addr1).upgradeTo(implementation)
+            ).to.be.revertedWith(missingRole(addr1, ADMIN_ROLE));
+
+            await dex.grantRole(PAUSER_ROLE, addr2.address);
+            await expect(
+                dex.connect(addr2).upgradeTo(implementation)
+            ).to.be.revertedWith(missingRole(addr2, ADMIN_ROLE));
+
+            await expect(dex.upgradeTo(implementation))
+                .to.emit(dex, "Upgraded")
+                .withArgs(implementation);
+        });
+    });
+
+    describe("Edge Cases", function () {
+        it("should handle very small liquidity amounts", async function () {
+            const smallAmount = ethers.utils.parseEther("0.001");
+
+            await dex.addLiquidity(smallAmount, smallAmount, 0, 0, DEADLINE);
+
+            const reserves = await dex.getReserves();
+            expect(reserves._reserveA).to.equal(smallAmount);
+            expect(reserves._reserveB).to.equal(smallAmount);
+        });
+
+        it("should handle very large liquidity amounts", async function () {
+            const largeAmount = ethers.utils.parseEther("100000");
+
+            await tokenA.mint(owner.address, largeAmount);
+            await tokenB.mint(owner.address, largeAmount);
+            await tokenA.approve(dex.address, largeAmount);
+            await tokenB.approve(dex.address, largeAmount);
+
+            await dex.addLiquidity(largeAmount, largeAmount, 0, 0, DEADLINE);
+
+            const reserves = await dex.getReserves();
+            expect(reserves._reserveA).to.equal(largeAmount);
+        });
+
+        it("should prevent unauthorized access", async function () {
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
+            );
 
             const ownerLiquidity = await dex.liquidity(owner.address);
 
             // addr1 should not be able to remove owner's liquidity
             await expect(
-                dex.connect(addr1).removeLiquidity(ownerLiquidity)
+                dex.connect(addr1).removeLiquidity(ownerLiquidity, 0, 0, DEADLINE)
             ).to.be.revertedWith("Insufficient liquidity");
-        });
 
-        it("should handle sqrt edge case for small values (1, 2, 3)", async function () {
-            // Test sqrt for values 1, 2, 3 which use the else branch
-            // amountA * amountB = 1 when both are 1 wei
-            await dex.addLiquidity(1, 1);
+            // addr1 holds no role, so it can neither halt the pool nor change its parameters
+            await expect(dex.connect(addr1).pause()).to.be.revertedWith(missingRole(addr1, PAUSER_ROLE));
+            await expect(dex.connect(addr1).unpause()).to.be.revertedWith(missingRole(addr1, ADMIN_ROLE));
+            await expect(dex.connect(addr1).scheduleFeeChange(100)).to.be.revertedWith(missingRole(addr1, ADMIN_ROLE));
+            await expect(
+                dex.connect(addr1).scheduleFeeToChange(addr1.address)
+            ).to.be.revertedWith(missingRole(addr1, ADMIN_ROLE));
 
-            const liquidity1 = await dex.liquidity(owner.address);
-            expect(liquidity1).to.equal(1); // sqrt(1) = 1
+            // ...nor grant itself a role
+            await expect(
+                dex.connect(addr1).grantRole(ADMIN_ROLE, addr1.address)
+            ).to.be.revertedWith(missingRole(addr1, ADMIN_ROLE));
+            await expect(
+                dex.connect(addr1).grantRole(PAUSER_ROLE, addr1.address)
+            ).to.be.revertedWith(missingRole(addr1, ADMIN_ROLE));
+        });
 
-            // Clean up
-            await dex.removeLiquidity(liquidity1);
+        it("should reject first deposits that do not exceed the minimum liquidity", async function () {
+            // sqrt(1 * 1) = 1 share, all of which would be locked
+            await expect(
+                dex.addLiquidity(1, 1, 0, 0, DEADLINE)
+            ).to.be.revertedWith("Insufficient liquidity minted");
+
+            // sqrt(1000 * 1000) = MINIMUM_LIQUIDITY, leaving nothing for the provider
+            await expect(
+                dex.addLiquidity(1000, 1000, 0, 0, DEADLINE)
+            ).to.be.revertedWith("Insufficient liquidity minted");
 
-            // Test with 2 wei each (product = 4, sqrt = 2)
-            await dex.addLiquidity(2, 2);
-            const liquidity2 = await dex.liquidity(owner.address);
-            expect(liquidity2).to.equal(2); // sqrt(4) = 2
+            await dex.addLiquidity(1001, 1001, 0, 0, DEADLINE);
+            expect(await dex.liquidity(owner.address)).to.equal(1);
         });
 
         it("should handle getAmountOut with zero reserves", async function () {
@@ -462,7 +2114,10 @@ describe("DEX", function () {
         it("should revert swap when trying to drain entire pool", async function () {
             await dex.addLiquidity(
                 ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
             );
 
             // Try to swap an amount that would drain the pool
@@ -472,13 +2127,13 @@ describe("DEX", function () {
 
             // The swap will succeed but with very small output due to price impact
             // This tests that large swaps are handled correctly
-            const result = await dex.swapAForB(hugeAmount);
+            const result = await dex.swapAForB(hugeAmount, 0, DEADLINE);
             expect(result).to.not.be.undefined;
         });
 
         it("should handle swap with no liquidity", async function () {
             await expect(
-                dex.swapAForB(ethers.utils.parseEther("10"))
+                dex.swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE)
             ).to.be.revertedWith("Insufficient liquidity");
         });
     });
@@ -488,32 +2143,38 @@ describe("DEX", function () {
             const amountA = ethers.utils.parseEther("100");
             const amountB = ethers.utils.parseEther("200");
 
-            await expect(dex.addLiquidity(amountA, amountB))
+            await expect(dex.addLiquidity(amountA, amountB, 0, 0, DEADLINE))
                 .to.emit(dex, "LiquidityAdded")
-                .withArgs(owner.address, amountA, amountB, await dex.totalLiquidity());
+                .withArgs(owner.address, amountA, amountB, sqrt(amountA.mul(amountB)).sub(MINIMUM_LIQUIDITY));
         });
 
         it("should emit LiquidityRemoved event", async function () {
             await dex.addLiquidity(
                 ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
             );
 
             const userLiquidity = await dex.liquidity(owner.address);
 
-            await expect(dex.removeLiquidity(userLiquidity))
+            await expect(dex.removeLiquidity(userLiquidity, 0, 0, DEADLINE))
                 .to.emit(dex, "LiquidityRemoved");
         });
 
         it("should emit Swap event", async function () {
             await dex.addLiquidity(
                 ethers.utils.parseEther("100"),
-                ethers.utils.parseEther("200")
+                ethers.utils.parseEther("200"),
+                0,
+                0,
+                DEADLINE
             );
 
             const amountIn = ethers.utils.parseEther("10");
 
-            await expect(dex.swapAForB(amountIn))
+            await expect(dex.swapAForB(amountIn, 0, DEADLINE))
                 .to.emit(dex, "Swap")
                 .withArgs(owner.address, tokenA.address, tokenB.address, amountIn, await dex.getAmountOut(amountIn, ethers.utils.parseEther("100"), ethers.utils.parseEther("200")));
         });
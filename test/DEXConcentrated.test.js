@@ -0,0 +1,532 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+// Far-future deadline for calls that are not testing expiry
+const DEADLINE = ethers.constants.MaxUint256;
+// Pool LP fee in basis points (0.3%)
+const FEE_BPS = 30;
+const WAD = ethers.constants.WeiPerEther;
+
+// Integer square root (Babylonian method)
+function sqrt(value) {
+    if (value.lte(3)) return value.isZero() ? value : ethers.BigNumber.from(1);
+    let z = value;
+    let x = value.div(2).add(1);
+    while (x.lt(z)) {
+        z = x;
+        x = value.div(x).add(x).div(2);
+    }
+    return z;
+}
+
+// Sqrt price (1e18 scaled) for a price of token A in token B given as a decimal string
+function sqrtPriceOf(price) {
+    return sqrt(ethers.utils.parseEther(price).mul(WAD));
+}
+
+describe("DEXConcentrated", function () {
+    let pool, tokenA, tokenB;
+    let owner, addr1, addr2;
+
+    // Range around the starting price of 1 B per A
+    const LOWER = sqrtPriceOf("0.9");
+    const UPPER = sqrtPriceOf("1.1");
+
+    async function deployPool(price = "1", fee = FEE_BPS) {
+        const DEXConcentrated = await ethers.getContractFactory("DEXConcentrated");
+        const deployed = await DEXConcentrated.deploy(tokenA.address, tokenB.address, fee, sqrtPriceOf(price));
+        for (const signer of [owner, addr1, addr2]) {
+            await tokenA.connect(signer).approve(deployed.address, ethers.constants.MaxUint256);
+            await tokenB.connect(signer).approve(deployed.address, ethers.constants.MaxUint256);
+        }
+        return deployed;
+    }
+
+    // Deposit as much liquidity as the token amounts allow
+    async function deposit(signer, lower, upper, amountA, amountB) {
+        const liquidity = await pool.getLiquidityForAmounts(lower, upper, amountA, amountB);
+        const [lowerHint, upperHint] = await pool.getBoundaryHints(lower, upper);
+        await pool.connect(signer).addLiquidity(lower, upper, liquidity, amountA, amountB, DEADLINE, lowerHint, upperHint);
+        return liquidity;
+    }
+
+    beforeEach(async function () {
+        [owner, addr1, addr2] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+
+        for (const signer of [addr1, addr2]) {
+            await tokenA.mint(signer.address, ethers.utils.parseEther("10000"));
+            await tokenB.mint(signer.address, ethers.utils.parseEther("10000"));
+        }
+
+        pool = await deployPool();
+    });
+
+    describe("Constructor", function () {
+        it("should set tokens, fee and starting price", async function () {
+            expect(await pool.tokenA()).to.equal(tokenA.address);
+            expect(await pool.tokenB()).to.equal(tokenB.address);
+            expect(await pool.fee()).to.equal(FEE_BPS);
+            expect(await pool.sqrtPrice()).to.equal(WAD);
+            expect(await pool.getPrice()).to.equal(WAD);
+        });
+
+        it("should reject invalid parameters", async function () {
+            const DEXConcentrated = await ethers.getContractFactory("DEXConcentrated");
+
+            await expect(
+                DEXConcentrated.deploy(ethers.constants.AddressZero, tokenB.address, FEE_BPS, WAD)
+            ).to.be.revertedWith("Invalid token A address");
+            await expect(
+                DEXConcentrated.deploy(tokenA.address, tokenA.address, FEE_BPS, WAD)
+            ).to.be.revertedWith("Tokens must be different");
+            await expect(
+                DEXConcentrated.deploy(tokenA.address, tokenB.address, 0, WAD)
+            ).to.be.revertedWith("Invalid fee");
+            await expect(
+                DEXConcentrated.deploy(tokenA.address, tokenB.address, FEE_BPS, 0)
+            ).to.be.revertedWith("Invalid price");
+        });
+    });
+
+    describe("Liquidity Positions", function () {
+        it("should deposit both tokens for a range containing the price", async function () {
+            const amount = ethers.utils.parseEther("100");
+            const liquidity = await pool.getLiquidityForAmounts(LOWER, UPPER, amount, amount);
+            const [amountA, amountB] = await pool.getAmountsForLiquidity(LOWER, UPPER, liquidity);
+
+            await expect(pool.addLiquidity(LOWER, UPPER, liquidity, amount, amount, DEADLINE, 0, 0))
+                .to.emit(pool, "LiquidityAdded");
+
+            expect(await tokenA.balanceOf(pool.address)).to.be.closeTo(amountA, 1);
+            expect(await tokenB.balanceOf(pool.address)).to.be.closeTo(amountB, 1);
+            expect(await pool.liquidity()).to.equal(liquidity);
+            expect(await pool.boundaryCount()).to.equal(2);
+        });
+
+        it("should deposit only token A for a range above the price", async function () {
+            const lower = sqrtPriceOf("1.2");
+            const upper = sqrtPriceOf("1.5");
+
+            await deposit(owner, lower, upper, ethers.utils.parseEther("100"), 0);
+
+            expect(await tokenA.balanceOf(pool.address)).to.be.gt(0);
+            expect(await tokenB.balanceOf(pool.address)).to.equal(0);
+            // Out-of-range liquidity is not active
+            expect(await pool.liquidity()).to.equal(0);
+        });
+
+        it("should deposit only token B for a range below the price", async function () {
+            const lower = sqrtPriceOf("0.5");
+            const upper = sqrtPriceOf("0.8");
+
+            await deposit(owner, lower, upper, 0, ethers.utils.parseEther("100"));
+
+            expect(await tokenA.balanceOf(pool.address)).to.equal(0);
+            expect(await tokenB.balanceOf(pool.address)).to.be.gt(0);
+            expect(await pool.liquidity()).to.equal(0);
+        });
+
+        it("should return the deposit on removal", async function () {
+            const amount = ethers.utils.parseEther("100");
+            const balanceABefore = await tokenA.balanceOf(owner.address);
+            const balanceBBefore = await tokenB.balanceOf(owner.address);
+            const liquidity = await deposit(owner, LOWER, UPPER, amount, amount);
+            const depositedA = balanceABefore.sub(await tokenA.balanceOf(owner.address));
+            const depositedB = balanceBBefore.sub(await tokenB.balanceOf(owner.address));
+
+            await expect(pool.removeLiquidity(LOWER, UPPER, liquidity, 0, 0, DEADLINE))
+                .to.emit(pool, "LiquidityRemoved");
+
+            // Deposits round up and withdrawals round down, by at most a few wei
+            expect(balanceABefore.sub(await tokenA.balanceOf(owner.address))).to.be.within(0, 2);
+            expect(balanceBBefore.sub(await tokenB.balanceOf(owner.address))).to.be.within(0, 2);
+            expect(depositedA).to.be.lte(amount);
+            expect(depositedB).to.be.lte(amount);
+            expect(await pool.liquidity()).to.equal(0);
+            expect(await pool.boundaryCount()).to.equal(0);
+        });
+
+        it("should share boundaries between positions", async function () {
+            const amount = ethers.utils.parseEther("10");
+            const liquidity = await deposit(owner, LOWER, UPPER, amount, amount);
+            await deposit(addr1, LOWER, sqrtPriceOf("1.2"), amount, amount);
+
+            expect(await pool.boundaryCount()).to.equal(3);
+
+            await pool.removeLiquidity(LOWER, UPPER, liquidity, 0, 0, DEADLINE);
+            expect(await pool.boundaryCount()).to.equal(2);
+        });
+
+        it("should enforce slippage limits on deposits and withdrawals", async function () {
+            const amount = ethers.utils.parseEther("100");
+            const liquidity = await pool.getLiquidityForAmounts(LOWER, UPPER, amount, amount);
+
+            await expect(
+                pool.addLiquidity(LOWER, UPPER, liquidity, amount.div(2), amount, DEADLINE, 0, 0)
+            ).to.be.revertedWith("Slippage limit exceeded");
+
+            await pool.addLiquidity(LOWER, UPPER, liquidity, amount, amount, DEADLINE, 0, 0);
+            await expect(
+                pool.removeLiquidity(LOWER, UPPER, liquidity, amount.add(1), 0, DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should validate ranges and amounts", async function () {
+            await expect(
+                pool.addLiquidity(UPPER, LOWER, 1000, 0, 0, DEADLINE, 0, 0)
+            ).to.be.revertedWith("Invalid price range");
+            await expect(
+                pool.addLiquidity(0, UPPER, 1000, 0, 0, DEADLINE, 0, 0)
+            ).to.be.revertedWith("Invalid price range");
+            await expect(
+                pool.addLiquidity(LOWER, UPPER, 0, 0, 0, DEADLINE, 0, 0)
+            ).to.be.revertedWith("Liquidity amount must be greater than 0");
+            await expect(
+                pool.removeLiquidity(LOWER, UPPER, 1000, 0, 0, DEADLINE)
+            ).to.be.revertedWith("Insufficient liquidity");
+        });
+    });
+
+    describe("Boundary Hints", function () {
+        const amount = ethers.utils.parseEther("10");
+
+        beforeEach(async function () {
+            await deposit(owner, LOWER, UPPER, amount, amount);
+        });
+
+        it("should return the boundaries directly below a range", async function () {
+            const lower = sqrtPriceOf("1.05");
+            const upper = sqrtPriceOf("1.2");
+            const [lowerHint, upperHint] = await pool.getBoundaryHints(lower, upper);
+            expect(lowerHint).to.equal(LOWER);
+            expect(upperHint).to.equal(UPPER);
+
+            const [belowAll] = await pool.getBoundaryHints(sqrtPriceOf("0.5"), sqrtPriceOf("0.6"));
+            expect(belowAll).to.equal(0);
+        });
+
+        it("should reject a hint that is not directly below the new boundary", async function () {
+            const lower = sqrtPriceOf("1.2");
+            const upper = sqrtPriceOf("1.5");
+            const liquidity = await pool.getLiquidityForAmounts(lower, upper, amount, 0);
+
+            // Too low: UPPER lies between the hint and the new boundary
+            await expect(
+                pool.addLiquidity(lower, upper, liquidity, amount, 0, DEADLINE, LOWER, 0)
+            ).to.be.revertedWith("Invalid boundary hint");
+            // Not a boundary at all
+            await expect(
+                pool.addLiquidity(lower, upper, liquidity, amount, 0, DEADLINE, sqrtPriceOf("1.15"), 0)
+            ).to.be.revertedWith("Invalid boundary hint");
+
+            await pool.addLiquidity(lower, upper, liquidity, amount, 0, DEADLINE, UPPER, 0);
+            expect(await pool.boundaryCount()).to.equal(4);
+        });
+
+        it("should ignore hints for boundaries that already exist", async function () {
+            const liquidity = await pool.getLiquidityForAmounts(LOWER, UPPER, amount, amount);
+            await pool.connect(addr1).addLiquidity(LOWER, UPPER, liquidity, amount, amount, DEADLINE, 12345, 67890);
+            expect(await pool.boundaryCount()).to.equal(2);
+        });
+
+        it("should keep the cost of a deposit independent of other positions' boundaries", async function () {
+            const lower = sqrtPriceOf("1.5");
+            const upper = sqrtPriceOf("1.6");
+            const liquidity = await pool.getLiquidityForAmounts(lower, upper, amount, 0);
+            const depositGas = async () => {
+                const [lowerHint, upperHint] = await pool.getBoundaryHints(lower, upper);
+                const gas = await pool.connect(addr1).estimateGas.addLiquidity(lower, upper, liquidity, amount, 0, DEADLINE, lowerHint, upperHint);
+                return gas.toNumber();
+            };
+            const gasBefore = await depositGas();
+
+            // Dust positions between the active segment and the new range
+            for (let i = 0; i < 20; i++) {
+                const dustLower = sqrtPriceOf((1.2 + i * 0.01).toFixed(2));
+                const dustUpper = sqrtPriceOf((1.205 + i * 0.01).toFixed(3));
+                const [lowerHint, upperHint] = await pool.getBoundaryHints(dustLower, dustUpper);
+                await pool.connect(addr2).addLiquidity(dustLower, dustUpper, 1, 1, 1, DEADLINE, lowerHint, upperHint);
+            }
+            expect(await pool.boundaryCount()).to.equal(42);
+
+            // Walking past 40 boundaries would cost over 80k gas more
+            expect(Math.abs((await depositGas()) - gasBefore)).to.be.lt(5000);
+        });
+    });
+
+    describe("Token Swaps", function () {
+        beforeEach(async function () {
+            await deposit(owner, LOWER, UPPER, ethers.utils.parseEther("1000"), ethers.utils.parseEther("1000"));
+        });
+
+        it("should swap token A for token B", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const balanceBefore = await tokenB.balanceOf(addr1.address);
+
+            await pool.connect(addr1).swapAForB(amountIn, 0, DEADLINE);
+
+            expect(await tokenB.balanceOf(addr1.address)).to.be.gt(balanceBefore);
+        });
+
+        it("should swap token B for token A", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const balanceBefore = await tokenA.balanceOf(addr1.address);
+
+            await pool.connect(addr1).swapBForA(amountIn, 0, DEADLINE);
+
+            expect(await tokenA.balanceOf(addr1.address)).to.be.gt(balanceBefore);
+        });
+
+        it("should pay out exactly the quoted amount", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const quote = await pool.getAmountOut(tokenA.address, amountIn);
+            const balanceBefore = await tokenB.balanceOf(addr1.address);
+
+            await expect(pool.connect(addr1).swapAForB(amountIn, quote, DEADLINE))
+                .to.emit(pool, "Swap")
+                .withArgs(addr1.address, tokenA.address, tokenB.address, amountIn, quote);
+
+            expect((await tokenB.balanceOf(addr1.address)).sub(balanceBefore)).to.equal(quote);
+        });
+
+        it("should move the price in the direction of the trade", async function () {
+            await pool.connect(addr1).swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+            expect(await pool.getPrice()).to.be.lt(WAD);
+
+            await pool.connect(addr1).swapBForA(ethers.utils.parseEther("20"), 0, DEADLINE);
+            expect(await pool.getPrice()).to.be.gt(WAD);
+        });
+
+        it("should give less slippage than a full-range pool with the same capital", async function () {
+            const DEX = await ethers.getContractFactory("DEX");
+            const fullRange = await upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, FEE_BPS]);
+            await tokenA.approve(fullRange.address, ethers.constants.MaxUint256);
+            await tokenB.approve(fullRange.address, ethers.constants.MaxUint256);
+            await fullRange.addLiquidity(ethers.utils.parseEther("1000"), ethers.utils.parseEther("1000"), 0, 0, DEADLINE);
+
+            const amountIn = ethers.utils.parseEther("50");
+            const concentratedOut = await pool.getAmountOut(tokenA.address, amountIn);
+            const fullRangeOut = await fullRange.getAmountOut(amountIn, ethers.utils.parseEther("1000"), ethers.utils.parseEther("1000"));
+
+            expect(concentratedOut).to.be.gt(fullRangeOut);
+        });
+
+        it("should revert on zero swap amount", async function () {
+            await expect(
+                pool.connect(addr1).swapAForB(0, 0, DEADLINE)
+            ).to.be.revertedWith("Amount in must be greater than 0");
+
+            await expect(
+                pool.connect(addr1).swapBForA(0, 0, DEADLINE)
+            ).to.be.revertedWith("Amount in must be greater than 0");
+        });
+
+        it("should revert when output is below minimum", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const quote = await pool.getAmountOut(tokenA.address, amountIn);
+
+            await expect(
+                pool.connect(addr1).swapAForB(amountIn, quote.add(1), DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should revert when the swap runs past all liquidity", async function () {
+            await expect(
+                pool.getAmountOut(tokenA.address, ethers.utils.parseEther("5000"))
+            ).to.be.revertedWith("Insufficient liquidity for swap");
+
+            await expect(
+                pool.connect(addr1).swapAForB(ethers.utils.parseEther("5000"), 0, DEADLINE)
+            ).to.be.revertedWith("Insufficient liquidity for swap");
+        });
+
+        it("should cross into neighbouring ranges", async function () {
+            // Wider range below the first one picks up the trade once the price leaves it
+            const wideLower = sqrtPriceOf("0.5");
+            await deposit(addr1, wideLower, LOWER, 0, ethers.utils.parseEther("1000"));
+            const liquidityBefore = await pool.liquidity();
+
+            await pool.connect(addr2).swapAForB(ethers.utils.parseEther("1500"), 0, DEADLINE);
+
+            expect(await pool.sqrtPrice()).to.be.lt(LOWER);
+            expect(await pool.currentBoundary()).to.equal(wideLower);
+            expect(await pool.liquidity()).to.not.equal(liquidityBefore);
+
+            // And back up again
+            await pool.connect(addr2).swapBForA(ethers.utils.parseEther("1500"), 0, DEADLINE);
+            expect(await pool.sqrtPrice()).to.be.gt(LOWER);
+            expect(await pool.liquidity()).to.equal(liquidityBefore);
+        });
+
+        it("should cross more boundaries than a swap buffers up front", async function () {
+            // Seven adjacent ranges below the price, then a deep one for the swap to end in
+            const prices = [LOWER, ...["0.85", "0.8", "0.75", "0.7", "0.65", "0.6", "0.55"].map(sqrtPriceOf)];
+            for (let i = 1; i < prices.length; i++) {
+                await deposit(addr1, prices[i], prices[i - 1], 0, ethers.utils.parseEther("50"));
+            }
+            await deposit(addr1, sqrtPriceOf("0.3"), prices[prices.length - 1], 0, ethers.utils.parseEther("5000"));
+            const liquidityBefore = await pool.liquidity();
+
+            const amountIn = ethers.utils.parseEther("2500");
+            const quote = await pool.getAmountOut(tokenA.address, amountIn);
+            const balanceBefore = await tokenB.balanceOf(addr2.address);
+            await pool.connect(addr2).swapAForB(amountIn, quote, DEADLINE);
+            const received = (await tokenB.balanceOf(addr2.address)).sub(balanceBefore);
+            expect(await pool.sqrtPrice()).to.be.lt(prices[prices.length - 1]);
+
+            // Every crossing was recorded: selling the output back restores the starting segment
+            await pool.connect(addr2).swapBForA(received, 0, DEADLINE);
+            expect(await pool.sqrtPrice()).to.be.gt(LOWER);
+            expect(await pool.liquidity()).to.equal(liquidityBefore);
+
+            // Each range earned fees in both directions while the price passed through it
+            for (let i = 1; i < prices.length; i++) {
+                const [, feesA, feesB] = await pool.getPosition(addr1.address, prices[i], prices[i - 1]);
+                expect(feesA).to.be.gt(0);
+                expect(feesB).to.be.gt(0);
+            }
+        });
+
+        it("should jump over price gaps without liquidity", async function () {
+            // Separate range below, with an empty gap between 0.8 and 0.9
+            await deposit(addr1, sqrtPriceOf("0.5"), sqrtPriceOf("0.8"), 0, ethers.utils.parseEther("1000"));
+
+            await pool.connect(addr2).swapAForB(ethers.utils.parseEther("1500"), 0, DEADLINE);
+
+            expect(await pool.sqrtPrice()).to.be.lt(sqrtPriceOf("0.8"));
+        });
+
+        it("should handle multiple consecutive swaps", async function () {
+            for (let i = 0; i < 3; i++) {
+                await pool.connect(addr1).swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+                await pool.connect(addr2).swapBForA(ethers.utils.parseEther("10"), 0, DEADLINE);
+            }
+
+            // Fees keep the price close to where it started after round trips
+            expect(await pool.getPrice()).to.be.closeTo(WAD, ethers.utils.parseEther("0.01"));
+        });
+
+        it("should keep enough tokens to pay every position back", async function () {
+            const liquidity = (await pool.getPosition(owner.address, LOWER, UPPER))[0];
+            await pool.connect(addr1).swapAForB(ethers.utils.parseEther("100"), 0, DEADLINE);
+            await pool.connect(addr2).swapBForA(ethers.utils.parseEther("40"), 0, DEADLINE);
+
+            await pool.removeLiquidity(LOWER, UPPER, liquidity, 0, 0, DEADLINE);
+            await pool.collectFees(LOWER, UPPER);
+
+            // Only rounding dust, kept by the pool, remains
+            const dust = ethers.utils.parseUnits("1", "gwei");
+            expect(await tokenA.balanceOf(pool.address)).to.be.lt(dust);
+            expect(await tokenB.balanceOf(pool.address)).to.be.lt(dust);
+        });
+    });
+
+    describe("Fee Distribution", function () {
+        it("should accumulate fees for liquidity providers", async function () {
+            await deposit(owner, LOWER, UPPER, ethers.utils.parseEther("1000"), ethers.utils.parseEther("1000"));
+
+            await pool.connect(addr1).swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+            await pool.connect(addr1).swapBForA(ethers.utils.parseEther("15"), 0, DEADLINE);
+
+            const [, feesA, feesB] = await pool.getPosition(owner.address, LOWER, UPPER);
+            // 0.3% of the input, minus rounding
+            expect(feesA).to.be.closeTo(ethers.utils.parseEther("0.03"), 10);
+            expect(feesB).to.be.closeTo(ethers.utils.parseEther("0.045"), 10);
+
+            const balanceABefore = await tokenA.balanceOf(owner.address);
+            await expect(pool.collectFees(LOWER, UPPER))
+                .to.emit(pool, "FeesCollected")
+                .withArgs(owner.address, LOWER, UPPER, feesA, feesB);
+            expect((await tokenA.balanceOf(owner.address)).sub(balanceABefore)).to.equal(feesA);
+
+            const [, feesAAfter, feesBAfter] = await pool.getPosition(owner.address, LOWER, UPPER);
+            expect(feesAAfter).to.equal(0);
+            expect(feesBAfter).to.equal(0);
+        });
+
+        it("should distribute fees proportionally to liquidity", async function () {
+            const ownerLiquidity = await deposit(owner, LOWER, UPPER, ethers.utils.parseEther("100"), ethers.utils.parseEther("100"));
+            const addr1Liquidity = await deposit(addr1, LOWER, UPPER, ethers.utils.parseEther("200"), ethers.utils.parseEther("200"));
+
+            await pool.connect(addr2).swapAForB(ethers.utils.parseEther("20"), 0, DEADLINE);
+
+            const [, ownerFees] = await pool.getPosition(owner.address, LOWER, UPPER);
+            const [, addr1Fees] = await pool.getPosition(addr1.address, LOWER, UPPER);
+            expect(addr1Fees.mul(ownerLiquidity)).to.be.closeTo(ownerFees.mul(addr1Liquidity), addr1Liquidity.mul(2));
+        });
+
+        it("should not pay fees to positions outside the price", async function () {
+            await deposit(owner, LOWER, UPPER, ethers.utils.parseEther("1000"), ethers.utils.parseEther("1000"));
+            const above = [sqrtPriceOf("1.2"), sqrtPriceOf("1.5")];
+            await deposit(addr1, above[0], above[1], ethers.utils.parseEther("1000"), 0);
+
+            await pool.connect(addr2).swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+            await pool.connect(addr2).swapBForA(ethers.utils.parseEther("10"), 0, DEADLINE);
+
+            const [, feesA, feesB] = await pool.getPosition(addr1.address, above[0], above[1]);
+            expect(feesA).to.equal(0);
+            expect(feesB).to.equal(0);
+        });
+
+        it("should only earn fees while the price is inside the range", async function () {
+            // Narrow range the price will leave, and a wide range that keeps trading
+            const narrowUpper = sqrtPriceOf("1.01");
+            const wideUpper = sqrtPriceOf("2");
+            await deposit(owner, LOWER, narrowUpper, ethers.utils.parseEther("10"), ethers.utils.parseEther("10"));
+            await deposit(addr1, LOWER, wideUpper, ethers.utils.parseEther("1000"), ethers.utils.parseEther("1000"));
+
+            // Push the price above the narrow range
+            await pool.connect(addr2).swapBForA(ethers.utils.parseEther("200"), 0, DEADLINE);
+            expect(await pool.sqrtPrice()).to.be.gt(narrowUpper);
+            const [, , narrowFeesBefore] = await pool.getPosition(owner.address, LOWER, narrowUpper);
+            const [, , wideFeesBefore] = await pool.getPosition(addr1.address, LOWER, wideUpper);
+
+            // Trading above the narrow range only pays the wide range
+            await pool.connect(addr2).swapBForA(ethers.utils.parseEther("50"), 0, DEADLINE);
+            const [, , narrowFeesAfter] = await pool.getPosition(owner.address, LOWER, narrowUpper);
+            const [, , wideFeesAfter] = await pool.getPosition(addr1.address, LOWER, wideUpper);
+
+            expect(narrowFeesBefore).to.be.gt(0);
+            expect(narrowFeesAfter).to.equal(narrowFeesBefore);
+            expect(wideFeesAfter).to.be.gt(wideFeesBefore);
+        });
+
+        it("should keep earned fees after the position is removed", async function () {
+            const liquidity = await deposit(owner, LOWER, UPPER, ethers.utils.parseEther("1000"), ethers.utils.parseEther("1000"));
+            await pool.connect(addr1).swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+
+            await pool.removeLiquidity(LOWER, UPPER, liquidity, 0, 0, DEADLINE);
+
+            const [remaining, feesA] = await pool.getPosition(owner.address, LOWER, UPPER);
+            expect(remaining).to.equal(0);
+            expect(feesA).to.be.gt(0);
+
+            const balanceBefore = await tokenA.balanceOf(owner.address);
+            await pool.collectFees(LOWER, UPPER);
+            expect((await tokenA.balanceOf(owner.address)).sub(balanceBefore)).to.equal(feesA);
+        });
+
+        it("should expose fee parameters on-chain", async function () {
+            expect(await pool.fee()).to.equal(FEE_BPS);
+            expect(await pool.FEE_DENOMINATOR()).to.equal(10000);
+        });
+
+        it("should apply the pool's fee tier to swaps", async function () {
+            const lowFeePool = await deployPool("1", 5);
+            const highFeePool = await deployPool("1", 100);
+
+            for (const target of [lowFeePool, highFeePool]) {
+                const liquidity = await target.getLiquidityForAmounts(LOWER, UPPER, ethers.utils.parseEther("100"), ethers.utils.parseEther("100"));
+                await target.addLiquidity(LOWER, UPPER, liquidity, ethers.utils.parseEther("100"), ethers.utils.parseEther("100"), DEADLINE, 0, 0);
+            }
+
+            const amountIn = ethers.utils.parseEther("1");
+            expect(await lowFeePool.getAmountOut(tokenA.address, amountIn))
+                .to.be.gt(await highFeePool.getAmountOut(tokenA.address, amountIn));
+        });
+    });
+});
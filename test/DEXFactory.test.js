@@ -0,0 +1,290 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+// Pool LP fee in basis points (0.3%)
+const FEE_BPS = 30;
+// Pool access control roles, matching DEX.DEFAULT_ADMIN_ROLE and DEX.PAUSER_ROLE
+const ADMIN_ROLE = ethers.constants.HashZero;
+const PAUSER_ROLE = ethers.utils.id("PAUSER_ROLE");
+
+describe("DEXFactory", function () {
+    let factory, implementation, tokenA, tokenB, tokenC;
+    let owner;
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        tokenC = await MockERC20.deploy("Token C", "TKC");
+
+        const DEX = await ethers.getContractFactory("DEX");
+        implementation = await DEX.deploy();
+        const DEXFactory = await ethers.getContractFactory("DEXFactory");
+        factory = await DEXFactory.deploy(implementation.address, false);
+    });
+
+    // Deploy a factory whose pairs sit behind upgradeable proxies
+    async function deployUpgradeableFactory() {
+        const DEXFactory = await ethers.getContractFactory("DEXFactory");
+        return DEXFactory.deploy(implementation.address, true);
+    }
+
+    describe("Pair Creation", function () {
+        it("should create a pair and register it", async function () {
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+
+            const pair = await factory.getPair(tokenA.address, tokenB.address);
+            expect(pair).to.not.equal(ethers.constants.AddressZero);
+            expect(await factory.allPairsLength()).to.equal(1);
+            expect(await factory.allPairs(0)).to.equal(pair);
+        });
+
+        it("should store tokens in canonical order", async function () {
+            await factory.createPair(tokenB.address, tokenA.address, FEE_BPS);
+
+            const [token0, token1] = await factory.sortTokens(tokenA.address, tokenB.address);
+            const dex = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+
+            expect(await dex.tokenA()).to.equal(token0);
+            expect(await dex.tokenB()).to.equal(token1);
+            expect(token0.toLowerCase() < token1.toLowerCase()).to.equal(true);
+        });
+
+        it("should resolve the pair in both directions", async function () {
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+
+            expect(await factory.getPair(tokenA.address, tokenB.address))
+                .to.equal(await factory.getPair(tokenB.address, tokenA.address));
+        });
+
+        it("should emit PairCreated event", async function () {
+            const [token0, token1] = await factory.sortTokens(tokenA.address, tokenB.address);
+            const expectedPair = await factory.callStatic.createPair(tokenA.address, tokenB.address, FEE_BPS);
+
+            await expect(factory.createPair(tokenA.address, tokenB.address, FEE_BPS))
+                .to.emit(factory, "PairCreated")
+                .withArgs(token0, token1, FEE_BPS, expectedPair, 1);
+        });
+
+        it("should create independent pools for different pairs", async function () {
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+            await factory.createPair(tokenB.address, tokenC.address, FEE_BPS);
+
+            expect(await factory.allPairsLength()).to.equal(2);
+            expect(await factory.allPairs(0)).to.not.equal(await factory.allPairs(1));
+            expect(await factory.getPair(tokenA.address, tokenC.address)).to.equal(ethers.constants.AddressZero);
+        });
+
+        it("should create fully functional pools", async function () {
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+            const dex = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+
+            await tokenA.approve(dex.address, ethers.utils.parseEther("100"));
+            await tokenB.approve(dex.address, ethers.utils.parseEther("100"));
+            await dex.addLiquidity(
+                ethers.utils.parseEther("100"),
+                ethers.utils.parseEther("100"),
+                0,
+                0,
+                ethers.constants.MaxUint256
+            );
+
+            expect(await dex.balanceOf(owner.address)).to.be.gt(0);
+        });
+    });
+
+    describe("Fees", function () {
+        it("should enable the default fee tiers", async function () {
+            expect(await factory.feeTierEnabled(5)).to.equal(true);
+            expect(await factory.feeTierEnabled(30)).to.equal(true);
+            expect(await factory.feeTierEnabled(100)).to.equal(true);
+            expect(await factory.feeTierEnabled(50)).to.equal(false);
+        });
+
+        it("should create pairs with the requested fee tier", async function () {
+            await factory.createPair(tokenA.address, tokenB.address, 5);
+            await factory.createPair(tokenB.address, tokenC.address, 100);
+
+            const pairAB = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+            const pairBC = await ethers.getContractAt("DEX", await factory.getPair(tokenB.address, tokenC.address));
+            expect(await pairAB.fee()).to.equal(5);
+            expect(await pairBC.fee()).to.equal(100);
+        });
+
+        it("should reject disabled fee tiers", async function () {
+            await expect(
+                factory.createPair(tokenA.address, tokenB.address, 50)
+            ).to.be.revertedWith("Fee tier not enabled");
+        });
+
+        it("should let the owner enable new fee tiers", async function () {
+            await expect(factory.enableFeeTier(50))
+                .to.emit(factory, "FeeTierEnabled")
+                .withArgs(50);
+
+            await factory.createPair(tokenA.address, tokenB.address, 50);
+
+            await expect(factory.enableFeeTier(50)).to.be.revertedWith("Fee tier already enabled");
+            await expect(factory.enableFeeTier(1001)).to.be.revertedWith("Invalid fee");
+        });
+
+        it("should hand a pair's admin and pauser roles to the owner", async function () {
+            const [, other] = await ethers.getSigners();
+            await factory.connect(other).createPair(tokenA.address, tokenB.address, FEE_BPS);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+
+            // Roles go to the factory owner, not to whoever created the pair
+            for (const role of [ADMIN_ROLE, PAUSER_ROLE]) {
+                expect(await pair.hasRole(role, owner.address)).to.equal(true);
+                expect(await pair.hasRole(role, factory.address)).to.equal(false);
+                expect(await pair.hasRole(role, other.address)).to.equal(false);
+            }
+
+            await expect(pair.scheduleFeeToChange(owner.address))
+                .to.emit(pair, "FeeToChangeScheduled");
+            await expect(pair.pause()).to.emit(pair, "Paused");
+        });
+
+        it("should restrict fee administration to the owner", async function () {
+            const [, other] = await ethers.getSigners();
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+
+            await expect(
+                factory.connect(other).enableFeeTier(50)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+
+            await expect(
+                pair.connect(other).scheduleFeeToChange(other.address)
+            ).to.be.revertedWith(`AccessControl: account ${other.address.toLowerCase()} is missing role ${ADMIN_ROLE}`);
+        });
+
+        it("should leave existing pairs' roles with the previous owner after an ownership transfer", async function () {
+            const [, newOwner] = await ethers.getSigners();
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+
+            await factory.transferOwnership(newOwner.address);
+            await factory.createPair(tokenA.address, tokenC.address, FEE_BPS);
+            const newPair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenC.address));
+
+            // Pairs created after the transfer go to the new owner, earlier ones stay with the old
+            expect(await newPair.hasRole(ADMIN_ROLE, newOwner.address)).to.equal(true);
+            expect(await newPair.hasRole(ADMIN_ROLE, owner.address)).to.equal(false);
+            await expect(
+                pair.connect(newOwner).pause()
+            ).to.be.revertedWith(`AccessControl: account ${newOwner.address.toLowerCase()} is missing role ${PAUSER_ROLE}`);
+            await expect(pair.pause()).to.emit(pair, "Paused");
+
+            // The previous owner moves the roles pair by pair
+            for (const role of [ADMIN_ROLE, PAUSER_ROLE]) await pair.grantRole(role, newOwner.address);
+            await pair.renounceRole(PAUSER_ROLE, owner.address);
+            await pair.renounceRole(ADMIN_ROLE, owner.address);
+
+            await expect(pair.connect(newOwner).unpause()).to.emit(pair, "Unpaused");
+            await expect(pair.connect(newOwner).scheduleFeeChange(100)).to.emit(pair, "FeeChangeScheduled");
+            await expect(
+                pair.pause()
+            ).to.be.revertedWith(`AccessControl: account ${owner.address.toLowerCase()} is missing role ${PAUSER_ROLE}`);
+        });
+    });
+
+    describe("Pool Implementation", function () {
+        it("should deploy fixed clones of the implementation by default", async function () {
+            expect(await factory.implementation()).to.equal(implementation.address);
+            expect(await factory.upgradeablePairs()).to.equal(false);
+
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+
+            // The factory sorts tokens by address, which decides the symbol order
+            const [symbol0, symbol1] = tokenA.address.toLowerCase() < tokenB.address.toLowerCase() ? ["TKA", "TKB"] : ["TKB", "TKA"];
+            expect(await pair.symbol()).to.equal(`${symbol0}-${symbol1}-LP`);
+            await expect(
+                pair.upgradeTo(implementation.address)
+            ).to.be.revertedWith("Function must be called through active proxy");
+            await expect(
+                pair.initialize(tokenA.address, tokenB.address, FEE_BPS)
+            ).to.be.revertedWith("Initializable: contract is already initialized");
+        });
+
+        it("should deploy upgradeable proxies when configured", async function () {
+            const upgradeableFactory = await deployUpgradeableFactory();
+            expect(await upgradeableFactory.upgradeablePairs()).to.equal(true);
+
+            await upgradeableFactory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+            const pairAddress = await upgradeableFactory.getPair(tokenA.address, tokenB.address);
+            const pair = await ethers.getContractAt("DEX", pairAddress);
+
+            expect(await upgrades.erc1967.getImplementationAddress(pairAddress)).to.equal(implementation.address);
+            expect(await pair.fee()).to.equal(FEE_BPS);
+            expect(await pair.hasRole(ADMIN_ROLE, owner.address)).to.equal(true);
+
+            // The factory owner holds the admin role and may upgrade the pair
+            const MockDEXV2 = await ethers.getContractFactory("MockDEXV2");
+            const newImplementation = await MockDEXV2.deploy();
+            await pair.upgradeTo(newImplementation.address);
+            expect(await upgrades.erc1967.getImplementationAddress(pairAddress)).to.equal(newImplementation.address);
+        });
+
+        it("should let the owner switch the implementation for new pairs", async function () {
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+
+            const MockDEXV2 = await ethers.getContractFactory("MockDEXV2");
+            const newImplementation = await MockDEXV2.deploy();
+            await expect(factory.setImplementation(newImplementation.address))
+                .to.emit(factory, "ImplementationUpdated")
+                .withArgs(newImplementation.address);
+
+            await factory.createPair(tokenB.address, tokenC.address, FEE_BPS);
+            const oldPair = await ethers.getContractAt("MockDEXV2", await factory.allPairs(0));
+            const newPair = await ethers.getContractAt("MockDEXV2", await factory.allPairs(1));
+
+            expect(await newPair.version()).to.equal("2");
+            await expect(oldPair.version()).to.be.reverted;
+        });
+
+        it("should validate the implementation address", async function () {
+            const [, other] = await ethers.getSigners();
+            const DEXFactory = await ethers.getContractFactory("DEXFactory");
+
+            await expect(
+                DEXFactory.deploy(ethers.constants.AddressZero, false)
+            ).to.be.revertedWith("Invalid implementation address");
+            await expect(
+                factory.setImplementation(ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid implementation address");
+            await expect(
+                factory.connect(other).setImplementation(implementation.address)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+
+    describe("Validation", function () {
+        it("should reject duplicate pairs in either order", async function () {
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+
+            await expect(
+                factory.createPair(tokenA.address, tokenB.address, FEE_BPS)
+            ).to.be.revertedWith("Pair already exists");
+
+            await expect(
+                factory.createPair(tokenB.address, tokenA.address, FEE_BPS)
+            ).to.be.revertedWith("Pair already exists");
+        });
+
+        it("should reject identical tokens", async function () {
+            await expect(
+                factory.createPair(tokenA.address, tokenA.address, FEE_BPS)
+            ).to.be.revertedWith("Tokens must be different");
+        });
+
+        it("should reject the zero address", async function () {
+            await expect(
+                factory.createPair(ethers.constants.AddressZero, tokenA.address, FEE_BPS)
+            ).to.be.revertedWith("Invalid token address");
+        });
+    });
+});
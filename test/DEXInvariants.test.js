@@ -0,0 +1,438 @@
+const { expect } = require("chai");
+const { ethers, network, upgrades } = require("hardhat");
+const dexMath = require("../scripts/utils/dexMath");
+const { createRandom, randomInt, randomAmount, pick, fuzz, shrink, formatFailure } = require("../scripts/utils/fuzz");
+
+// Far-future deadline for pool calls
+const DEADLINE = ethers.constants.MaxUint256;
+// Pool LP fee in basis points (0.3%)
+const FEE_BPS = 30;
+// Holder of the shares locked on the first deposit, matching DEX.LIQUIDITY_LOCK_ADDRESS
+const LIQUIDITY_LOCK_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+// Sequences per campaign, override with FUZZ_RUNS=<n> for a longer campaign
+const RUNS = Number(process.env.FUZZ_RUNS || 6);
+// Steps per sequence, override with FUZZ_STEPS=<n>
+const STEPS = Number(process.env.FUZZ_STEPS || 25);
+// Seed of the first sequence, override with FUZZ_SEED=<n> to replay a reported failure
+const SEED = Number(process.env.FUZZ_SEED || 20241019);
+// Accounts trading against the pool
+const ACCOUNTS = 4;
+// Tokens of each kind held by every account
+const FUNDING = ethers.BigNumber.from(10).pow(36);
+// Most decimal digits of a random token amount
+const AMOUNT_DIGITS = 30;
+// Denominator of the relative step sizes
+const BPS = 10000;
+
+// Actions a step can take, swaps weighted up so pools see long runs of trading
+const ACTIONS = ["add", "add", "zapIn", "remove", "removeOneToken", "swap", "swap", "swap", "swapExactOut", "transfer"];
+
+// Random step. Token amounts are absolute; LP and reserve amounts are fractions in basis
+// points, so a step still makes sense after shrinking removes the steps before it.
+function randomStep(random, actions) {
+    const action = pick(random, actions);
+    const account = randomInt(random, 0, ACCOUNTS - 1);
+    const token = pick(random, ["A", "B"]);
+    const amount = () => randomAmount(random, AMOUNT_DIGITS).toString();
+    const share = randomInt(random, 1, BPS);
+
+    switch (action) {
+        case "add":
+            return { action, account, amountA: amount(), amountB: amount() };
+        case "zapIn":
+        case "swap":
+        case "donate":
+            return { action, account, token, amount: amount() };
+        case "remove":
+            return { action, account, share };
+        case "removeOneToken":
+        case "swapExactOut":
+            return { action, account, token, share: Math.min(share, BPS - 1) };
+        case "transfer":
+            return { action, account, to: randomInt(random, 0, ACCOUNTS - 1), share };
+        default:
+            throw new Error(`Unknown action ${action}`);
+    }
+}
+
+// Random sequence, opened with a deposit so most runs trade against a live pool
+function randomSteps(random, length, actions = ACTIONS) {
+    const steps = [randomStep(random, ["add"])];
+    while (steps.length < length) steps.push(randomStep(random, actions));
+    return steps;
+}
+
+// Simpler variants of a step: smaller and rounder amounts and fractions, and account 0
+function simplerSteps(step) {
+    const variants = [];
+    for (const field of ["amount", "amountA", "amountB"]) {
+        const value = step[field];
+        if (value === undefined || value === "1") continue;
+        for (const simpler of ["1", value.slice(0, -1), `${value[0]}${"0".repeat(value.length - 1)}`]) {
+            if (simpler && simpler !== value) variants.push({ ...step, [field]: simpler });
+        }
+    }
+    if (step.share !== undefined) {
+        for (const simpler of [BPS / 2, Math.round(step.share / 1000) * 1000, Math.round(step.share / 100) * 100]) {
+            if (simpler > 0 && simpler < BPS && simpler !== step.share) variants.push({ ...step, share: simpler });
+        }
+    }
+    if (step.account !== 0) variants.push({ ...step, account: 0 });
+    if (step.to !== undefined && step.to !== 0) variants.push({ ...step, to: 0 });
+    return variants;
+}
+
+// One line per step in failure reports
+function describeStep(step) {
+    const { action, ...args } = step;
+    return `${action} ${Object.entries(args).map(([key, value]) => `${key}=${value}`).join(" ")}`;
+}
+
+describe("DEX invariants", function () {
+    let dex, tokenA, tokenB;
+    let accounts, holders;
+    let snapshotId;
+
+    before(async function () {
+        const signers = await ethers.getSigners();
+        accounts = signers.slice(1, 1 + ACCOUNTS);
+        holders = [...accounts.map((account) => account.address), LIQUIDITY_LOCK_ADDRESS];
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, FEE_BPS]);
+
+        for (const account of accounts) {
+            for (const token of [tokenA, tokenB]) {
+                await token.mint(account.address, FUNDING);
+                await token.connect(account).approve(dex.address, ethers.constants.MaxUint256);
+            }
+        }
+        snapshotId = await network.provider.send("evm_snapshot");
+    });
+
+    after(async function () {
+        await network.provider.send("evm_revert", [snapshotId]);
+    });
+
+    // Token contract of side "A" or "B"
+    function tokenOf(side) {
+        return side === "A" ? tokenA : tokenB;
+    }
+
+    // Pool reserves and balances, LP ledger and every account's holdings
+    async function readState() {
+        const [[reserveA, reserveB], totalLiquidity, balanceA, balanceB, liquidity, tokensA, tokensB] = await Promise.all([
+            dex.getReserves(),
+            dex.totalLiquidity(),
+            tokenA.balanceOf(dex.address),
+            tokenB.balanceOf(dex.address),
+            Promise.all(holders.map((holder) => dex.liquidity(holder))),
+            Promise.all(accounts.map((account) => tokenA.balanceOf(account.address))),
+            Promise.all(accounts.map((account) => tokenB.balanceOf(account.address))),
+        ]);
+        return { reserveA, reserveB, totalLiquidity, balanceA, balanceB, liquidity, tokensA, tokensB };
+    }
+
+    // Send a step's transaction, returning false if the pool rejected it
+    async function execute(step, state) {
+        const signer = accounts[step.account];
+        const pool = dex.connect(signer);
+        const lpShare = state.liquidity[step.account].mul(step.share || 0).div(BPS);
+        let tx;
+        try {
+            switch (step.action) {
+                case "add":
+                    tx = await pool.addLiquidity(step.amountA, step.amountB, 0, 0, DEADLINE);
+                    break;
+                case "zapIn":
+                    tx = await pool.zapIn(tokenOf(step.token).address, step.amount, 0, DEADLINE);
+                    break;
+                case "remove":
+                    tx = await pool.removeLiquidity(lpShare, 0, 0, DEADLINE);
+                    break;
+                case "removeOneToken":
+                    tx = await pool.removeLiquidityOneToken(tokenOf(step.token).address, lpShare, 0, DEADLINE);
+                    break;
+                case "swap":
+                    tx = step.token === "A"
+                        ? await pool.swapAForB(step.amount, 0, DEADLINE)
+                        : await pool.swapBForA(step.amount, 0, DEADLINE);
+                    break;
+                case "swapExactOut":
+                    tx = step.token === "A"
+                        ? await pool.swapBForExactA(state.reserveA.mul(step.share).div(BPS), ethers.constants.MaxUint256, DEADLINE)
+                        : await pool.swapAForExactB(state.reserveB.mul(step.share).div(BPS), ethers.constants.MaxUint256, DEADLINE);
+                    break;
+                case "transfer":
+                    tx = await pool.transfer(accounts[step.to].address, lpShare);
+                    break;
+                case "donate":
+                    tx = await tokenOf(step.token).connect(signer).transfer(dex.address, step.amount);
+                    break;
+            }
+            await tx.wait();
+            return true;
+        } catch (error) {
+            if (!/reverted/.test(error.message)) throw error;
+            return false;
+        }
+    }
+
+    // Tokens paid back by a static call, or zero if the pool would reject it
+    async function staticPayout(call) {
+        try {
+            return await call;
+        } catch (error) {
+            if (!/reverted/.test(error.message)) throw error;
+            return null;
+        }
+    }
+
+    // Check every invariant after a step, returning the first one broken
+    async function checkInvariants(step, executed, before, after) {
+        if (!after.reserveA.eq(after.balanceA) || !after.reserveB.eq(after.balanceB)) {
+            return {
+                property: "reserves match balances",
+                message: `reserves ${after.reserveA}/${after.reserveB}, balances ${after.balanceA}/${after.balanceB}`,
+            };
+        }
+
+        const ledger = after.liquidity.reduce((sum, amount) => sum.add(amount), ethers.constants.Zero);
+        if (!ledger.eq(after.totalLiquidity)) {
+            return {
+                property: "liquidity sums to total",
+                message: `holders own ${ledger}, totalLiquidity is ${after.totalLiquidity}`,
+            };
+        }
+        if (!executed) return null;
+
+        const kBefore = before.reserveA.mul(before.reserveB);
+        const kAfter = after.reserveA.mul(after.reserveB);
+        if ((step.action === "swap" || step.action === "swapExactOut") && kAfter.lt(kBefore)) {
+            return { property: "k never decreases on swaps", message: `k fell from ${kBefore} to ${kAfter}` };
+        }
+
+        // sqrt(k) per LP share, compared squared to stay in integers
+        if (
+            !before.totalLiquidity.isZero() &&
+            kAfter.mul(before.totalLiquidity.pow(2)).lt(kBefore.mul(after.totalLiquidity.pow(2)))
+        ) {
+            return {
+                property: "LP share value never decreases",
+                message: `k/supply² went from ${kBefore}/${before.totalLiquidity}² to ${kAfter}/${after.totalLiquidity}²`,
+            };
+        }
+
+        const extracted = await checkExtraction(step, before, after);
+        return extracted && { property: "no account takes out more than it put in", message: extracted };
+    }
+
+    // What the acting account received, compared with what the step entitled it to
+    async function checkExtraction(step, before, after) {
+        const i = step.account;
+        const pool = dex.connect(accounts[i]);
+        const paidA = before.tokensA[i].sub(after.tokensA[i]);
+        const paidB = before.tokensB[i].sub(after.tokensB[i]);
+        const minted = after.liquidity[i].sub(before.liquidity[i]);
+        const burned = minted.mul(-1);
+        const state = {
+            tokenA: tokenA.address,
+            tokenB: tokenB.address,
+            reserveA: before.reserveA,
+            reserveB: before.reserveB,
+            totalSupply: before.totalLiquidity,
+            fee: ethers.BigNumber.from(FEE_BPS),
+            feeOn: false,
+            kLast: ethers.constants.Zero,
+        };
+
+        switch (step.action) {
+            case "add": {
+                // Withdrawing the new shares straight away returns no more than was deposited
+                const payout = await staticPayout(pool.callStatic.removeLiquidity(minted, 0, 0, DEADLINE));
+                if (payout && (payout.amountA.gt(paidA) || payout.amountB.gt(paidB))) {
+                    return `deposited ${paidA}/${paidB}, could withdraw ${payout.amountA}/${payout.amountB} at once`;
+                }
+                return null;
+            }
+            case "zapIn": {
+                const paid = step.token === "A" ? paidA : paidB;
+                const token = tokenOf(step.token).address;
+                const payout = await staticPayout(pool.callStatic.removeLiquidityOneToken(token, minted, 0, DEADLINE));
+                if (payout && payout.gt(paid)) return `zapped in ${paid}, could withdraw ${payout} at once`;
+                return null;
+            }
+            case "remove": {
+                const { amountA, amountB } = dexMath.quoteRemoveLiquidity(state, burned);
+                if (paidA.mul(-1).gt(amountA) || paidB.mul(-1).gt(amountB)) {
+                    return `burned ${burned} for ${paidA.mul(-1)}/${paidB.mul(-1)}, pro-rata share is ${amountA}/${amountB}`;
+                }
+                return null;
+            }
+            case "removeOneToken": {
+                const [received, other] = step.token === "A" ? [paidA.mul(-1), paidB] : [paidB.mul(-1), paidA];
+                const entitled = dexMath.getAmountOutForLiquidity(state, tokenOf(step.token).address, burned);
+                if (received.gt(entitled) || !other.isZero()) {
+                    return `burned ${burned} for ${received} and ${other.mul(-1)} of the other token, entitled to ${entitled}`;
+                }
+                return null;
+            }
+            case "swap":
+            case "swapExactOut": {
+                // Selling the output straight back returns no more than was paid for it
+                const [paid, received] = paidA.gt(0) ? [paidA, paidB.mul(-1)] : [paidB, paidA.mul(-1)];
+                const back = paidA.gt(0)
+                    ? await staticPayout(pool.callStatic.swapBForA(received, 0, DEADLINE))
+                    : await staticPayout(pool.callStatic.swapAForB(received, 0, DEADLINE));
+                if (back && back.gt(paid)) return `paid ${paid} for ${received}, which sells back for ${back}`;
+                return null;
+            }
+            case "transfer":
+                if (!paidA.isZero() || !paidB.isZero()) return `LP transfer moved tokens ${paidA}/${paidB}`;
+                return null;
+            default:
+                return null;
+        }
+    }
+
+    // Replay a sequence from the funded, empty pool, returning the first broken invariant
+    async function replay(steps) {
+        await network.provider.send("evm_revert", [snapshotId]);
+        snapshotId = await network.provider.send("evm_snapshot");
+
+        let state = await readState();
+        for (let i = 0; i < steps.length; i++) {
+            const executed = await execute(steps[i], state);
+            const next = await readState();
+            const failure = await checkInvariants(steps[i], executed, state, next);
+            if (failure) return { property: failure.property, message: `after step ${i + 1}: ${failure.message}` };
+            state = next;
+        }
+        return null;
+    }
+
+    it("should hold every invariant across random sequences of adds, removes and swaps", async function () {
+        this.timeout(0);
+        const result = await fuzz({
+            seed: SEED,
+            runs: RUNS,
+            generate: (random) => randomSteps(random, STEPS),
+            check: replay,
+            shrinkStep: simplerSteps,
+        });
+        if (result) expect.fail(formatFailure(result, describeStep));
+    });
+
+    it("should execute most generated steps instead of reverting", async function () {
+        this.timeout(0);
+        // A campaign whose steps all revert would pass without testing anything
+        const steps = randomSteps(createRandom(SEED), STEPS);
+        let executed = 0;
+        await replay([]);
+        let state = await readState();
+        for (const step of steps) {
+            if (await execute(step, state)) executed++;
+            state = await readState();
+        }
+        expect(executed).to.be.gt(steps.length / 2);
+    });
+
+    it("should shrink a broken invariant to a minimal replayable sequence", async function () {
+        this.timeout(0);
+        // Donations move tokens without updating reserves, which the pool allows until sync
+        const result = await fuzz({
+            seed: SEED,
+            runs: RUNS,
+            generate: (random) => randomSteps(random, 10, [...ACTIONS, "donate"]),
+            check: replay,
+            shrinkStep: simplerSteps,
+        });
+
+        expect(result.failure.property).to.equal("reserves match balances");
+        expect(result.steps).to.deep.equal([{ action: "donate", account: 0, token: result.steps[0].token, amount: "1" }]);
+        expect(result.originalLength).to.equal(10);
+
+        const report = formatFailure(result, describeStep);
+        expect(report).to.include(`Seed ${result.seed}`);
+        expect(report).to.include(`1. donate account=0 token=${result.steps[0].token} amount=1`);
+
+        // The reported seed regenerates the original sequence, which still fails
+        const replayed = randomSteps(createRandom(result.seed), 10, [...ACTIONS, "donate"]);
+        expect((await replay(replayed)).property).to.equal("reserves match balances");
+    });
+});
+
+describe("Fuzz harness", function () {
+    // Property broken once the steps add up to 100 or more
+    const sumBelow100 = async (steps) => {
+        const sum = steps.reduce((total, step) => total + step, 0);
+        return sum >= 100 ? { property: "sum below 100", message: `sum is ${sum}` } : null;
+    };
+    const generate = (random) => Array.from({ length: 20 }, () => randomInt(random, 0, 60));
+    const smaller = (step) => [Math.floor(step / 2), step - 1].filter((value) => value >= 0);
+
+    it("should return null when every run passes", async function () {
+        const result = await fuzz({ seed: 1, runs: 20, generate: () => [1, 2, 3], check: sumBelow100 });
+        expect(result).to.equal(null);
+    });
+
+    it("should generate the same sequences from the same seed", async function () {
+        expect(generate(createRandom(7))).to.deep.equal(generate(createRandom(7)));
+        expect(generate(createRandom(7))).to.not.deep.equal(generate(createRandom(8)));
+    });
+
+    it("should shrink a failing sequence until no step can be dropped or simplified", async function () {
+        const result = await fuzz({ seed: 1, runs: 20, generate, check: sumBelow100, shrinkStep: smaller });
+
+        expect(result.run).to.equal(0);
+        expect(result.originalLength).to.equal(20);
+        expect(result.steps.reduce((total, step) => total + step, 0)).to.equal(100);
+        for (let i = 0; i < result.steps.length; i++) {
+            const without = [...result.steps.slice(0, i), ...result.steps.slice(i + 1)];
+            expect(await sumBelow100(without)).to.equal(null);
+        }
+        expect(result.failure.message).to.equal("sum is 100");
+    });
+
+    it("should only keep shrinks that break the same property", async function () {
+        // Short sequences break a different property, which must not replace the original failure
+        const check = async (steps) => {
+            if (steps.length < 3) return { property: "other", message: "too short" };
+            return sumBelow100(steps);
+        };
+        const { steps, failure } = await shrink([50, 50, 50, 50], { property: "sum below 100" }, { check });
+
+        expect(failure.property).to.equal("sum below 100");
+        expect(steps).to.deep.equal([50, 50, 50]);
+    });
+
+    it("should stop shrinking once the replay budget is spent", async function () {
+        const { replays } = await shrink(generate(createRandom(1)), { property: "sum below 100" }, {
+            check: sumBelow100,
+            shrinkStep: smaller,
+            maxShrinks: 5,
+        });
+        expect(replays).to.equal(5);
+    });
+
+    it("should report the seed and numbered steps of a failure", function () {
+        const report = formatFailure({
+            seed: 42,
+            run: 2,
+            originalLength: 9,
+            steps: [60, 40],
+            failure: { property: "sum below 100", message: "sum is 100" },
+            replays: 12,
+        });
+        expect(report).to.equal([
+            'Property "sum below 100" broken: sum is 100',
+            "Seed 42 (run 2), shrunk from 9 to 2 step(s) in 12 replays:",
+            "  1. 60",
+            "  2. 40",
+        ].join("\n"));
+    });
+});
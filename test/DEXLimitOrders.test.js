@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { findExecutableOrders, fillExecutableOrders } = require("../scripts/utils/limitOrders");
+
+// Far-future deadline for calls that are not testing expiry
+const DEADLINE = ethers.constants.MaxUint256;
+// Pool LP fee in basis points (0.3%)
+const FEE_BPS = 30;
+// Keeper bounty in basis points (0.1%)
+const BOUNTY_BPS = 10;
+
+describe("DEXLimitOrders", function () {
+    let dex, orderBook, tokenA, tokenB;
+    let owner, maker, keeper, trader;
+
+    const ORDER_AMOUNT = ethers.utils.parseEther("10");
+    // The pool starts at 1 A = 2 B
+    const START_PRICE = ethers.utils.parseEther("2");
+    const HIGH_TARGET = ethers.utils.parseEther("2.2");
+    const LOW_TARGET = ethers.utils.parseEther("1.8");
+
+    beforeEach(async function () {
+        [owner, maker, keeper, trader] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, FEE_BPS]);
+
+        const DEXLimitOrders = await ethers.getContractFactory("DEXLimitOrders");
+        orderBook = await DEXLimitOrders.deploy(dex.address, BOUNTY_BPS);
+
+        for (const signer of [owner, maker, trader]) {
+            await tokenA.mint(signer.address, ethers.utils.parseEther("10000"));
+            await tokenB.mint(signer.address, ethers.utils.parseEther("10000"));
+            await tokenA.connect(signer).approve(dex.address, ethers.constants.MaxUint256);
+            await tokenB.connect(signer).approve(dex.address, ethers.constants.MaxUint256);
+        }
+        await tokenA.connect(maker).approve(orderBook.address, ethers.constants.MaxUint256);
+        await tokenB.connect(maker).approve(orderBook.address, ethers.constants.MaxUint256);
+
+        await dex.addLiquidity(
+            ethers.utils.parseEther("1000"),
+            ethers.utils.parseEther("2000"),
+            0,
+            0,
+            DEADLINE
+        );
+    });
+
+    // Push the pool price of token A up (buy A with B) or down (sell A for B)
+    async function movePrice(up) {
+        const amount = ethers.utils.parseEther("100");
+        if (up) {
+            await dex.connect(trader).swapBForA(amount.mul(2), 0, DEADLINE);
+        } else {
+            await dex.connect(trader).swapAForB(amount, 0, DEADLINE);
+        }
+    }
+
+    describe("Constructor", function () {
+        it("should set the pool, its tokens and the bounty", async function () {
+            expect(await orderBook.pool()).to.equal(dex.address);
+            expect(await orderBook.tokenA()).to.equal(tokenA.address);
+            expect(await orderBook.tokenB()).to.equal(tokenB.address);
+            expect(await orderBook.keeperBounty()).to.equal(BOUNTY_BPS);
+        });
+
+        it("should reject invalid parameters", async function () {
+            const DEXLimitOrders = await ethers.getContractFactory("DEXLimitOrders");
+
+            await expect(
+                DEXLimitOrders.deploy(ethers.constants.AddressZero, BOUNTY_BPS)
+            ).to.be.revertedWith("Invalid pool address");
+            await expect(
+                DEXLimitOrders.deploy(dex.address, 101)
+            ).to.be.revertedWith("Invalid keeper bounty");
+        });
+    });
+
+    describe("Placing Orders", function () {
+        it("should escrow tokens and record the order", async function () {
+            await expect(orderBook.connect(maker).placeOrder(tokenA.address, ORDER_AMOUNT, HIGH_TARGET, 1))
+                .to.emit(orderBook, "OrderPlaced")
+                .withArgs(0, maker.address, tokenA.address, ORDER_AMOUNT, HIGH_TARGET, 1);
+
+            expect(await tokenA.balanceOf(orderBook.address)).to.equal(ORDER_AMOUNT);
+            expect(await orderBook.orderCount()).to.equal(1);
+
+            const order = await orderBook.orders(0);
+            expect(order.maker).to.equal(maker.address);
+            expect(order.tokenIn).to.equal(tokenA.address);
+            expect(order.amountIn).to.equal(ORDER_AMOUNT);
+            expect(order.targetPrice).to.equal(HIGH_TARGET);
+            expect(order.status).to.equal(1); // Open
+        });
+
+        it("should validate order parameters", async function () {
+            await expect(
+                orderBook.connect(maker).placeOrder(dex.address, ORDER_AMOUNT, HIGH_TARGET, 1)
+            ).to.be.revertedWith("Invalid token");
+            await expect(
+                orderBook.connect(maker).placeOrder(tokenA.address, 0, HIGH_TARGET, 1)
+            ).to.be.revertedWith("Amount in must be greater than 0");
+            await expect(
+                orderBook.connect(maker).placeOrder(tokenA.address, ORDER_AMOUNT, 0, 1)
+            ).to.be.revertedWith("Invalid target price");
+            await expect(
+                orderBook.connect(maker).placeOrder(tokenA.address, ORDER_AMOUNT, HIGH_TARGET, 0)
+            ).to.be.revertedWith("Invalid minimum output");
+        });
+    });
+
+    describe("Executing Orders", function () {
+        it("should not execute before the price crosses the target", async function () {
+            await orderBook.connect(maker).placeOrder(tokenA.address, ORDER_AMOUNT, HIGH_TARGET, 1);
+
+            expect(await dex.getPrice()).to.equal(START_PRICE);
+            expect(await orderBook.canExecute(0)).to.equal(false);
+            await expect(
+                orderBook.connect(keeper).executeOrder(0)
+            ).to.be.revertedWith("Target price not reached");
+        });
+
+        it("should sell token A once the price rises to the target", async function () {
+            await orderBook.connect(maker).placeOrder(tokenA.address, ORDER_AMOUNT, HIGH_TARGET, 1);
+            await movePrice(true);
+            expect(await dex.getPrice()).to.be.gte(HIGH_TARGET);
+            expect(await orderBook.canExecute(0)).to.equal(true);
+
+            const bounty = ORDER_AMOUNT.mul(BOUNTY_BPS).div(10000);
+            const swapAmount = ORDER_AMOUNT.sub(bounty);
+            const [reserveA, reserveB] = await dex.getReserves();
+            const expectedOut = await dex.getAmountOut(swapAmount, reserveA, reserveB);
+            const makerBBefore = await tokenB.balanceOf(maker.address);
+
+            await expect(orderBook.connect(keeper).executeOrder(0))
+                .to.emit(orderBook, "OrderExecuted")
+                .withArgs(0, keeper.address, swapAmount, expectedOut, bounty);
+
+            expect((await tokenB.balanceOf(maker.address)).sub(makerBBefore)).to.equal(expectedOut);
+            expect(await tokenA.balanceOf(keeper.address)).to.equal(bounty);
+            expect(await tokenA.balanceOf(orderBook.address)).to.equal(0);
+            expect((await orderBook.orders(0)).status).to.equal(2); // Filled
+        });
+
+        it("should sell token B once the price falls to the target", async function () {
+            await orderBook.connect(maker).placeOrder(tokenB.address, ORDER_AMOUNT, LOW_TARGET, 1);
+            expect(await orderBook.canExecute(0)).to.equal(false);
+
+            await movePrice(false);
+            const makerABefore = await tokenA.balanceOf(maker.address);
+            await orderBook.connect(keeper).executeOrder(0);
+
+            expect(await tokenA.balanceOf(maker.address)).to.be.gt(makerABefore);
+            expect(await tokenB.balanceOf(keeper.address)).to.equal(ORDER_AMOUNT.mul(BOUNTY_BPS).div(10000));
+        });
+
+        it("should honour the maker's minimum output", async function () {
+            await orderBook.connect(maker).placeOrder(tokenA.address, ORDER_AMOUNT, HIGH_TARGET, ethers.utils.parseEther("1000"));
+            await movePrice(true);
+
+            await expect(
+                orderBook.connect(keeper).executeOrder(0)
+            ).to.be.revertedWith("Slippage limit exceeded");
+            expect((await orderBook.orders(0)).status).to.equal(1); // Still open
+        });
+
+        it("should not execute an order twice", async function () {
+            await orderBook.connect(maker).placeOrder(tokenA.address, ORDER_AMOUNT, HIGH_TARGET, 1);
+            await movePrice(true);
+            await orderBook.connect(keeper).executeOrder(0);
+
+            await expect(orderBook.connect(keeper).executeOrder(0)).to.be.revertedWith("Order not open");
+            await expect(orderBook.connect(keeper).executeOrder(5)).to.be.revertedWith("Order does not exist");
+            expect(await orderBook.canExecute(0)).to.equal(false);
+        });
+    });
+
+    describe("Cancelling Orders", function () {
+        it("should refund the escrow to the maker", async function () {
+            await orderBook.connect(maker).placeOrder(tokenB.address, ORDER_AMOUNT, LOW_TARGET, 1);
+            const balanceBefore = await tokenB.balanceOf(maker.address);
+
+            await expect(orderBook.connect(maker).cancelOrder(0))
+                .to.emit(orderBook, "OrderCancelled")
+                .withArgs(0, maker.address, ORDER_AMOUNT);
+
+            expect((await tokenB.balanceOf(maker.address)).sub(balanceBefore)).to.equal(ORDER_AMOUNT);
+            expect((await orderBook.orders(0)).status).to.equal(3); // Cancelled
+        });
+
+        it("should only let the maker cancel an open order", async function () {
+            await orderBook.connect(maker).placeOrder(tokenA.address, ORDER_AMOUNT, HIGH_TARGET, 1);
+
+            await expect(orderBook.connect(keeper).cancelOrder(0)).to.be.revertedWith("Not order maker");
+
+            await orderBook.connect(maker).cancelOrder(0);
+            await expect(orderBook.connect(maker).cancelOrder(0)).to.be.revertedWith("Order not open");
+
+            await movePrice(true);
+            await expect(orderBook.connect(keeper).executeOrder(0)).to.be.revertedWith("Order not open");
+        });
+    });
+
+    describe("Keeper Helpers", function () {
+        it("should find and fill only eligible orders", async function () {
+            await orderBook.connect(maker).placeOrder(tokenA.address, ORDER_AMOUNT, HIGH_TARGET, 1);
+            await orderBook.connect(maker).placeOrder(tokenB.address, ORDER_AMOUNT, LOW_TARGET, 1);
+            await orderBook.connect(maker).placeOrder(tokenA.address, ORDER_AMOUNT, HIGH_TARGET, ethers.utils.parseEther("1000"));
+            await orderBook.connect(maker).placeOrder(tokenA.address, ORDER_AMOUNT, HIGH_TARGET, 1);
+            await orderBook.connect(maker).cancelOrder(3);
+
+            expect(await findExecutableOrders(orderBook)).to.deep.equal([]);
+
+            await movePrice(true);
+            expect(await findExecutableOrders(orderBook)).to.deep.equal([0, 2]);
+
+            const { filled, failed } = await fillExecutableOrders(orderBook.connect(keeper));
+            expect(filled.map(({ orderId }) => orderId)).to.deep.equal([0]);
+            expect(failed).to.have.lengthOf(1);
+            expect(failed[0].orderId).to.equal(2);
+            expect(failed[0].reason).to.include("Slippage limit exceeded");
+            expect(await tokenA.balanceOf(keeper.address)).to.equal(ORDER_AMOUNT.mul(BOUNTY_BPS).div(10000));
+        });
+    });
+});
@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers, network, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Far-future deadline for calls that are not testing expiry
+const DEADLINE = ethers.constants.MaxUint256;
+// Pool LP fee in basis points (0.3%)
+const FEE_BPS = 30;
+const ONE = ethers.utils.parseEther("1");
+
+describe("DEXOracle", function () {
+    let dex, oracle, tokenA, tokenB;
+    let owner, attacker;
+
+    beforeEach(async function () {
+        [owner, attacker] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, FEE_BPS]);
+
+        await tokenA.approve(dex.address, ethers.constants.MaxUint256);
+        await tokenB.approve(dex.address, ethers.constants.MaxUint256);
+        await dex.addLiquidity(ethers.utils.parseEther("100"), ethers.utils.parseEther("200"), 0, 0, DEADLINE);
+
+        await tokenA.mint(attacker.address, ethers.utils.parseEther("10000"));
+        await tokenB.mint(attacker.address, ethers.utils.parseEther("10000"));
+        await tokenA.connect(attacker).approve(dex.address, ethers.constants.MaxUint256);
+        await tokenB.connect(attacker).approve(dex.address, ethers.constants.MaxUint256);
+
+        const DEXOracle = await ethers.getContractFactory("DEXOracle");
+        oracle = await DEXOracle.deploy(dex.address, 60);
+    });
+
+    describe("Constructor", function () {
+        it("should revert with zero pool address", async function () {
+            const DEXOracle = await ethers.getContractFactory("DEXOracle");
+            await expect(
+                DEXOracle.deploy(ethers.constants.AddressZero, 60)
+            ).to.be.revertedWith("Invalid pool address");
+        });
+
+        it("should revert with zero update interval", async function () {
+            const DEXOracle = await ethers.getContractFactory("DEXOracle");
+            await expect(
+                DEXOracle.deploy(dex.address, 0)
+            ).to.be.revertedWith("Invalid update interval");
+        });
+    });
+
+    describe("Observations", function () {
+        it("should record an observation and emit an event", async function () {
+            await expect(oracle.update()).to.emit(oracle, "ObservationRecorded");
+            expect(await oracle.observationCount()).to.equal(1);
+        });
+
+        it("should skip updates within the minimum interval", async function () {
+            await oracle.update();
+            await oracle.update();
+            expect(await oracle.observationCount()).to.equal(1);
+
+            await time.increase(60);
+            await oracle.update();
+            expect(await oracle.observationCount()).to.equal(2);
+        });
+
+        it("should revert when no observation is old enough", async function () {
+            await expect(oracle.consult(3600)).to.be.revertedWith("Insufficient observation history");
+
+            await oracle.update();
+            await time.increase(1800);
+
+            await expect(oracle.consult(3600)).to.be.revertedWith("Insufficient observation history");
+        });
+
+        it("should revert on zero window", async function () {
+            await expect(oracle.consult(0)).to.be.revertedWith("Invalid window");
+        });
+
+        it("should pick the newest old-enough observation from a long history", async function () {
+            const timestamps = [];
+            for (let i = 0; i < 100; i++) {
+                await oracle.update();
+                timestamps.push((await oracle.observations(i)).timestamp.toNumber());
+                await time.increase(60);
+            }
+            await network.provider.send("evm_mine");
+            const now = await time.latest();
+
+            for (const window of [1, 60, 61, 1000, 3000, now - timestamps[1], now - timestamps[0]]) {
+                const [, , elapsed] = await oracle.consult(window);
+                const expected = timestamps.filter((timestamp) => timestamp <= now - window).pop();
+                expect(elapsed).to.equal(now - expected);
+            }
+            await expect(oracle.consult(now - timestamps[0] + 1)).to.be.revertedWith("Insufficient observation history");
+        });
+
+        it("should consult in logarithmic gas however long the history", async function () {
+            for (let i = 0; i < 100; i++) {
+                await oracle.update();
+                await time.increase(60);
+            }
+            const [first] = await oracle.observations(0);
+            const recentGas = await oracle.estimateGas.consult(60);
+            const oldestGas = await oracle.estimateGas.consult((await time.latest()) - first.toNumber());
+
+            // A backward scan would read ~100 more observations, over 200k gas
+            expect(oldestGas.sub(recentGas).abs()).to.be.lt(20000);
+        });
+    });
+
+    describe("TWAP", function () {
+        it("should equal the spot price while the price is constant", async function () {
+            await oracle.update();
+            await time.increase(3600);
+
+            const [priceA, priceB, elapsed] = await oracle.consult(3600);
+
+            expect(elapsed).to.be.gte(3600);
+            expect(priceA).to.equal(await dex.getPrice());
+            expect(priceB).to.equal(ethers.utils.parseEther("100").mul(ONE).div(ethers.utils.parseEther("200")));
+        });
+
+        it("should weight prices by the time they were held", async function () {
+            await oracle.update();
+            const [, , startTime] = await dex.getCumulativePrices();
+            const priceBefore = await dex.getPrice();
+
+            await time.increase(1000);
+            await dex.connect(attacker).swapAForB(ethers.utils.parseEther("10"), 0, DEADLINE);
+            const swapTime = await time.latest();
+            const priceAfter = await dex.getPrice();
+
+            await time.increase(3000);
+            const [priceA, , elapsed] = await oracle.consult(3600);
+
+            const heldBefore = swapTime - startTime.toNumber();
+            const heldAfter = elapsed.toNumber() - heldBefore;
+            const expected = priceBefore.mul(heldBefore).add(priceAfter.mul(heldAfter)).div(elapsed);
+
+            // Integer division per interval may differ by a few wei
+            expect(priceA).to.be.closeTo(expected, 10);
+        });
+
+        it("should resist a single large swap right before consult", async function () {
+            await oracle.update();
+            await time.increase(3600);
+
+            const spotBefore = await dex.getPrice();
+
+            // Attacker dumps token A to crash the price of A
+            await dex.connect(attacker).swapAForB(ethers.utils.parseEther("1000"), 0, DEADLINE);
+            const spotAfter = await dex.getPrice();
+            const [twap] = await oracle.consult(3600);
+
+            // Spot moved by more than 90%...
+            expect(spotAfter).to.be.lt(spotBefore.div(10));
+            // ...while the TWAP moved by less than 0.1%
+            expect(twap).to.be.closeTo(spotBefore, spotBefore.div(1000));
+        });
+
+        it("should ignore a price moved and restored within one block", async function () {
+            await oracle.update();
+            await time.increase(3600);
+
+            const cumulativeBefore = await dex.priceACumulativeLast();
+            const updatedBefore = await dex.blockTimestampLast();
+            const spot = await dex.getPrice();
+
+            // Sandwich inside a single block: push the price down and back up
+            await network.provider.send("evm_setAutomine", [false]);
+            try {
+                const amountIn = ethers.utils.parseEther("500");
+                const reserves = await dex.getReserves();
+                const amountOut = await dex.getAmountOut(amountIn, reserves._reserveA, reserves._reserveB);
+                await dex.connect(attacker).swapAForB(amountIn, 0, DEADLINE);
+                await dex.connect(attacker).swapBForA(amountOut, 0, DEADLINE);
+                await network.provider.send("evm_mine");
+            } finally {
+                await network.provider.send("evm_setAutomine", [true]);
+            }
+
+            // Only the pre-sandwich price was accumulated for the elapsed time
+            const cumulativeAfter = await dex.priceACumulativeLast();
+            const elapsed = (await dex.blockTimestampLast()).sub(updatedBefore);
+            expect(cumulativeAfter.sub(cumulativeBefore)).to.equal(spot.mul(elapsed));
+
+            const [twap] = await oracle.consult(3600);
+            expect(twap).to.be.closeTo(spot, spot.div(1000));
+        });
+    });
+});
@@ -0,0 +1,448 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { findBestPath } = require("../scripts/utils/findBestPath");
+
+// Far-future deadline for calls that are not testing expiry
+const DEADLINE = ethers.constants.MaxUint256;
+// Pool LP fee in basis points (0.3%)
+const FEE_BPS = 30;
+
+describe("DEXRouter", function () {
+    let factory, router, weth, tokenA, tokenB, tokenC;
+    let poolAB, poolBC;
+    let owner, trader;
+
+    async function createPool(token0, token1, amount0, amount1) {
+        await factory.createPair(token0.address, token1.address, FEE_BPS);
+        const pool = await ethers.getContractAt("DEX", await factory.getPair(token0.address, token1.address));
+
+        await token0.approve(pool.address, amount0);
+        await token1.approve(pool.address, amount1);
+
+        // Pools store tokens in canonical order
+        if ((await pool.tokenA()) === token0.address) {
+            await pool.addLiquidity(amount0, amount1, 0, 0, DEADLINE);
+        } else {
+            await pool.addLiquidity(amount1, amount0, 0, 0, DEADLINE);
+        }
+        return pool;
+    }
+
+    async function quote(pool, tokenIn, amountIn) {
+        const [reserveA, reserveB] = await pool.getReserves();
+        return (await pool.tokenA()) === tokenIn.address
+            ? pool.getAmountOut(amountIn, reserveA, reserveB)
+            : pool.getAmountOut(amountIn, reserveB, reserveA);
+    }
+
+    beforeEach(async function () {
+        [owner, trader] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        tokenC = await MockERC20.deploy("Token C", "TKC");
+
+        const DEX = await ethers.getContractFactory("DEX");
+        const implementation = await DEX.deploy();
+        const DEXFactory = await ethers.getContractFactory("DEXFactory");
+        factory = await DEXFactory.deploy(implementation.address, false);
+
+        const MockWETH = await ethers.getContractFactory("MockWETH");
+        weth = await MockWETH.deploy();
+
+        const DEXRouter = await ethers.getContractFactory("DEXRouter");
+        router = await DEXRouter.deploy(factory.address, weth.address);
+
+        poolAB = await createPool(tokenA, tokenB, ethers.utils.parseEther("1000"), ethers.utils.parseEther("2000"));
+        poolBC = await createPool(tokenB, tokenC, ethers.utils.parseEther("2000"), ethers.utils.parseEther("1000"));
+
+        await tokenA.mint(trader.address, ethers.utils.parseEther("1000"));
+        await tokenA.connect(trader).approve(router.address, ethers.constants.MaxUint256);
+    });
+
+    describe("Constructor", function () {
+        it("should revert with zero factory address", async function () {
+            const DEXRouter = await ethers.getContractFactory("DEXRouter");
+            await expect(
+                DEXRouter.deploy(ethers.constants.AddressZero, weth.address)
+            ).to.be.revertedWith("Invalid factory address");
+        });
+
+        it("should revert with zero WETH address", async function () {
+            const DEXRouter = await ethers.getContractFactory("DEXRouter");
+            await expect(
+                DEXRouter.deploy(factory.address, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid WETH address");
+        });
+    });
+
+    describe("Quotes", function () {
+        it("should chain getAmountOut across pools", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+
+            const amounts = await router.getAmountsOut(amountIn, path);
+            const hop1 = await quote(poolAB, tokenA, amountIn);
+            const hop2 = await quote(poolBC, tokenB, hop1);
+
+            expect(amounts[0]).to.equal(amountIn);
+            expect(amounts[1]).to.equal(hop1);
+            expect(amounts[2]).to.equal(hop2);
+        });
+
+        it("should quote inputs that cover the requested output", async function () {
+            const amountOut = ethers.utils.parseEther("5");
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+
+            const amounts = await router.getAmountsIn(amountOut, path);
+            expect(amounts[2]).to.equal(amountOut);
+
+            const forward = await router.getAmountsOut(amounts[0], path);
+            expect(forward[2]).to.be.gte(amountOut);
+
+            // One wei less must not be enough
+            const short = await router.getAmountsOut(amounts[0].sub(1), path);
+            expect(short[2]).to.be.lt(amountOut);
+        });
+
+        it("should revert on invalid paths", async function () {
+            await expect(
+                router.getAmountsOut(1000, [tokenA.address])
+            ).to.be.revertedWith("Invalid path");
+
+            await expect(
+                router.getAmountsOut(1000, [tokenA.address, tokenC.address])
+            ).to.be.revertedWith("Pair does not exist");
+        });
+    });
+
+    describe("Exact Input Swaps", function () {
+        it("should swap through two pools atomically", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+            const expected = await router.getAmountsOut(amountIn, path);
+
+            await router.connect(trader).swapExactTokensForTokens(amountIn, 0, path, trader.address, DEADLINE);
+
+            expect(await tokenC.balanceOf(trader.address)).to.equal(expected[2]);
+            expect(await tokenA.balanceOf(trader.address)).to.equal(ethers.utils.parseEther("990"));
+        });
+
+        it("should not leave intermediate tokens in the router", async function () {
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+
+            await router.connect(trader).swapExactTokensForTokens(ethers.utils.parseEther("10"), 0, path, trader.address, DEADLINE);
+
+            expect(await tokenA.balanceOf(router.address)).to.equal(0);
+            expect(await tokenB.balanceOf(router.address)).to.equal(0);
+            expect(await tokenC.balanceOf(router.address)).to.equal(0);
+        });
+
+        it("should send output to a different recipient", async function () {
+            const path = [tokenA.address, tokenB.address];
+
+            await router.connect(trader).swapExactTokensForTokens(ethers.utils.parseEther("1"), 0, path, owner.address, DEADLINE);
+
+            expect(await tokenB.balanceOf(trader.address)).to.equal(0);
+        });
+
+        it("should revert when output is below minimum", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+            const expected = await router.getAmountsOut(amountIn, path);
+
+            await expect(
+                router.connect(trader).swapExactTokensForTokens(amountIn, expected[2].add(1), path, trader.address, DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should revert after the deadline", async function () {
+            const deadline = (await time.latest()) - 1;
+
+            await expect(
+                router.connect(trader).swapExactTokensForTokens(1000, 0, [tokenA.address, tokenB.address], trader.address, deadline)
+            ).to.be.revertedWith("Transaction expired");
+        });
+    });
+
+    describe("Exact Output Swaps", function () {
+        it("should deliver at least the requested output", async function () {
+            const amountOut = ethers.utils.parseEther("5");
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+            const expected = await router.getAmountsIn(amountOut, path);
+
+            await router.connect(trader).swapTokensForExactTokens(amountOut, expected[0], path, trader.address, DEADLINE);
+
+            expect(await tokenC.balanceOf(trader.address)).to.be.gte(amountOut);
+            expect(await tokenA.balanceOf(trader.address)).to.equal(ethers.utils.parseEther("1000").sub(expected[0]));
+            expect(await tokenB.balanceOf(router.address)).to.equal(0);
+        });
+
+        it("should revert when input exceeds maximum", async function () {
+            const amountOut = ethers.utils.parseEther("5");
+            const path = [tokenA.address, tokenB.address, tokenC.address];
+            const expected = await router.getAmountsIn(amountOut, path);
+
+            await expect(
+                router.connect(trader).swapTokensForExactTokens(amountOut, expected[0].sub(1), path, trader.address, DEADLINE)
+            ).to.be.revertedWith("Excessive input amount");
+        });
+
+        it("should revert when output exceeds pool reserves", async function () {
+            await expect(
+                router.getAmountsIn(ethers.utils.parseEther("2000"), [tokenA.address, tokenB.address])
+            ).to.be.revertedWith("Insufficient liquidity for swap");
+        });
+    });
+
+    describe("Native ETH", function () {
+        let poolAW;
+
+        // Reserves of the token A / WETH pool as [token A, WETH]
+        async function reservesAW() {
+            const [reserveA, reserveB] = await poolAW.getReserves();
+            return (await poolAW.tokenA()) === tokenA.address ? [reserveA, reserveB] : [reserveB, reserveA];
+        }
+
+        async function expectRouterEmpty() {
+            expect(await ethers.provider.getBalance(router.address)).to.equal(0);
+            expect(await weth.balanceOf(router.address)).to.equal(0);
+            expect(await tokenA.balanceOf(router.address)).to.equal(0);
+        }
+
+        async function expectReservesMatchBalances() {
+            const [reserveA, reserveWETH] = await reservesAW();
+            expect(reserveA).to.equal(await tokenA.balanceOf(poolAW.address));
+            expect(reserveWETH).to.equal(await weth.balanceOf(poolAW.address));
+        }
+
+        beforeEach(async function () {
+            await factory.createPair(tokenA.address, weth.address, FEE_BPS);
+            poolAW = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, weth.address));
+
+            await tokenA.approve(router.address, ethers.constants.MaxUint256);
+            await router.addLiquidityETH(
+                tokenA.address,
+                ethers.utils.parseEther("1000"),
+                0,
+                0,
+                owner.address,
+                DEADLINE,
+                { value: ethers.utils.parseEther("100") }
+            );
+        });
+
+        it("should add liquidity with ETH and forward LP tokens", async function () {
+            const [reserveA, reserveWETH] = await reservesAW();
+
+            expect(reserveA).to.equal(ethers.utils.parseEther("1000"));
+            expect(reserveWETH).to.equal(ethers.utils.parseEther("100"));
+            expect(await poolAW.balanceOf(owner.address)).to.be.gt(0);
+            expect(await poolAW.balanceOf(router.address)).to.equal(0);
+            await expectReservesMatchBalances();
+            await expectRouterEmpty();
+        });
+
+        it("should refund ETH the pool does not take", async function () {
+            // 10 A matches 1 ETH at the pool ratio
+            await expect(
+                router.connect(trader).addLiquidityETH(
+                    tokenA.address,
+                    ethers.utils.parseEther("10"),
+                    0,
+                    0,
+                    trader.address,
+                    DEADLINE,
+                    { value: ethers.utils.parseEther("5") }
+                )
+            ).to.changeEtherBalance(trader, ethers.utils.parseEther("-1"));
+
+            expect(await tokenA.balanceOf(trader.address)).to.equal(ethers.utils.parseEther("990"));
+            await expectReservesMatchBalances();
+            await expectRouterEmpty();
+        });
+
+        it("should refund tokens the pool does not take", async function () {
+            await router.connect(trader).addLiquidityETH(
+                tokenA.address,
+                ethers.utils.parseEther("50"),
+                0,
+                0,
+                trader.address,
+                DEADLINE,
+                { value: ethers.utils.parseEther("1") }
+            );
+
+            expect(await tokenA.balanceOf(trader.address)).to.equal(ethers.utils.parseEther("990"));
+            await expectRouterEmpty();
+        });
+
+        it("should enforce the minimum ETH deposit", async function () {
+            await expect(
+                router.connect(trader).addLiquidityETH(
+                    tokenA.address,
+                    ethers.utils.parseEther("10"),
+                    0,
+                    ethers.utils.parseEther("2"),
+                    trader.address,
+                    DEADLINE,
+                    { value: ethers.utils.parseEther("5") }
+                )
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should remove liquidity and unwrap ETH", async function () {
+            const shares = await poolAW.balanceOf(owner.address);
+            const [reserveA, reserveWETH] = await reservesAW();
+            const totalSupply = await poolAW.totalSupply();
+            const expectedETH = reserveWETH.mul(shares).div(totalSupply);
+
+            await poolAW.approve(router.address, shares);
+            await expect(
+                router.removeLiquidityETH(tokenA.address, shares, 0, 0, trader.address, DEADLINE)
+            ).to.changeEtherBalance(trader, expectedETH);
+
+            expect(await tokenA.balanceOf(trader.address)).to.equal(
+                ethers.utils.parseEther("1000").add(reserveA.mul(shares).div(totalSupply))
+            );
+            await expectReservesMatchBalances();
+            await expectRouterEmpty();
+        });
+
+        it("should swap an exact amount of ETH for tokens", async function () {
+            const amountIn = ethers.utils.parseEther("1");
+            const path = [weth.address, tokenA.address];
+            const expected = await router.getAmountsOut(amountIn, path);
+            const [reserveA, reserveWETH] = await reservesAW();
+
+            await router.connect(trader).swapExactETHForTokens(expected[1], path, trader.address, DEADLINE, { value: amountIn });
+
+            expect(await tokenA.balanceOf(trader.address)).to.equal(ethers.utils.parseEther("1000").add(expected[1]));
+            const [newReserveA, newReserveWETH] = await reservesAW();
+            expect(newReserveA.mul(newReserveWETH)).to.be.gte(reserveA.mul(reserveWETH));
+            await expectReservesMatchBalances();
+            await expectRouterEmpty();
+        });
+
+        it("should swap ETH for an exact amount of tokens and refund the rest", async function () {
+            const amountOut = ethers.utils.parseEther("10");
+            const path = [weth.address, tokenA.address];
+            const expected = await router.getAmountsIn(amountOut, path);
+
+            await expect(
+                router.connect(trader).swapETHForExactTokens(amountOut, path, trader.address, DEADLINE, {
+                    value: ethers.utils.parseEther("5"),
+                })
+            ).to.changeEtherBalance(trader, expected[0].mul(-1));
+
+            expect(await tokenA.balanceOf(trader.address)).to.be.gte(ethers.utils.parseEther("1000").add(amountOut));
+            await expectRouterEmpty();
+        });
+
+        it("should swap an exact amount of tokens for ETH", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+            const path = [tokenA.address, weth.address];
+            const expected = await router.getAmountsOut(amountIn, path);
+
+            await expect(
+                router.connect(trader).swapExactTokensForETH(amountIn, expected[1], path, trader.address, DEADLINE)
+            ).to.changeEtherBalance(trader, expected[1]);
+
+            await expectReservesMatchBalances();
+            await expectRouterEmpty();
+        });
+
+        it("should swap tokens for an exact amount of ETH", async function () {
+            const amountOut = ethers.utils.parseEther("1");
+            const path = [tokenA.address, weth.address];
+            const expected = await router.getAmountsIn(amountOut, path);
+
+            await expect(
+                router.connect(trader).swapTokensForExactETH(amountOut, expected[0], path, trader.address, DEADLINE)
+            ).to.changeEtherBalance(trader, amountOut);
+
+            expect(await tokenA.balanceOf(trader.address)).to.equal(ethers.utils.parseEther("1000").sub(expected[0]));
+            await expectRouterEmpty();
+        });
+
+        it("should route multi-hop swaps ending in ETH", async function () {
+            await tokenB.mint(trader.address, ethers.utils.parseEther("10"));
+            await tokenB.connect(trader).approve(router.address, ethers.constants.MaxUint256);
+            const path = [tokenB.address, tokenA.address, weth.address];
+            const expected = await router.getAmountsOut(ethers.utils.parseEther("10"), path);
+
+            await expect(
+                router.connect(trader).swapExactTokensForETH(ethers.utils.parseEther("10"), 0, path, trader.address, DEADLINE)
+            ).to.changeEtherBalance(trader, expected[2]);
+
+            expect(await tokenB.balanceOf(router.address)).to.equal(0);
+            await expectRouterEmpty();
+        });
+
+        it("should reject paths that do not start or end with WETH", async function () {
+            await expect(
+                router.connect(trader).swapExactETHForTokens(0, [tokenA.address, weth.address], trader.address, DEADLINE, { value: 1000 })
+            ).to.be.revertedWith("Invalid path");
+
+            await expect(
+                router.connect(trader).swapExactTokensForETH(1000, 0, [weth.address, tokenA.address], trader.address, DEADLINE)
+            ).to.be.revertedWith("Invalid path");
+        });
+
+        it("should revert when ETH sent does not cover the input", async function () {
+            const path = [weth.address, tokenA.address];
+            const expected = await router.getAmountsIn(ethers.utils.parseEther("10"), path);
+
+            await expect(
+                router.connect(trader).swapETHForExactTokens(ethers.utils.parseEther("10"), path, trader.address, DEADLINE, {
+                    value: expected[0].sub(1),
+                })
+            ).to.be.revertedWith("Excessive input amount");
+        });
+
+        it("should only accept ETH from WETH", async function () {
+            await expect(
+                trader.sendTransaction({ to: router.address, value: 1000 })
+            ).to.be.revertedWith("Only WETH");
+        });
+    });
+
+    describe("Path Finding", function () {
+        it("should route through the only connecting pool chain", async function () {
+            const amountIn = ethers.utils.parseEther("10");
+
+            const best = await findBestPath(router, factory, tokenA.address, tokenC.address, amountIn);
+
+            expect(best.path).to.deep.equal([tokenA.address, tokenB.address, tokenC.address]);
+            expect(best.amountOut).to.equal((await router.getAmountsOut(amountIn, best.path))[2]);
+        });
+
+        it("should prefer a multi-hop route when it pays more", async function () {
+            // Shallow direct pool priced well below the A -> B -> C route
+            await createPool(tokenA, tokenC, ethers.utils.parseEther("10"), ethers.utils.parseEther("5"));
+            const amountIn = ethers.utils.parseEther("10");
+
+            const best = await findBestPath(router, factory, tokenA.address, tokenC.address, amountIn);
+
+            expect(best.path).to.have.length(3);
+        });
+
+        it("should prefer a direct route when it pays more", async function () {
+            await createPool(tokenA, tokenC, ethers.utils.parseEther("1000"), ethers.utils.parseEther("1000"));
+            const amountIn = ethers.utils.parseEther("10");
+
+            const best = await findBestPath(router, factory, tokenA.address, tokenC.address, amountIn);
+
+            expect(best.path).to.deep.equal([tokenA.address, tokenC.address]);
+        });
+
+        it("should return null when tokens are not connected", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const tokenD = await MockERC20.deploy("Token D", "TKD");
+
+            expect(await findBestPath(router, factory, tokenA.address, tokenD.address, 1000)).to.equal(null);
+        });
+    });
+});
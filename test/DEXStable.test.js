@@ -0,0 +1,261 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+// Far-future deadline for calls that are not testing expiry
+const DEADLINE = ethers.constants.MaxUint256;
+// Pool LP fee in basis points (0.3%), equal to the DEX default so slippage is comparable
+const FEE_BPS = 30;
+// Amplification coefficient used by most tests
+const AMPLIFICATION = 100;
+// LP shares locked on the first deposit, matching DEXStable.MINIMUM_LIQUIDITY
+const MINIMUM_LIQUIDITY = 1000;
+
+describe("DEXStable", function () {
+    let pool, dex, tokenA, tokenB;
+    let owner, addr1;
+
+    const RESERVE = ethers.utils.parseEther("1000000");
+
+    async function deployStable(amplification = AMPLIFICATION) {
+        const DEXStable = await ethers.getContractFactory("DEXStable");
+        const deployed = await DEXStable.deploy(tokenA.address, tokenB.address, FEE_BPS, amplification);
+        await tokenA.approve(deployed.address, ethers.constants.MaxUint256);
+        await tokenB.approve(deployed.address, ethers.constants.MaxUint256);
+        await tokenA.connect(addr1).approve(deployed.address, ethers.constants.MaxUint256);
+        await tokenB.connect(addr1).approve(deployed.address, ethers.constants.MaxUint256);
+        return deployed;
+    }
+
+    // Output of swapping amountIn of token A, as a fraction of the 1:1 amount (1e18 scaled)
+    async function executionRate(target, amountIn) {
+        const [reserveA, reserveB] = await target.getReserves();
+        const amountOut = await target.getAmountOut(amountIn, reserveA, reserveB);
+        return amountOut.mul(ethers.constants.WeiPerEther).div(amountIn);
+    }
+
+    beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("USD Coin A", "USDA");
+        tokenB = await MockERC20.deploy("USD Coin B", "USDB");
+        await tokenA.mint(owner.address, RESERVE.mul(2));
+        await tokenB.mint(owner.address, RESERVE.mul(2));
+        await tokenA.mint(addr1.address, RESERVE);
+        await tokenB.mint(addr1.address, RESERVE);
+
+        pool = await deployStable();
+
+        // Constant-product pool at equal reserves for comparison
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, FEE_BPS]);
+        await tokenA.approve(dex.address, ethers.constants.MaxUint256);
+        await tokenB.approve(dex.address, ethers.constants.MaxUint256);
+    });
+
+    describe("Constructor", function () {
+        it("should set tokens, fee, amplification and LP metadata", async function () {
+            expect(await pool.tokenA()).to.equal(tokenA.address);
+            expect(await pool.tokenB()).to.equal(tokenB.address);
+            expect(await pool.fee()).to.equal(FEE_BPS);
+            expect(await pool.amplification()).to.equal(AMPLIFICATION);
+            expect(await pool.name()).to.equal("DEX Stable LP USDA-USDB");
+            expect(await pool.symbol()).to.equal("USDA-USDB-SLP");
+        });
+
+        it("should reject invalid parameters", async function () {
+            const DEXStable = await ethers.getContractFactory("DEXStable");
+
+            await expect(
+                DEXStable.deploy(ethers.constants.AddressZero, tokenB.address, FEE_BPS, AMPLIFICATION)
+            ).to.be.revertedWith("Invalid token A address");
+            await expect(
+                DEXStable.deploy(tokenA.address, tokenA.address, FEE_BPS, AMPLIFICATION)
+            ).to.be.revertedWith("Tokens must be different");
+            await expect(
+                DEXStable.deploy(tokenA.address, tokenB.address, 0, AMPLIFICATION)
+            ).to.be.revertedWith("Invalid fee");
+            await expect(
+                DEXStable.deploy(tokenA.address, tokenB.address, FEE_BPS, 0)
+            ).to.be.revertedWith("Invalid amplification");
+        });
+    });
+
+    describe("Liquidity Management", function () {
+        it("should mint D minus the locked minimum on the first deposit", async function () {
+            const amount = ethers.utils.parseEther("100");
+            await pool.addLiquidity(amount, amount, 0, 0, DEADLINE);
+
+            // D equals the sum of balances at the peg
+            expect(await pool.totalLiquidity()).to.equal(amount.mul(2));
+            expect(await pool.liquidity(owner.address)).to.equal(amount.mul(2).sub(MINIMUM_LIQUIDITY));
+        });
+
+        it("should mint proportional shares for later deposits", async function () {
+            const amount = ethers.utils.parseEther("100");
+            await pool.addLiquidity(amount, amount, 0, 0, DEADLINE);
+            const totalBefore = await pool.totalLiquidity();
+
+            await pool.connect(addr1).addLiquidity(amount, amount.mul(2), 0, 0, DEADLINE);
+
+            // Only the ratio-matching amount of token B is taken
+            expect(await pool.liquidity(addr1.address)).to.equal(totalBefore);
+            const [reserveA, reserveB] = await pool.getReserves();
+            expect(reserveA).to.equal(amount.mul(2));
+            expect(reserveB).to.equal(amount.mul(2));
+        });
+
+        it("should return a proportional share on removal", async function () {
+            const amount = ethers.utils.parseEther("100");
+            await pool.addLiquidity(amount, amount, 0, 0, DEADLINE);
+            const shares = await pool.liquidity(owner.address);
+            const balanceBefore = await tokenA.balanceOf(owner.address);
+
+            await expect(pool.removeLiquidity(shares, 0, 0, DEADLINE))
+                .to.emit(pool, "LiquidityRemoved");
+
+            expect((await tokenA.balanceOf(owner.address)).sub(balanceBefore))
+                .to.equal(amount.mul(shares).div(amount.mul(2)));
+        });
+
+        it("should enforce slippage limits", async function () {
+            const amount = ethers.utils.parseEther("100");
+            await pool.addLiquidity(amount, amount, 0, 0, DEADLINE);
+
+            await expect(
+                pool.connect(addr1).addLiquidity(amount, amount.div(2), amount, 0, DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+
+            const shares = await pool.liquidity(owner.address);
+            await expect(
+                pool.removeLiquidity(shares, amount, 0, DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+    });
+
+    describe("Token Swaps", function () {
+        beforeEach(async function () {
+            await pool.addLiquidity(RESERVE, RESERVE, 0, 0, DEADLINE);
+        });
+
+        it("should swap token A for token B at the quoted amount", async function () {
+            const amountIn = ethers.utils.parseEther("1000");
+            const expected = await pool.getAmountOut(amountIn, RESERVE, RESERVE);
+            const balanceBefore = await tokenB.balanceOf(addr1.address);
+
+            await expect(pool.connect(addr1).swapAForB(amountIn, expected, DEADLINE))
+                .to.emit(pool, "Swap")
+                .withArgs(addr1.address, tokenA.address, tokenB.address, amountIn, expected);
+
+            expect((await tokenB.balanceOf(addr1.address)).sub(balanceBefore)).to.equal(expected);
+            const [reserveA, reserveB] = await pool.getReserves();
+            expect(reserveA).to.equal(RESERVE.add(amountIn));
+            expect(reserveB).to.equal(RESERVE.sub(expected));
+        });
+
+        it("should swap token B for token A", async function () {
+            const amountIn = ethers.utils.parseEther("1000");
+            const expected = await pool.getAmountOut(amountIn, RESERVE, RESERVE);
+
+            await pool.connect(addr1).swapBForA(amountIn, expected, DEADLINE);
+
+            const [reserveA, reserveB] = await pool.getReserves();
+            expect(reserveA).to.equal(RESERVE.sub(expected));
+            expect(reserveB).to.equal(RESERVE.add(amountIn));
+        });
+
+        it("should price the pair at 1:1 when balanced", async function () {
+            expect(await pool.getPrice()).to.equal(ethers.constants.WeiPerEther);
+        });
+
+        it("should keep the invariant from decreasing", async function () {
+            const dBefore = await pool.getD(RESERVE, RESERVE);
+
+            await pool.connect(addr1).swapAForB(ethers.utils.parseEther("50000"), 0, DEADLINE);
+            await pool.connect(addr1).swapBForA(ethers.utils.parseEther("20000"), 0, DEADLINE);
+
+            const [reserveA, reserveB] = await pool.getReserves();
+            expect(await pool.getD(reserveA, reserveB)).to.be.gt(dBefore);
+        });
+
+        it("should revert when output is below minimum", async function () {
+            const amountIn = ethers.utils.parseEther("1000");
+            const expected = await pool.getAmountOut(amountIn, RESERVE, RESERVE);
+
+            await expect(
+                pool.connect(addr1).swapAForB(amountIn, expected.add(1), DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should revert on zero swap amount", async function () {
+            await expect(
+                pool.connect(addr1).swapAForB(0, 0, DEADLINE)
+            ).to.be.revertedWith("Amount in must be greater than 0");
+        });
+
+        it("should never pay out the whole reserve", async function () {
+            const hugeIn = RESERVE.mul(100);
+            const amountOut = await pool.getAmountOut(hugeIn, RESERVE, RESERVE);
+
+            expect(amountOut).to.be.lt(RESERVE);
+        });
+
+        it("should move the price away from the peg as the pool unbalances", async function () {
+            await pool.connect(addr1).swapAForB(ethers.utils.parseEther("900000"), 0, DEADLINE);
+
+            // Token A is abundant, so it is worth noticeably less than token B
+            expect(await pool.getPrice()).to.be.lt(ethers.utils.parseEther("0.9"));
+        });
+    });
+
+    describe("Slippage Compared to Constant Product", function () {
+        beforeEach(async function () {
+            await pool.addLiquidity(RESERVE, RESERVE, 0, 0, DEADLINE);
+            await dex.addLiquidity(RESERVE, RESERVE, 0, 0, DEADLINE);
+        });
+
+        for (const size of ["1000", "10000", "100000"]) {
+            it(`should return more output for a ${size} token trade`, async function () {
+                const amountIn = ethers.utils.parseEther(size);
+
+                const stableOut = await pool.getAmountOut(amountIn, RESERVE, RESERVE);
+                const productOut = await dex.getAmountOut(amountIn, RESERVE, RESERVE);
+
+                expect(stableOut).to.be.gt(productOut);
+            });
+        }
+
+        it("should stay within the fee of the peg for trades of 1% of reserves", async function () {
+            const amountIn = RESERVE.div(100);
+
+            // Only the 0.3% fee and well under 0.01% price impact
+            expect(await executionRate(pool, amountIn)).to.be.gt(ethers.utils.parseEther("0.9969"));
+            // The constant-product pool loses about 1% to price impact on the same trade
+            expect(await executionRate(dex, amountIn)).to.be.lt(ethers.utils.parseEther("0.99"));
+        });
+
+        it("should flatten the curve further with higher amplification", async function () {
+            const lowA = await deployStable(10);
+            const highA = await deployStable(1000);
+            await tokenA.mint(owner.address, RESERVE.mul(2));
+            await tokenB.mint(owner.address, RESERVE.mul(2));
+            await lowA.addLiquidity(RESERVE, RESERVE, 0, 0, DEADLINE);
+            await highA.addLiquidity(RESERVE, RESERVE, 0, 0, DEADLINE);
+
+            const amountIn = RESERVE.div(10);
+            expect(await executionRate(highA, amountIn)).to.be.gt(await executionRate(pool, amountIn));
+            expect(await executionRate(pool, amountIn)).to.be.gt(await executionRate(lowA, amountIn));
+        });
+
+        it("should share the DEX surface so scripts can drive either pool", async function () {
+            const amountIn = ethers.utils.parseEther("100");
+
+            for (const target of [pool, dex]) {
+                const [reserveA, reserveB] = await target.getReserves();
+                const quote = await target.getAmountOut(amountIn, reserveA, reserveB);
+                await target.swapAForB(amountIn, quote, DEADLINE);
+                expect(await target.getPrice()).to.be.lt(ethers.constants.WeiPerEther);
+            }
+        });
+    });
+});
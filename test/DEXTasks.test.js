@@ -0,0 +1,309 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const dexMath = require("../scripts/utils/dexMath");
+const { DEXClient } = require("../scripts/utils/dexClient");
+
+const { ethers, network } = hre;
+
+describe("DEX tasks", function () {
+    let manifestDir, manifestFile, manifest;
+    let pool, tokenA;
+    let owner, trader;
+
+    // Run a dex task against the test manifest and capture what it prints, also on failure
+    async function runTask(task, args = {}) {
+        const lines = [];
+        const { log, warn } = console;
+        console.log = (...values) => lines.push(values.join(" "));
+        console.warn = () => {};
+        try {
+            const result = await hre.run({ scope: "dex", task }, { manifest: manifestFile, ...args });
+            return { result, output: lines.join("\n") };
+        } catch (error) {
+            error.output = lines.join("\n");
+            throw error;
+        } finally {
+            console.log = log;
+            console.warn = warn;
+        }
+    }
+
+    beforeEach(async function () {
+        [owner, trader] = await ethers.getSigners();
+        manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+        manifestFile = path.join(manifestDir, "deployment.json");
+
+        ({ result: manifest } = await runTask("deploy"));
+        pool = await ethers.getContractAt("DEX", manifest.pairs["TKA/TKB"].address);
+        tokenA = await ethers.getContractAt("MockERC20", await pool.tokenA());
+        await runTask("add-liquidity", { pair: "TKA/TKB", amountA: "1000", amountB: "2000" });
+    });
+
+    afterEach(function () {
+        fs.rmSync(manifestDir, { recursive: true, force: true });
+    });
+
+    describe("deploy", function () {
+        it("should save a manifest with every token and pair", async function () {
+            const saved = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+
+            expect(saved).to.deep.equal(manifest);
+            expect(Object.keys(saved.tokens)).to.deep.equal(["TKA", "TKB", "TKC"]);
+            expect(Object.keys(saved.pairs)).to.deep.equal(["TKA/TKB", "TKB/TKC"]);
+            const factory = await ethers.getContractAt("DEXFactory", saved.contracts.DEXFactory.address);
+            expect(await factory.getPair(saved.tokens.TKB.address, saved.tokens.TKC.address))
+                .to.equal(saved.pairs["TKB/TKC"].address);
+            expect(saved.pairs["TKB/TKC"].fee).to.equal(5);
+        });
+
+        it("should record constructor args, blocks and hashes", async function () {
+            const { DEXImplementation, DEXFactory } = manifest.contracts;
+            const artifact = await hre.artifacts.readArtifact("DEXFactory");
+            const receipt = await ethers.provider.getTransactionReceipt(DEXFactory.transactionHash);
+
+            expect(DEXFactory.args).to.deep.equal([DEXImplementation.address, false]);
+            expect(DEXFactory.blockNumber).to.equal(receipt.blockNumber);
+            expect(receipt.contractAddress).to.equal(DEXFactory.address);
+            expect(DEXFactory.abiHash).to.equal(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(artifact.abi))));
+            expect(DEXFactory.codeHash).to.equal(ethers.utils.keccak256(await ethers.provider.getCode(DEXFactory.address)));
+            expect(manifest.tokens.TKA.args).to.deep.equal(["Token A", "TKA"]);
+            expect(manifest.pairs["TKA/TKB"].blockNumber).to.be.greaterThan(DEXFactory.blockNumber);
+        });
+
+        it("should keep everything already deployed when run again", async function () {
+            const blockBefore = await ethers.provider.getBlockNumber();
+
+            const { result } = await runTask("deploy");
+
+            expect(result).to.deep.equal(manifest);
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        });
+
+        it("should name the pair when its creation event cannot be found", async function () {
+            const saved = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+            saved.contracts.DEXFactory.blockNumber = saved.pairs["TKB/TKC"].blockNumber + 1;
+            fs.writeFileSync(manifestFile, JSON.stringify(saved));
+
+            await expectTaskError(
+                runTask("deploy"),
+                `DEX TKA/TKB exists at ${manifest.pairs["TKA/TKB"].address} but no PairCreated event was found`
+            );
+        });
+
+        it("should deploy everything again with --fresh", async function () {
+            const { result } = await runTask("deploy", { fresh: true });
+
+            expect(result.contracts.DEXFactory.address).to.not.equal(manifest.contracts.DEXFactory.address);
+            expect(result.tokens.TKA.address).to.not.equal(manifest.tokens.TKA.address);
+        });
+
+        it("should redeploy only what is no longer on chain as recorded", async function () {
+            await network.provider.send("hardhat_setCode", [manifest.tokens.TKC.address, "0x00"]);
+
+            const { result } = await runTask("deploy");
+
+            expect(result.tokens.TKA).to.deep.equal(manifest.tokens.TKA);
+            expect(result.contracts).to.deep.equal(manifest.contracts);
+            expect(result.pairs["TKA/TKB"]).to.deep.equal(manifest.pairs["TKA/TKB"]);
+            expect(result.tokens.TKC.address).to.not.equal(manifest.tokens.TKC.address);
+            expect(result.pairs["TKB/TKC"].address).to.not.equal(manifest.pairs["TKB/TKC"].address);
+        });
+
+        it("should use existing token addresses instead of mocks", async function () {
+            const configFile = path.join(manifestDir, "pairs.json");
+            const config = {
+                tokens: [
+                    { symbol: "EXT", address: manifest.tokens.TKA.address },
+                    { name: "Token D", symbol: "TKD" },
+                ],
+                pairs: [["EXT", "TKD", 100]],
+            };
+            fs.writeFileSync(configFile, JSON.stringify(config));
+
+            const { result } = await runTask("deploy", { pairsConfig: configFile, manifest: path.join(manifestDir, "ext.json") });
+
+            expect(result.tokens.EXT).to.deep.equal({
+                name: "Token A",
+                address: manifest.tokens.TKA.address,
+                external: true,
+                codeHash: manifest.tokens.TKA.codeHash,
+            });
+            const pair = await ethers.getContractAt("DEX", result.pairs["EXT/TKD"].address);
+            expect([await pair.tokenA(), await pair.tokenB()]).to.include(manifest.tokens.TKA.address);
+        });
+
+        it("should reject existing tokens without code", async function () {
+            const configFile = path.join(manifestDir, "pairs.json");
+            const config = { tokens: [{ symbol: "EXT", address: trader.address }], pairs: [] };
+            fs.writeFileSync(configFile, JSON.stringify(config));
+
+            await expectTaskError(runTask("deploy", { pairsConfig: configFile }), `Token EXT has no code at ${trader.address}`);
+        });
+    });
+
+    describe("verify", function () {
+        it("should pass for an unchanged deployment", async function () {
+            const { result } = await runTask("verify");
+
+            expect(result.map((r) => r.name)).to.deep.equal([
+                "DEXImplementation",
+                "DEXFactory",
+                "token TKA",
+                "token TKB",
+                "token TKC",
+                "pair TKA/TKB",
+                "pair TKB/TKC",
+            ]);
+            expect(result.every((r) => r.ok)).to.equal(true);
+        });
+
+        it("should pass for upgradeable pairs", async function () {
+            const upgradeableManifest = path.join(manifestDir, "upgradeable.json");
+            await runTask("deploy", { upgradeable: true, manifest: upgradeableManifest });
+
+            const { result } = await runTask("verify", { manifest: upgradeableManifest });
+
+            expect(result.every((r) => r.ok)).to.equal(true);
+        });
+
+        it("should report code that no longer matches the manifest", async function () {
+            await network.provider.send("hardhat_setCode", [manifest.contracts.DEXFactory.address, "0x00"]);
+            await network.provider.send("hardhat_setCode", [manifest.pairs["TKA/TKB"].address, "0x"]);
+
+            const error = await runTask("verify").catch((e) => e);
+
+            expect(error.message).to.equal("2 deployment(s) do not match the manifest");
+            expect(error.output).to.match(/^DEXFactory\s+MISMATCH: code hash differs from the manifest$/m);
+            expect(error.output).to.match(/^pair TKA\/TKB\s+MISMATCH: no code at address$/m);
+        });
+
+        it("should report contracts whose source changed since deployment", async function () {
+            const stale = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+            stale.contracts.DEXFactory.abiHash = ethers.constants.HashZero;
+            fs.writeFileSync(manifestFile, JSON.stringify(stale));
+
+            await expectTaskError(runTask("verify", { json: true }), "1 deployment(s) do not match the manifest");
+        });
+    });
+
+    describe("reserves", function () {
+        it("should resolve pairs by name in either order or by address", async function () {
+            const byName = await runTask("reserves", { pair: "TKB/TKA" });
+            const byAddress = await runTask("reserves", { pair: pool.address });
+
+            expect(byName.result).to.deep.equal(byAddress.result);
+            expect(byName.result.reserveA).to.equal("1000.0");
+            expect(byName.result.reserveB).to.equal("2000.0");
+            expect(byName.result.fee).to.equal("0.3%");
+        });
+
+        it("should print JSON or a table", async function () {
+            const json = await runTask("reserves", { pair: "TKA/TKB", json: true });
+            const table = await runTask("reserves", { pair: "TKA/TKB" });
+
+            expect(JSON.parse(json.output)).to.deep.equal(json.result);
+            expect(table.output).to.match(/^pool\s+0x[0-9a-fA-F]{40}$/m);
+            expect(table.output).to.match(/^fee\s+0\.3%$/m);
+        });
+    });
+
+    describe("quote and swap", function () {
+        it("should quote an exact input with the pool math", async function () {
+            const { result } = await runTask("quote", { pair: "TKA/TKB", tokenIn: "TKA", amountIn: "10", slippage: "1" });
+
+            const token = manifest.tokens.TKA.address;
+            const [reserveIn, reserveOut] = token === tokenA.address
+                ? await pool.getReserves()
+                : [...(await pool.getReserves())].reverse();
+            const expected = await pool.getAmountOut(ethers.utils.parseEther("10"), reserveIn, reserveOut);
+            expect(result.amountOut).to.equal(ethers.utils.formatEther(expected));
+            expect(result.minAmountOut).to.equal(ethers.utils.formatEther(expected.mul(99).div(100)));
+        });
+
+        it("should swap an exact input as quoted", async function () {
+            const quote = await runTask("quote", { pair: "TKA/TKB", tokenIn: "TKA", amountIn: "10" });
+            const tka = await ethers.getContractAt("MockERC20", manifest.tokens.TKA.address);
+            const balanceBefore = await tka.balanceOf(owner.address);
+
+            const { result } = await runTask("swap", { pair: "TKA/TKB", tokenIn: "TKA", amountIn: "10" });
+
+            expect(result.amountOut).to.equal(quote.result.amountOut);
+            expect(balanceBefore.sub(await tka.balanceOf(owner.address))).to.equal(ethers.utils.parseEther("10"));
+        });
+
+        it("should swap for an exact output from another account", async function () {
+            const tkb = await ethers.getContractAt("MockERC20", manifest.tokens.TKB.address);
+            await tkb.mint(trader.address, ethers.utils.parseEther("100"));
+
+            const { result } = await runTask("swap", { pair: "TKA/TKB", tokenIn: "tkb", amountOut: "5", account: 1 });
+
+            const tka = await ethers.getContractAt("MockERC20", manifest.tokens.TKA.address);
+            expect(result.amountOut).to.equal("5.0");
+            expect(await tka.balanceOf(trader.address)).to.equal(ethers.utils.parseEther("5"));
+        });
+
+        it("should reject bad arguments", async function () {
+            const swap = (args) => runTask("quote", { pair: "TKA/TKB", tokenIn: "TKA", ...args });
+
+            await expectTaskError(swap({}), "Pass exactly one of --amount-in and --amount-out");
+            await expectTaskError(swap({ amountIn: "1", amountOut: "1" }), "Pass exactly one");
+            await expectTaskError(swap({ amountIn: "ten" }), "Invalid --amount-in amount: ten");
+            await expectTaskError(swap({ amountIn: "1", slippage: "100" }), "Invalid --slippage");
+            await expectTaskError(swap({ amountIn: "1", tokenIn: "TKC" }), "Token TKC is not in the pool");
+            await expectTaskError(runTask("reserves", { pair: "TKA/TKD" }), "Pair TKA/TKD is not in the manifest");
+        });
+    });
+
+    describe("liquidity and positions", function () {
+        it("should add liquidity at the pool ratio", async function () {
+            const stateBefore = await new DEXClient(pool).getState();
+
+            const { result } = await runTask("add-liquidity", { pair: "TKA/TKB", amountA: "10", amountB: "100" });
+
+            const expected = dexMath.quoteAddLiquidity(stateBefore, ethers.utils.parseEther("10"), ethers.utils.parseEther("100"));
+            expect(result.amountA).to.equal(ethers.utils.formatEther(expected.amountA));
+            expect(result.amountB).to.equal(ethers.utils.formatEther(expected.amountB));
+            expect(result.liquidity).to.equal(ethers.utils.formatEther(expected.liquidity));
+        });
+
+        it("should remove liquidity for both tokens or one", async function () {
+            const balanceBefore = await pool.balanceOf(owner.address);
+
+            const both = await runTask("remove-liquidity", { pair: "TKA/TKB", liquidity: "100" });
+            const one = await runTask("remove-liquidity", { pair: "TKA/TKB", liquidity: "100", tokenOut: "TKA" });
+
+            expect(both.result).to.include.keys("amountA", "amountB");
+            expect(one.result.tokenOut).to.equal("TKA");
+            expect(balanceBefore.sub(await pool.balanceOf(owner.address))).to.equal(ethers.utils.parseEther("200"));
+        });
+
+        it("should value a position by its share of the reserves", async function () {
+            const { result } = await runTask("position", { pair: "TKA/TKB" });
+
+            const balance = await pool.balanceOf(owner.address);
+            const [reserveA] = await pool.getReserves();
+            const totalSupply = await pool.totalSupply();
+            expect(result.owner).to.equal(owner.address);
+            expect(result.liquidity).to.equal(ethers.utils.formatEther(balance));
+            expect(result.amountA).to.equal(ethers.utils.formatEther(balance.mul(reserveA).div(totalSupply)));
+
+            const empty = await runTask("position", { pair: "TKA/TKB", owner: trader.address });
+            expect(empty.result.liquidity).to.equal("0.0");
+            expect(empty.result.share).to.equal("0.0%");
+        });
+    });
+
+    // Expect a task to fail with a message containing text
+    async function expectTaskError(promise, text) {
+        let message = null;
+        try {
+            await promise;
+        } catch (error) {
+            message = error.message;
+        }
+        expect(message).to.include(text);
+    }
+});
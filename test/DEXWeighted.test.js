@@ -0,0 +1,378 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+// Far-future deadline for calls that are not testing expiry
+const DEADLINE = ethers.constants.MaxUint256;
+// Pool LP fee in basis points (0.3%), equal to the DEX default so quotes are comparable
+const FEE_BPS = 30;
+// LP shares locked on the first deposit, matching DEXWeighted.MINIMUM_LIQUIDITY
+const MINIMUM_LIQUIDITY = 1000;
+const LIQUIDITY_LOCK_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+// 80/20 weights used by most tests
+const WEIGHT_A = ethers.utils.parseEther("0.8");
+const WEIGHT_B = ethers.utils.parseEther("0.2");
+
+// Convert an 18-decimal BigNumber to a float for reference math
+const toFloat = (amount) => Number(ethers.utils.formatEther(amount));
+
+describe("DEXWeighted", function () {
+    let pool, tokenA, tokenB;
+    let owner, addr1;
+
+    // 80/20 pool at a price of 1 B per A: A holds 80% of the value
+    const RESERVE_A = ethers.utils.parseEther("8000");
+    const RESERVE_B = ethers.utils.parseEther("2000");
+
+    async function deployWeighted(weightA = WEIGHT_A, weightB = WEIGHT_B) {
+        const DEXWeighted = await ethers.getContractFactory("DEXWeighted");
+        const deployed = await DEXWeighted.deploy(tokenA.address, tokenB.address, FEE_BPS, weightA, weightB);
+        for (const signer of [owner, addr1]) {
+            await tokenA.connect(signer).approve(deployed.address, ethers.constants.MaxUint256);
+            await tokenB.connect(signer).approve(deployed.address, ethers.constants.MaxUint256);
+        }
+        return deployed;
+    }
+
+    beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        const mintAmount = ethers.utils.parseEther("100000");
+        for (const signer of [owner, addr1]) {
+            await tokenA.mint(signer.address, mintAmount);
+            await tokenB.mint(signer.address, mintAmount);
+        }
+
+        pool = await deployWeighted();
+    });
+
+    describe("Constructor", function () {
+        it("should set tokens, fee, weights and LP metadata", async function () {
+            expect(await pool.tokenA()).to.equal(tokenA.address);
+            expect(await pool.tokenB()).to.equal(tokenB.address);
+            expect(await pool.fee()).to.equal(FEE_BPS);
+            expect(await pool.weightA()).to.equal(WEIGHT_A);
+            expect(await pool.weightB()).to.equal(WEIGHT_B);
+            expect(await pool.name()).to.equal("DEX Weighted LP TKA-TKB");
+            expect(await pool.symbol()).to.equal("TKA-TKB-WLP");
+        });
+
+        it("should reject invalid tokens and fee", async function () {
+            const DEXWeighted = await ethers.getContractFactory("DEXWeighted");
+
+            await expect(
+                DEXWeighted.deploy(ethers.constants.AddressZero, tokenB.address, FEE_BPS, WEIGHT_A, WEIGHT_B)
+            ).to.be.revertedWith("Invalid token A address");
+            await expect(
+                DEXWeighted.deploy(tokenA.address, tokenA.address, FEE_BPS, WEIGHT_A, WEIGHT_B)
+            ).to.be.revertedWith("Tokens must be different");
+            await expect(
+                DEXWeighted.deploy(tokenA.address, tokenB.address, 0, WEIGHT_A, WEIGHT_B)
+            ).to.be.revertedWith("Invalid fee");
+        });
+
+        it("should reject invalid weights", async function () {
+            const DEXWeighted = await ethers.getContractFactory("DEXWeighted");
+            const tooSmall = ethers.utils.parseEther("0.001");
+
+            await expect(
+                DEXWeighted.deploy(tokenA.address, tokenB.address, FEE_BPS, tooSmall, WEIGHT_B)
+            ).to.be.revertedWith("Invalid weight A");
+            await expect(
+                DEXWeighted.deploy(tokenA.address, tokenB.address, FEE_BPS, WEIGHT_A, tooSmall)
+            ).to.be.revertedWith("Invalid weight B");
+            await expect(
+                DEXWeighted.deploy(tokenA.address, tokenB.address, FEE_BPS, WEIGHT_A, WEIGHT_A)
+            ).to.be.revertedWith("Weights must sum to 1");
+        });
+    });
+
+    describe("Proportional Join and Exit", function () {
+        it("should mint the invariant minus the locked minimum on the first deposit", async function () {
+            await pool.addLiquidity(RESERVE_A, RESERVE_B, 0, 0, DEADLINE);
+
+            // V = 8000^0.8 · 2000^0.2
+            const expected = Math.pow(8000, 0.8) * Math.pow(2000, 0.2);
+            expect(toFloat(await pool.totalLiquidity())).to.be.closeTo(expected, expected * 1e-12);
+            expect(await pool.liquidity(LIQUIDITY_LOCK_ADDRESS)).to.equal(MINIMUM_LIQUIDITY);
+            expect(await pool.getInvariant()).to.be.closeTo(await pool.totalLiquidity(), 1e6);
+        });
+
+        it("should price tokens by reserves and weights", async function () {
+            await pool.addLiquidity(RESERVE_A, RESERVE_B, 0, 0, DEADLINE);
+
+            // (2000 / 0.2) / (8000 / 0.8) = 1
+            expect(await pool.getPrice()).to.equal(ethers.constants.WeiPerEther);
+        });
+
+        it("should mint proportional shares for later deposits", async function () {
+            await pool.addLiquidity(RESERVE_A, RESERVE_B, 0, 0, DEADLINE);
+            const totalBefore = await pool.totalLiquidity();
+
+            await pool.connect(addr1).addLiquidity(RESERVE_A.div(2), RESERVE_B, 0, 0, DEADLINE);
+
+            // Only the ratio-matching amount of token B is taken
+            expect(await pool.liquidity(addr1.address)).to.equal(totalBefore.div(2));
+            const [reserveA, reserveB] = await pool.getReserves();
+            expect(reserveA).to.equal(RESERVE_A.mul(3).div(2));
+            expect(reserveB).to.equal(RESERVE_B.mul(3).div(2));
+        });
+
+        it("should return a proportional share on removal", async function () {
+            await pool.addLiquidity(RESERVE_A, RESERVE_B, 0, 0, DEADLINE);
+            const shares = (await pool.liquidity(owner.address)).div(4);
+            const total = await pool.totalLiquidity();
+            const expectedA = shares.mul(RESERVE_A).div(total);
+            const expectedB = shares.mul(RESERVE_B).div(total);
+
+            await expect(pool.removeLiquidity(shares, expectedA, expectedB, DEADLINE))
+                .to.emit(pool, "LiquidityRemoved")
+                .withArgs(owner.address, expectedA, expectedB, shares);
+        });
+
+        it("should enforce slippage limits", async function () {
+            await pool.addLiquidity(RESERVE_A, RESERVE_B, 0, 0, DEADLINE);
+
+            await expect(
+                pool.connect(addr1).addLiquidity(RESERVE_A, RESERVE_B.div(2), RESERVE_A, 0, DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+
+            const shares = await pool.liquidity(owner.address);
+            await expect(
+                pool.removeLiquidity(shares, RESERVE_A, 0, DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+    });
+
+    describe("Single-Token Join and Exit", function () {
+        beforeEach(async function () {
+            await pool.addLiquidity(RESERVE_A, RESERVE_B, 0, 0, DEADLINE);
+        });
+
+        it("should mint shares by the invariant growth of a one-token deposit", async function () {
+            const amountIn = ethers.utils.parseEther("100");
+            const total = toFloat(await pool.totalLiquidity());
+
+            // Fee only applies to the 20% a proportional join would have paid in token B
+            const amountInWithFee = 100 * (1 - 0.003 * 0.2);
+            const expected = total * (Math.pow(1 + amountInWithFee / 8000, 0.8) - 1);
+
+            await expect(pool.connect(addr1).addLiquidityOneToken(tokenA.address, amountIn, 0, DEADLINE))
+                .to.emit(pool, "LiquidityAdded");
+
+            const minted = toFloat(await pool.liquidity(addr1.address));
+            expect(minted).to.be.closeTo(expected, expected * 1e-9);
+            expect(await pool.reserveA()).to.equal(RESERVE_A.add(amountIn));
+        });
+
+        it("should quote the minted shares", async function () {
+            const amountIn = ethers.utils.parseEther("100");
+            const quoted = await pool.getLiquidityOut(tokenB.address, amountIn);
+
+            await pool.connect(addr1).addLiquidityOneToken(tokenB.address, amountIn, quoted, DEADLINE);
+
+            expect(await pool.liquidity(addr1.address)).to.equal(quoted);
+        });
+
+        it("should pay out one token for burned shares", async function () {
+            const shares = (await pool.liquidity(owner.address)).div(100);
+            const total = toFloat(await pool.totalLiquidity());
+            const balanceBefore = await tokenB.balanceOf(owner.address);
+
+            // Fee only applies to the 80% a proportional exit would have paid in token A
+            const beforeFee = 2000 * (1 - Math.pow(1 - toFloat(shares) / total, 1 / 0.2));
+            const expected = beforeFee * (1 - 0.003 * 0.8);
+
+            await expect(pool.removeLiquidityOneToken(tokenB.address, shares, 0, DEADLINE))
+                .to.emit(pool, "LiquidityRemovedOneToken");
+
+            const received = toFloat((await tokenB.balanceOf(owner.address)).sub(balanceBefore));
+            expect(received).to.be.closeTo(expected, expected * 1e-9);
+            expect(await pool.reserveA()).to.equal(RESERVE_A);
+        });
+
+        it("should not profit from a one-token join followed by an exit", async function () {
+            const amountIn = ethers.utils.parseEther("100");
+            await pool.connect(addr1).addLiquidityOneToken(tokenA.address, amountIn, 0, DEADLINE);
+            const shares = await pool.liquidity(addr1.address);
+            const balanceBefore = await tokenA.balanceOf(addr1.address);
+
+            await pool.connect(addr1).removeLiquidityOneToken(tokenA.address, shares, 0, DEADLINE);
+
+            expect((await tokenA.balanceOf(addr1.address)).sub(balanceBefore)).to.be.lt(amountIn);
+        });
+
+        it("should enforce minimum output and valid tokens", async function () {
+            const amountIn = ethers.utils.parseEther("100");
+            const quoted = await pool.getLiquidityOut(tokenA.address, amountIn);
+            await expect(
+                pool.connect(addr1).addLiquidityOneToken(tokenA.address, amountIn, quoted.add(1), DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+
+            const shares = (await pool.liquidity(owner.address)).div(100);
+            const quotedOut = await pool.getAmountOutForLiquidity(tokenA.address, shares);
+            await expect(
+                pool.removeLiquidityOneToken(tokenA.address, shares, quotedOut.add(1), DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+
+            await expect(
+                pool.addLiquidityOneToken(pool.address, amountIn, 0, DEADLINE)
+            ).to.be.revertedWith("Invalid token");
+        });
+
+        it("should cap single-token joins and exits at the max ratios", async function () {
+            await expect(
+                pool.connect(addr1).addLiquidityOneToken(tokenB.address, RESERVE_B.div(2), 0, DEADLINE)
+            ).to.be.revertedWith("Max in ratio exceeded");
+
+            const shares = (await pool.liquidity(owner.address)).div(5);
+            await expect(
+                pool.removeLiquidityOneToken(tokenB.address, shares, 0, DEADLINE)
+            ).to.be.revertedWith("Max out ratio exceeded");
+        });
+
+        it("should require an initialized pool", async function () {
+            const empty = await deployWeighted();
+            await expect(
+                empty.addLiquidityOneToken(tokenA.address, 1000, 0, DEADLINE)
+            ).to.be.revertedWith("No liquidity in pool");
+        });
+    });
+
+    describe("Token Swaps", function () {
+        beforeEach(async function () {
+            await pool.addLiquidity(RESERVE_A, RESERVE_B, 0, 0, DEADLINE);
+        });
+
+        it("should quote exact-in swaps with the weighted formula", async function () {
+            const amountIn = ethers.utils.parseEther("100");
+
+            // out = Bo · (1 - (Bi / (Bi + in·(1 - fee)))^(wi / wo))
+            const inWithFee = 100 * 0.997;
+            const expectedB = 2000 * (1 - Math.pow(8000 / (8000 + inWithFee), 0.8 / 0.2));
+            const expectedA = 8000 * (1 - Math.pow(2000 / (2000 + inWithFee), 0.2 / 0.8));
+
+            const outB = toFloat(await pool.getAmountOut(tokenA.address, amountIn));
+            const outA = toFloat(await pool.getAmountOut(tokenB.address, amountIn));
+            expect(outB).to.be.closeTo(expectedB, expectedB * 1e-9);
+            expect(outA).to.be.closeTo(expectedA, expectedA * 1e-9);
+        });
+
+        it("should swap token A for token B at the quoted amount", async function () {
+            const amountIn = ethers.utils.parseEther("100");
+            const expected = await pool.getAmountOut(tokenA.address, amountIn);
+            const balanceBefore = await tokenB.balanceOf(addr1.address);
+
+            await expect(pool.connect(addr1).swapAForB(amountIn, expected, DEADLINE))
+                .to.emit(pool, "Swap")
+                .withArgs(addr1.address, tokenA.address, tokenB.address, amountIn, expected);
+
+            expect((await tokenB.balanceOf(addr1.address)).sub(balanceBefore)).to.equal(expected);
+            expect(await pool.reserveA()).to.equal(RESERVE_A.add(amountIn));
+            expect(await pool.reserveB()).to.equal(RESERVE_B.sub(expected));
+        });
+
+        it("should swap token B for token A", async function () {
+            const amountIn = ethers.utils.parseEther("100");
+            const expected = await pool.getAmountOut(tokenB.address, amountIn);
+
+            await expect(pool.connect(addr1).swapBForA(amountIn, expected, DEADLINE))
+                .to.emit(pool, "Swap")
+                .withArgs(addr1.address, tokenB.address, tokenA.address, amountIn, expected);
+        });
+
+        it("should swap for an exact output amount", async function () {
+            const amountOut = ethers.utils.parseEther("50");
+            const amountIn = await pool.getAmountIn(tokenB.address, amountOut);
+            const balanceABefore = await tokenA.balanceOf(addr1.address);
+            const balanceBBefore = await tokenB.balanceOf(addr1.address);
+
+            await pool.connect(addr1).swapAForExactB(amountOut, amountIn, DEADLINE);
+
+            expect((await tokenB.balanceOf(addr1.address)).sub(balanceBBefore)).to.equal(amountOut);
+            expect(balanceABefore.sub(await tokenA.balanceOf(addr1.address))).to.equal(amountIn);
+
+            await expect(
+                pool.connect(addr1).swapBForExactA(amountOut, 1, DEADLINE)
+            ).to.be.revertedWith("Excessive input amount");
+        });
+
+        it("should quote exact-out swaps with the weighted formula", async function () {
+            const amountOut = ethers.utils.parseEther("123.456");
+
+            // in = Bi · ((Bo / (Bo - out))^(wo / wi) - 1) / (1 - fee)
+            const expectedA = 8000 * (Math.pow(2000 / (2000 - 123.456), 0.2 / 0.8) - 1) / 0.997;
+            const expectedB = 2000 * (Math.pow(8000 / (8000 - 123.456), 0.8 / 0.2) - 1) / 0.997;
+
+            const inA = toFloat(await pool.getAmountIn(tokenB.address, amountOut));
+            const inB = toFloat(await pool.getAmountIn(tokenA.address, amountOut));
+            expect(inA).to.be.closeTo(expectedA, expectedA * 1e-9);
+            expect(inB).to.be.closeTo(expectedB, expectedB * 1e-9);
+        });
+
+        it("should keep the invariant from decreasing", async function () {
+            const invariantBefore = await pool.getInvariant();
+
+            await pool.connect(addr1).swapAForB(ethers.utils.parseEther("500"), 0, DEADLINE);
+            await pool.connect(addr1).swapBForA(ethers.utils.parseEther("300"), 0, DEADLINE);
+            await pool.connect(addr1).swapAForExactB(ethers.utils.parseEther("10"), DEADLINE, DEADLINE);
+
+            expect(await pool.getInvariant()).to.be.gt(invariantBefore);
+        });
+
+        it("should revert when output is below minimum", async function () {
+            const amountIn = ethers.utils.parseEther("100");
+            const expected = await pool.getAmountOut(tokenA.address, amountIn);
+
+            await expect(
+                pool.connect(addr1).swapAForB(amountIn, expected.add(1), DEADLINE)
+            ).to.be.revertedWith("Slippage limit exceeded");
+        });
+
+        it("should cap swaps at the max ratios", async function () {
+            await expect(
+                pool.connect(addr1).swapBForA(RESERVE_B.div(2), 0, DEADLINE)
+            ).to.be.revertedWith("Max in ratio exceeded");
+            await expect(
+                pool.getAmountIn(tokenB.address, RESERVE_B.div(2))
+            ).to.be.revertedWith("Max out ratio exceeded");
+        });
+
+        it("should revert on zero amounts and unknown tokens", async function () {
+            await expect(
+                pool.connect(addr1).swapAForB(0, 0, DEADLINE)
+            ).to.be.revertedWith("Amount in must be greater than 0");
+            await expect(
+                pool.connect(addr1).swapAForExactB(0, 0, DEADLINE)
+            ).to.be.revertedWith("Amount out must be greater than 0");
+            await expect(
+                pool.getAmountOut(pool.address, 1000)
+            ).to.be.revertedWith("Invalid token");
+        });
+    });
+
+    describe("Equal Weights", function () {
+        it("should quote like the constant-product DEX at 50/50", async function () {
+            const half = ethers.utils.parseEther("0.5");
+            const balanced = await deployWeighted(half, half);
+            const DEX = await ethers.getContractFactory("DEX");
+            const dex = await upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, FEE_BPS]);
+            await tokenA.approve(dex.address, ethers.constants.MaxUint256);
+            await tokenB.approve(dex.address, ethers.constants.MaxUint256);
+
+            await balanced.addLiquidity(RESERVE_A, RESERVE_B, 0, 0, DEADLINE);
+            await dex.addLiquidity(RESERVE_A, RESERVE_B, 0, 0, DEADLINE);
+
+            const amountIn = ethers.utils.parseEther("250");
+            const weightedOut = await balanced.getAmountOut(tokenA.address, amountIn);
+            const productOut = await dex.getAmountOut(amountIn, RESERVE_A, RESERVE_B);
+
+            // Equal within the error bound of the power approximation
+            expect(weightedOut).to.be.lte(productOut);
+            expect(weightedOut).to.be.closeTo(productOut, productOut.div(1e12));
+            expect(await balanced.totalLiquidity()).to.be.closeTo(await dex.totalLiquidity(), 1e9);
+        });
+    });
+});
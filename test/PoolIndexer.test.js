@@ -0,0 +1,389 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EventStore } = require("../scripts/utils/eventStore");
+const { PoolIndexer } = require("../scripts/utils/poolIndexer");
+const { createIndexerServer } = require("../scripts/utils/indexerApi");
+const analytics = require("../scripts/utils/poolAnalytics");
+
+// Pool LP fee in basis points (0.3%)
+const FEE_BPS = 30;
+// Initial pool liquidity per token
+const LIQUIDITY = ethers.utils.parseEther("1000");
+// Amount sold in test swaps
+const SWAP_AMOUNT = ethers.utils.parseEther("10");
+// Far-future deadline for pool calls
+const DEADLINE = ethers.constants.MaxUint256;
+
+describe("PoolIndexer", function () {
+    let dex, tokenA, tokenB;
+    let owner, lp;
+    let chainId, startBlock, storeDir, storePath;
+
+    beforeEach(async function () {
+        [owner, lp] = await ethers.getSigners();
+        ({ chainId } = await ethers.provider.getNetwork());
+        startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        const DEX = await ethers.getContractFactory("DEX");
+        dex = await upgrades.deployProxy(DEX, [tokenA.address, tokenB.address, FEE_BPS]);
+
+        for (const signer of [owner, lp]) {
+            await tokenA.mint(signer.address, LIQUIDITY.mul(10));
+            await tokenB.mint(signer.address, LIQUIDITY.mul(10));
+            await tokenA.connect(signer).approve(dex.address, ethers.constants.MaxUint256);
+            await tokenB.connect(signer).approve(dex.address, ethers.constants.MaxUint256);
+        }
+        await dex.addLiquidity(LIQUIDITY, LIQUIDITY, 0, 0, DEADLINE);
+
+        storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+        storePath = path.join(storeDir, "store.json");
+    });
+
+    afterEach(function () {
+        fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    // Indexer following the test pool, backed by a store loaded from storePath
+    function createIndexer(options = {}) {
+        const store = EventStore.load(storePath, chainId);
+        const indexer = new PoolIndexer({ provider: ethers.provider, store, pools: [dex.address], startBlock, ...options });
+        return { store, indexer };
+    }
+
+    describe("Indexing", function () {
+        it("should store pool events up to the head and checkpoint it", async function () {
+            await dex.swapAForB(SWAP_AMOUNT, 0, DEADLINE);
+            const { store, indexer } = createIndexer();
+
+            const { reorgDepth, events } = await indexer.sync();
+
+            const head = await ethers.provider.getBlock("latest");
+            expect(reorgDepth).to.equal(0);
+            expect(store.checkpoint).to.deep.equal({ blockNumber: head.number, blockHash: head.hash, timestamp: head.timestamp });
+            expect(store.getEvents(dex.address, { events: ["Swap"] })).to.have.lengthOf(1);
+            expect(store.getEvents(dex.address, { events: ["LiquidityAdded"] })).to.have.lengthOf(1);
+            expect(events).to.equal(store.getEvents(dex.address).length);
+        });
+
+        it("should index in batches", async function () {
+            await dex.swapAForB(SWAP_AMOUNT, 0, DEADLINE);
+            await dex.swapBForA(SWAP_AMOUNT, 0, DEADLINE);
+            const single = createIndexer();
+            await single.indexer.sync();
+
+            const batchedPath = path.join(storeDir, "batched.json");
+            const batched = new PoolIndexer({
+                provider: ethers.provider,
+                store: EventStore.load(batchedPath, chainId),
+                pools: [dex.address],
+                startBlock,
+                batchSize: 2,
+            });
+            await batched.sync();
+
+            expect(batched.store.data.events).to.deep.equal(single.store.data.events);
+        });
+
+        it("should stay behind the head by the confirmations", async function () {
+            const { store, indexer } = createIndexer({ confirmations: 2 });
+
+            await indexer.sync();
+
+            expect(store.checkpoint.blockNumber).to.equal((await ethers.provider.getBlockNumber()) - 2);
+        });
+
+        it("should resume from the checkpoint after a restart without duplicates", async function () {
+            const first = createIndexer();
+            await first.indexer.sync();
+            const indexedBefore = first.store.getEvents(dex.address).length;
+
+            await dex.swapAForB(SWAP_AMOUNT, 0, DEADLINE);
+            const restarted = createIndexer();
+            expect(restarted.store.checkpoint).to.deep.equal(first.store.checkpoint);
+            const { events } = await restarted.indexer.sync();
+
+            const swaps = restarted.store.getEvents(dex.address, { events: ["Swap"] });
+            expect(swaps).to.have.lengthOf(1);
+            expect(restarted.store.getEvents(dex.address)).to.have.lengthOf(indexedBefore + events);
+        });
+
+        it("should reject a store of another chain", async function () {
+            const { indexer } = createIndexer();
+            await indexer.sync();
+
+            expect(() => EventStore.load(storePath, chainId + 1)).to.throw(`belongs to chain ${chainId}`);
+        });
+
+        it("should follow pairs created by the factory", async function () {
+            const DEX = await ethers.getContractFactory("DEX");
+            const implementation = await DEX.deploy();
+            const DEXFactory = await ethers.getContractFactory("DEXFactory");
+            const factory = await DEXFactory.deploy(implementation.address, false);
+            const { store, indexer } = createIndexer({ pools: [], factory: factory.address });
+            await indexer.sync();
+            expect(store.pools).to.deep.equal({});
+
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+            const pair = await ethers.getContractAt("DEX", await factory.getPair(tokenA.address, tokenB.address));
+            await tokenA.approve(pair.address, ethers.constants.MaxUint256);
+            await tokenB.approve(pair.address, ethers.constants.MaxUint256);
+            await pair.addLiquidity(LIQUIDITY, LIQUIDITY, 0, 0, DEADLINE);
+            await indexer.sync();
+
+            const info = store.pools[pair.address.toLowerCase()];
+            expect(info.fromFactory).to.equal(true);
+            expect(info.fee).to.equal(FEE_BPS.toString());
+            expect(store.getEvents(pair.address, { events: ["LiquidityAdded"] })).to.have.lengthOf(1);
+        });
+    });
+
+    describe("Reorgs", function () {
+        it("should roll back events from blocks that left the chain", async function () {
+            const { store, indexer } = createIndexer();
+            await indexer.sync();
+            const forkPoint = store.checkpoint;
+
+            const snapshot = await network.provider.send("evm_snapshot");
+            await dex.swapAForB(SWAP_AMOUNT, 0, DEADLINE);
+            await dex.swapAForB(SWAP_AMOUNT, 0, DEADLINE);
+            await indexer.sync();
+            expect(store.getEvents(dex.address, { events: ["Swap"] })).to.have.lengthOf(2);
+
+            // Replace the two swap blocks with a different fork of the same length
+            await network.provider.send("evm_revert", [snapshot]);
+            await time.increase(60);
+            await dex.swapBForA(SWAP_AMOUNT, 0, DEADLINE);
+
+            const { reorgDepth } = await indexer.sync();
+
+            const swaps = store.getEvents(dex.address, { events: ["Swap"] });
+            const head = await ethers.provider.getBlock("latest");
+            expect(reorgDepth).to.equal(2);
+            expect(swaps).to.have.lengthOf(1);
+            expect(swaps[0].args.tokenIn).to.equal(tokenB.address);
+            expect(swaps[0].blockHash).to.equal(head.hash);
+            expect(store.checkpoint.blockHash).to.equal(head.hash);
+            expect(store.checkpoint.blockNumber).to.equal(forkPoint.blockNumber + 2);
+        });
+
+        it("should forget factory pairs created on the abandoned fork", async function () {
+            const DEX = await ethers.getContractFactory("DEX");
+            const implementation = await DEX.deploy();
+            const DEXFactory = await ethers.getContractFactory("DEXFactory");
+            const factory = await DEXFactory.deploy(implementation.address, false);
+            const { store, indexer } = createIndexer({ pools: [], factory: factory.address });
+            await indexer.sync();
+
+            const snapshot = await network.provider.send("evm_snapshot");
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+            await indexer.sync();
+            expect(Object.keys(store.pools)).to.have.lengthOf(1);
+
+            await network.provider.send("evm_revert", [snapshot]);
+            await time.increase(60);
+            await indexer.sync();
+
+            expect(store.pools).to.deep.equal({});
+        });
+
+        it("should keep nothing from a batch whose fork is dropped while it is fetched", async function () {
+            const DEX = await ethers.getContractFactory("DEX");
+            const implementation = await DEX.deploy();
+            const DEXFactory = await ethers.getContractFactory("DEXFactory");
+            const factory = await DEXFactory.deploy(implementation.address, false);
+            const { store, indexer } = createIndexer({ pools: [], factory: factory.address });
+            await indexer.sync();
+            const forkPoint = store.checkpoint;
+
+            const snapshot = await network.provider.send("evm_snapshot");
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+            const dropped = await ethers.provider.getBlock("latest");
+
+            // Replace the batch's block with another fork once its events have been fetched
+            const fetchEvents = indexer._fetchEvents.bind(indexer);
+            indexer._fetchEvents = async (...args) => {
+                const fetched = await fetchEvents(...args);
+                await network.provider.send("evm_revert", [snapshot]);
+                await time.increase(60);
+                return fetched;
+            };
+            const { events } = await indexer.sync();
+
+            expect(events).to.equal(0);
+            expect(store.checkpoint).to.deep.equal(forkPoint);
+            expect(store.pools).to.deep.equal({});
+            expect(store.recentBlocks().map((block) => block.hash)).to.not.include(dropped.hash);
+
+            // The pair is created again later on the canonical chain
+            delete indexer._fetchEvents;
+            await factory.createPair(tokenA.address, tokenB.address, FEE_BPS);
+            const created = await ethers.provider.getBlock("latest");
+            await indexer.sync();
+
+            const pair = await factory.getPair(tokenA.address, tokenB.address);
+            expect(store.pools[pair.toLowerCase()].fromBlock).to.equal(created.number);
+            expect(store.getEvents(pair, { events: ["FeeConfigured"] })[0].blockHash).to.equal(created.hash);
+            expect(store.recentBlocks()[0]).to.deep.equal({ number: created.number, hash: created.hash });
+            expect(EventStore.load(storePath, chainId).data).to.deep.equal(store.data);
+        });
+    });
+
+    describe("Analytics", function () {
+        it("should report the latest pool state", async function () {
+            await dex.swapAForB(SWAP_AMOUNT, 0, DEADLINE);
+            const { store, indexer } = createIndexer();
+            await indexer.sync();
+
+            const summary = analytics.getPoolSummary(store, dex.address);
+            const [reserveA, reserveB] = await dex.getReserves();
+            expect(summary.reserveA).to.equal(reserveA);
+            expect(summary.reserveB).to.equal(reserveB);
+            expect(summary.totalSupply).to.equal(await dex.totalSupply());
+            expect(summary.fee).to.equal(FEE_BPS);
+        });
+
+        it("should return the reserve history", async function () {
+            await dex.swapAForB(SWAP_AMOUNT, 0, DEADLINE);
+            const { store, indexer } = createIndexer();
+            await indexer.sync();
+
+            const history = analytics.getPoolHistory(store, dex.address);
+            const [reserveA, reserveB] = await dex.getReserves();
+            expect(history).to.have.lengthOf(2);
+            expect(history[0].reserveA).to.equal(LIQUIDITY);
+            expect(history[1].reserveA).to.equal(reserveA);
+            expect(history[1].reserveB).to.equal(reserveB);
+        });
+
+        it("should sum volume and fees per token within the window", async function () {
+            await dex.swapAForB(SWAP_AMOUNT, 0, DEADLINE);
+            await dex.swapBForA(SWAP_AMOUNT.mul(2), 0, DEADLINE);
+            const { store, indexer } = createIndexer();
+            await indexer.sync();
+
+            const volume = analytics.getVolume(store, dex.address);
+            expect(volume.swaps).to.equal(2);
+            expect(volume.volumeA).to.equal(SWAP_AMOUNT);
+            expect(volume.volumeB).to.equal(SWAP_AMOUNT.mul(2));
+
+            const fees = analytics.getFeeRevenue(store, dex.address);
+            expect(fees.feesA).to.equal(SWAP_AMOUNT.mul(FEE_BPS).div(10000));
+            expect(fees.feesB).to.equal(SWAP_AMOUNT.mul(2).mul(FEE_BPS).div(10000));
+            expect(fees.apr).to.be.greaterThan(0);
+
+            const future = analytics.getVolume(store, dex.address, { from: store.checkpoint.timestamp + 1 });
+            expect(future.swaps).to.equal(0);
+        });
+
+        it("should charge each swap the fee in force when it was mined", async function () {
+            const newFee = 100;
+            await dex.swapAForB(SWAP_AMOUNT, 0, DEADLINE);
+            await dex.scheduleFeeChange(newFee);
+            await time.increase(await dex.TIMELOCK_DELAY());
+            await dex.executeFeeChange();
+            await dex.swapAForB(SWAP_AMOUNT, 0, DEADLINE);
+            const { store, indexer } = createIndexer();
+            await indexer.sync();
+
+            const fees = analytics.getFeeRevenue(store, dex.address);
+            const expected = SWAP_AMOUNT.mul(FEE_BPS).div(10000).add(SWAP_AMOUNT.mul(newFee).div(10000));
+            expect(fees.feesA).to.equal(expected);
+            expect(analytics.getPoolSummary(store, dex.address).fee).to.equal(newFee);
+        });
+
+        it("should track LP positions through transfers and withdrawals", async function () {
+            await dex.connect(lp).addLiquidity(LIQUIDITY, LIQUIDITY, 0, 0, DEADLINE);
+            const lpBalance = await dex.balanceOf(lp.address);
+            await dex.connect(lp).transfer(owner.address, lpBalance.div(4));
+            await dex.connect(lp).removeLiquidity(lpBalance.div(4), 0, 0, DEADLINE);
+            const { store, indexer } = createIndexer();
+            await indexer.sync();
+
+            const positions = analytics.getPositions(store, dex.address);
+            const byOwner = Object.fromEntries(positions.map((p) => [p.owner, p]));
+            const [reserveA] = await dex.getReserves();
+            const totalSupply = await dex.totalSupply();
+
+            for (const signer of [owner, lp]) {
+                const balance = await dex.balanceOf(signer.address);
+                expect(byOwner[signer.address].liquidity).to.equal(balance);
+                expect(byOwner[signer.address].amountA).to.equal(balance.mul(reserveA).div(totalSupply));
+            }
+            expect(byOwner[lp.address].depositedA).to.equal(LIQUIDITY);
+            expect(byOwner[lp.address].withdrawnA).to.equal(LIQUIDITY.div(4));
+        });
+    });
+
+    describe("HTTP API", function () {
+        let server, baseUrl, store;
+
+        beforeEach(async function () {
+            await dex.swapAForB(SWAP_AMOUNT, 0, DEADLINE);
+            const created = createIndexer();
+            store = created.store;
+            await created.indexer.sync();
+
+            server = createIndexerServer(store);
+            await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async function () {
+            await new Promise((resolve) => server.close(resolve));
+        });
+
+        // GET a path and return the status and parsed body
+        async function get(urlPath) {
+            const res = await fetch(baseUrl + urlPath);
+            return { status: res.status, body: await res.json() };
+        }
+
+        it("should serve status and pools", async function () {
+            const status = await get("/status");
+            expect(status.body.checkpoint).to.deep.equal(store.checkpoint);
+
+            const pools = await get("/pools");
+            expect(pools.body).to.have.lengthOf(1);
+            expect(pools.body[0].address).to.equal(dex.address.toLowerCase());
+            expect(pools.body[0].reserveA).to.equal((await dex.getReserves())[0].toString());
+        });
+
+        it("should serve history, volume, fees and positions", async function () {
+            const base = `/pools/${dex.address}`;
+
+            expect((await get(`${base}/history`)).body).to.have.lengthOf(2);
+            expect((await get(`${base}/volume`)).body.volumeA).to.equal(SWAP_AMOUNT.toString());
+            expect((await get(`${base}/fees`)).body.feesA).to.equal(SWAP_AMOUNT.mul(FEE_BPS).div(10000).toString());
+
+            const position = await get(`${base}/positions/${owner.address}`);
+            expect(position.body.liquidity).to.equal((await dex.balanceOf(owner.address)).toString());
+            // The owner and the address holding the locked MINIMUM_LIQUIDITY
+            expect((await get(`${base}/positions`)).body).to.have.lengthOf(2);
+        });
+
+        it("should filter by time window", async function () {
+            const after = store.checkpoint.timestamp + 1;
+
+            const history = await get(`/pools/${dex.address}/history?from=${after}`);
+
+            expect(history.body).to.deep.equal([]);
+        });
+
+        it("should return errors for unknown routes and bad parameters", async function () {
+            expect((await get("/unknown")).status).to.equal(404);
+            expect((await get(`/pools/${ethers.constants.AddressZero}`)).status).to.equal(404);
+            expect((await get(`/pools/${dex.address}/positions/${ethers.constants.AddressZero}`)).status).to.equal(404);
+
+            const bad = await get(`/pools/${dex.address}/volume?from=yesterday`);
+            expect(bad.status).to.equal(400);
+            expect(bad.body.error).to.equal("Invalid from timestamp");
+        });
+    });
+});